@@ -6,7 +6,10 @@
 
 const STORAGE_KEYS = {
     STAFF: 'koukyu_staff',
-    SCHEDULES: 'koukyu_schedules'
+    SCHEDULES: 'koukyu_schedules',
+    SETTINGS: 'koukyu_settings',
+    HISTORY: 'koukyu_history',
+    EDITOR: 'koukyu_editor'
 };
 
 // スタッフのアバター色（名前から自動で色を決める）
@@ -19,6 +22,10 @@ const AVATAR_COLORS = [
 // ===== 状態管理 =====
 let staffList = [];               // スタッフ一覧
 let schedules = {};               // 全月のスケジュールデータ
+let settings = { ...DEFAULT_SETTINGS }; // 施設設定（必要人数・夜勤人数・連勤上限など）
+let histories = {};               // 期間キー→操作の履歴（元に戻す・やり直す）
+let editorName = '';              // 変更記録に残す名前（確定・解除のときに入力）
+let currentUnit = '';             // シフト表で表示するユニット（'' = 全体）
 
 // 期間の初期値を計算（16日区切り）
 // 今日が16日以降なら今月が現在の期間、それより前なら前月が現在の期間
@@ -39,11 +46,19 @@ if (currentMonth > 12) { currentMonth = 1; currentYear++; }
 document.addEventListener('DOMContentLoaded', () => {
     loadData();
     migrateStaffData(); // 古いデータ形式を新しい形式に変換
+    applyShiftMaster(settings.shiftTypes); // 保存済みのシフトマスタを有効化
     initNavigation();
     initStaffModal();
     initRequestModal();
     initShiftModal();
+    initCandidateModal();
+    initSnapshotModal();
+    initWhatIfModal();
+    initFinalizeModal();
     initScheduleActions();
+    initHistoryActions();
+    initSettingsForm();
+    initShiftTypeModal();
     initDataActions();
     renderStaffList();
     renderSchedule();
@@ -82,6 +97,14 @@ function loadData() {
 
         const scheduleData = localStorage.getItem(STORAGE_KEYS.SCHEDULES);
         if (scheduleData) schedules = JSON.parse(scheduleData);
+
+        const settingsData = localStorage.getItem(STORAGE_KEYS.SETTINGS);
+        if (settingsData) settings = { ...DEFAULT_SETTINGS, ...JSON.parse(settingsData) };
+
+        const historyData = localStorage.getItem(STORAGE_KEYS.HISTORY);
+        if (historyData) histories = JSON.parse(historyData);
+
+        editorName = localStorage.getItem(STORAGE_KEYS.EDITOR) || '';
     } catch (e) {
         console.error('データ読み込みエラー:', e);
     }
@@ -95,8 +118,42 @@ function saveSchedules() {
     localStorage.setItem(STORAGE_KEYS.SCHEDULES, JSON.stringify(schedules));
 }
 
+function saveSettings() {
+    localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(settings));
+}
+
+function saveHistories() {
+    localStorage.setItem(STORAGE_KEYS.HISTORY, JSON.stringify(histories));
+}
+
 function getScheduleKey() {
-    return `${currentYear}-${String(currentMonth).padStart(2, '0')}`;
+    return getPeriodKey(currentYear, currentMonth);
+}
+
+/**
+ * 前期間の保存済みシフト（なければnull）
+ * 連勤・A残連日・夜勤明けを期間をまたいで判定するために使う
+ */
+function getPreviousAssignments() {
+    const prev = getPreviousPeriod(currentYear, currentMonth);
+    const prevSchedule = schedules[getPeriodKey(prev.year, prev.month)];
+    return prevSchedule ? prevSchedule.assignments : null;
+}
+
+/**
+ * 前期間の最終日が夜勤で、今期間1日目が引き継ぎの明けになるセルかどうか
+ */
+function isCarriedNightOff(staffId, day) {
+    if (day !== 1) return false;
+    const tail = getPreviousTail(getPreviousAssignments(), currentYear, currentMonth);
+    return tail[staffId]?.[0] === SHIFT_TYPES.NIGHT;
+}
+
+/**
+ * 固定セルかどうか（schedule.pinned はスタッフID→日の配列）
+ */
+function isPinned(schedule, staffId, day) {
+    return (schedule.pinned?.[staffId] || []).includes(day);
 }
 
 function getCurrentSchedule() {
@@ -123,6 +180,10 @@ function initNavigation() {
             if (viewName === 'schedule') {
                 renderSchedule();
             }
+            // 施設設定タブは保存済みの値でフォームを作り直す
+            if (viewName === 'settings') {
+                renderSettingsForm();
+            }
         });
     });
 }
@@ -160,6 +221,8 @@ function renderStaffList() {
         } else if (nightType === 'weekday') {
             tags.push('<span class="staff-tag tag-night-weekday">夜勤（平日）</span>');
         }
+        const nightRulesText = nightType !== 'none' ? formatNightRulesText(staff) : '';
+        if (nightRulesText) tags.push(`<span class="staff-tag tag-night-rules">${nightRulesText}</span>`);
 
         if (staff.canOvertime) {
             tags.push('<span class="staff-tag tag-overtime">残業OK</span>');
@@ -196,6 +259,31 @@ function renderStaffList() {
             tags.push('<span class="staff-tag tag-plus1">連勤+1OK</span>');
         }
 
+        // ユニットの表示（応援に行けるユニットも）
+        const units = getUnits(settings);
+        const home = units.find(u => u.id === staff.unit);
+        if (home) {
+            const floats = getStaffUnits(staff, settings).slice(1).map(id => units.find(u => u.id === id).name);
+            const floatText = floats.length > 0 ? `（応援: ${floats.join('・')}）` : '';
+            tags.push(`<span class="staff-tag tag-unit">${escapeHtml(home.name + floatText)}</span>`);
+        }
+
+        // 資格の表示
+        QUALIFICATIONS.forEach(q => {
+            if (hasQualification(staff, q.id)) tags.push(`<span class="staff-tag tag-qualification">${q.label}</span>`);
+        });
+
+        // 在籍期間・休職の表示
+        if (staff.startDate) tags.push(`<span class="staff-tag tag-employment">入職 ${formatDateText(staff.startDate)}</span>`);
+        if (staff.endDate) tags.push(`<span class="staff-tag tag-employment">退職 ${formatDateText(staff.endDate)}</span>`);
+        (staff.leaves || []).forEach(leave => {
+            tags.push(`<span class="staff-tag tag-employment">${escapeHtml(leave.reason)} ${formatDateText(leave.start)}〜${formatDateText(leave.end)}</span>`);
+        });
+
+        // 曜日ごとの勤務可否・固定の表示
+        const availabilityText = formatAvailabilityText(staff);
+        if (availabilityText) tags.push(`<span class="staff-tag tag-availability">${escapeHtml(availabilityText)}</span>`);
+
         return `
       <div class="staff-card" data-id="${staff.id}">
         <div class="staff-avatar" style="background:${color}">${initial}</div>
@@ -212,6 +300,58 @@ function renderStaffList() {
     }).join('');
 }
 
+/**
+ * 夜勤の個人の決まりを短い文字にする（例: 夜勤 2〜5回・間3日・×土日）。決まりがなければ空
+ * 入れない曜日は曜日ごとの勤務可否の夜勤の行から
+ */
+function formatNightRulesText(staff) {
+    const dayNames = ['日', '月', '火', '水', '木', '金', '土'];
+    const parts = [];
+    const min = staff.minNights || 0;
+    const max = staff.maxNights || 0;
+    if (min && max) parts.push(`${min}〜${max}回`);
+    else if (min) parts.push(`${min}回以上`);
+    else if (max) parts.push(`${max}回まで`);
+    if (staff.nightSpacing) parts.push(`間${staff.nightSpacing}日`);
+    const availability = staff.availability || {};
+    const forbidden = dayNames.filter((_, dow) => availability[dow] && !availability[dow].includes(SHIFT_TYPES.NIGHT));
+    if (forbidden.length > 0) parts.push('×' + forbidden.join(''));
+    return parts.length > 0 ? '夜勤 ' + parts.join('・') : '';
+}
+
+/**
+ * 曜日ごとの勤務可否・固定を短い文字にする（例: 日:休 火:A/B 水:出勤）。制限がなければ空
+ */
+function formatAvailabilityText(staff) {
+    const dayNames = ['日', '月', '火', '水', '木', '金', '土'];
+    const availability = staff.availability || {};
+    const pattern = staff.weeklyPattern || {};
+    const parts = [];
+    dayNames.forEach((name, dow) => {
+        if (pattern[dow] === WEEKLY_PATTERNS.OFF) {
+            parts.push(`${name}:休`);
+            return;
+        }
+        const allowed = availability[dow];
+        const shifts = allowed ? (allowed.length > 0 ? allowed.map(code => SHIFT_LABELS[code] || code).join('/') : '×') : '';
+        if (pattern[dow] === WEEKLY_PATTERNS.WORK) {
+            parts.push(`${name}:出勤` + (shifts ? `(${shifts})` : ''));
+        } else if (shifts) {
+            parts.push(`${name}:${shifts}`);
+        }
+    });
+    return parts.length > 0 ? '曜日 ' + parts.join(' ') : '';
+}
+
+/**
+ * 日付の文字列（YYYY-MM-DD）を表示用（2026/5/1）にする。空は空のまま
+ */
+function formatDateText(date) {
+    if (!date) return '';
+    const [year, month, day] = date.split('-').map(Number);
+    return `${year}/${month}/${day}`;
+}
+
 /**
  * HTMLエスケープ（入力値を安全に表示するため）
  */
@@ -266,6 +406,11 @@ function initStaffModal() {
         }
     }
 
+    // 資格のチェックボックス
+    document.getElementById('staff-qualifications').innerHTML = QUALIFICATIONS.map(q => `
+        <label><input type="checkbox" name="staff-qualification" value="${q.id}"> ${q.label}</label>
+    `).join('');
+
     // 追加ボタン
     document.getElementById('add-staff-btn').addEventListener('click', () => {
         document.getElementById('staff-modal-title').textContent = 'スタッフ追加';
@@ -273,6 +418,9 @@ function initStaffModal() {
         document.getElementById('staff-name').value = '';
         document.getElementById('staff-type').value = 'full';
         document.getElementById('staff-night-type').value = 'none';
+        document.getElementById('staff-min-nights').value = 0;
+        document.getElementById('staff-max-nights').value = 0;
+        document.getElementById('staff-night-spacing').value = 0;
         document.getElementById('staff-overtime').checked = false;
         document.getElementById('staff-early-only').checked = false;
         document.getElementById('staff-late-only').checked = false;
@@ -282,6 +430,10 @@ function initStaffModal() {
         document.getElementById('staff-start-time').value = '09:00';
         document.getElementById('staff-end-time').value = '17:00';
         document.getElementById('staff-consecutive-plus1').checked = false;
+        setStaffQualifications([]);
+        renderStaffUnitFields({});
+        renderStaffEmployment({});
+        renderStaffAvailability({}, 'full');
         updateFormVisibility('full');
         modal.classList.add('show');
     });
@@ -289,6 +441,13 @@ function initStaffModal() {
     // 勤務形態の変更でフォームを切り替え
     typeSelect.addEventListener('change', () => {
         updateFormVisibility(typeSelect.value);
+        // 選べるシフトが変わるので、曜日の固定だけ残して描き直す
+        renderStaffAvailability({ weeklyPattern: readStaffWeeklyPattern() }, typeSelect.value);
+    });
+
+    // 休職の行を追加
+    document.getElementById('add-leave-btn').addEventListener('click', () => {
+        document.getElementById('staff-leaves').insertAdjacentHTML('beforeend', leaveRowHtml({ reason: LEAVE_REASONS[0] }));
     });
 
     // 閉じるボタン
@@ -312,6 +471,9 @@ function initStaffModal() {
             name: document.getElementById('staff-name').value.trim(),
             type: type,
             nightShiftType: document.getElementById('staff-night-type').value,
+            minNights: parseInt(document.getElementById('staff-min-nights').value) || 0,
+            maxNights: parseInt(document.getElementById('staff-max-nights').value) || 0,
+            nightSpacing: parseInt(document.getElementById('staff-night-spacing').value) || 0,
             canOvertime: document.getElementById('staff-overtime').checked,
             earlyOnly: document.getElementById('staff-early-only').checked,
             lateOnly: document.getElementById('staff-late-only').checked,
@@ -320,14 +482,48 @@ function initStaffModal() {
             maxConsecutive: parseInt(document.getElementById('staff-max-consecutive').value) || 0,
             startTime: document.getElementById('staff-start-time').value || '',
             endTime: document.getElementById('staff-end-time').value || '',
-            allowConsecutivePlus1: document.getElementById('staff-consecutive-plus1').checked
+            allowConsecutivePlus1: document.getElementById('staff-consecutive-plus1').checked,
+            qualifications: [...document.querySelectorAll('input[name="staff-qualification"]:checked')].map(el => el.value),
+            unit: document.getElementById('staff-unit').value,
+            floatUnits: [...document.querySelectorAll('input[name="staff-float-unit"]:checked')].map(el => el.value),
+            startDate: document.getElementById('staff-start-date').value,
+            endDate: document.getElementById('staff-end-date').value,
+            leaves: readStaffLeaves(),
+            availability: readStaffAvailability(type),
+            weeklyPattern: readStaffWeeklyPattern()
         };
 
         if (!staffData.name) return;
 
+        // 日付はどちらも入っているときだけ前後を確かめる（空欄は期限なし）
+        if (staffData.startDate && staffData.endDate && staffData.startDate > staffData.endDate) {
+            alert('退職日は入職日より後の日にしてください');
+            return;
+        }
+        if (staffData.leaves.some(leave => leave.start && leave.end && leave.start > leave.end)) {
+            alert('休職の終わりは始まりより後の日にしてください');
+            return;
+        }
+        if (staffData.minNights && staffData.maxNights && staffData.minNights > staffData.maxNights) {
+            alert('夜勤の最少回数は最多回数以下にしてください');
+            return;
+        }
+        const noShiftDay = Object.keys(staffData.weeklyPattern).find(dow =>
+            staffData.weeklyPattern[dow] === WEEKLY_PATTERNS.WORK && staffData.availability[dow]?.length === 0);
+        if (noShiftDay !== undefined) {
+            alert(`${'日月火水木金土'[noShiftDay]}曜日は「毎週出勤」ですが、入れるシフトがありません`);
+            return;
+        }
+
+        // 所属なしの人はどこにでも入るので、応援先は持たない
+        staffData.floatUnits = staffData.unit ? staffData.floatUnits.filter(id => id !== staffData.unit) : [];
+
         // パートの場合は夜勤・残業を無効に
         if (staffData.type === 'part') {
             staffData.nightShiftType = 'none';
+            staffData.minNights = 0;
+            staffData.maxNights = 0;
+            staffData.nightSpacing = 0;
             staffData.canOvertime = false;
             // 早出のみと遅出のみは同時に選べない
             if (staffData.earlyOnly && staffData.lateOnly) {
@@ -356,6 +552,127 @@ function initStaffModal() {
     });
 }
 
+/**
+ * スタッフフォームの資格のチェックを設定
+ */
+function setStaffQualifications(qualifications) {
+    document.querySelectorAll('input[name="staff-qualification"]').forEach(el => {
+        el.checked = qualifications.includes(el.value);
+    });
+}
+
+/**
+ * スタッフフォームの所属ユニット・応援先を描画（ユニットがなければ隠す）
+ */
+function renderStaffUnitFields(staff) {
+    const units = getUnits(settings);
+    document.getElementById('staff-unit-group').style.display = units.length > 0 ? '' : 'none';
+    document.getElementById('staff-unit').innerHTML = '<option value="">所属なし</option>' + units.map(u =>
+        `<option value="${u.id}"${u.id === staff.unit ? ' selected' : ''}>${escapeHtml(u.name)}</option>`
+    ).join('');
+    const floats = staff.floatUnits || [];
+    document.getElementById('staff-float-units').innerHTML = units.map(u => `
+        <label><input type="checkbox" name="staff-float-unit" value="${u.id}"${floats.includes(u.id) ? ' checked' : ''}> ${escapeHtml(u.name)}</label>
+    `).join('');
+}
+
+/**
+ * スタッフフォームの在籍期間・休職を描画
+ */
+function renderStaffEmployment(staff) {
+    document.getElementById('staff-start-date').value = staff.startDate || '';
+    document.getElementById('staff-end-date').value = staff.endDate || '';
+    document.getElementById('staff-leaves').innerHTML = (staff.leaves || []).map(leaveRowHtml).join('');
+}
+
+/**
+ * 休職1つ分の入力欄（理由と期間）
+ */
+function leaveRowHtml(leave) {
+    const reasons = LEAVE_REASONS.map(reason =>
+        `<option value="${reason}"${reason === leave.reason ? ' selected' : ''}>${reason}</option>`
+    ).join('');
+    return `
+      <div class="leave-row">
+        <select data-field="reason">${reasons}</select>
+        <input type="date" value="${leave.start || ''}" data-field="start">
+        〜 <input type="date" value="${leave.end || ''}" data-field="end">
+        <button type="button" class="btn btn-danger btn-sm" onclick="removeLeaveRow(this)">削除</button>
+      </div>
+    `;
+}
+
+function removeLeaveRow(button) {
+    button.closest('.leave-row').remove();
+}
+
+/**
+ * 休職の入力欄を読む（始まりも終わりもない行は保存しない）
+ */
+function readStaffLeaves() {
+    return [...document.querySelectorAll('#staff-leaves .leave-row')].map(row => ({
+        start: row.querySelector('[data-field="start"]').value,
+        end: row.querySelector('[data-field="end"]').value,
+        reason: row.querySelector('[data-field="reason"]').value
+    })).filter(leave => leave.start || leave.end);
+}
+
+/**
+ * スタッフフォームの曜日ごとの勤務可否（シフト×曜日のチェック）と固定を描画
+ * type: 勤務形態。パートはP、フルタイムはA・B・夜勤・A残の行にする
+ */
+function renderStaffAvailability(staff, type) {
+    const dayNames = ['日', '月', '火', '水', '木', '金', '土'];
+    const shifts = type === 'part' ? AVAILABILITY_SHIFTS.part : AVAILABILITY_SHIFTS.full;
+    const availability = staff.availability || {};
+    const pattern = staff.weeklyPattern || {};
+    const header = dayNames.map(name => `<th>${name}</th>`).join('');
+    const rows = shifts.map(code => {
+        const cells = dayNames.map((_, dow) => {
+            const checked = !availability[dow] || availability[dow].includes(code);
+            return `<td><input type="checkbox" name="staff-availability" data-dow="${dow}" value="${code}"${checked ? ' checked' : ''}></td>`;
+        }).join('');
+        return `<tr><th>${SHIFT_LABELS[code] || code}</th>${cells}</tr>`;
+    }).join('');
+    const patternCells = dayNames.map((_, dow) => {
+        const options = [['', '—'], [WEEKLY_PATTERNS.OFF, '毎週休み'], [WEEKLY_PATTERNS.WORK, '毎週出勤']].map(([value, label]) =>
+            `<option value="${value}"${(pattern[dow] || '') === value ? ' selected' : ''}>${label}</option>`
+        ).join('');
+        return `<td><select name="staff-weekly-pattern" data-dow="${dow}">${options}</select></td>`;
+    }).join('');
+    document.getElementById('staff-availability').innerHTML = `
+      <table>
+        <tr><th></th>${header}</tr>
+        ${rows}
+        <tr><th>固定</th>${patternCells}</tr>
+      </table>
+    `;
+}
+
+/**
+ * 曜日ごとの勤務可否を読む（すべてのシフトにチェックがある曜日は制限なしなので保存しない）
+ */
+function readStaffAvailability(type) {
+    const shifts = type === 'part' ? AVAILABILITY_SHIFTS.part : AVAILABILITY_SHIFTS.full;
+    const availability = {};
+    for (let dow = 0; dow < 7; dow++) {
+        const allowed = [...document.querySelectorAll(`input[name="staff-availability"][data-dow="${dow}"]:checked`)].map(el => el.value);
+        if (allowed.length < shifts.length) availability[dow] = allowed;
+    }
+    return availability;
+}
+
+/**
+ * 曜日ごとの固定（毎週休み・毎週出勤）を読む
+ */
+function readStaffWeeklyPattern() {
+    const pattern = {};
+    document.querySelectorAll('select[name="staff-weekly-pattern"]').forEach(el => {
+        if (el.value) pattern[el.dataset.dow] = el.value;
+    });
+    return pattern;
+}
+
 /**
  * スタッフを編集モードで開く
  */
@@ -369,6 +686,9 @@ function editStaff(id) {
     document.getElementById('staff-name').value = staff.name;
     document.getElementById('staff-type').value = staff.type;
     document.getElementById('staff-night-type').value = staff.nightShiftType || 'none';
+    document.getElementById('staff-min-nights').value = staff.minNights || 0;
+    document.getElementById('staff-max-nights').value = staff.maxNights || 0;
+    document.getElementById('staff-night-spacing').value = staff.nightSpacing || 0;
     document.getElementById('staff-overtime').checked = staff.canOvertime;
     document.getElementById('staff-early-only').checked = staff.earlyOnly || false;
     document.getElementById('staff-late-only').checked = staff.lateOnly || false;
@@ -378,6 +698,10 @@ function editStaff(id) {
     document.getElementById('staff-start-time').value = staff.startTime || '09:00';
     document.getElementById('staff-end-time').value = staff.endTime || '17:00';
     document.getElementById('staff-consecutive-plus1').checked = staff.allowConsecutivePlus1 || false;
+    setStaffQualifications(staff.qualifications || []);
+    renderStaffUnitFields(staff);
+    renderStaffEmployment(staff);
+    renderStaffAvailability(staff, staff.type);
 
     // フォーム表示の切り替え
     const nightGroup = document.getElementById('night-shift-group');
@@ -435,6 +759,10 @@ function renderSchedule() {
     if (nextMonth > 12) { nextMonth = 1; nextYear++; }
     const periodLabel = `${currentYear}年${currentMonth}月16日〜${nextYear !== currentYear ? nextYear + '年' : ''}${nextMonth}月15日`;
     document.getElementById('current-month').textContent = periodLabel;
+    renderSeedInfo();
+    renderHistoryButtons();
+    renderFinalizeState(getCurrentSchedule());
+    renderUnitSwitch();
 
     if (staffList.length === 0) {
         noStaffEl.style.display = 'block';
@@ -462,23 +790,34 @@ function renderSchedule() {
         if (dow === 0) dayClass = 'day-sunday';
         if (dow === 6) dayClass = 'day-saturday';
 
-        headerRow1 += `<th class="${dayClass}">${actualDate.day}</th>`;
+        headerRow1 += `<th class="${dayClass}" data-day="${day}">${actualDate.day}</th>`;
         headerRow2 += `<th class="${dayClass}" style="font-size:0.65rem">${dowName}</th>`;
     }
 
-    // 集計列
-    headerRow1 += '<th>A</th><th>B</th><th>夜</th><th>A残</th><th>休</th>';
-    headerRow2 += '<th></th><th></th><th></th><th></th><th></th>';
+    // 集計列（シフトマスタから）
+    const totalColumns = getTotalColumns();
+    totalColumns.forEach(def => {
+        headerRow1 += `<th>${escapeHtml(def.label)}</th>`;
+        headerRow2 += '<th></th>';
+    });
 
     thead.innerHTML = headerRow1 + '</tr>' + headerRow2 + '</tr>';
 
     // ===== スタッフの行 =====
+    // ユニットごとの表示では、そのユニットに入れる人だけを出し、他のユニットで勤務している日は薄くする
     const tbody = document.getElementById('schedule-tbody');
     let tbodyHtml = '';
+    const periodStaff = getCurrentPeriodStaff();
+    const placement = placeUnits(periodStaff, schedule.assignments, currentYear, currentMonth, settings);
+    const unitNames = {};
+    getUnits(settings).forEach(u => { unitNames[u.id] = u.name; });
+    const shownStaff = currentUnit ? periodStaff.filter(staff => canWorkInUnit(staff, currentUnit)) : periodStaff;
 
-    staffList.forEach(staff => {
+    shownStaff.forEach(staff => {
         const assignments = schedule.assignments[staff.id] || {};
-        let earlyCount = 0, lateCount = 0, nightCount = 0, overtimeCount = 0, offCount = 0;
+        const absentDays = getAbsentDays(staff, currentYear, currentMonth);
+        const totals = {};
+        totalColumns.forEach(def => { totals[def.code] = 0; });
 
         let row = `<tr><td class="staff-name-cell">${escapeHtml(staff.name)}</td>`;
 
@@ -486,25 +825,32 @@ function renderSchedule() {
             const shift = assignments[day];
             const dow = getDayOfWeek(currentYear, currentMonth, day);
             const sundayClass = dow === 0 ? ' day-sunday' : '';
+            // 在籍していない日・休職の日はグレーにする（空のセルも）
+            const absentAttr = absentDays.includes(day) ? ' cell-absent" title="在籍していない日・休職の日' : '';
 
             if (shift) {
-                const label = SHIFT_LABELS[shift] || '';
-                row += `<td class="shift-cell${sundayClass}" data-staff="${staff.id}" data-day="${day}">
-          <span class="shift-badge shift-${shift}">${label}</span></td>`;
+                const pinIcon = isPinned(schedule, staff.id, day) ? '<span class="pin-icon">🔒</span>' : '';
+                const placed = placement[staff.id]?.[day];
+                let unitAttr = '';
+                if (placed && currentUnit && placed !== currentUnit) {
+                    unitAttr = ` unit-away" title="${escapeHtml(unitNames[placed])}で勤務`;
+                } else if (placed && staff.unit && placed !== staff.unit) {
+                    unitAttr = ` unit-float" title="${escapeHtml(unitNames[placed])}へ応援`;
+                }
+                row += `<td class="shift-cell${sundayClass}${unitAttr}${absentAttr}" data-staff="${staff.id}" data-day="${day}">
+          ${shiftBadgeHtml(shift)}${pinIcon}</td>`;
 
                 // 集計
-                if (shift === SHIFT_TYPES.EARLY) earlyCount++;
-                if (shift === SHIFT_TYPES.LATE) lateCount++;
-                if (shift === SHIFT_TYPES.NIGHT) nightCount++;
-                if (shift === SHIFT_TYPES.OVERTIME) overtimeCount++;
-                if (shift === SHIFT_TYPES.OFF) offCount++;
+                if (totals[shift] !== undefined) totals[shift]++;
             } else {
-                row += `<td class="shift-cell${sundayClass}" data-staff="${staff.id}" data-day="${day}"></td>`;
+                row += `<td class="shift-cell${sundayClass}${absentAttr}" data-staff="${staff.id}" data-day="${day}"></td>`;
             }
         }
 
         // 個人集計
-        row += `<td>${earlyCount}</td><td>${lateCount}</td><td>${nightCount}</td><td>${overtimeCount}</td><td>${offCount}</td>`;
+        totalColumns.forEach(def => {
+            row += `<td data-staff="${staff.id}" data-total="${def.code}">${totals[def.code]}</td>`;
+        });
         row += '</tr>';
         tbodyHtml += row;
     });
@@ -513,8 +859,13 @@ function renderSchedule() {
 
     // ===== 日ごとの集計行 =====
     renderSummary(daysInMonth, schedule);
+    renderScorePanel(schedule);
+    renderIssuePanel(schedule);
+    renderChangeLog(schedule);
+    renderLegend();
 
-    // セルクリックイベント
+    // セルクリックイベント（確定済みの期間は読み取り専用）
+    if (isFinalized(schedule)) return;
     document.querySelectorAll('.shift-cell').forEach(cell => {
         cell.addEventListener('click', () => {
             const staffId = cell.dataset.staff;
@@ -524,10 +875,29 @@ function renderSchedule() {
     });
 }
 
+/**
+ * 表示中の期間のスタッフ（入職前・退職後・ずっと休職の人を除き、公休の目標を按分したもの）
+ */
+function getCurrentPeriodStaff() {
+    return getPeriodStaff(staffList, currentYear, currentMonth);
+}
+
+/**
+ * ユニットの切り替えを描画（ユニットがなければ隠して全体を表示）
+ */
+function renderUnitSwitch() {
+    const units = getUnits(settings);
+    if (!units.some(u => u.id === currentUnit)) currentUnit = '';
+    document.getElementById('unit-switch').style.display = units.length > 0 ? '' : 'none';
+    document.getElementById('unit-filter').innerHTML = '<option value="">全体</option>' + units.map(u =>
+        `<option value="${u.id}"${u.id === currentUnit ? ' selected' : ''}>${escapeHtml(u.name)}</option>`
+    ).join('');
+}
+
 /**
  * 日ごとの人数集計を表示
- * 朝(7:00)、昼(10:00)、夕(17:45)、夜勤 の4行で表示
- * パート個人の勤務時間も考慮して正確にカウント
+ * 施設設定の時間帯（朝・昼・夕）＋夜勤 の行で表示（資格者・ユニットの最低人数を決めていればその行も）
+ * 色分けは evaluateCoverage（生成・バリデーションと同じ基準）で判定する
  */
 function renderSummary(daysInMonth, schedule) {
     const summaryThead = document.querySelector('#summary-table thead tr');
@@ -535,51 +905,405 @@ function renderSummary(daysInMonth, schedule) {
     for (let day = 1; day <= daysInMonth; day++) {
         summaryHeaderHtml += '<th></th>';
     }
-    summaryHeaderHtml += '<th></th><th></th><th></th><th></th><th></th>';
+    const totalColumnCells = '<td></td>'.repeat(getTotalColumns().length);
+    summaryHeaderHtml += '<th></th>'.repeat(getTotalColumns().length);
     summaryThead.innerHTML = summaryHeaderHtml;
 
     const summaryTbody = document.getElementById('summary-tbody');
-
-    // 4行：朝(7:00)、昼(10:00)、夕(17:45)、夜勤
-    const rows = [
-        { label: '朝7時', minutes: 420, required: 4, sundayRequired: 4 },
-        { label: '昼10時', minutes: 600, required: 4, sundayRequired: 4 },
-        { label: '夕17時', minutes: 1065, required: 4, sundayRequired: 3 },
-        { label: '夜勤', minutes: null, required: 1, sundayRequired: 1 }
-    ];
+    const periodStaff = getCurrentPeriodStaff();
+    const coverage = evaluateCoverage(periodStaff, schedule.assignments, currentYear, currentMonth, settings);
 
     let summaryHtml = '';
 
-    rows.forEach(rowDef => {
-        let row = `<tr><td class="staff-name-cell">${rowDef.label}</td>`;
+    // 施設全体の行（ユニットごとの表示では出さない）
+    if (!currentUnit) {
+        // 時間帯ごとの行（パート個人の勤務時間も考慮してカウント済み）
+        getCheckpoints(settings).forEach((cp, cpIndex) => {
+            let row = `<tr><td class="staff-name-cell">${cp.label}</td>`;
+
+            coverage.forEach(dayResult => {
+                const c = dayResult.checkpoints[cpIndex];
+                const cssClass = c.ok ? 'summary-ok' : 'summary-warn';
+                const title = dayResult.reduced ? ` title="日曜緩和（必要${c.required}人）"` : '';
+                row += `<td class="${cssClass}" data-row="${c.checkpoint.id}" data-day="${dayResult.day}"${title}>${c.count}</td>`;
+            });
+
+            row += totalColumnCells + '</tr>';
+            summaryHtml += row;
+        });
 
+        // 夜勤の行
+        let nightRow = '<tr><td class="staff-name-cell">夜勤</td>';
         for (let day = 1; day <= daysInMonth; day++) {
             let count = 0;
-            const sunday = isSunday(currentYear, currentMonth, day);
+            periodStaff.forEach(staff => {
+                const shift = schedule.assignments[staff.id]?.[day];
+                if (shift === SHIFT_TYPES.NIGHT) count++;
+            });
+            const required = getNightRequired(currentYear, currentMonth, day, settings);
+            const cssClass = count >= required ? 'summary-ok' : 'summary-warn';
+            nightRow += `<td class="${cssClass}" data-row="night" data-day="${day}">${count}</td>`;
+        }
+        nightRow += totalColumnCells + '</tr>';
+        summaryHtml += nightRow;
+
+        // 資格者の行（最低人数を決めた時間帯・資格だけ）
+        const skillCoverage = evaluateSkillCoverage(periodStaff, schedule.assignments, currentYear, currentMonth, settings);
+        getSkillRequirements(settings).forEach((r, rIndex) => {
+            let row = `<tr><td class="staff-name-cell">${r.label}の${r.qualificationLabel}</td>`;
+            skillCoverage.forEach(dayResult => {
+                const c = dayResult.requirements[rIndex];
+                const cssClass = c.ok ? 'summary-ok' : 'summary-warn';
+                row += `<td class="${cssClass}" data-row="skill-${r.slot}-${r.qualification}" data-day="${dayResult.day}">${c.count}</td>`;
+            });
+            row += totalColumnCells + '</tr>';
+            summaryHtml += row;
+        });
+    }
 
-            if (rowDef.minutes !== null) {
-                // 時間帯チェック：countStaffAtTimeでパート個人の時間も考慮
-                count = countStaffAtTime(staffList, schedule.assignments, day, rowDef.minutes);
-            } else {
-                // 夜勤の人数
-                staffList.forEach(staff => {
-                    const shift = schedule.assignments[staff.id]?.[day];
-                    if (shift === SHIFT_TYPES.NIGHT) count++;
-                });
-            }
+    // ユニットの行（応援に行ける人を置いたあとの人数。ユニットごとの表示ではそのユニットだけ）
+    const unitCoverage = evaluateUnitCoverage(periodStaff, schedule.assignments, currentYear, currentMonth, settings);
+    getUnitRequirements(settings).forEach((r, rIndex) => {
+        if (currentUnit && r.unit !== currentUnit) return;
+        let row = `<tr><td class="staff-name-cell">${escapeHtml(r.unitLabel)} ${r.label}</td>`;
+        unitCoverage.forEach(dayResult => {
+            const c = dayResult.requirements[rIndex];
+            const cssClass = c.ok ? 'summary-ok' : 'summary-warn';
+            row += `<td class="${cssClass}" data-row="unit-${r.unit}-${r.slot}" data-day="${dayResult.day}">${c.count}</td>`;
+        });
+        row += totalColumnCells + '</tr>';
+        summaryHtml += row;
+    });
+
+    summaryTbody.innerHTML = summaryHtml;
+}
+
+/**
+ * 現在のシフト表のスコアと減点の内訳を描画（自動生成と同じ scoreSchedule で計算）
+ */
+function renderScorePanel(schedule) {
+    const panel = document.getElementById('score-panel');
+    const hasAssignments = Object.keys(schedule.assignments).some(
+        id => Object.keys(schedule.assignments[id] || {}).length > 0
+    );
+    if (!hasAssignments) {
+        panel.style.display = 'none';
+        return;
+    }
+    panel.style.display = '';
+
+    const result = scoreSchedule(getCurrentPeriodStaff(), schedule.assignments, currentYear, currentMonth, settings,
+        { previousAssignments: getPreviousAssignments() });
+    const penalties = result.categories.filter(c => c.penalty > 0);
+    document.getElementById('score-summary').textContent =
+        `スコア ${result.total}点` + (penalties.length > 0 ? '（減点の内訳）' : '（減点なし）');
+
+    document.getElementById('score-breakdown').innerHTML = penalties.map(category => {
+        const items = category.items.map((item, i) =>
+            `<li class="score-item" data-category="${category.key}" data-item="${i}">${escapeHtml(formatScoreItem(item))} −${item.points}</li>`
+        ).join('');
+        return `<div class="score-category">
+            <div class="score-category-title">${category.label} −${category.penalty}</div>
+            <ul class="score-items">${items}</ul>
+        </div>`;
+    }).join('');
+
+    // 項目をクリックすると該当するセルを強調（もう一度クリックで解除）
+    document.querySelectorAll('.score-item').forEach(el => {
+        el.addEventListener('click', () => {
+            const wasActive = el.classList.contains('active');
+            clearScoreHighlight();
+            if (wasActive) return;
+            el.classList.add('active');
+            const category = result.categories.find(c => c.key === el.dataset.category);
+            highlightScoreItem(category.items[parseInt(el.dataset.item)]);
+        });
+    });
+}
+
+/**
+ * 減点の原因を表示用の文字にする（例: 「松井さん 4/20・4/21」「4/25 夕(17:45) 3/4人」）
+ */
+function formatScoreItem(item) {
+    const parts = [];
+    if (item.staffId) {
+        const staff = staffList.find(s => s.id === item.staffId);
+        parts.push(`${staff ? staff.name : '?'}さん`);
+    }
+    if (item.days.length > 0) {
+        parts.push(item.days.map(day => {
+            const date = periodDayToDate(currentYear, currentMonth, day);
+            return `${date.month}/${date.day}`;
+        }).join('・'));
+    }
+    if (item.checkpoint) parts.push(`${item.checkpoint} ${item.count}/${item.required}人`);
+    return parts.join(' ');
+}
+
+/**
+ * 減点の原因のセルを強調する
+ * スタッフ単位の項目はその人の行、人数不足はその日の列を強調する
+ */
+function highlightScoreItem(item) {
+    const cells = [...document.querySelectorAll('#schedule-tbody .shift-cell')].filter(cell =>
+        (!item.staffId || cell.dataset.staff === item.staffId) &&
+        (item.days.length === 0 || item.days.includes(parseInt(cell.dataset.day)))
+    );
+    cells.forEach(cell => cell.classList.add('score-highlight'));
+    if (cells.length > 0 && cells[0].scrollIntoView) {
+        cells[0].scrollIntoView({ block: 'nearest', inline: 'center' });
+    }
+}
+
+/**
+ * セルの強調を解除する（スコアの内訳・注意点の一覧で共通）
+ */
+function clearScoreHighlight() {
+    document.querySelectorAll('.score-highlight').forEach(el => el.classList.remove('score-highlight'));
+    document.querySelectorAll('.score-item.active, .issue-item.active').forEach(el => el.classList.remove('active'));
+}
+
+/**
+ * 警告（validateSchedule / 自動生成の warnings）を表示用の文章にする
+ */
+function formatWarning(warning) {
+    const staff = staffList.find(s => s.id === warning.staffId);
+    const name = staff ? staff.name : '?';
+    let date = '';
+    if (warning.day) {
+        const d = periodDayToDate(currentYear, currentMonth, warning.day);
+        date = `${d.month}月${d.day}日`;
+    }
+
+    switch (warning.type) {
+        case 'consecutive':
+            return `${name}さん：${date}で${warning.count}連勤（上限${warning.max}日）`;
+        case 'consecutivePlus1':
+            return `${name}さん：${date}で上限+1の連勤が月${warning.count}回目です（月${warning.max}回まで）`;
+        case 'carriedNightOff':
+            return `${name}さん：前期間最終日の夜勤後、${date}が明けになっていません`;
+        case 'overtimeAdjacent':
+            return `${name}さん：${date}がA残の連日になっています`;
+        case 'nightNotAllowed':
+            return `${name}さん：${date}に夜勤が入っていますが、夜勤不可です`;
+        case 'nightWeekdayOnly':
+            return `${name}さん：${date}（金土日）に夜勤が入っていますが、平日のみOKです`;
+        case 'nightOffMissing':
+            return `${name}さん：${date}の夜勤後、翌日が明けになっていません`;
+        case 'nightMaximum':
+            return `${name}さん：夜勤が月${warning.count}回です（上限${warning.max}回）`;
+        case 'nightMinimum':
+            return `${name}さん：夜勤が月${warning.count}回です（${warning.target}回以上の希望）`;
+        case 'nightSpacing':
+            return `${name}さん：${date}の夜勤は前の夜勤との間が${warning.count}日です（${warning.required}日あける希望）`;
+        case 'overtimeNotAllowed':
+            return `${name}さん：${date}に通し勤務が入っていますが、残業不可です`;
+        case 'earlyOnly':
+            return `${name}さん：${date}に遅番が入っていますが、早出のみです`;
+        case 'lateOnly':
+            return `${name}さん：${date}に早番が入っていますが、遅出のみです`;
+        case 'daysOff':
+            return `${name}さん：公休が${warning.count}日です（目標${warning.target}日）`;
+        case 'requestedOffWorked':
+            return `${name}さん：${date}は希望休（絶対）ですが、出勤が入っています`;
+        case 'wishOffDenied':
+            return `${name}さん：${date}の希望休（できれば）は人数が足りないため通りませんでした`;
+        case 'absentWorked':
+            return `${name}さん：${date}は在籍していない日・休職の日ですが、出勤が入っています`;
+        case 'unavailableShift':
+            return `${name}さん：${date}は曜日ごとの設定で${SHIFT_LABELS[warning.shift] || warning.shift}に入れない日です`;
+        case 'coverage': {
+            const cp = getCheckpoints(settings).find(c => c.id === warning.checkpoint);
+            return `${date}：${cp ? cp.label : warning.checkpoint}の人数が${warning.count}人です（必要${warning.required}人）`;
+        }
+        case 'nightShortage':
+            return `${date}：夜勤が${warning.count}人です（必要${warning.required}人）`;
+        case 'unitShortage': {
+            const unit = getUnits(settings).find(u => u.id === warning.unit);
+            const cp = getCheckpoints(settings).find(c => c.id === warning.checkpoint);
+            return `${date}：${unit ? unit.name : warning.unit}の${cp ? cp.label : warning.checkpoint}が${warning.count}人です（必要${warning.required}人）`;
+        }
+        case 'skillShortage': {
+            const r = getSkillRequirements(settings).find(r => r.slot === warning.checkpoint && r.qualification === warning.qualification);
+            return `${date}：${r ? `${r.label}の${r.qualificationLabel}` : warning.qualification}が${warning.count}人です（必要${warning.required}人）`;
+        }
+        case 'trial':
+            return `※ ${warning.trials}回試行し、スコア${warning.score}の結果（シード${warning.seed}）`;
+        case 'staffingShortage':
+            return formatStaffingShortage(warning);
+        case 'nightCapacity':
+            return warning.weekend
+                ? `金土日の夜勤が延べ${warning.required}回必要ですが、金土日に入れる人（夜勤タイプ「すべてOK」）では延べ${warning.count}回までです。金土日も夜勤に入れる人を増やしてください`
+                : `夜勤が延べ${warning.required}回必要ですが、夜勤に入れる人では延べ${warning.count}回までです。夜勤に入れる人を増やしてください`;
+        case 'dayShortage': {
+            const cp = getCheckpoints(settings).find(c => c.id === warning.checkpoint);
+            return `${date}：絶対休・有給・研修の人を除くと、${cp ? cp.label : warning.checkpoint}に入れる人が${warning.count}人です（必要${warning.required}人）`;
+        }
+        case 'exact': {
+            const seconds = Math.round(warning.elapsed / 100) / 10;
+            if (warning.status === EXACT_STATUS.OPTIMAL) return `※ 厳密モード：ルールをすべて守り、これより良い表はありません（${seconds}秒）`;
+            if (warning.status === EXACT_STATUS.FEASIBLE) return `※ 厳密モード：ルールをすべて守る表です。${seconds}秒ではこれより良い表がないかまでは確かめられませんでした`;
+            if (warning.status === EXACT_STATUS.INFEASIBLE) return `厳密モード：ルールをすべて守る表はありません。${formatExactConflict(warning.conflict)}`;
+            return `厳密モード：${seconds}秒ではルールをすべて守る表が見つからず、ないとも確かめられませんでした。`;
+        }
+        default:
+            return warning.type;
+    }
+}
 
-            const required = sunday ? rowDef.sundayRequired : rowDef.required;
-            const isOk = count >= required;
-            const cssClass = isOk ? 'summary-ok' : 'summary-warn';
+/**
+ * 期間全体で時間帯の人数が足りない理由と、増やす人の目安を文章にする（人数の見通し）
+ */
+function formatStaffingShortage(warning) {
+    const labels = warning.checkpoints.map(id => {
+        const cp = getCheckpoints(settings).find(c => c.id === id);
+        return cp ? cp.label : id;
+    });
+    const joint = labels.length > 1;
+    let text = `この期間は${labels.join('と')}${joint ? 'を合わせて' : 'が'}延べ${warning.shortage}人日足りません` +
+        `（必要${warning.required}人日に対して、入れるのは${warning.count}人日）。`;
+    text += warning.perWeek
+        ? `${labels.join('か')}に入れるパートを週${warning.perWeek}日で1人増やすか、フルタイムを${warning.fullTime}人増やせば足ります`
+        : `フルタイムを${warning.fullTime}人増やせば足ります`;
+    return text;
+}
 
-            row += `<td class="${cssClass}">${count}</td>`;
+/**
+ * 厳密モードで表がないとわかった理由を文章にする
+ */
+function formatExactConflict(conflict) {
+    if (!conflict) return '';
+    const staff = staffList.find(s => s.id === conflict.staffId);
+    const cp = getCheckpoints(settings).find(c => c.id === conflict.checkpoint);
+    const label = conflict.checkpoint === 'night' ? '夜勤' : (cp ? cp.label : conflict.checkpoint);
+    switch (conflict.type) {
+        case 'daysOff':
+            return `${staff ? staff.name : '?'}さんは休みにできる日が${conflict.count}日しかなく、公休${conflict.required}日に届きません。`;
+        case 'nightMinimum':
+            return `${staff ? staff.name : '?'}さんは夜勤に入れるのが最大${conflict.count}回で、最少回数${conflict.required}回に届きません。`;
+        case 'day': {
+            const d = periodDayToDate(currentYear, currentMonth, conflict.day);
+            return `${d.month}月${d.day}日の${label}に入れる人が${conflict.count}人しかいません（必要${conflict.required}人）。`;
         }
+        case 'capacity':
+            return `期間全体で${label}に入れるのは延べ${conflict.count}人で、必要な延べ${conflict.required}人に足りません。`;
+        default:
+            return 'すべての組み合わせを調べました。';
+    }
+}
 
-        row += '<td></td><td></td><td></td><td></td><td></td></tr>';
-        summaryHtml += row;
+/**
+ * 現在のシフト表の注意点を一覧で表示し、該当するセル・集計に印をつける
+ * 手で直したあとも正しいよう、保存した警告ではなく毎回 validateSchedule で確認し直す
+ */
+function renderIssuePanel(schedule) {
+    const panel = document.getElementById('issue-panel');
+    const hasAssignments = Object.keys(schedule.assignments).some(
+        id => Object.keys(schedule.assignments[id] || {}).length > 0
+    );
+    const periodStaff = getCurrentPeriodStaff();
+    const issues = hasAssignments
+        ? validateSchedule(periodStaff, schedule.assignments, currentYear, currentMonth, settings, {
+            previousAssignments: getPreviousAssignments(),
+            requests: getPeriodRequests(periodStaff, schedule.requests, currentYear, currentMonth)
+        })
+        : [];
+    if (issues.length === 0) {
+        panel.style.display = 'none';
+        return;
+    }
+    panel.style.display = '';
+
+    // 重要度の高い順（同じ重要度は validateSchedule の順）
+    const order = [WARNING_SEVERITY.ERROR, WARNING_SEVERITY.WARNING, WARNING_SEVERITY.INFO];
+    const sorted = [...issues].sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity));
+    const errorCount = issues.filter(w => w.severity === WARNING_SEVERITY.ERROR).length;
+    document.getElementById('issue-summary').textContent =
+        `注意点 ${issues.length}件` + (errorCount > 0 ? `（要修正 ${errorCount}件）` : '');
+
+    document.getElementById('issue-list').innerHTML = sorted.map((w, i) => {
+        const icon = w.severity === WARNING_SEVERITY.INFO ? 'ℹ️' : '⚠️';
+        return `<li class="issue-item issue-item-${w.severity}" data-index="${i}">${icon} ${escapeHtml(formatWarning(w))}</li>`;
+    }).join('');
+
+    // 項目をクリックすると該当するセルを強調（もう一度クリックで解除）
+    document.querySelectorAll('.issue-item').forEach(el => {
+        el.addEventListener('click', () => {
+            const wasActive = el.classList.contains('active');
+            clearScoreHighlight();
+            if (wasActive) return;
+            el.classList.add('active');
+            const w = sorted[parseInt(el.dataset.index)];
+            highlightScoreItem({ staffId: w.staffId, days: w.day ? [w.day] : [] });
+        });
     });
 
-    summaryTbody.innerHTML = summaryHtml;
+    markIssues(issues);
+}
+
+/**
+ * 注意点のあるセル・集計に赤い印をつける（お知らせの info はつけない）
+ * スタッフと日 → その日のセル、公休数 → その人の「休」の集計、人数不足 → 集計表のその日の欄と日付
+ */
+function markIssues(issues) {
+    issues.forEach(w => {
+        if (w.severity === WARNING_SEVERITY.INFO) return;
+        const marker = `issue-${w.severity}`;
+        let selectors = [];
+        if (w.staffId && w.day) {
+            selectors = [`#schedule-tbody .shift-cell[data-staff="${w.staffId}"][data-day="${w.day}"]`];
+        } else if (w.staffId) {
+            selectors = [`#schedule-tbody td[data-staff="${w.staffId}"][data-total="${SHIFT_TYPES.OFF}"]`];
+        } else if (w.day) {
+            let row = w.checkpoint;
+            if (w.type === 'nightShortage') row = 'night';
+            if (w.type === 'skillShortage') row = `skill-${w.checkpoint}-${w.qualification}`;
+            if (w.type === 'unitShortage') row = `unit-${w.unit}-${w.checkpoint}`;
+            selectors = [
+                `#summary-tbody td[data-row="${row}"][data-day="${w.day}"]`,
+                `#schedule-thead th[data-day="${w.day}"]`
+            ];
+        }
+        selectors.forEach(selector => {
+            document.querySelectorAll(selector).forEach(el => {
+                // error と warning が重なったら error を優先
+                if (!el.classList.contains('issue-error')) el.classList.add(marker);
+            });
+        });
+    });
+}
+
+/**
+ * 個人集計の列（明け・パートを除くシフト。休みは最後に並べる）
+ */
+function getTotalColumns() {
+    const defs = Object.values(SHIFT_DEFS).filter(def =>
+        def.code !== SHIFT_TYPES.NIGHT_OFF && def.code !== SHIFT_TYPES.PART && def.code !== SHIFT_TYPES.OFF
+    );
+    return [...defs, SHIFT_DEFS[SHIFT_TYPES.OFF]];
+}
+
+/**
+ * シフトの表示バッジ（追加シフトはシフトマスタの色で表示）
+ */
+function shiftBadgeHtml(shift) {
+    const def = SHIFT_DEFS[shift];
+    const label = escapeHtml(SHIFT_LABELS[shift] || '');
+    if (def && !def.builtin) {
+        return `<span class="shift-badge shift-custom" style="color:${def.color};background:${def.color}22">${label}</span>`;
+    }
+    return `<span class="shift-badge shift-${shift.toLowerCase()}">${label}</span>`;
+}
+
+/**
+ * 凡例をシフトマスタから描画
+ */
+function renderLegend() {
+    document.getElementById('legend').innerHTML = Object.values(SHIFT_DEFS).map(def => {
+        const time = SHIFT_TIME_RANGES[def.code] && def.code !== SHIFT_TYPES.NIGHT && def.code !== SHIFT_TYPES.NIGHT_OFF
+            ? ' ' + SHIFT_TIMES[def.code] : '';
+        return `<span class="legend-item">${shiftBadgeHtml(def.code)} ${escapeHtml(def.name)}${time}</span>`;
+    }).join('');
 }
 
 // ===== スケジュール操作 =====
@@ -597,63 +1321,50 @@ function initScheduleActions() {
         renderSchedule();
     });
 
-    // 自動生成ボタン
-    document.getElementById('auto-generate-btn').addEventListener('click', () => {
-        if (staffList.length === 0) {
-            alert('まずスタッフを登録してください');
-            return;
-        }
-
-        const schedule = getCurrentSchedule();
-        const hasAssignments = Object.keys(schedule.assignments).some(
-            id => Object.keys(schedule.assignments[id] || {}).length > 0
-        );
+    // ユニットの切り替え
+    document.getElementById('unit-filter').addEventListener('change', (e) => {
+        currentUnit = e.target.value;
+        renderSchedule();
+    });
 
-        if (hasAssignments) {
-            if (!confirm('すでにシフトが入っています。リセットして自動生成しますか？')) {
-                return;
-            }
-        }
+    // 自動生成ボタン（新しいシードで作成）
+    document.getElementById('auto-generate-btn').addEventListener('click', () => {
+        runAutoGenerate(createSeed());
+    });
 
-        // ローディング表示
-        document.getElementById('loading-modal').style.display = 'flex';
+    // 厳密モード（ルールを必ず守る表を探索する。時間がかかる）
+    document.getElementById('exact-generate-btn').addEventListener('click', () => {
+        runExactGenerate();
+    });
 
-        // 少し遅らせて描画を更新してからアルゴリズムを実行
-        setTimeout(() => {
-            try {
-                const result = generateSchedule(
-                    staffList,
-                    currentYear,
-                    currentMonth,
-                    schedule.requests || {},
-                    DEFAULT_SETTINGS
-                );
-
-                schedule.assignments = result.assignments;
-                saveSchedules();
-                renderSchedule();
+    // 改善（今の表を入れ替えでスコアが上がるように直す）
+    document.getElementById('improve-btn').addEventListener('click', () => {
+        runImprove();
+    });
 
-                // 警告があれば表示
-                if (result.warnings.length > 0) {
-                    const uniqueWarnings = [...new Set(result.warnings)];
-                    alert('自動生成が完了しました！\n\n注意点：\n' + uniqueWarnings.join('\n'));
-                } else {
-                    alert('自動生成が完了しました！');
-                }
-            } catch (e) {
-                console.error('自動生成エラー:', e);
-                alert('自動生成中にエラーが発生しました。スタッフの設定を確認してください。');
-            }
+    // 同じシードで再作成（スタッフ設定を直したあとに、気に入った表をそのまま作り直す）
+    document.getElementById('regenerate-seed-btn').addEventListener('click', () => {
+        const schedule = getCurrentSchedule();
+        if (!schedule.seed) return;
+        runAutoGenerate(schedule.seed);
+    });
 
-            document.getElementById('loading-modal').style.display = 'none';
-        }, 100);
+    // 自動生成の中止（それまでの最良の結果を使う）
+    document.getElementById('loading-cancel-btn').addEventListener('click', (e) => {
+        if (!runningGeneration) return;
+        e.target.disabled = true;
+        e.target.textContent = '中止しています...';
+        runningGeneration.cancel();
     });
 
     // リセットボタン
     document.getElementById('clear-schedule-btn').addEventListener('click', () => {
-        if (confirm('このシフト表をリセットしますか？希望休は残ります。')) {
+        if (!ensureEditable()) return;
+        if (confirm('このシフト表をリセットしますか？希望休は残ります。（セルの固定も解除されます）')) {
+            recordHistory('リセット');
             const schedule = getCurrentSchedule();
             schedule.assignments = {};
+            schedule.pinned = {};
             saveSchedules();
             renderSchedule();
         }
@@ -673,28 +1384,1231 @@ function initScheduleActions() {
     });
 }
 
-// ===== 希望休入力モーダル =====
-function initRequestModal() {
-    const modal = document.getElementById('request-modal');
-    document.getElementById('request-modal-close').addEventListener('click', () => modal.classList.remove('show'));
-    document.getElementById('request-done').addEventListener('click', () => {
-        modal.classList.remove('show');
-        renderSchedule();
-    });
-    modal.addEventListener('click', (e) => {
-        if (e.target === modal) {
-            modal.classList.remove('show');
-            renderSchedule();
-        }
-    });
+// ===== 操作の履歴（元に戻す・やり直す） =====
+// 期間ごとに、セルの変更・固定・自動生成・リセット・インポートの前の状態を積んでおく
+// localStorage に保存するので、ページを読み込み直しても戻せる
 
-    // スタッフ選択変更時にカレンダーを再描画
-    document.getElementById('request-staff').addEventListener('change', () => {
-        renderRequestCalendar();
-    });
+const HISTORY_LIMIT = 30; // 期間ごとに残す履歴の数
+
+/**
+ * 履歴として残すシフト表の状態（希望は別に入力するので含めない）
+ */
+function getScheduleState(schedule) {
+    return JSON.parse(JSON.stringify({
+        assignments: schedule?.assignments || {},
+        pinned: schedule?.pinned || {},
+        seed: schedule?.seed || null,
+        candidateIndex: schedule?.candidateIndex || 0
+    }));
 }
 
-function openRequestModal() {
+function restoreScheduleState(schedule, state) {
+    schedule.assignments = JSON.parse(JSON.stringify(state.assignments));
+    schedule.pinned = JSON.parse(JSON.stringify(state.pinned));
+    if (state.seed) schedule.seed = state.seed;
+    else delete schedule.seed;
+    schedule.candidateIndex = state.candidateIndex;
+}
+
+function getHistory(key) {
+    if (!histories[key]) histories[key] = { undo: [], redo: [] };
+    return histories[key];
+}
+
+/**
+ * 変更する前に呼ぶ（今の状態を「元に戻す」に積み、「やり直す」は捨てる。確定したことのある期間は変更記録にも残す）
+ * @param {string} label - 操作の名前（ボタンのツールチップに出す）
+ * @param {string} key - 期間キー（省略時は表示中の期間）
+ * @param {boolean} log - 変更記録にも残すか（表を入れ替える操作は入れ替えた後で呼び出し側が残す）
+ */
+function recordHistory(label, key = getScheduleKey(), log = true) {
+    const history = getHistory(key);
+    history.undo.push({ label: label, state: getScheduleState(schedules[key]) });
+    if (log) logChange(label, key);
+    if (history.undo.length > HISTORY_LIMIT) history.undo.shift();
+    history.redo = [];
+    saveHistories();
+}
+
+/**
+ * 表示中の期間の操作を1つ戻す（redo: true ならやり直す）
+ */
+function stepHistory(redo) {
+    if (!ensureEditable()) return;
+    const history = getHistory(getScheduleKey());
+    const from = redo ? history.redo : history.undo;
+    const to = redo ? history.undo : history.redo;
+    const entry = from.pop();
+    if (!entry) return;
+
+    const schedule = getCurrentSchedule();
+    to.push({ label: entry.label, state: getScheduleState(schedule) });
+    restoreScheduleState(schedule, entry.state);
+    logChange(`${redo ? 'やり直す' : '元に戻す'}：${entry.label}`);
+    saveSchedules();
+    saveHistories();
+    renderSchedule();
+}
+
+/**
+ * 元に戻す・やり直すボタンの状態を更新（次に戻す操作の名前をツールチップに出す）
+ */
+function renderHistoryButtons() {
+    const history = getHistory(getScheduleKey());
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+    const lastUndo = history.undo[history.undo.length - 1];
+    const lastRedo = history.redo[history.redo.length - 1];
+    undoBtn.disabled = !lastUndo;
+    redoBtn.disabled = !lastRedo;
+    undoBtn.title = lastUndo ? `元に戻す：${lastUndo.label}（Ctrl+Z）` : '元に戻す（Ctrl+Z）';
+    redoBtn.title = lastRedo ? `やり直す：${lastRedo.label}（Ctrl+Y）` : 'やり直す（Ctrl+Y）';
+}
+
+function initHistoryActions() {
+    document.getElementById('undo-btn').addEventListener('click', () => stepHistory(false));
+    document.getElementById('redo-btn').addEventListener('click', () => stepHistory(true));
+
+    // Ctrl+Z で元に戻す、Ctrl+Y / Ctrl+Shift+Z でやり直す（シフト表を表示中で、入力中・モーダル表示中でないとき）
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey)) return;
+        if (!document.getElementById('schedule-view').classList.contains('active')) return;
+        if (document.querySelector('.modal-overlay.show')) return;
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            stepHistory(false);
+        } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+            e.preventDefault();
+            stepHistory(true);
+        }
+    });
+}
+
+// ===== 確定（期間のロック）と変更記録 =====
+// schedules[key].finalized = { at, by }：確定済み。セルは読み取り専用、自動生成・リセット・希望の入力はできない
+// schedules[key].changeLog = [{ at, by, action }]：一度確定した期間は、それ以降の変更をすべて記録する
+
+/**
+ * 確定済みの期間か
+ */
+function isFinalized(schedule = getCurrentSchedule()) {
+    return !!schedule.finalized;
+}
+
+/**
+ * 確定済みなら知らせて false を返す（表を変える操作の最初に呼ぶ）
+ */
+function ensureEditable() {
+    if (!isFinalized()) return true;
+    alert('この期間は確定済みです。変更するには「確定を解除」してください。');
+    return false;
+}
+
+/**
+ * 変更記録に追加する（一度も確定していない期間は記録しない）
+ * 保存は呼び出し側の saveSchedules で行う
+ */
+function logChange(action, key = getScheduleKey()) {
+    const schedule = schedules[key];
+    if (!schedule || !schedule.changeLog) return;
+    schedule.changeLog.push({ at: new Date().toISOString(), by: editorName || '（名前なし）', action: action });
+}
+
+function initFinalizeModal() {
+    const modal = document.getElementById('finalize-modal');
+    const close = () => modal.classList.remove('show');
+    document.getElementById('finalize-btn').addEventListener('click', openFinalizeModal);
+    document.getElementById('finalize-modal-close').addEventListener('click', close);
+    document.getElementById('finalize-cancel').addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) close();
+    });
+    document.getElementById('finalize-apply').addEventListener('click', applyFinalize);
+}
+
+/**
+ * 確定する／確定を解除するモーダルを開く（解除には理由が必要）
+ */
+function openFinalizeModal() {
+    const finalized = isFinalized();
+    document.getElementById('finalize-modal-title').textContent = finalized ? '確定を解除' : 'この期間を確定';
+    document.getElementById('finalize-hint').textContent = finalized
+        ? '解除すると表を変更できるようになります。解除とそのあとの変更は、名前と日時つきで変更記録に残ります'
+        : '確定するとセルの変更・自動生成・リセット・希望の入力ができなくなります。確定した表は「確定」の版として保存します';
+    document.getElementById('finalize-editor').value = editorName;
+    document.getElementById('finalize-reason').value = '';
+    document.getElementById('finalize-reason-group').style.display = finalized ? '' : 'none';
+    document.getElementById('finalize-apply').textContent = finalized ? '確定を解除' : '確定する';
+    document.getElementById('finalize-modal').classList.add('show');
+}
+
+function applyFinalize() {
+    const name = document.getElementById('finalize-editor').value.trim();
+    if (!name) {
+        alert('名前を入力してください');
+        return;
+    }
+    const schedule = getCurrentSchedule();
+    const finalized = isFinalized(schedule);
+    const reason = document.getElementById('finalize-reason').value.trim();
+    if (finalized && !reason) {
+        alert('解除の理由を入力してください');
+        return;
+    }
+
+    editorName = name;
+    localStorage.setItem(STORAGE_KEYS.EDITOR, editorName);
+
+    if (finalized) {
+        delete schedule.finalized;
+        logChange(`確定を解除（理由：${reason}）`);
+    } else {
+        const date = new Date();
+        if (!schedule.changeLog) schedule.changeLog = [];
+        schedule.finalized = { at: date.toISOString(), by: name };
+        // 確定した表を「確定」の版として残す（確定の印は1つだけ）
+        if (!schedule.snapshots) schedule.snapshots = [];
+        schedule.snapshots.forEach(s => { s.final = false; });
+        schedule.snapshots.push(createSnapshot(schedule, `確定版 ${date.getMonth() + 1}/${date.getDate()}`, true));
+        logChange('確定');
+    }
+
+    saveSchedules();
+    document.getElementById('finalize-modal').classList.remove('show');
+    renderSchedule();
+}
+
+/**
+ * 確定の状態をボタンと表示に反映（確定済みなら表を変える操作を押せなくする）
+ */
+function renderFinalizeState(schedule) {
+    const finalized = isFinalized(schedule);
+    document.getElementById('finalize-btn').textContent = finalized ? '確定を解除' : '確定する';
+    document.getElementById('schedule-container').classList.toggle('schedule-finalized', finalized);
+
+    const status = document.getElementById('finalize-status');
+    if (finalized) {
+        const at = new Date(schedule.finalized.at);
+        status.textContent = `🔒 確定済み（${at.getMonth() + 1}/${at.getDate()} ${schedule.finalized.by}）`;
+        ['auto-generate-btn', 'exact-generate-btn', 'regenerate-seed-btn', 'improve-btn', 'clear-schedule-btn', 'request-btn', 'undo-btn', 'redo-btn'].forEach(id => {
+            document.getElementById(id).disabled = true;
+        });
+    } else {
+        status.textContent = '';
+        ['auto-generate-btn', 'exact-generate-btn', 'improve-btn', 'clear-schedule-btn', 'request-btn'].forEach(id => {
+            document.getElementById(id).disabled = false;
+        });
+    }
+}
+
+/**
+ * 変更記録を新しい順に表示（一度も確定していない期間は表示しない）
+ */
+function renderChangeLog(schedule) {
+    const panel = document.getElementById('change-log-panel');
+    const log = schedule.changeLog || [];
+    if (log.length === 0) {
+        panel.style.display = 'none';
+        return;
+    }
+    panel.style.display = '';
+    document.getElementById('change-log-summary').textContent = `変更記録 ${log.length}件`;
+    document.getElementById('change-log-list').innerHTML = [...log].reverse().map(entry => {
+        const at = new Date(entry.at);
+        const time = `${at.getMonth() + 1}/${at.getDate()} ${at.getHours()}:${String(at.getMinutes()).padStart(2, '0')}`;
+        return `<li><span class="change-log-meta">${time} ${escapeHtml(entry.by)}</span> ${escapeHtml(entry.action)}</li>`;
+    }).join('');
+}
+
+/**
+ * 前回の自動生成のシードを表示（シードがなければ再作成ボタンは押せない）
+ */
+function renderSeedInfo() {
+    const seed = getCurrentSchedule().seed;
+    document.getElementById('regenerate-seed-btn').disabled = !seed;
+    document.getElementById('schedule-seed').textContent = seed ? `シード: ${seed}` : '';
+}
+
+/**
+ * 自動生成を実行して結果を保存する
+ * 同じシード・同じ入力なら同じ表になる
+ */
+function runAutoGenerate(seed) {
+    if (!ensureEditable()) return;
+    if (staffList.length === 0) {
+        alert('まずスタッフを登録してください');
+        return;
+    }
+
+    const schedule = getCurrentSchedule();
+    const hasAssignments = Object.keys(schedule.assignments).some(
+        id => Object.keys(schedule.assignments[id] || {}).length > 0
+    );
+
+    // 前期間・固定セル・希望休の履歴は CLI と同じく buildPeriodInput で集める
+    const input = { ...buildPeriodInput({ staff: staffList, schedules, settings }, currentYear, currentMonth), seed };
+    const hasPinned = Object.keys(input.pinned).length > 0;
+    if (!confirmStaffing(input)) return;
+
+    if (hasAssignments) {
+        const message = hasPinned
+            ? 'すでにシフトが入っています。固定したセル（🔒）は残し、それ以外をリセットして自動生成しますか？'
+            : 'すでにシフトが入っています。リセットして自動生成しますか？';
+        if (!confirm(message)) {
+            return;
+        }
+    }
+
+    showLoading();
+
+    runGeneration(input, {
+        onProgress: (progress) => showGenerateProgress(progress),
+        onDone: (result, cancelled) => {
+            hideLoading();
+            if (!result) {
+                alert('自動生成を中止しました。シフト表は変更していません。');
+                return;
+            }
+            // 候補が複数あれば選んでもらう（選んだものだけ保存する）
+            if (result.candidates.length > 1) {
+                openCandidateModal(result, cancelled);
+            } else {
+                applyGenerateResult(result.seed, 0, result.candidates[0], cancelled);
+            }
+        },
+        onError: (e) => {
+            console.error('自動生成エラー:', e);
+            hideLoading();
+            alert('自動生成中にエラーが発生しました。スタッフの設定を確認してください。');
+        }
+    });
+}
+
+/**
+ * 生成の前に人数の見通しを確かめる（diagnosePeriod）
+ * 公休を目標どおり取るとどう並べても足りないときは、足りない時間帯と増やす人の目安を見せて、このまま作るか聞く
+ * @returns {boolean} 生成を続けるか
+ */
+function confirmStaffing(input) {
+    const diagnosis = diagnosePeriod(input);
+    if (diagnosis.length === 0) return true;
+    const lines = diagnosis.slice(0, 8).map(w => '・' + formatWarning(w));
+    if (diagnosis.length > 8) lines.push(`ほか${diagnosis.length - 8}件`);
+    return confirm(`公休を目標どおり取ると、どう並べても必要人数がそろいません（作成すると公休が減るか、人数が足りない日が出ます）。\n\n${lines.join('\n')}\n\nこのまま作成しますか？`);
+}
+
+/**
+ * 自動生成の結果（選んだ候補）をシフト表に保存する
+ */
+function applyGenerateResult(seed, index, candidate, cancelled) {
+    recordHistory('自動生成');
+    const schedule = getCurrentSchedule();
+    schedule.assignments = candidate.assignments;
+    schedule.seed = seed;
+    schedule.candidateIndex = index; // 同じシードで再作成したときに同じ候補を選んでおく
+    saveSchedules();
+    renderSchedule();
+
+    const title = cancelled ? '自動生成を中止し、それまでの結果から反映しました。' : '自動生成が完了しました！';
+    alertGenerateResult(title, candidate.warnings);
+}
+
+/**
+ * 自動生成・厳密モード・改善の結果を知らせる
+ * 注意点の詳細はシフト表の上の一覧と赤い印で確認してもらう
+ */
+function alertGenerateResult(title, warnings) {
+    const issues = warnings.filter(w => w.severity !== WARNING_SEVERITY.INFO);
+    const notes = warnings.filter(w => w.severity === WARNING_SEVERITY.INFO).map(formatWarning);
+    let message = title;
+    if (issues.length > 0) message += `\n\n注意点が${issues.length}件あります。シフト表の上の「注意点」の一覧と赤い印を確認してください。`;
+    if (notes.length > 0) message += '\n\n' + notes.join('\n');
+    alert(message);
+}
+
+/**
+ * 厳密モードで作成する
+ * 同じ入力に貪欲な生成の結果をヒントとして渡し、制限時間まで探索する（途中で中止するとそれまでの最良の表を使う）
+ */
+function runExactGenerate() {
+    if (!ensureEditable()) return;
+    if (staffList.length === 0) {
+        alert('まずスタッフを登録してください');
+        return;
+    }
+
+    const schedule = getCurrentSchedule();
+    const hasAssignments = Object.keys(schedule.assignments).some(
+        id => Object.keys(schedule.assignments[id] || {}).length > 0
+    );
+    const input = { ...buildPeriodInput({ staff: staffList, schedules, settings }, currentYear, currentMonth), seed: createSeed() };
+    if (!confirmStaffing(input)) return;
+    const seconds = EXACT_TIME_LIMIT / 1000;
+    let message = `厳密モードは、ルールをすべて守る表を最大${seconds}秒探します。`;
+    if (hasAssignments) {
+        message += Object.keys(input.pinned).length > 0
+            ? '\n固定したセル（🔒）は残し、それ以外をリセットして作成しますか？'
+            : '\nすでに入っているシフトをリセットして作成しますか？';
+    }
+    if (!confirm(message)) return;
+
+    showLoading();
+
+    runGeneration(input, {
+        onProgress: (progress) => {
+            // 探索の前に手がかりの表を自動生成している間
+            if (progress.hint) {
+                showGenerateProgress(progress.hint, '手がかりの表を作成中');
+                return;
+            }
+            document.getElementById('loading-progress-bar').style.width = `${Math.min(100, Math.round(progress.elapsed / progress.timeLimit * 100))}%`;
+            document.getElementById('loading-progress-text').textContent =
+                `${Math.floor(progress.elapsed / 1000)}/${seconds}秒　${progress.nodes.toLocaleString()}通り　` +
+                (progress.bestCost === null ? '表はまだ見つかっていません' : `見つかった表の減点 ${progress.bestCost}`);
+        },
+        onDone: (result, cancelled) => {
+            hideLoading();
+            if (!result || !result.assignments) {
+                const exact = result && result.warnings.find(w => w.type === 'exact');
+                alert((exact ? formatWarning(exact) : '厳密モードを中止しました。') + '\nシフト表は変更していません。');
+                return;
+            }
+            applyExactResult(result, cancelled);
+        },
+        onError: (e) => {
+            console.error('厳密モードのエラー:', e);
+            hideLoading();
+            alert('厳密モードの実行中にエラーが発生しました。スタッフの設定を確認してください。');
+        }
+    }, 'solve');
+}
+
+/**
+ * 厳密モードの結果をシフト表に保存する
+ */
+function applyExactResult(result, cancelled) {
+    recordHistory('厳密モードで作成');
+    const schedule = getCurrentSchedule();
+    schedule.assignments = result.assignments;
+    // 厳密モードの表はシードでは作り直せないので、前回の自動生成のシードは消す
+    delete schedule.seed;
+    delete schedule.candidateIndex;
+    saveSchedules();
+    renderSchedule();
+
+    const title = cancelled ? '厳密モードを中止し、それまでに見つかった表を反映しました。' : '厳密モードで作成しました！';
+    alertGenerateResult(title, result.warnings);
+}
+
+/**
+ * 今のシフト表を焼きなまし法で改善する（手で直した表にも使える）
+ * 夜勤・明け・有給・研修・固定セル・希望の日は動かさない。制限時間まで続け、途中で中止するとそれまでの最良の表を使う
+ */
+function runImprove() {
+    if (!ensureEditable()) return;
+    const schedule = getCurrentSchedule();
+    const hasAssignments = Object.keys(schedule.assignments).some(
+        id => Object.keys(schedule.assignments[id] || {}).length > 0
+    );
+    if (!hasAssignments) {
+        alert('改善するシフトがありません。先に自動で作成するか、シフトを入力してください');
+        return;
+    }
+
+    const input = {
+        ...buildPeriodInput({ staff: staffList, schedules, settings }, currentYear, currentMonth),
+        seed: createSeed(),
+        assignments: schedule.assignments
+    };
+    const seconds = IMPROVE_TIME_LIMIT / 1000;
+
+    showLoading();
+
+    runGeneration(input, {
+        onProgress: (progress) => {
+            document.getElementById('loading-progress-bar').style.width = `${Math.min(100, Math.round(progress.elapsed / progress.timeLimit * 100))}%`;
+            document.getElementById('loading-progress-text').textContent =
+                `${Math.floor(progress.elapsed / 1000)}/${seconds}秒　${progress.moves.toLocaleString()}通り　スコア ${progress.startScore} → ${progress.bestScore}`;
+        },
+        onDone: (result, cancelled) => {
+            hideLoading();
+            if (!result) {
+                alert('改善を中止しました。シフト表は変更していません。');
+                return;
+            }
+            if (result.score <= result.startScore) {
+                alert(`スコアが上がる入れ替えは見つかりませんでした（スコア ${result.startScore}）。シフト表は変更していません。`);
+                return;
+            }
+            applyImproveResult(result, cancelled);
+        },
+        onError: (e) => {
+            console.error('改善のエラー:', e);
+            hideLoading();
+            alert('改善の実行中にエラーが発生しました。スタッフの設定を確認してください。');
+        }
+    }, 'improve');
+}
+
+/**
+ * 改善した表をシフト表に保存する（元に戻すで改善前に戻せる）
+ */
+function applyImproveResult(result, cancelled) {
+    recordHistory('改善');
+    getCurrentSchedule().assignments = result.assignments;
+    saveSchedules();
+    renderSchedule();
+
+    const title = (cancelled ? '改善を中止し、それまでの結果を反映しました。' : '改善しました！') +
+        `（スコア ${result.startScore} → ${result.score}）`;
+    alertGenerateResult(title, result.warnings);
+}
+
+// ===== 自動生成の候補選択 =====
+// 選択中の自動生成結果（result: generateSchedule の結果 / cancelled: 中止したか / index: 選んでいる候補）
+let pendingGeneration = null;
+
+function initCandidateModal() {
+    const modal = document.getElementById('candidate-modal');
+    const close = () => {
+        modal.classList.remove('show');
+        pendingGeneration = null;
+    };
+    document.getElementById('candidate-modal-close').addEventListener('click', close);
+    document.getElementById('candidate-cancel').addEventListener('click', close);
+
+    document.getElementById('candidate-list').addEventListener('click', (e) => {
+        const card = e.target.closest('.candidate-card');
+        if (!card || !pendingGeneration) return;
+        pendingGeneration.index = parseInt(card.dataset.index);
+        renderCandidates();
+    });
+
+    document.getElementById('candidate-apply').addEventListener('click', () => {
+        if (!pendingGeneration) return;
+        const { result, cancelled, index } = pendingGeneration;
+        modal.classList.remove('show');
+        pendingGeneration = null;
+        applyGenerateResult(result.seed, index, result.candidates[index], cancelled);
+    });
+}
+
+function openCandidateModal(result, cancelled) {
+    // 同じシードで再作成したときは前回選んだ候補を選んでおく
+    const schedule = getCurrentSchedule();
+    const sameSeed = schedule.seed === result.seed && schedule.candidateIndex < result.candidates.length;
+    pendingGeneration = { result: result, cancelled: cancelled, index: sameSeed ? schedule.candidateIndex : 0 };
+    renderCandidates();
+    document.getElementById('candidate-modal').classList.add('show');
+}
+
+/**
+ * 現在のシフト表と違うセルの数
+ */
+function countAssignmentDiff(current, candidate, daysInMonth) {
+    let count = 0;
+    staffList.forEach(staff => {
+        for (let day = 1; day <= daysInMonth; day++) {
+            if ((current[staff.id]?.[day] || '') !== (candidate[staff.id]?.[day] || '')) count++;
+        }
+    });
+    return count;
+}
+
+/**
+ * 候補のカード（スコア・内訳・違いの数）と、選んでいる候補のプレビューを描画
+ */
+function renderCandidates() {
+    const { result, index } = pendingGeneration;
+    const current = getCurrentSchedule().assignments;
+    const daysInMonth = getDaysInMonth(currentYear, currentMonth);
+
+    document.getElementById('candidate-list').innerHTML = result.candidates.map((candidate, i) => {
+        const diff = countAssignmentDiff(current, candidate.assignments, daysInMonth);
+        const penalties = candidate.breakdown.filter(c => c.penalty > 0);
+        const breakdown = penalties.length > 0
+            ? penalties.map(c => `<li>${c.label} −${c.penalty}</li>`).join('')
+            : '<li class="summary-ok">減点なし</li>';
+        return `<div class="candidate-card${i === index ? ' selected' : ''}" data-index="${i}">
+            <div class="candidate-title">候補${i + 1}　スコア ${candidate.score}</div>
+            <div class="candidate-diff-count">現在の表と違うセル: ${diff}</div>
+            <ul class="candidate-breakdown">${breakdown}</ul>
+        </div>`;
+    }).join('');
+
+    // プレビュー（現在の表と違うセルに色をつける）
+    renderAssignmentPreview(document.getElementById('candidate-preview-table'), result.candidates[index].assignments, current);
+}
+
+/**
+ * シフト表のプレビューを描画（compareTo と違うセルに色をつける）
+ * 自動生成の候補・保存した版の比較・試算で使う（試算は staff に試算のスタッフを渡す）
+ */
+function renderAssignmentPreview(table, assignments, compareTo, staff = getCurrentPeriodStaff()) {
+    const daysInMonth = getDaysInMonth(currentYear, currentMonth);
+    const dayNames = ['日', '月', '火', '水', '木', '金', '土'];
+    let html = '<thead><tr><th class="staff-name-cell">名前</th>';
+    for (let day = 1; day <= daysInMonth; day++) {
+        const dow = getDayOfWeek(currentYear, currentMonth, day);
+        const dayClass = dow === 0 ? 'day-sunday' : (dow === 6 ? 'day-saturday' : '');
+        html += `<th class="${dayClass}">${periodDayToDate(currentYear, currentMonth, day).day}<br>${dayNames[dow]}</th>`;
+    }
+    html += '</tr></thead><tbody>';
+    staff.forEach(member => {
+        html += `<tr><td class="staff-name-cell">${escapeHtml(member.name)}</td>`;
+        for (let day = 1; day <= daysInMonth; day++) {
+            const shift = assignments[member.id]?.[day];
+            const changed = (compareTo[member.id]?.[day] || '') !== (shift || '');
+            html += `<td class="${changed ? 'candidate-diff' : ''}">${shift ? shiftBadgeHtml(shift) : ''}</td>`;
+        }
+        html += '</tr>';
+    });
+    html += '</tbody>';
+    table.innerHTML = html;
+}
+
+// ===== 版（名前をつけて保存したシフト表） =====
+// schedules[key].snapshots = [{ id, name, createdAt, assignments, requests, staff, final }]
+// 掲示した表などを残しておき、あとで今の表と比べたり戻したりする。確定の版は1つだけ
+let comparingSnapshotId = null; // 今の表と比べている版
+
+function initSnapshotModal() {
+    const modal = document.getElementById('snapshot-modal');
+    document.getElementById('snapshot-btn').addEventListener('click', () => {
+        document.getElementById('snapshot-name').value = '';
+        comparingSnapshotId = null;
+        renderSnapshots();
+        modal.classList.add('show');
+    });
+    document.getElementById('snapshot-modal-close').addEventListener('click', () => {
+        modal.classList.remove('show');
+    });
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) modal.classList.remove('show');
+    });
+    document.getElementById('snapshot-save-btn').addEventListener('click', saveSnapshot);
+}
+
+/**
+ * 今のシフト表・希望・スタッフ設定を名前をつけて保存
+ */
+function saveSnapshot() {
+    const schedule = getCurrentSchedule();
+    const input = document.getElementById('snapshot-name');
+    const date = new Date();
+    const name = input.value.trim() || `${date.getMonth() + 1}/${date.getDate()} ${date.getHours()}:${String(date.getMinutes()).padStart(2, '0')} の版`;
+
+    if (!schedule.snapshots) schedule.snapshots = [];
+    schedule.snapshots.push(createSnapshot(schedule, name, false));
+    saveSchedules();
+    input.value = '';
+    renderSnapshots();
+}
+
+function createSnapshot(schedule, name, final) {
+    return JSON.parse(JSON.stringify({
+        id: generateId(),
+        name: name,
+        createdAt: new Date().toISOString(),
+        assignments: schedule.assignments,
+        requests: schedule.requests || {},
+        staff: staffList,
+        final: final
+    }));
+}
+
+function findSnapshot(id) {
+    return (getCurrentSchedule().snapshots || []).find(s => s.id === id);
+}
+
+/**
+ * 版の一覧と、比べている版の違いを描画
+ */
+function renderSnapshots() {
+    const snapshots = getCurrentSchedule().snapshots || [];
+    const listEl = document.getElementById('snapshot-list');
+    if (snapshots.length === 0) {
+        listEl.innerHTML = '<p class="form-hint">まだ保存した版はありません</p>';
+    } else {
+        listEl.innerHTML = snapshots.map(snapshot => {
+            const created = new Date(snapshot.createdAt);
+            const finalBadge = snapshot.final ? '<span class="snapshot-final">確定</span>' : '';
+            return `
+      <div class="shift-type-row${snapshot.id === comparingSnapshotId ? ' snapshot-selected' : ''}">
+        <div class="shift-type-info">
+          <div>${escapeHtml(snapshot.name)} ${finalBadge}</div>
+          <div class="shift-type-meta">${created.toLocaleString('ja-JP')}</div>
+        </div>
+        <button type="button" class="btn btn-outline btn-sm" onclick="compareSnapshot('${snapshot.id}')">比較</button>
+        <button type="button" class="btn btn-outline btn-sm" onclick="restoreSnapshot('${snapshot.id}')">この版に戻す</button>
+        <button type="button" class="btn btn-outline btn-sm" onclick="toggleSnapshotFinal('${snapshot.id}')">${snapshot.final ? '確定を外す' : '確定にする'}</button>
+        <button type="button" class="btn btn-danger btn-sm" onclick="deleteSnapshot('${snapshot.id}')">削除</button>
+      </div>
+    `;
+        }).join('');
+    }
+
+    const diffEl = document.getElementById('snapshot-diff');
+    const snapshot = findSnapshot(comparingSnapshotId);
+    if (!snapshot) {
+        diffEl.style.display = 'none';
+        return;
+    }
+    diffEl.style.display = '';
+
+    const schedule = getCurrentSchedule();
+    const daysInMonth = getDaysInMonth(currentYear, currentMonth);
+    const staffDiff = diffStaffSettings(snapshot.staff, staffList);
+    const lines = [
+        `シフトの違い: ${countAssignmentDiff(schedule.assignments, snapshot.assignments, daysInMonth)}セル`,
+        `希望の違い: ${countRequestDiff(schedule.requests || {}, snapshot.requests, daysInMonth)}日`
+    ];
+    if (staffDiff.added.length > 0) lines.push(`版のあとに追加したスタッフ: ${staffDiff.added.join('、')}`);
+    if (staffDiff.removed.length > 0) lines.push(`版のあとに削除したスタッフ: ${staffDiff.removed.join('、')}`);
+    if (staffDiff.changed.length > 0) lines.push(`設定を変えたスタッフ: ${staffDiff.changed.join('、')}`);
+    document.getElementById('snapshot-diff-title').textContent = `「${snapshot.name}」と今の表の違い（色つきのセルが違うところ。表は版の内容）`;
+    document.getElementById('snapshot-diff-summary').innerHTML = lines.map(line => `<li>${escapeHtml(line)}</li>`).join('');
+    renderAssignmentPreview(document.getElementById('snapshot-preview-table'), snapshot.assignments, schedule.assignments);
+}
+
+/**
+ * 希望が違う日の数（スタッフごと・日ごとに種類を比べる）
+ */
+function countRequestDiff(current, snapshot, daysInMonth) {
+    let count = 0;
+    staffList.forEach(staff => {
+        const a = getStaffRequests(current, staff.id);
+        const b = getStaffRequests(snapshot, staff.id);
+        for (let day = 1; day <= daysInMonth; day++) {
+            if ((a[day] || '') !== (b[day] || '')) count++;
+        }
+    });
+    return count;
+}
+
+/**
+ * 版の時点と今のスタッフ設定の違い（名前の一覧）
+ */
+function diffStaffSettings(before, after) {
+    const beforeIds = before.map(s => s.id);
+    const afterIds = after.map(s => s.id);
+    return {
+        added: after.filter(s => !beforeIds.includes(s.id)).map(s => s.name),
+        removed: before.filter(s => !afterIds.includes(s.id)).map(s => s.name),
+        changed: after.filter(s => {
+            const old = before.find(b => b.id === s.id);
+            return old && JSON.stringify(old) !== JSON.stringify(s);
+        }).map(s => s.name)
+    };
+}
+
+function compareSnapshot(id) {
+    comparingSnapshotId = comparingSnapshotId === id ? null : id;
+    renderSnapshots();
+}
+
+/**
+ * 版のシフト表に戻す（希望とスタッフ設定は今のまま。元に戻すで取り消せる）
+ */
+function restoreSnapshot(id) {
+    const snapshot = findSnapshot(id);
+    if (!snapshot || !ensureEditable()) return;
+    if (!confirm(`「${snapshot.name}」のシフト表に戻しますか？\n希望とスタッフ設定は今のままです。（「元に戻す」で取り消せます）`)) return;
+
+    recordHistory(`版「${snapshot.name}」に戻す`);
+    getCurrentSchedule().assignments = JSON.parse(JSON.stringify(snapshot.assignments));
+    saveSchedules();
+    renderSchedule();
+    document.getElementById('snapshot-modal').classList.remove('show');
+}
+
+/**
+ * 確定の印をつける・外す（確定の版は期間に1つだけ）
+ */
+function toggleSnapshotFinal(id) {
+    const snapshot = findSnapshot(id);
+    if (!snapshot) return;
+    const final = !snapshot.final;
+    getCurrentSchedule().snapshots.forEach(s => { s.final = false; });
+    snapshot.final = final;
+    saveSchedules();
+    renderSnapshots();
+}
+
+function deleteSnapshot(id) {
+    const snapshot = findSnapshot(id);
+    if (!snapshot) return;
+    if (!confirm(`版「${snapshot.name}」を削除しますか？`)) return;
+
+    const schedule = getCurrentSchedule();
+    schedule.snapshots = schedule.snapshots.filter(s => s.id !== id);
+    if (comparingSnapshotId === id) comparingSnapshotId = null;
+    saveSchedules();
+    renderSnapshots();
+}
+
+// ===== 試算（もしも） =====
+// 産休に入る人・途中から入る人などを、保存データを変えずに試して今の表と比べる
+// whatIf = { key, staff（staffList を複製して変えたもの。from / to は在籍する日）, seed, result }
+let whatIf = null;
+
+function initWhatIfModal() {
+    const modal = document.getElementById('whatif-modal');
+    document.getElementById('whatif-btn').addEventListener('click', () => {
+        if (staffList.length === 0) {
+            alert('まずスタッフを登録してください');
+            return;
+        }
+        // 期間を変えたら今のスタッフから始め直す
+        if (!whatIf || whatIf.key !== getScheduleKey()) resetWhatIf();
+        renderWhatIf();
+        modal.classList.add('show');
+    });
+    document.getElementById('whatif-modal-close').addEventListener('click', () => {
+        modal.classList.remove('show');
+    });
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) modal.classList.remove('show');
+    });
+    document.getElementById('whatif-add-btn').addEventListener('click', addWhatIfStaff);
+    document.getElementById('whatif-reset-btn').addEventListener('click', () => {
+        resetWhatIf();
+        renderWhatIf();
+    });
+    document.getElementById('whatif-run-btn').addEventListener('click', runWhatIf);
+}
+
+/**
+ * 試算を今のスタッフの複製から始め直す（シードは今の表のものを使い、違いがスタッフの変更だけになるようにする）
+ */
+function resetWhatIf() {
+    whatIf = {
+        key: getScheduleKey(),
+        staff: JSON.parse(JSON.stringify(staffList)),
+        seed: getCurrentSchedule().seed || createSeed(),
+        result: null
+    };
+}
+
+/**
+ * 試算のスタッフの一覧（その場で変更できる）と結果を描画
+ */
+function renderWhatIf() {
+    const daysInMonth = getDaysInMonth(currentYear, currentMonth);
+    const dayOptions = (selected) => {
+        let html = '';
+        for (let day = 1; day <= daysInMonth; day++) {
+            const date = periodDayToDate(currentYear, currentMonth, day);
+            html += `<option value="${day}"${day === selected ? ' selected' : ''}>${date.month}/${date.day}</option>`;
+        }
+        return html;
+    };
+
+    document.getElementById('whatif-staff-list').innerHTML = whatIf.staff.map((member, i) => {
+        const original = staffList.find(s => s.id === member.id);
+        let badge = '';
+        if (!original) badge = '<span class="snapshot-final">追加</span>';
+        else if (JSON.stringify(original) !== JSON.stringify(member)) badge = '<span class="snapshot-final">変更</span>';
+        const part = member.type === 'part';
+        const night = part ? 'none' : (member.nightShiftType || 'none');
+        return `
+      <div class="shift-type-row whatif-staff-row">
+        <input type="text" class="whatif-name" value="${escapeHtml(member.name)}" onchange="updateWhatIfStaff(${i}, 'name', this.value)">
+        <select onchange="updateWhatIfStaff(${i}, 'type', this.value)">
+          <option value="full"${part ? '' : ' selected'}>フルタイム</option>
+          <option value="part"${part ? ' selected' : ''}>パート</option>
+        </select>
+        <label>公休 <input type="number" class="whatif-days-off" min="1" max="31" value="${member.monthlyDaysOff || 9}" onchange="updateWhatIfStaff(${i}, 'monthlyDaysOff', this.value)">日</label>
+        <select onchange="updateWhatIfStaff(${i}, 'nightShiftType', this.value)"${part ? ' disabled' : ''}>
+          <option value="all"${night === 'all' ? ' selected' : ''}>夜勤 いつでも</option>
+          <option value="weekday"${night === 'weekday' ? ' selected' : ''}>夜勤 平日のみ</option>
+          <option value="none"${night === 'none' ? ' selected' : ''}>夜勤なし</option>
+        </select>
+        <label>在籍 <select onchange="updateWhatIfStaff(${i}, 'from', this.value)">${dayOptions(member.from || 1)}</select>
+        〜 <select onchange="updateWhatIfStaff(${i}, 'to', this.value)">${dayOptions(member.to || daysInMonth)}</select></label>
+        ${badge}
+        <button type="button" class="btn btn-danger btn-sm" onclick="removeWhatIfStaff(${i})">削除</button>
+      </div>
+    `;
+    }).join('');
+
+    const removed = staffList.filter(s => !whatIf.staff.some(m => m.id === s.id)).map(s => s.name);
+    document.getElementById('whatif-removed').textContent = removed.length > 0 ? `試算で外した人: ${removed.join('、')}` : '';
+
+    renderWhatIfResult();
+}
+
+/**
+ * 試算のスタッフの項目を変える（勤務形態を変えたときはスタッフ登録と同じく、形態に合わない設定を外す）
+ */
+function updateWhatIfStaff(index, field, value) {
+    const member = whatIf.staff[index];
+    const daysInMonth = getDaysInMonth(currentYear, currentMonth);
+    if (field === 'name') {
+        member.name = value.trim() || member.name;
+    } else if (field === 'monthlyDaysOff') {
+        member.monthlyDaysOff = parseInt(value) || 9;
+    } else if (field === 'from' || field === 'to') {
+        const day = parseInt(value);
+        const from = field === 'from' ? day : (member.from || 1);
+        const to = field === 'to' ? day : (member.to || daysInMonth);
+        if (from > to) {
+            alert('在籍の終わりは始まりより後の日にしてください');
+        } else {
+            // 期間の初日・最終日は「ずっと在籍」なので項目を持たない
+            if (from > 1) member.from = from; else delete member.from;
+            if (to < daysInMonth) member.to = to; else delete member.to;
+        }
+    } else if (field === 'type') {
+        member.type = value;
+        if (value === 'part') {
+            member.nightShiftType = 'none';
+            member.canOvertime = false;
+            member.maxDaysPerWeek = member.maxDaysPerWeek || 3;
+            member.startTime = member.startTime || '09:00';
+            member.endTime = member.endTime || '17:00';
+        } else {
+            member.earlyOnly = false;
+            member.lateOnly = false;
+            member.startTime = '';
+            member.endTime = '';
+        }
+    } else {
+        member[field] = value;
+    }
+    whatIf.result = null;
+    renderWhatIf();
+}
+
+function addWhatIfStaff() {
+    whatIf.staff.push({
+        id: generateId(),
+        name: `新しい人${whatIf.staff.filter(s => !staffList.some(o => o.id === s.id)).length + 1}`,
+        type: 'full',
+        nightShiftType: 'all',
+        canOvertime: false,
+        earlyOnly: false,
+        lateOnly: false,
+        monthlyDaysOff: 9,
+        maxDaysPerWeek: 3,
+        maxConsecutive: 0,
+        startTime: '',
+        endTime: '',
+        allowConsecutivePlus1: false
+    });
+    whatIf.result = null;
+    renderWhatIf();
+}
+
+function removeWhatIfStaff(index) {
+    whatIf.staff.splice(index, 1);
+    whatIf.result = null;
+    renderWhatIf();
+}
+
+/**
+ * 試算のスタッフで表を作り、今の表と比べる
+ * 今の表が空のときは、今のスタッフでも同じシードで作って比べる（どちらもシフト表には保存しない）
+ */
+function runWhatIf() {
+    if (whatIf.staff.length === 0) {
+        alert('試算するスタッフがいません');
+        return;
+    }
+    const schedule = getCurrentSchedule();
+    const hasAssignments = Object.keys(schedule.assignments).some(
+        id => Object.keys(schedule.assignments[id] || {}).length > 0
+    );
+    const base = { ...buildPeriodInput({ staff: staffList, schedules, settings }, currentYear, currentMonth), seed: whatIf.seed };
+    const input = buildWhatIfInput(base, whatIf.staff);
+
+    const generate = (generateInput, label, onDone) => {
+        showLoading();
+        runGeneration(generateInput, {
+            onProgress: (progress) => showGenerateProgress(progress, label),
+            onDone: (result) => {
+                hideLoading();
+                if (!result) {
+                    alert('試算を中止しました。');
+                    return;
+                }
+                onDone(result);
+            },
+            onError: (e) => {
+                console.error('試算のエラー:', e);
+                hideLoading();
+                alert('試算の実行中にエラーが発生しました。スタッフの設定を確認してください。');
+            }
+        });
+    };
+
+    const compare = (current) => {
+        generate(input, '試算のスタッフで作成中', (result) => {
+            whatIf.result = { current: current, whatIf: result };
+            renderWhatIf();
+        });
+    };
+
+    if (hasAssignments) {
+        compare({ label: '今の表', assignments: schedule.assignments, ...checkPeriod(base, schedule.assignments) });
+    } else {
+        generate(base, '今のスタッフで作成中', (result) => {
+            compare({ label: '今のスタッフで作った表', assignments: result.assignments, score: result.score, breakdown: result.breakdown, warnings: result.warnings });
+        });
+    }
+}
+
+/**
+ * 時間帯ごと・夜勤の人数（集計表と同じく evaluateCoverage で判定する）
+ * @returns {Array} 行 [{ label, cells: [{ count, ok }] }]
+ */
+function countWhatIfCoverage(staff, assignments) {
+    const coverage = evaluateCoverage(staff, assignments, currentYear, currentMonth, settings);
+    const rows = getCheckpoints(settings).map((cp, cpIndex) => ({
+        label: cp.label,
+        cells: coverage.map(dayResult => dayResult.checkpoints[cpIndex])
+    }));
+    rows.push({
+        label: '夜勤',
+        cells: coverage.map(dayResult => {
+            const count = staff.filter(s => assignments[s.id]?.[dayResult.day] === SHIFT_TYPES.NIGHT).length;
+            return { count: count, ok: count >= getNightRequired(currentYear, currentMonth, dayResult.day, settings) };
+        })
+    });
+    return rows;
+}
+
+/**
+ * 試算の結果（スコア・減点の内訳・人数）を今の表と並べて描画
+ */
+function renderWhatIfResult() {
+    const resultEl = document.getElementById('whatif-result');
+    if (!whatIf.result) {
+        resultEl.style.display = 'none';
+        return;
+    }
+    resultEl.style.display = '';
+
+    const { current, whatIf: result } = whatIf.result;
+    const daysInMonth = getDaysInMonth(currentYear, currentMonth);
+    const currentRows = countWhatIfCoverage(staffList, current.assignments);
+    const whatIfRows = countWhatIfCoverage(whatIf.staff, result.assignments);
+    const shortage = (rows) => rows.reduce((sum, row) => sum + row.cells.filter(c => !c.ok).length, 0);
+    const issues = (warnings) => warnings.filter(w => w.severity !== WARNING_SEVERITY.INFO).length;
+
+    const lines = [
+        `スコア: ${current.score} → ${result.score}`,
+        `人数が足りない時間帯（日×時間帯・夜勤）: ${shortage(currentRows)} → ${shortage(whatIfRows)}`,
+        `注意点: ${issues(current.warnings)}件 → ${issues(result.warnings)}件`
+    ];
+    SCORE_CATEGORIES.forEach(category => {
+        const before = current.breakdown.find(c => c.key === category.key)?.penalty || 0;
+        const after = result.breakdown.find(c => c.key === category.key)?.penalty || 0;
+        if (before > 0 || after > 0) lines.push(`${category.label}: −${before} → −${after}`);
+    });
+    document.getElementById('whatif-result-title').textContent = `${current.label} → 試算の比較`;
+    document.getElementById('whatif-summary').innerHTML = lines.map(line => `<li>${escapeHtml(line)}</li>`).join('');
+
+    // 人数は試算の値。今の表と違う日は差を小さく出す
+    const dayNames = ['日', '月', '火', '水', '木', '金', '土'];
+    let html = '<thead><tr><th class="staff-name-cell">人数</th>';
+    for (let day = 1; day <= daysInMonth; day++) {
+        const dow = getDayOfWeek(currentYear, currentMonth, day);
+        const dayClass = dow === 0 ? 'day-sunday' : (dow === 6 ? 'day-saturday' : '');
+        html += `<th class="${dayClass}">${periodDayToDate(currentYear, currentMonth, day).day}<br>${dayNames[dow]}</th>`;
+    }
+    html += '</tr></thead><tbody>';
+    whatIfRows.forEach((row, r) => {
+        html += `<tr><td class="staff-name-cell">${row.label}</td>`;
+        row.cells.forEach((cell, i) => {
+            const delta = cell.count - currentRows[r].cells[i].count;
+            const deltaHtml = delta !== 0 ? `<span class="whatif-delta">${delta > 0 ? '+' : '−'}${Math.abs(delta)}</span>` : '';
+            html += `<td class="${cell.ok ? 'summary-ok' : 'summary-warn'}" title="${current.label} ${currentRows[r].cells[i].count}人">${cell.count}${deltaHtml}</td>`;
+        });
+        html += '</tr>';
+    });
+    html += '</tbody>';
+    document.getElementById('whatif-coverage-table').innerHTML = html;
+
+    // 在籍外・休職の日（試算では SHIFT_TYPES.ABSENT として作った日）は空欄で見せる
+    const preview = {};
+    whatIf.staff.forEach(member => {
+        preview[member.id] = {};
+        for (let day = 1; day <= daysInMonth; day++) {
+            const shift = result.assignments[member.id]?.[day];
+            if (shift && shift !== SHIFT_TYPES.ABSENT) preview[member.id][day] = shift;
+        }
+    });
+    renderAssignmentPreview(document.getElementById('whatif-preview-table'), preview, current.assignments, whatIf.staff);
+}
+
+function showLoading() {
+    document.getElementById('loading-progress-bar').style.width = '0';
+    document.getElementById('loading-progress-text').textContent = '';
+    const cancelBtn = document.getElementById('loading-cancel-btn');
+    cancelBtn.disabled = false;
+    cancelBtn.textContent = '中止（それまでの最良の結果を使う）';
+    document.getElementById('loading-modal').style.display = 'flex';
+}
+
+function hideLoading() {
+    document.getElementById('loading-modal').style.display = 'none';
+}
+
+/**
+ * 自動生成の進み具合を表示する（試行のあとは仕上げの改善で試した回数）
+ * @param {string} label - 前につける見出し（試算のときだけ）
+ */
+function showGenerateProgress(progress, label) {
+    const { finish } = progress;
+    const rate = finish ? finish.moves / finish.total : progress.trial / progress.total;
+    const stage = finish
+        ? `仕上げ ${finish.moves.toLocaleString()}/${finish.total.toLocaleString()}回`
+        : `試行 ${progress.trial}/${progress.total}`;
+    document.getElementById('loading-progress-bar').style.width = `${Math.min(100, Math.round(rate * 100))}%`;
+    document.getElementById('loading-progress-text').textContent =
+        `${label ? `${label}　` : ''}${stage}　最良スコア ${progress.bestScore}`;
+}
+
+// ===== 自動生成の実行（Web Worker） =====
+// 実行中の自動生成（cancel() で中止する）
+let runningGeneration = null;
+
+// 読み込んだ app.js の版（index.html の ?v=）。Worker にも同じ版をつけ、古いキャッシュの scheduler.js を読ませない
+const ASSET_VERSION = document.currentScript?.src ? new URL(document.currentScript.src).search : '';
+
+/**
+ * 自動生成を Web Worker（scheduler-worker.js）で実行する
+ * Worker が使えない環境（file:// で開いた場合など）は画面側で1試行ずつ進める
+ * @param {Object} input - generatePeriod の入力（buildPeriodInput の形＋seed）
+ * @param {Object} handlers - onProgress(progress) / onDone(result, cancelled) / onError(error)
+ * @param {string} type - 'generate'（自動生成） / 'solve'（厳密モード） / 'improve'（改善。input.assignments を直す）
+ */
+function runGeneration(input, handlers, type = 'generate') {
+    let worker = null;
+    try {
+        worker = new Worker(`scheduler-worker.js${ASSET_VERSION}`);
+    } catch (e) {
+        worker = null;
+    }
+    if (!worker) {
+        runGenerationInPage(input, handlers, type);
+        return;
+    }
+
+    let received = false;
+    const finish = () => {
+        worker.terminate();
+        runningGeneration = null;
+    };
+    runningGeneration = { cancel: () => worker.postMessage({ type: 'cancel' }) };
+
+    worker.onmessage = (e) => {
+        const msg = e.data;
+        received = true;
+        if (msg.type === 'progress') {
+            handlers.onProgress(msg);
+        } else if (msg.type === 'done') {
+            finish();
+            handlers.onDone(msg.result, msg.cancelled);
+        } else {
+            finish();
+            handlers.onError(new Error(msg.message));
+        }
+    };
+    worker.onerror = (e) => {
+        finish();
+        if (!received) {
+            // Worker を読み込めなかったときは画面側で実行する
+            e.preventDefault();
+            runGenerationInPage(input, handlers, type);
+            return;
+        }
+        handlers.onError(e);
+    };
+
+    worker.postMessage({ type: type, input: input });
+}
+
+/**
+ * 画面側で自動生成を1試行ずつ進める（Worker が使えないときの代わり）
+ * 試行の合間に setTimeout で区切るので、進捗の表示と中止ボタンは同じように動く
+ */
+function runGenerationInPage(input, handlers, type = 'generate') {
+    const steps = { generate: generatePeriodTrials, solve: solvePeriodSteps, improve: improvePeriodSteps }[type](input);
+    let lastResult = null;
+    let cancelled = false;
+    runningGeneration = { cancel: () => { cancelled = true; } };
+
+    const step = () => {
+        if (cancelled) {
+            runningGeneration = null;
+            handlers.onDone(lastResult, true);
+            return;
+        }
+        try {
+            const next = steps.next();
+            if (next.done) {
+                runningGeneration = null;
+                handlers.onDone(next.value, false);
+                return;
+            }
+            lastResult = next.value.result;
+            handlers.onProgress(next.value);
+        } catch (e) {
+            runningGeneration = null;
+            handlers.onError(e);
+            return;
+        }
+        setTimeout(step, 0);
+    };
+    setTimeout(step, 0);
+}
+
+// ===== 希望休入力モーダル =====
+function initRequestModal() {
+    const modal = document.getElementById('request-modal');
+    document.getElementById('request-modal-close').addEventListener('click', () => modal.classList.remove('show'));
+    document.getElementById('request-done').addEventListener('click', () => {
+        modal.classList.remove('show');
+        renderSchedule();
+    });
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            modal.classList.remove('show');
+            renderSchedule();
+        }
+    });
+
+    // スタッフ選択変更時にカレンダーを再描画
+    document.getElementById('request-staff').addEventListener('change', () => {
+        renderRequestCalendar();
+    });
+
+    // 希望の種類の切り替え
+    document.getElementById('request-types').addEventListener('click', (e) => {
+        const btn = e.target.closest('.request-type-option');
+        if (!btn) return;
+        currentRequestType = btn.dataset.type;
+        renderRequestTypes();
+    });
+}
+
+// カレンダーをタップしたときに入れる希望の種類
+let currentRequestType = REQUEST_TYPES.OFF;
+
+function renderRequestTypes() {
+    document.getElementById('request-types').innerHTML = Object.values(REQUEST_TYPES).map(type => {
+        const active = type === currentRequestType ? ' active' : '';
+        return `<button type="button" class="btn request-type-option req-${type}${active}" data-type="${type}">${REQUEST_LABELS[type]}</button>`;
+    }).join('');
+}
+
+function openRequestModal() {
+    if (!ensureEditable()) return;
     if (staffList.length === 0) {
         alert('まずスタッフを登録してください');
         return;
@@ -708,6 +2622,7 @@ function openRequestModal() {
         `<option value="${s.id}">${escapeHtml(s.name)}</option>`
     ).join('');
 
+    renderRequestTypes();
     renderRequestCalendar();
     modal.classList.add('show');
 }
@@ -716,7 +2631,7 @@ function renderRequestCalendar() {
     const calEl = document.getElementById('request-calendar');
     const staffId = document.getElementById('request-staff').value;
     const schedule = getCurrentSchedule();
-    const requests = schedule.requests[staffId] || [];
+    const requests = getStaffRequests(schedule.requests, staffId);
     const daysInPeriod = getDaysInMonth(currentYear, currentMonth);
     const dayHeaders = ['日', '月', '火', '水', '木', '金', '土'];
 
@@ -742,16 +2657,18 @@ function renderRequestCalendar() {
     for (let day = 1; day <= daysInPeriod; day++) {
         const actualDate = periodDayToDate(currentYear, currentMonth, day);
         const dow = getDayOfWeek(currentYear, currentMonth, day);
-        const isSelected = requests.includes(day);
+        const type = requests[day];
         let cls = 'cal-day';
-        if (isSelected) cls += ' selected';
+        if (type) cls += ` selected req-${type}`;
         if (dow === 0) cls += ' sunday';
 
         // 月が変わる境界にマーカーを表示
         const displayDay = actualDate.day;
         const monthLabel = (actualDate.day === 1 && day > 1) ? `<span class="cal-month-label">${actualDate.month}月</span>` : '';
 
-        html += `<div class="${cls}" data-day="${day}">${monthLabel}${displayDay}</div>`;
+        const typeLabel = type ? `<span class="cal-req-label">${REQUEST_LABELS[type]}</span>` : '';
+
+        html += `<div class="${cls}" data-day="${day}">${monthLabel}${displayDay}${typeLabel}</div>`;
     }
 
     calEl.innerHTML = html;
@@ -761,20 +2678,20 @@ function renderRequestCalendar() {
         el.addEventListener('click', () => {
             const day = parseInt(el.dataset.day);
             const schedule = getCurrentSchedule();
-            if (!schedule.requests[staffId]) schedule.requests[staffId] = [];
+            // 以前の形式（日の配列）はここで「日→種類」に置き換える
+            const staffRequests = { ...getStaffRequests(schedule.requests, staffId) };
 
-            const idx = schedule.requests[staffId].indexOf(day);
-            if (idx >= 0) {
-                // 希望休を解除
-                schedule.requests[staffId].splice(idx, 1);
-                el.classList.remove('selected');
+            if (staffRequests[day] === currentRequestType) {
+                // 同じ種類をもう一度タップしたら解除
+                delete staffRequests[day];
             } else {
-                // 希望休を追加
-                schedule.requests[staffId].push(day);
-                el.classList.add('selected');
+                staffRequests[day] = currentRequestType;
             }
+            schedule.requests[staffId] = staffRequests;
+            logChange(`希望：${getCellLabel(staffId, day)} ${staffRequests[day] ? REQUEST_LABELS[staffRequests[day]] : '解除'}`);
 
             saveSchedules();
+            renderRequestCalendar();
         });
     });
 }
@@ -787,13 +2704,37 @@ function initShiftModal() {
         if (e.target === modal) modal.classList.remove('show');
     });
 
-    // シフトオプションのクリック
-    document.querySelectorAll('.shift-option').forEach(btn => {
-        btn.addEventListener('click', () => {
-            const newShift = btn.dataset.shift;
-            applyShiftChange(newShift);
-        });
+    // シフトオプションのクリック（ボタンはシフトマスタから描画するのでまとめて受け取る）
+    document.getElementById('shift-options').addEventListener('click', (e) => {
+        const btn = e.target.closest('.shift-option');
+        if (!btn) return;
+        applyShiftChange(btn.dataset.shift);
     });
+
+    // セルの固定・解除
+    document.getElementById('shift-pin-btn').addEventListener('click', togglePin);
+}
+
+/**
+ * シフト変更モーダルの選択肢をシフトマスタから描画
+ * 明けは夜勤を入れると自動で入るので選択肢に出さない。休みは最後に並べる
+ */
+function renderShiftOptions() {
+    const defs = Object.values(SHIFT_DEFS).filter(def =>
+        def.code !== SHIFT_TYPES.NIGHT_OFF && def.code !== SHIFT_TYPES.OFF
+    );
+    defs.push(SHIFT_DEFS[SHIFT_TYPES.OFF]);
+
+    document.getElementById('shift-options').innerHTML = defs.map(def => {
+        let text = `${escapeHtml(def.label)}（${escapeHtml(def.name)}）`;
+        if (def.code === SHIFT_TYPES.NIGHT || def.code === SHIFT_TYPES.OFF) text = escapeHtml(def.name);
+        if (def.code === SHIFT_TYPES.OVERTIME) text = escapeHtml(def.label);
+        if (def.code === SHIFT_TYPES.PART) text = `${escapeHtml(def.label)}（パート）`;
+        if (!def.builtin) {
+            return `<button class="btn shift-option shift-custom" data-shift="${def.code}" style="color:${def.color};background:${def.color}22">${text}</button>`;
+        }
+        return `<button class="btn shift-option shift-${def.code.toLowerCase()}" data-shift="${def.code}">${text}</button>`;
+    }).join('');
 }
 
 let editingStaffId = null;
@@ -801,7 +2742,7 @@ let editingDay = null;
 
 function openShiftModal(staffId, day) {
     const staff = staffList.find(s => s.id === staffId);
-    if (!staff) return;
+    if (!staff || !ensureEditable()) return;
 
     editingStaffId = staffId;
     editingDay = day;
@@ -817,12 +2758,69 @@ function openShiftModal(staffId, day) {
 
     // 警告をクリア
     document.getElementById('shift-warning').style.display = 'none';
+    renderShiftOptions();
+
+    // 前期間の夜勤からの明けは固定（変更不可）
+    const carried = isCarriedNightOff(staffId, day);
+    document.querySelectorAll('.shift-option').forEach(btn => { btn.disabled = carried; });
+    if (carried) {
+        const warningEl = document.getElementById('shift-warning');
+        warningEl.textContent = '🔒 前期間最終日の夜勤明けのため変更できません';
+        warningEl.style.display = 'block';
+    }
+    updatePinButton();
 
     modal.classList.add('show');
 }
 
+/**
+ * 履歴に出すセルの名前（例: 「松井さん 11/20」）
+ */
+function getCellLabel(staffId, day) {
+    const staff = staffList.find(s => s.id === staffId);
+    const date = periodDayToDate(currentYear, currentMonth, day);
+    return `${staff ? staff.name : '?'}さん ${date.month}/${date.day}`;
+}
+
+/**
+ * 固定ボタンの表示を更新（シフトが入っているセルだけ固定できる）
+ */
+function updatePinButton() {
+    const btn = document.getElementById('shift-pin-btn');
+    const schedule = getCurrentSchedule();
+    const shift = schedule.assignments[editingStaffId]?.[editingDay];
+    if (!shift || isCarriedNightOff(editingStaffId, editingDay)) {
+        btn.style.display = 'none';
+        return;
+    }
+    btn.style.display = '';
+    btn.textContent = isPinned(schedule, editingStaffId, editingDay)
+        ? '🔓 固定を解除'
+        : '🔒 このセルを固定（自動生成で変更しない）';
+}
+
+function togglePin() {
+    if (!editingStaffId || !editingDay) return;
+    const schedule = getCurrentSchedule();
+    if (!schedule.pinned) schedule.pinned = {};
+    const days = schedule.pinned[editingStaffId] || [];
+    recordHistory(`${getCellLabel(editingStaffId, editingDay)}の${days.includes(editingDay) ? '固定の解除' : '固定'}`);
+
+    if (days.includes(editingDay)) {
+        schedule.pinned[editingStaffId] = days.filter(d => d !== editingDay);
+        if (schedule.pinned[editingStaffId].length === 0) delete schedule.pinned[editingStaffId];
+    } else {
+        schedule.pinned[editingStaffId] = [...days, editingDay].sort((a, b) => a - b);
+    }
+
+    saveSchedules();
+    renderSchedule();
+    updatePinButton();
+}
+
 function applyShiftChange(newShift) {
     if (!editingStaffId || !editingDay) return;
+    if (isCarriedNightOff(editingStaffId, editingDay)) return;
 
     const staff = staffList.find(s => s.id === editingStaffId);
     const schedule = getCurrentSchedule();
@@ -830,16 +2828,28 @@ function applyShiftChange(newShift) {
         schedule.assignments[editingStaffId] = {};
     }
 
+    // 夜勤の翌日は必ず「明け」になるので、翌日が明け以外で固定されていれば変えない
+    const nextDay = editingDay + 1;
+    if (newShift === SHIFT_TYPES.NIGHT && nextDay <= getDaysInMonth(currentYear, currentMonth)
+        && isPinned(schedule, editingStaffId, nextDay)
+        && schedule.assignments[editingStaffId][nextDay] !== SHIFT_TYPES.NIGHT_OFF) {
+        const warningEl = document.getElementById('shift-warning');
+        warningEl.innerHTML = `⚠️ ${getCellLabel(editingStaffId, nextDay)}が固定されているため、夜勤にできません（固定を解除してください）`;
+        warningEl.style.display = 'block';
+        return;
+    }
+
     // 警告チェック
     const warnings = getShiftChangeWarnings(
         staff,
         schedule.assignments,
-        staffList,
+        getCurrentPeriodStaff(),
         editingDay,
         newShift,
         currentYear,
         currentMonth,
-        DEFAULT_SETTINGS
+        settings,
+        { previousAssignments: getPreviousAssignments() }
     );
 
     if (warnings.length > 0) {
@@ -850,22 +2860,25 @@ function applyShiftChange(newShift) {
         // 警告があっても変更は適用する（ソフト制約）
     }
 
-    // シフト変更を適用
+    // シフト変更を適用（夜勤で翌日・翌々日も書き換えるので、まとめて1つの履歴にする）
+    const oldShift = schedule.assignments[editingStaffId][editingDay];
+    recordHistory(`${getCellLabel(editingStaffId, editingDay)} ${oldShift ? SHIFT_LABELS[oldShift] : '空'}→${SHIFT_LABELS[newShift] || '空'}`);
     schedule.assignments[editingStaffId][editingDay] = newShift;
 
     // 夜勤の場合、翌日を「明け」、翌々日を「休み」にする
     if (newShift === SHIFT_TYPES.NIGHT) {
         const daysInMonth = getDaysInMonth(currentYear, currentMonth);
-        if (editingDay + 1 <= daysInMonth) {
-            schedule.assignments[editingStaffId][editingDay + 1] = SHIFT_TYPES.NIGHT_OFF;
+        if (nextDay <= daysInMonth) {
+            schedule.assignments[editingStaffId][nextDay] = SHIFT_TYPES.NIGHT_OFF;
         }
-        if (editingDay + 2 <= daysInMonth) {
+        if (editingDay + 2 <= daysInMonth && !isPinned(schedule, editingStaffId, editingDay + 2)) {
             schedule.assignments[editingStaffId][editingDay + 2] = SHIFT_TYPES.OFF;
         }
     }
 
     saveSchedules();
     renderSchedule();
+    updatePinButton();
 
     // 警告がなければモーダルを閉じる
     if (warnings.length === 0) {
@@ -873,6 +2886,322 @@ function applyShiftChange(newShift) {
     }
 }
 
+// ===== 施設設定 =====
+// 入力欄IDと設定キーの対応表
+const SETTINGS_FIELDS = [
+    { id: 'setting-morning-required', key: 'morningRequired' },
+    { id: 'setting-noon-required', key: 'noonRequired' },
+    { id: 'setting-evening-required', key: 'eveningRequired' },
+    { id: 'setting-sunday-morning-min', key: 'sundayMorningMin' },
+    { id: 'setting-sunday-noon-min', key: 'sundayNoonMin' },
+    { id: 'setting-sunday-evening-min', key: 'sundayEveningMin' },
+    { id: 'setting-max-sunday-reduced', key: 'maxSundayReduced' },
+    { id: 'setting-night-required', key: 'nightRequired' },
+    { id: 'setting-sunday-night-required', key: 'sundayNightRequired' },
+    { id: 'setting-max-consecutive', key: 'maxConsecutive' }
+];
+
+function initSettingsForm() {
+    const form = document.getElementById('settings-form');
+
+    // 保存
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        SETTINGS_FIELDS.forEach(field => {
+            const value = parseInt(document.getElementById(field.id).value);
+            settings[field.key] = isNaN(value) ? DEFAULT_SETTINGS[field.key] : value;
+        });
+        settings.skillRequirements = readSkillRequirements();
+        settings.units = readUnits();
+        saveSettings();
+        cleanStaffUnits();
+        renderSettingsForm();
+        alert('施設設定を保存しました');
+    });
+
+    // 初期値に戻す
+    document.getElementById('settings-reset').addEventListener('click', () => {
+        if (confirm('施設設定を初期値に戻しますか？')) {
+            settings = { ...DEFAULT_SETTINGS };
+            saveSettings();
+            cleanStaffUnits();
+            applyShiftMaster(settings.shiftTypes);
+            renderSettingsForm();
+        }
+    });
+
+    // ユニットを追加（保存するまで反映しない）
+    document.getElementById('add-unit-btn').addEventListener('click', () => {
+        const id = 'unit_' + Date.now() + '_' + Math.random().toString(36).substr(2, 5);
+        document.getElementById('unit-list').insertAdjacentHTML('beforeend', unitRowHtml({ id: id, name: '', required: {} }));
+    });
+
+    renderSettingsForm();
+}
+
+/**
+ * 保存済みの施設設定をフォームに反映
+ */
+function renderSettingsForm() {
+    SETTINGS_FIELDS.forEach(field => {
+        document.getElementById(field.id).value = settings[field.key];
+    });
+    renderUnitList();
+    renderSkillRequirements();
+    renderShiftTypeList();
+}
+
+/**
+ * ユニットの入力欄を描画
+ */
+function renderUnitList() {
+    document.getElementById('unit-list').innerHTML = getUnits(settings).map(unitRowHtml).join('');
+}
+
+/**
+ * ユニット1つ分の入力欄（名前と時間帯ごとの必要人数）
+ */
+function unitRowHtml(unit) {
+    const fields = getCheckpoints(settings).map(cp => `
+        <label>${cp.label} <input type="number" min="0" max="30" value="${unit.required?.[cp.id] || 0}" data-checkpoint="${cp.id}"></label>
+    `).join('');
+    return `
+      <div class="unit-row" data-id="${unit.id}">
+        <input type="text" value="${escapeHtml(unit.name)}" placeholder="例：2F" data-field="name">
+        ${fields}
+        <button type="button" class="btn btn-danger btn-sm" onclick="removeUnitRow(this)">削除</button>
+      </div>
+    `;
+}
+
+/**
+ * ユニットの入力欄を消す（保存するまで反映しない）
+ */
+function removeUnitRow(button) {
+    button.closest('.unit-row').remove();
+}
+
+/**
+ * ユニットの入力欄を読む（名前のない行は保存しない）
+ */
+function readUnits() {
+    return [...document.querySelectorAll('#unit-list .unit-row')].map(row => {
+        const required = {};
+        row.querySelectorAll('input[data-checkpoint]').forEach(el => {
+            const value = parseInt(el.value);
+            if (value > 0) required[el.dataset.checkpoint] = value;
+        });
+        return { id: row.dataset.id, name: row.querySelector('[data-field="name"]').value.trim(), required: required };
+    }).filter(unit => unit.name);
+}
+
+/**
+ * 消したユニットをスタッフの所属・応援先から外し、スタッフ一覧を描き直す（ユニット名の変更も反映）
+ */
+function cleanStaffUnits() {
+    const ids = getUnits(settings).map(u => u.id);
+    let changed = false;
+    staffList.forEach(staff => {
+        if (staff.unit && !ids.includes(staff.unit)) {
+            staff.unit = '';
+            changed = true;
+        }
+        const floats = (staff.floatUnits || []).filter(id => staff.unit && ids.includes(id));
+        if (floats.length !== (staff.floatUnits || []).length) {
+            staff.floatUnits = floats;
+            changed = true;
+        }
+    });
+    if (changed) saveStaff();
+    renderStaffList();
+}
+
+/**
+ * 資格者の最低人数の入力欄（時間帯 × 資格の表）を描画
+ */
+function renderSkillRequirements() {
+    const slots = [...getCheckpoints(settings), { id: 'night', label: '夜勤' }];
+    const current = settings.skillRequirements || {};
+    let html = '<table><thead><tr><th></th>';
+    html += QUALIFICATIONS.map(q => `<th>${q.label}</th>`).join('');
+    html += '</tr></thead><tbody>';
+    slots.forEach(slot => {
+        html += `<tr><th>${slot.label}</th>`;
+        QUALIFICATIONS.forEach(q => {
+            const value = current[slot.id]?.[q.id] || 0;
+            html += `<td><input type="number" min="0" max="10" value="${value}" data-slot="${slot.id}" data-qualification="${q.id}"></td>`;
+        });
+        html += '</tr>';
+    });
+    html += '</tbody></table>';
+    document.getElementById('skill-requirements').innerHTML = html;
+}
+
+/**
+ * 資格者の最低人数の入力欄を読む（0 の組み合わせは保存しない）
+ */
+function readSkillRequirements() {
+    const result = {};
+    document.querySelectorAll('#skill-requirements input[data-slot]').forEach(el => {
+        const value = parseInt(el.value);
+        if (!(value > 0)) return;
+        const slot = el.dataset.slot;
+        result[slot] = { ...result[slot], [el.dataset.qualification]: value };
+    });
+    return result;
+}
+
+// ===== シフトマスタ =====
+
+/**
+ * シフトマスタの一覧を描画
+ */
+function renderShiftTypeList() {
+    const master = mergeShiftMaster(settings.shiftTypes);
+    document.getElementById('shift-type-list').innerHTML = master.map(def => {
+        const meta = [];
+        meta.push(SHIFT_TIMES[def.code] || '');
+        meta.push(def.isWork ? '出勤' : '休み扱い');
+        if (def.autoAssign) meta.push('自動作成で使う');
+        const deleteBtn = def.builtin ? '' :
+            `<button type="button" class="btn btn-danger btn-sm" onclick="deleteShiftType('${def.code}')">削除</button>`;
+        return `
+      <div class="shift-type-row">
+        ${shiftBadgeHtml(def.code)}
+        <div class="shift-type-info">
+          <div>${escapeHtml(def.name)}</div>
+          <div class="shift-type-meta">${meta.filter(Boolean).join(' / ')}</div>
+        </div>
+        <button type="button" class="btn btn-outline btn-sm" onclick="editShiftType('${def.code}')">編集</button>
+        ${deleteBtn}
+      </div>
+    `;
+    }).join('');
+}
+
+/**
+ * シフトマスタを保存して画面に反映
+ */
+function saveShiftMaster(master) {
+    settings.shiftTypes = master;
+    saveSettings();
+    applyShiftMaster(settings.shiftTypes);
+    renderShiftTypeList();
+    renderSchedule();
+}
+
+function initShiftTypeModal() {
+    const modal = document.getElementById('shift-type-modal');
+    const close = () => modal.classList.remove('show');
+
+    // 追加ボタン
+    document.getElementById('add-shift-type-btn').addEventListener('click', () => {
+        document.getElementById('shift-type-modal-title').textContent = 'シフトを追加';
+        document.getElementById('shift-type-code').value = '';
+        document.getElementById('shift-type-label').value = '';
+        document.getElementById('shift-type-name').value = '';
+        document.getElementById('shift-type-start').value = '09:00';
+        document.getElementById('shift-type-end').value = '18:00';
+        document.getElementById('shift-type-color').value = '#db2777';
+        document.getElementById('shift-type-is-work').checked = true;
+        document.getElementById('shift-type-auto').checked = false;
+        updateShiftTypeFormVisibility(null);
+        modal.classList.add('show');
+    });
+
+    document.getElementById('shift-type-modal-close').addEventListener('click', close);
+    document.getElementById('shift-type-cancel').addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) close();
+    });
+
+    // 保存
+    document.getElementById('shift-type-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const code = document.getElementById('shift-type-code').value;
+        const master = mergeShiftMaster(settings.shiftTypes);
+        const existing = master.find(def => def.code === code);
+
+        const edited = {
+            ...(existing || {}),
+            code: code || 'custom_' + Date.now(),
+            label: document.getElementById('shift-type-label').value.trim(),
+            name: document.getElementById('shift-type-name').value.trim()
+        };
+        if (!edited.label) return;
+        if (!edited.name) edited.name = edited.label;
+
+        // 休み・パートは時間を持たない
+        if (!existing || (existing.code !== SHIFT_TYPES.OFF && existing.code !== SHIFT_TYPES.PART)) {
+            edited.start = document.getElementById('shift-type-start').value;
+            edited.end = document.getElementById('shift-type-end').value;
+        }
+        // 追加シフトのみ色・出勤扱い・自動作成の可否を変更できる
+        if (!existing || !existing.builtin) {
+            edited.color = document.getElementById('shift-type-color').value;
+            edited.isWork = document.getElementById('shift-type-is-work').checked;
+            edited.autoAssign = document.getElementById('shift-type-auto').checked;
+            edited.builtin = false;
+        }
+
+        const newMaster = existing
+            ? master.map(def => def.code === edited.code ? edited : def)
+            : [...master, edited];
+        saveShiftMaster(newMaster);
+        close();
+    });
+}
+
+/**
+ * シフト編集フォームの表示切り替え（組み込みシフトは変更できる項目が限られる）
+ */
+function updateShiftTypeFormVisibility(def) {
+    const builtin = def && def.builtin;
+    const noTime = def && (def.code === SHIFT_TYPES.OFF || def.code === SHIFT_TYPES.PART);
+    document.getElementById('shift-type-time-group').style.display = noTime ? 'none' : '';
+    document.getElementById('shift-type-color-group').style.display = builtin ? 'none' : '';
+    document.getElementById('shift-type-work-group').style.display = builtin ? 'none' : '';
+    document.getElementById('shift-type-auto-group').style.display = builtin ? 'none' : '';
+}
+
+/**
+ * シフトを編集モードで開く
+ */
+function editShiftType(code) {
+    const def = mergeShiftMaster(settings.shiftTypes).find(d => d.code === code);
+    if (!def) return;
+
+    document.getElementById('shift-type-modal-title').textContent = 'シフト編集';
+    document.getElementById('shift-type-code').value = def.code;
+    document.getElementById('shift-type-label').value = def.label;
+    document.getElementById('shift-type-name').value = def.name || '';
+    document.getElementById('shift-type-start').value = def.start || '09:00';
+    document.getElementById('shift-type-end').value = def.end || '18:00';
+    document.getElementById('shift-type-color').value = def.color || '#db2777';
+    document.getElementById('shift-type-is-work').checked = def.isWork !== false;
+    document.getElementById('shift-type-auto').checked = def.autoAssign || false;
+    updateShiftTypeFormVisibility(def);
+    document.getElementById('shift-type-modal').classList.add('show');
+}
+
+/**
+ * 追加シフトを削除（すでにシフト表で使われている場合は確認する）
+ */
+function deleteShiftType(code) {
+    const def = SHIFT_DEFS[code];
+    if (!def || def.builtin) return;
+
+    const inUse = Object.values(schedules).some(schedule =>
+        Object.values(schedule.assignments || {}).some(days => Object.values(days).includes(code))
+    );
+    const message = inUse
+        ? `「${def.name}」はシフト表で使われています。削除すると表示されなくなります。削除しますか？`
+        : `「${def.name}」を削除しますか？`;
+    if (!confirm(message)) return;
+
+    saveShiftMaster(mergeShiftMaster(settings.shiftTypes).filter(d => d.code !== code));
+}
+
 // ===== データのエクスポート・インポート =====
 function initDataActions() {
     // エクスポート（書き出し）
@@ -880,6 +3209,7 @@ function initDataActions() {
         const data = {
             staff: staffList,
             schedules: schedules,
+            settings: settings,
             exportDate: new Date().toISOString()
         };
 
@@ -906,12 +3236,40 @@ function initDataActions() {
             try {
                 const data = JSON.parse(event.target.result);
                 if (data.staff && Array.isArray(data.staff)) {
+                    // シフト表か確定の状態が変わる期間
+                    const newSchedules = data.schedules || schedules;
+                    const changedKeys = [...new Set([...Object.keys(schedules), ...Object.keys(newSchedules)])].filter(key => {
+                        const state = (schedule) => JSON.stringify({ ...getScheduleState(schedule), finalized: schedule?.finalized || null });
+                        return state(schedules[key]) !== state(newSchedules[key]);
+                    });
+                    // 確定済みの期間は上書きしない（確定を解除してから読み込む）
+                    const lockedKeys = changedKeys.filter(key => schedules[key] && isFinalized(schedules[key])).sort();
+                    if (lockedKeys.length > 0) {
+                        alert(`確定済みの期間（${lockedKeys.join('、')}）の表が変わるため読み込めません。読み込むにはその期間の「確定を解除」をしてください。`);
+                        return;
+                    }
                     if (confirm('現在のデータを上書きします。よろしいですか？')) {
+                        // シフト表が変わる期間ごとに履歴を残す（スタッフと施設設定は戻せない）
+                        const previousLogs = {};
+                        changedKeys.forEach(key => {
+                            recordHistory('インポート', key, false);
+                            previousLogs[key] = schedules[key]?.changeLog;
+                        });
                         staffList = data.staff;
                         if (data.schedules) schedules = data.schedules;
+                        // 変更記録は読み込んだ表に残す（確定したことのある期間は、読み込んだ表に記録がなければこれまでの記録を引き継ぐ）
+                        changedKeys.forEach(key => {
+                            const schedule = schedules[key];
+                            if (schedule && !schedule.changeLog && previousLogs[key]) schedule.changeLog = previousLogs[key];
+                            logChange('インポート', key);
+                        });
+                        if (data.settings) settings = { ...DEFAULT_SETTINGS, ...data.settings };
                         migrateStaffData(); // インポートしたデータも移行
                         saveStaff();
                         saveSchedules();
+                        saveSettings();
+                        applyShiftMaster(settings.shiftTypes);
+                        renderSettingsForm();
                         renderStaffList();
                         renderSchedule();
                         alert('データを読み込みました！');
@@ -0,0 +1,167 @@
+// ===== 公休表の自動生成（コマンドライン） =====
+// アプリでエクスポートしたJSON（user_data.json と同じ形）を読み、指定した期間を自動生成して書き出す
+//
+// 使い方:
+//   node cli.js <入力JSON> <年> <月> [-o 出力JSON] [--seed シード] [--force] [--exact | --improve] [--time 秒]
+//   例: node cli.js user_data.json 2026 4 -o out.json
+//
+//   年・月は期間の開始月（2026 4 なら 2026年4月16日〜5月15日）
+//   -o を省略すると標準出力に書き出す。注意点（警告）とスコアは標準エラーに出す
+//   公休を目標どおり取ると人数が足りないときは、生成の前にその理由（人数の見通し）も標準エラーに出す
+//   確定済みの期間は --force をつけたときだけ作り直す
+//   --exact は厳密モード（--time で制限時間を変える）。ルールをすべて守る表がなければ何も書き出さずに終了コード2で終わる
+//   --improve はファイルに入っている期間の表を焼きなまし法で改善する（--time で制限時間を変える）
+
+const fs = require('fs');
+const path = require('path');
+const {
+    buildPeriodInput, generatePeriod, solvePeriod, improvePeriod, diagnosePeriod, getPeriodKey, periodDayToDate
+} = require('./scheduler.js');
+
+function usage(message) {
+    if (message) console.error(message);
+    console.error('使い方: node cli.js <入力JSON> <年> <月> [-o 出力JSON] [--seed シード] [--force] [--exact | --improve] [--time 秒]');
+    process.exit(1);
+}
+
+/**
+ * コマンドラインの引数を読む
+ */
+function parseArgs(argv) {
+    const args = { positional: [], output: null, seed: undefined, force: false, exact: false, improve: false, timeLimit: undefined };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-o' || arg === '--output') {
+            args.output = argv[++i];
+        } else if (arg === '--seed') {
+            args.seed = parseInt(argv[++i]);
+            if (!(args.seed > 0)) usage('シードは1以上の整数で指定してください');
+        } else if (arg === '--force') {
+            args.force = true;
+        } else if (arg === '--exact') {
+            args.exact = true;
+        } else if (arg === '--improve') {
+            args.improve = true;
+        } else if (arg === '--time') {
+            const seconds = parseFloat(argv[++i]);
+            if (!(seconds > 0)) usage('制限時間は秒で指定してください');
+            args.timeLimit = seconds * 1000;
+        } else if (arg === '-h' || arg === '--help') {
+            usage();
+        } else {
+            args.positional.push(arg);
+        }
+    }
+    return args;
+}
+
+/**
+ * 注意点を1行の文字にする（画面の文章は app.js の formatWarning。ここでは種類と数値だけ）
+ */
+function describeWarning(warning, input, staffNames) {
+    const parts = [`[${warning.severity}]`, warning.type];
+    if (warning.staffId) parts.push(staffNames[warning.staffId] || warning.staffId);
+    if (warning.day) {
+        const date = periodDayToDate(input.year, input.month, warning.day);
+        parts.push(`${date.month}/${date.day}`);
+    }
+    if (warning.checkpoint) parts.push(warning.checkpoint);
+    if (warning.checkpoints) parts.push(warning.checkpoints.join('+'));
+    if (warning.qualification) parts.push(warning.qualification);
+    if (warning.unit) parts.push(warning.unit);
+    if (warning.status) parts.push(warning.status);
+    if (warning.count !== undefined) {
+        const limit = warning.required ?? warning.target ?? warning.max;
+        parts.push(limit !== undefined ? `${warning.count}/${limit}` : String(warning.count));
+    }
+    if (warning.shortage) parts.push(`不足${warning.shortage}`);
+    return parts.join(' ');
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.positional.length !== 3) usage();
+    if (args.exact && args.improve) usage('--exact と --improve は同時に指定できません');
+
+    const [file, yearArg, monthArg] = args.positional;
+    const year = parseInt(yearArg);
+    const month = parseInt(monthArg);
+    if (!(year > 0) || !(month >= 1 && month <= 12)) usage('年と月を正しく指定してください');
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    } catch (e) {
+        usage(`${file} を読み込めませんでした: ${e.message}`);
+    }
+    if (!Array.isArray(data.staff) || data.staff.length === 0) usage('スタッフが登録されていないファイルです');
+
+    const key = getPeriodKey(year, month);
+    data.schedules = data.schedules || {};
+    const schedule = data.schedules[key] || { requests: {}, assignments: {} };
+    if (schedule.finalized && !args.force) {
+        usage(`${key} は確定済みです。作り直す場合は --force をつけてください`);
+    }
+
+    const input = { ...buildPeriodInput(data, year, month), seed: args.seed, timeLimit: args.timeLimit };
+    const staffNames = {};
+    data.staff.forEach(s => { staffNames[s.id] = s.name; });
+
+    // 人数の見通し（公休を目標どおり取ると足りないときは、生成の前に理由を出す）
+    const diagnosis = diagnosePeriod(input);
+    if (diagnosis.length > 0) {
+        console.error(`${key}: 公休を目標どおり取ると人数が足りません`);
+        diagnosis.forEach(w => console.error('  ' + describeWarning(w, input, staffNames)));
+    }
+
+    if (args.exact) {
+        const result = solvePeriod(input);
+        console.error(`${key}: 厳密モード ${result.status}（${result.nodes}ノード・${result.elapsed}ms）`);
+        if (!result.assignments) {
+            if (result.conflict) console.error('  ' + JSON.stringify(result.conflict));
+            process.exit(2);
+        }
+        // アプリの厳密モードと同じく、シードでは作り直せないので前回のシードは消す
+        const { seed, candidateIndex, ...rest } = schedule;
+        data.schedules[key] = { ...rest, assignments: result.assignments };
+        write(data, args.output);
+        console.error(`スコア ${result.score}（目的の減点 ${result.cost}）`);
+        result.warnings.forEach(w => console.error('  ' + describeWarning(w, input, staffNames)));
+        return;
+    }
+
+    if (args.improve) {
+        const hasAssignments = Object.values(schedule.assignments || {}).some(a => Object.keys(a || {}).length > 0);
+        if (!hasAssignments) usage(`${key} にはシフトが入っていません。先に自動生成してください`);
+        const result = improvePeriod({ ...input, assignments: schedule.assignments });
+        // 手で直したあとと同じく、シード・選んだ候補はそのまま残す
+        data.schedules[key] = { ...schedule, assignments: result.assignments };
+        write(data, args.output);
+        console.error(`${key}: 改善 スコア ${result.startScore} → ${result.score}（${result.moves}回・${result.elapsed}ms）`);
+        result.warnings.forEach(w => console.error('  ' + describeWarning(w, input, staffNames)));
+        return;
+    }
+
+    const result = generatePeriod(input);
+
+    // アプリの「自動で作成」と同じく、割り当て・シード・選んだ候補を保存する（希望・固定セル・版はそのまま）
+    data.schedules[key] = { ...schedule, assignments: result.assignments, seed: result.seed, candidateIndex: 0 };
+    write(data, args.output);
+
+    console.error(`${key}: スコア ${result.score}（シード ${result.seed}）`);
+    result.warnings.forEach(w => console.error('  ' + describeWarning(w, input, staffNames)));
+}
+
+/**
+ * JSON をファイル（省略時は標準出力）に書き出す
+ */
+function write(data, output) {
+    const json = JSON.stringify(data, null, 2);
+    if (output) {
+        fs.writeFileSync(path.resolve(output), json + '\n');
+    } else {
+        process.stdout.write(json + '\n');
+    }
+}
+
+main();
@@ -0,0 +1,68 @@
+// ===== 自動スケジュール生成の Web Worker =====
+// 画面が固まらないよう、別スレッドで試行を1回ずつ進めて進捗を送る
+// メッセージ:
+//   受信 { type: 'generate', input }（input は generatePeriod の入力） / { type: 'solve', input }（厳密モード）
+//        { type: 'improve', input }（改善。input.assignments を直す） / { type: 'cancel' }
+//   送信 { type: 'progress', ... }（generate は trial, total, bestScore と仕上げの間は finish / solve は nodes, elapsed, timeLimit, bestCost と手がかりの表を作る間は hint
+//        / improve は moves, elapsed, timeLimit, startScore, bestScore）
+//        { type: 'done', result, cancelled } / { type: 'error', message }
+
+// 画面と同じ版の scheduler.js を読む（app.js が Worker の URL につけた ?v= をそのまま渡す）
+importScripts(`scheduler.js${self.location.search}`);
+
+// 実行中の生成（steps: generatePeriodTrials・solvePeriodSteps・improvePeriodSteps のジェネレーター / lastResult: その時点の最良の結果）
+let running = null;
+
+// メッセージの種類ごとのジェネレーター
+const STEPS = {
+    generate: generatePeriodTrials,
+    solve: solvePeriodSteps,
+    improve: improvePeriodSteps
+};
+
+self.onmessage = (e) => {
+    const msg = e.data;
+
+    if (STEPS[msg.type]) {
+        // 実行中に次の生成が来たら置き換える（前の生成の step は running が自分でなくなったのを見て止まる）
+        const job = {
+            steps: STEPS[msg.type](msg.input),
+            lastResult: null
+        };
+        running = job;
+        setTimeout(() => step(job), 0);
+    } else if (msg.type === 'cancel') {
+        if (!running) return;
+        // 中止してもそれまでの最良の結果を返す（1回も終わっていなければnull）
+        const result = running.lastResult;
+        running = null;
+        self.postMessage({ type: 'done', result: result, cancelled: true });
+    }
+};
+
+/**
+ * 1試行（厳密モードは EXACT_STEP_NODES ノード、改善は IMPROVE_STEP_MOVES 回）だけ進める
+ * 合間に setTimeout で区切るので、その間に中止メッセージを受け取れる
+ * @param {Object} job - 進める生成（running が別の生成に変わっていたら何もしない）
+ */
+function step(job) {
+    if (running !== job) return; // 中止済み・次の生成に置き換えた
+
+    try {
+        const next = job.steps.next();
+        if (next.done) {
+            running = null;
+            self.postMessage({ type: 'done', result: next.value, cancelled: false });
+            return;
+        }
+        const { result, ...progress } = next.value;
+        job.lastResult = result;
+        self.postMessage({ type: 'progress', ...progress });
+    } catch (err) {
+        running = null;
+        self.postMessage({ type: 'error', message: err.message });
+        return;
+    }
+
+    setTimeout(() => step(job), 0);
+}
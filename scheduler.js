@@ -11,73 +11,472 @@ const SHIFT_TYPES = {
     NIGHT_OFF: 'nightOff', // 明け（夜勤翌日）
     OFF: 'off',           // 休み
     OVERTIME: 'overtime', // 通し（早残）→ 表示「A残」
-    PART: 'part'          // パート（個別時間）→ 表示「P」
+    PART: 'part',         // パート（個別時間）→ 表示「P」
+    PAID: 'paid',         // 有給 → 表示「有」（公休には数えない）
+    TRAINING: 'training', // 研修 → 表示「研」（出勤扱いだが人数には数えない）
+    ABSENT: 'absent'      // 在籍外・休職 → 表示「－」（入職前・退職後・産休などの日。出勤にも公休にも数えない）
 };
 
 /**
- * シフトの表示名
+ * 日ごとの希望の種類（希望入力カレンダーで選ぶ）
  */
-const SHIFT_LABELS = {
-    [SHIFT_TYPES.EARLY]: 'A',
-    [SHIFT_TYPES.LATE]: 'B',
-    [SHIFT_TYPES.NIGHT]: '夜',
-    [SHIFT_TYPES.NIGHT_OFF]: '明',
-    [SHIFT_TYPES.OFF]: '休',
-    [SHIFT_TYPES.OVERTIME]: 'A残',
-    [SHIFT_TYPES.PART]: 'P'
+const REQUEST_TYPES = {
+    OFF: 'off',           // 希望休（絶対） → 必ず休みにする
+    WISH_OFF: 'wishOff',  // 希望休（できれば） → 人数が足りない日は公平な順番で出勤にする
+    PAID: 'paid',         // 有給 → 有を入れる
+    WORK: 'work',         // 勤務希望 → 必ず出勤にする
+    DAY_ONLY: 'dayOnly',  // A/Bのみ → 出勤するならA・B（夜勤・A残・追加シフトにしない）
+    NO_NIGHT: 'noNight',  // 夜勤不可 → その日に夜勤を入れない
+    TRAINING: 'training', // 研修 → 研を入れる
+    ABSENT: 'absent'      // 在籍外・休職 → －を入れる（カレンダーでは選ばない。スタッフの在籍期間・休職から作る）
+};
+
+const REQUEST_LABELS = {
+    off: '絶対休',
+    wishOff: 'できれば休',
+    paid: '有給',
+    work: '勤務希望',
+    dayOnly: 'A/Bのみ',
+    noNight: '夜勤不可',
+    training: '研修'
 };
 
 /**
- * フルタイムのシフト時間（固定）
- * 時刻は分単位に変換して判定に使う
+ * スタッフの希望を「日→種類」の形で取得
+ * 以前の形式（希望休の日の配列）もそのまま読める
  */
-const SHIFT_TIME_RANGES = {
-    [SHIFT_TYPES.EARLY]: { start: 420, end: 960 },       // 7:00〜16:00
-    [SHIFT_TYPES.LATE]: { start: 570, end: 1110 },       // 9:30〜18:30
-    [SHIFT_TYPES.OVERTIME]: { start: 420, end: 1110 },   // 7:00〜18:30
-    [SHIFT_TYPES.NIGHT]: { start: 1020, end: 1440 },     // 夜勤入り 17:00〜（夕方にいる人としてカウント）
-    [SHIFT_TYPES.NIGHT_OFF]: { start: 0, end: 540 },     // 明け 〜9:00（朝にいる人としてカウント）
-    // Pシフトの時間は動的（スタッフの設定による）なのでここには静的に持たない
-};
+function getStaffRequests(requests, staffId) {
+    const raw = (requests || {})[staffId];
+    if (!raw) return {};
+    if (Array.isArray(raw)) {
+        const result = {};
+        raw.forEach(day => { result[day] = REQUEST_TYPES.OFF; });
+        return result;
+    }
+    return raw;
+}
 
 /**
- * 表示用シフト時間テキスト
+ * 過去の期間で「できれば」の希望休が通った・通らなかった回数（公平な順番決めに使う）
+ * @param {Object} schedules - 期間キー（YYYY-MM）→シフト表
+ * @returns {Object} スタッフID→{ granted, denied }
  */
-const SHIFT_TIMES = {
-    [SHIFT_TYPES.EARLY]: '7:00〜16:00',
-    [SHIFT_TYPES.LATE]: '9:30〜18:30',
-    [SHIFT_TYPES.OVERTIME]: '7:00〜18:30',
-    [SHIFT_TYPES.NIGHT]: '夜勤',
-    [SHIFT_TYPES.NIGHT_OFF]: '明け',
-    [SHIFT_TYPES.OFF]: '休み',
-    [SHIFT_TYPES.PART]: '設定時間'
-};
+function getWishOffHistory(schedules, year, month) {
+    const currentKey = getPeriodKey(year, month);
+    const history = {};
+    Object.keys(schedules || {}).forEach(key => {
+        if (key >= currentKey) return;
+        const schedule = schedules[key];
+        Object.keys(schedule.requests || {}).forEach(staffId => {
+            const assignments = schedule.assignments?.[staffId];
+            if (!assignments) return;
+            const staffRequests = getStaffRequests(schedule.requests, staffId);
+            Object.keys(staffRequests).forEach(day => {
+                if (staffRequests[day] !== REQUEST_TYPES.WISH_OFF || !assignments[day]) return;
+                if (!history[staffId]) history[staffId] = { granted: 0, denied: 0 };
+                if (assignments[day] === SHIFT_TYPES.OFF) history[staffId].granted++;
+                else history[staffId].denied++;
+            });
+        });
+    });
+    return history;
+}
+
+/**
+ * シフトマスタの初期値（施設設定の「シフトマスタ」で編集できる）
+ * code: 内部コード（組み込みシフトは SHIFT_TYPES の値）
+ * label: 表の表示名 / name: 説明
+ * start, end: 勤務時間 "HH:MM"（休み・パートは空。パートはスタッフごとの時間を使う）
+ * isWork: 出勤日として数えるか（連勤・出勤目標の計算に使う）
+ * builtin: 組み込みシフト（削除不可・自動生成の各フェーズで役割が決まっている）
+ * 追加シフトのみ: color（表示色）、autoAssign（自動作成の人数救済で使ってよいか）
+ */
+const DEFAULT_SHIFT_MASTER = [
+    { code: SHIFT_TYPES.EARLY, label: 'A', name: '早出', start: '07:00', end: '16:00', isWork: true, builtin: true },
+    { code: SHIFT_TYPES.LATE, label: 'B', name: '遅出', start: '09:30', end: '18:30', isWork: true, builtin: true },
+    { code: SHIFT_TYPES.NIGHT, label: '夜', name: '夜勤', start: '17:00', end: '24:00', isWork: true, builtin: true },
+    { code: SHIFT_TYPES.NIGHT_OFF, label: '明', name: '明け', start: '00:00', end: '09:00', isWork: false, builtin: true },
+    { code: SHIFT_TYPES.OFF, label: '休', name: '休み', start: '', end: '', isWork: false, builtin: true },
+    { code: SHIFT_TYPES.OVERTIME, label: 'A残', name: '早残', start: '07:00', end: '18:30', isWork: true, builtin: true },
+    { code: SHIFT_TYPES.PART, label: 'P', name: 'パート（個別時間）', start: '', end: '', isWork: true, builtin: true },
+    { code: SHIFT_TYPES.PAID, label: '有', name: '有給', start: '', end: '', isWork: false, builtin: true },
+    { code: SHIFT_TYPES.TRAINING, label: '研', name: '研修', start: '', end: '', isWork: true, builtin: true },
+    { code: SHIFT_TYPES.ABSENT, label: '－', name: '在籍外・休職', start: '', end: '', isWork: false, builtin: true }
+];
+
+/**
+ * 現在有効なシフト定義（applyShiftMaster でシフトマスタから作り直す）
+ * SHIFT_DEFS: コード→定義 / SHIFT_LABELS: 表示名 / SHIFT_TIME_RANGES: 勤務時間（分単位） / SHIFT_TIMES: 表示用時間
+ * Pシフトの時間は動的（スタッフの設定による）なので SHIFT_TIME_RANGES には持たない
+ */
+const SHIFT_DEFS = {};
+const SHIFT_LABELS = {};
+const SHIFT_TIME_RANGES = {};
+const SHIFT_TIMES = {};
+
+/**
+ * 保存されたシフトマスタを初期値とマージする
+ * 組み込みシフトが欠けていれば初期値で補い、追加シフトはそのまま後ろに並べる
+ */
+function mergeShiftMaster(shiftTypes) {
+    const saved = Array.isArray(shiftTypes) ? shiftTypes : [];
+    const builtins = DEFAULT_SHIFT_MASTER.map(def => {
+        const override = saved.find(st => st.code === def.code);
+        // 組み込みシフトは表示名と時間だけ上書きを受け付ける
+        return override ? { ...def, label: override.label || def.label, start: override.start ?? def.start, end: override.end ?? def.end } : { ...def };
+    });
+    const customs = saved.filter(st => !DEFAULT_SHIFT_MASTER.some(def => def.code === st.code))
+        .map(st => ({ ...st, builtin: false }));
+    return [...builtins, ...customs];
+}
+
+/**
+ * シフトマスタを有効化する（SHIFT_DEFS などを作り直す）
+ * settings を受け取る公開関数は、はじめに settings.shiftTypes でこれを呼ぶ（ジェネレーターは yield から戻るたびにも呼ぶ）ので、
+ * 施設ごとに違うマスタで続けて呼んでも前に使ったマスタは残らない。settings を受け取らない補助関数は最後に有効化したマスタを使う
+ * @returns {Array} マージ後のシフトマスタ
+ */
+function applyShiftMaster(shiftTypes) {
+    const master = mergeShiftMaster(shiftTypes);
+    [SHIFT_DEFS, SHIFT_LABELS, SHIFT_TIME_RANGES, SHIFT_TIMES].forEach(obj => {
+        Object.keys(obj).forEach(key => delete obj[key]);
+    });
+    master.forEach(def => {
+        SHIFT_DEFS[def.code] = def;
+        SHIFT_LABELS[def.code] = def.label;
+        const start = timeToMinutes(def.start);
+        let end = timeToMinutes(def.end);
+        if (start !== null && end !== null) {
+            // 日をまたぐシフトは当日分（開始〜24:00）だけを数える
+            if (end <= start) end = 1440;
+            SHIFT_TIME_RANGES[def.code] = { start: start, end: end };
+            SHIFT_TIMES[def.code] = `${def.start.replace(/^0(\d)/, '$1')}〜${def.end.replace(/^0(\d)/, '$1')}`;
+        } else {
+            SHIFT_TIMES[def.code] = def.code === SHIFT_TYPES.PART ? '設定時間' : def.name;
+        }
+    });
+    // 夜勤・明けは時刻ではなく名前で表示する
+    SHIFT_TIMES[SHIFT_TYPES.NIGHT] = '夜勤';
+    SHIFT_TIMES[SHIFT_TYPES.NIGHT_OFF] = '明け';
+    return master;
+}
+
+/**
+ * 出勤日として数えるシフトかどうか（休み・明け・未設定はfalse）
+ */
+function isWorkShift(shift) {
+    if (!shift) return false;
+    const def = SHIFT_DEFS[shift];
+    return def ? def.isWork : false;
+}
 
 /**
  * 時間帯チェック：必要人数を確認する時刻（分単位）
- * sundayMin: 日曜の許容最低値（月2-3回まで3人OK）
+ * id: 時間帯の識別子（フェーズ4の朝・昼・夕の判定に使う）
+ * requiredKey / sundayMinKey: 施設設定（settings）で必要人数を持つキー
+ * 実際の必要人数は getCheckpoints(settings) で設定値を反映して取得すること
  */
 const TIME_CHECKPOINTS = [
-    { label: '朝(7:00)', minutes: 420, required: 4, sundayRequired: 4, sundayMin: 3 },
-    { label: '昼(10:00)', minutes: 600, required: 4, sundayRequired: 4, sundayMin: 3 },
-    { label: '夕(17:45)', minutes: 1065, required: 4, sundayRequired: 4, sundayMin: 4 }
+    { id: 'morning', label: '朝(7:00)', minutes: 420, requiredKey: 'morningRequired', sundayMinKey: 'sundayMorningMin' },
+    { id: 'noon', label: '昼(10:00)', minutes: 600, requiredKey: 'noonRequired', sundayMinKey: 'sundayNoonMin' },
+    { id: 'evening', label: '夕(17:45)', minutes: 1065, requiredKey: 'eveningRequired', sundayMinKey: 'sundayEveningMin' }
 ];
-const MAX_SUNDAY_REDUCED = 3; // 日曜の朝昼を3人にできる最大回数/月
 const MAX_OT_PER_PERSON = 6; // A残の1人あたり月間上限（絶対）
 
 /**
- * デフォルトの設定値
+ * スタッフの資格（staff.qualifications に id の配列で持つ）
+ * 施設設定の skillRequirements で、時間帯・夜勤ごとに資格を持つ人の最低人数を決められる
+ */
+const QUALIFICATIONS = [
+    { id: 'careWorker', label: '介護福祉士' },
+    { id: 'nurse', label: '看護師' },
+    { id: 'leader', label: 'リーダー' }
+];
+
+/**
+ * デフォルトの設定値（施設設定画面で上書きされる）
  */
 const DEFAULT_SETTINGS = {
-    earlyRequired: 3,        // 平日の早番必要人数（夜勤明け1人と合わせて朝4人）
-    lateRequired: 3,         // 平日の遅番必要人数（夜勤入り1人と合わせて夕方4人）
+    morningRequired: 4,      // 朝(7:00)の必要人数（夜勤明け1人を含む）
+    noonRequired: 4,         // 昼(10:00)の必要人数
+    eveningRequired: 4,      // 夕(17:45)の必要人数（夜勤入り1人を含む）
+    sundayMorningMin: 3,     // 日曜の朝の緩和後の最低人数
+    sundayNoonMin: 3,        // 日曜の昼の緩和後の最低人数
+    sundayEveningMin: 4,     // 日曜の夕の緩和後の最低人数（4なら緩和なし）
+    maxSundayReduced: 3,     // 日曜の緩和を使える最大回数/月
     nightRequired: 1,        // 夜勤必要人数
-    sundayEarlyRequired: 3,  // 日曜の早番必要人数（夜勤明け1人と合わせて朝4人）
-    sundayLateRequired: 2,   // 日曜の遅番必要人数（夜勤入り1人と合わせて夕方3人）
     sundayNightRequired: 1,  // 日曜の夜勤必要人数
-    maxConsecutive: 5        // デフォルトの最大連勤日数
+    maxConsecutive: 5,       // デフォルトの最大連勤日数
+    skillRequirements: {},   // 資格者の最低人数（時間帯のID または 'night' → 資格のID → 人数。例: { night: { careWorker: 1 } }）
+    units: [],               // ユニット（フロア）。[{ id, name, required: { 時間帯のID: 人数 } }]（空なら施設全体で1つ）
+    shiftTypes: DEFAULT_SHIFT_MASTER // シフトマスタ
 };
 
+applyShiftMaster(DEFAULT_SHIFT_MASTER);
+
+/**
+ * 設定値を反映した時間帯チェックポイントを取得
+ * required: 必要人数 / sundayMin: 日曜の緩和時の最低人数（required以下に丸める）
+ * ユニットがあるときは、施設全体の人数をユニットの必要人数の合計より下げない（ユニットの人数に日曜の緩和はない）
+ */
+function getCheckpoints(settings) {
+    const s = { ...DEFAULT_SETTINGS, ...settings };
+    return TIME_CHECKPOINTS.map(cp => {
+        const unitTotal = (s.units || []).reduce((sum, unit) => sum + (unit.required?.[cp.id] || 0), 0);
+        const required = Math.max(s[cp.requiredKey], unitTotal);
+        return { ...cp, required: required, sundayMin: Math.max(Math.min(s[cp.sundayMinKey], required), unitTotal) };
+    });
+}
+
+/**
+ * 指定日の夜勤必要人数を取得
+ */
+function getNightRequired(year, month, day, settings) {
+    const s = { ...DEFAULT_SETTINGS, ...settings };
+    return isSunday(year, month, day) ? s.sundayNightRequired : s.nightRequired;
+}
+
+/**
+ * 資格者の最低人数を一覧にする（0人の組み合わせは含めない）
+ * @returns {Array} [{ slot, label, qualification, qualificationLabel, minutes, required }]
+ *   slot: 時間帯のID または 'night'（夜勤）/ minutes: 時間帯の時刻（夜勤は null）
+ */
+function getSkillRequirements(settings) {
+    const s = { ...DEFAULT_SETTINGS, ...settings };
+    const slots = [...getCheckpoints(s), { id: 'night', label: '夜勤', minutes: null }];
+    const result = [];
+    slots.forEach(slot => {
+        QUALIFICATIONS.forEach(q => {
+            const required = (s.skillRequirements || {})[slot.id]?.[q.id] || 0;
+            if (required <= 0) return;
+            result.push({
+                slot: slot.id, label: slot.label, qualification: q.id, qualificationLabel: q.label,
+                minutes: slot.minutes, required: required
+            });
+        });
+    });
+    return result;
+}
+
+/**
+ * スタッフがその資格を持っているか
+ */
+function hasQualification(staff, qualification) {
+    return (staff.qualifications || []).includes(qualification);
+}
+
+/**
+ * スタッフが最低人数の条件の対象か（資格者の条件は資格を持つ人、ユニットの条件はそのユニットに入れる人）
+ */
+function matchesRequirement(staff, requirement) {
+    return requirement.unit ? canWorkInUnit(staff, requirement.unit) : hasQualification(staff, requirement.qualification);
+}
+
+/**
+ * このシフトで最低人数に数えるか（条件の対象で、その時間帯にいる・夜勤に入っている）
+ */
+function countsForSkill(staff, shift, requirement) {
+    if (!matchesRequirement(staff, requirement)) return false;
+    if (requirement.slot === 'night') return shift === SHIFT_TYPES.NIGHT;
+    return isStaffPresentAt(staff, shift, requirement.minutes);
+}
+
+/**
+ * 指定日に資格者が何人いるかを数える
+ */
+function countSkillAt(staffList, allAssignments, day, requirement) {
+    return staffList.filter(staff => countsForSkill(staff, allAssignments[staff.id]?.[day], requirement)).length;
+}
+
+/**
+ * 期間全体の資格者の人数を判定する（日曜の緩和はない）
+ * @returns {Array} 日ごとの判定 [{ day, requirements: [{ requirement, count, required, ok }] }]（最低人数の設定がなければ空）
+ */
+function evaluateSkillCoverage(staffList, allAssignments, year, month, settings) {
+    applyShiftMaster({ ...DEFAULT_SETTINGS, ...settings }.shiftTypes);
+    const requirements = getSkillRequirements(settings);
+    if (requirements.length === 0) return [];
+    const result = [];
+    for (let day = 1; day <= getDaysInMonth(year, month); day++) {
+        result.push({
+            day: day,
+            requirements: requirements.map(requirement => {
+                const count = countSkillAt(staffList, allAssignments, day, requirement);
+                return { requirement: requirement, count: count, required: requirement.required, ok: count >= requirement.required };
+            })
+        });
+    }
+    return result;
+}
+
+/**
+ * ユニット（フロア）の一覧（施設設定の units。なければ空）
+ */
+function getUnits(settings) {
+    return { ...DEFAULT_SETTINGS, ...settings }.units || [];
+}
+
+/**
+ * スタッフがそのユニットに入れるか（所属ユニットと応援に行けるユニット。所属がなければどこにでも入れる）
+ */
+function canWorkInUnit(staff, unitId) {
+    return !staff.unit || staff.unit === unitId || (staff.floatUnits || []).includes(unitId);
+}
+
+/**
+ * スタッフが入れるユニットのIDを返す（所属ユニットが先頭）
+ */
+function getStaffUnits(staff, settings) {
+    const ids = getUnits(settings).map(unit => unit.id).filter(id => canWorkInUnit(staff, id));
+    return ids.includes(staff.unit) ? [staff.unit, ...ids.filter(id => id !== staff.unit)] : ids;
+}
+
+/**
+ * ユニットごとの時間帯の必要人数を一覧にする（0人は含めない）
+ * 資格者の最低人数と同じ形。生成・改善・厳密モードでは、そのユニットに入れる人（所属・応援）の人数として数える
+ * @returns {Array} [{ slot, label, unit, unitLabel, minutes, required }]
+ */
+function getUnitRequirements(settings) {
+    const result = [];
+    getUnits(settings).forEach(unit => {
+        TIME_CHECKPOINTS.forEach(cp => {
+            const required = unit.required?.[cp.id] || 0;
+            if (required <= 0) return;
+            result.push({ slot: cp.id, label: cp.label, unit: unit.id, unitLabel: unit.name, minutes: cp.minutes, required: required });
+        });
+    });
+    return result;
+}
+
+/**
+ * 生成・改善・厳密モードで守る最低人数の条件（資格者とユニット）
+ */
+function getMemberRequirements(settings) {
+    return [...getSkillRequirements(settings), ...getUnitRequirements(settings)];
+}
+
+const UNIT_PLACEMENT_LIMIT = 256; // 応援に行ける人の置き方をすべて試す上限（超えたら1人ずつ足りないユニットに置く）
+
+/**
+ * 指定日に、出勤している人をどのユニットに置くかを決める
+ * 入れるユニットが1つの人はそこに、応援に行ける人・所属のない人は、ユニットの人数の不足が最も少なくなるように置く
+ * （同じ不足なら所属ユニットに多く残す）。表には持たず、シフトからいつも同じ結果を求める
+ * @returns {Object} { staffId: unitId }（その日どの時間帯にもいない人は含めない）
+ */
+function placeUnitsOnDay(staffList, allAssignments, day, settings) {
+    const units = getUnits(settings);
+    const requirements = units.map(unit => TIME_CHECKPOINTS.map(cp => unit.required?.[cp.id] || 0));
+    const counts = units.map(() => TIME_CHECKPOINTS.map(() => 0));
+    const placed = {};
+    const movable = [];
+    staffList.forEach(staff => {
+        const shift = allAssignments[staff.id]?.[day];
+        const presence = TIME_CHECKPOINTS.map(cp => isStaffPresentAt(staff, shift, cp.minutes));
+        if (!presence.some(Boolean)) return;
+        const options = getStaffUnits(staff, settings).map(id => units.findIndex(unit => unit.id === id));
+        if (options.length === 0) return;
+        if (options.length === 1) {
+            placed[staff.id] = units[options[0]].id;
+            presence.forEach((present, c) => { if (present) counts[options[0]][c]++; });
+        } else {
+            movable.push({ staff: staff, presence: presence, options: options });
+        }
+    });
+
+    const add = (member, u, delta) => member.presence.forEach((present, c) => { if (present) counts[u][c] += delta; });
+    const deficit = () => counts.reduce((sum, row, u) =>
+        sum + row.reduce((s2, count, c) => s2 + Math.max(0, requirements[u][c] - count), 0), 0);
+    const away = (member, u) => (member.staff.unit && units[u].id !== member.staff.unit ? 1 : 0);
+
+    const combinations = movable.reduce((product, member) => product * member.options.length, 1);
+    let best = null;
+    if (combinations <= UNIT_PLACEMENT_LIMIT) {
+        // すべての置き方を試す
+        const choice = [];
+        const search = (i, moved) => {
+            if (i === movable.length) {
+                const cost = deficit();
+                if (!best || cost < best.cost || (cost === best.cost && moved < best.moved)) {
+                    best = { cost: cost, moved: moved, choice: [...choice] };
+                }
+                return;
+            }
+            movable[i].options.forEach(u => {
+                add(movable[i], u, 1);
+                choice[i] = u;
+                search(i + 1, moved + away(movable[i], u));
+                add(movable[i], u, -1);
+            });
+        };
+        search(0, 0);
+    } else {
+        // 多すぎるときは、1人ずつ不足が最も減るユニットに置く
+        const choice = movable.map(member => {
+            let bestUnit = member.options[0];
+            let bestCost = Infinity;
+            member.options.forEach(u => {
+                add(member, u, 1);
+                const cost = deficit() * 2 + away(member, u);
+                add(member, u, -1);
+                if (cost < bestCost) { bestCost = cost; bestUnit = u; }
+            });
+            add(member, bestUnit, 1);
+            return bestUnit;
+        });
+        best = { choice: choice };
+    }
+    movable.forEach((member, i) => { placed[member.staff.id] = units[best.choice[i]].id; });
+    return placed;
+}
+
+/**
+ * 期間全体で、出勤している人をどのユニットに置くかを決める（placeUnitsOnDay を日ごとに）
+ * @returns {Object} { staffId: { day: unitId } }（ユニットがなければ空）
+ */
+function placeUnits(staffList, allAssignments, year, month, settings) {
+    applyShiftMaster({ ...DEFAULT_SETTINGS, ...settings }.shiftTypes);
+    const result = {};
+    if (getUnits(settings).length === 0) return result;
+    staffList.forEach(staff => { result[staff.id] = {}; });
+    for (let day = 1; day <= getDaysInMonth(year, month); day++) {
+        const placed = placeUnitsOnDay(staffList, allAssignments, day, settings);
+        Object.keys(placed).forEach(id => { result[id][day] = placed[id]; });
+    }
+    return result;
+}
+
+/**
+ * 指定日のユニットごとの人数を数える（placeUnitsOnDay で置いたとおりに）
+ * @returns {Array} getUnitRequirements と同じ並びの人数
+ */
+function countUnitsOnDay(staffList, allAssignments, day, settings, requirements = getUnitRequirements(settings)) {
+    const placed = placeUnitsOnDay(staffList, allAssignments, day, settings);
+    return requirements.map(r => staffList.filter(staff =>
+        placed[staff.id] === r.unit && isStaffPresentAt(staff, allAssignments[staff.id]?.[day], r.minutes)
+    ).length);
+}
+
+/**
+ * 期間全体のユニットごとの人数を判定する（日曜の緩和はない）
+ * @returns {Array} 日ごとの判定 [{ day, requirements: [{ requirement, count, required, ok }] }]（ユニットがなければ空）
+ */
+function evaluateUnitCoverage(staffList, allAssignments, year, month, settings) {
+    applyShiftMaster({ ...DEFAULT_SETTINGS, ...settings }.shiftTypes);
+    const requirements = getUnitRequirements(settings);
+    if (requirements.length === 0) return [];
+    const result = [];
+    for (let day = 1; day <= getDaysInMonth(year, month); day++) {
+        const counts = countUnitsOnDay(staffList, allAssignments, day, settings, requirements);
+        result.push({
+            day: day,
+            requirements: requirements.map((requirement, i) => ({
+                requirement: requirement, count: counts[i], required: requirement.required, ok: counts[i] >= requirement.required
+            }))
+        });
+    }
+    return result;
+}
+
 /**
  * 時刻文字列（"HH:MM"）を分に変換
  */
@@ -96,6 +495,8 @@ function timeToMinutes(timeStr) {
  */
 function isStaffPresentAt(staff, shift, checkMinutes) {
     if (!shift || shift === SHIFT_TYPES.OFF) return false;
+    // 研修は出勤扱いだが現場の人数には数えない
+    if (shift === SHIFT_TYPES.TRAINING) return false;
 
     // パート個別のPシフトの場合：設定された自身の勤務時間で判定
     if (shift === SHIFT_TYPES.PART && staff.startTime && staff.endTime) {
@@ -184,12 +585,12 @@ function isFriSatSun(year, month, day) {
 
 /**
  * スタッフの連勤日数を計算（指定日を含む過去方向の連続勤務日数）
+ * 前期間の末尾（0, -1, ... のキー）が入っていればそこまで遡る
  */
 function getConsecutiveWorkDays(assignments, day) {
     let count = 0;
-    for (let d = day; d >= 1; d--) {
-        const shift = assignments[d];
-        if (shift && shift !== SHIFT_TYPES.OFF && shift !== SHIFT_TYPES.NIGHT_OFF) {
+    for (let d = day; ; d--) {
+        if (isWorkShift(assignments[d])) {
             count++;
         } else {
             break;
@@ -198,6 +599,46 @@ function getConsecutiveWorkDays(assignments, day) {
     return count;
 }
 
+/**
+ * 前期間から引き継ぐ末尾の日数（連勤・A残連日・夜勤明けの判定に使う）
+ */
+const CARRY_OVER_DAYS = 7;
+
+/**
+ * 指定期間の1つ前の期間を返す
+ */
+function getPreviousPeriod(year, month) {
+    if (month === 1) return { year: year - 1, month: 12 };
+    return { year: year, month: month - 1 };
+}
+
+/**
+ * 前期間の割り当てから末尾 CARRY_OVER_DAYS 日分を取り出す
+ * 今期間の日番号に合わせて 0（前期間の最終日）, -1, -2 ... のキーで返す
+ * @param {Object} previousAssignments - 前期間の割り当て（スタッフID→日→シフト）。なければ空を返す
+ */
+function getPreviousTail(previousAssignments, year, month) {
+    const tail = {};
+    if (!previousAssignments) return tail;
+    const prev = getPreviousPeriod(year, month);
+    const prevDays = getDaysInMonth(prev.year, prev.month);
+    Object.keys(previousAssignments).forEach(staffId => {
+        tail[staffId] = {};
+        for (let i = 0; i < CARRY_OVER_DAYS; i++) {
+            const shift = previousAssignments[staffId]?.[prevDays - i];
+            if (shift) tail[staffId][-i || 0] = shift;
+        }
+    });
+    return tail;
+}
+
+/**
+ * 割り当てに前期間の末尾をつなげたコピーを返す（判定用。保存には使わない）
+ */
+function withPreviousTail(assignments, tailOfStaff) {
+    return { ...(tailOfStaff || {}), ...(assignments || {}) };
+}
+
 /**
  * スタッフの連勤日数を計算（指定日を含む未来方向の連続勤務日数）
  * 夜勤が先に配置されている場合などに、前方の連勤を正確に把握する
@@ -205,9 +646,8 @@ function getConsecutiveWorkDays(assignments, day) {
 function getForwardConsecutiveWorkDays(assignments, day) {
     let count = 0;
     for (let d = day; ; d++) {
-        const shift = assignments[d];
-        if (!shift) break; // 月の範囲外
-        if (shift === SHIFT_TYPES.OFF || shift === SHIFT_TYPES.NIGHT_OFF) break;
+        // 月の範囲外（未設定）・休み・明けで途切れる
+        if (!isWorkShift(assignments[d])) break;
         count++;
     }
     return count;
@@ -278,19 +718,35 @@ function assignShift(staff, allAssignments, day, shiftType, settings, consecutiv
  * 指定日の前日または翌日にA残が入っているかチェック（A残連日禁止用）
  */
 function hasAdjacentOvertime(assignments, day, daysInMonth) {
-    if (day > 1 && assignments[day - 1] === SHIFT_TYPES.OVERTIME) return true;
+    // 1日目は前期間の最終日（キー0）も見る
+    if (assignments[day - 1] === SHIFT_TYPES.OVERTIME) return true;
     if (day < daysInMonth && assignments[day + 1] === SHIFT_TYPES.OVERTIME) return true;
     return false;
 }
 
+/**
+ * 指定日の前後 spacing 日以内に夜勤があるか（夜勤と夜勤の間をあける日数の判定。前期間の末尾も見る）
+ */
+function hasNightWithin(assignments, day, spacing) {
+    for (let k = 1; k <= spacing; k++) {
+        if (assignments[day - k] === SHIFT_TYPES.NIGHT || assignments[day + k] === SHIFT_TYPES.NIGHT) return true;
+    }
+    return false;
+}
+
 /**
  * 指定日にこのスタッフを夜勤に割り当て可能かチェック
+ * 個人の決まり：入れない曜日（曜日ごとの勤務可否）・月の最多回数（staff.maxNights）・夜勤の間をあける日数（staff.nightSpacing）
+ * options.ignoreSpacing: 夜勤の間をあける日数は見ない（誰も入れない日に緩める）
  */
-function canAssignNight(staff, assignments, day, daysInMonth, settings, year, month) {
+function canAssignNight(staff, assignments, day, daysInMonth, settings, year, month, options = {}) {
     const nightType = staff.nightShiftType || (staff.canNightShift ? 'all' : 'none');
     if (nightType === 'none') return false;
     if (staff.type === 'part') return false;
     if (nightType === 'weekday' && isFriSatSun(year, month, day)) return false;
+    if (!isShiftAllowed(staff, year, month, day, SHIFT_TYPES.NIGHT)) return false;
+    if (staff.maxNights && countShiftType(assignments, SHIFT_TYPES.NIGHT, daysInMonth) >= staff.maxNights) return false;
+    if (!options.ignoreSpacing && hasNightWithin(assignments, day, staff.nightSpacing || 0)) return false;
     const shift1 = assignments[day];
     if (shift1 && shift1 !== SHIFT_TYPES.OFF) return false;
     if (day + 1 <= daysInMonth) {
@@ -328,7 +784,7 @@ function countWorkDays(assignments, daysInMonth) {
     let count = 0;
     for (let d = 1; d <= daysInMonth; d++) {
         const s = assignments[d];
-        if (s && s !== SHIFT_TYPES.OFF && s !== SHIFT_TYPES.NIGHT_OFF) {
+        if (isWorkShift(s)) {
             count++;
         }
     }
@@ -359,20 +815,43 @@ function getWeekWorkDays(assignments, periodDay, year, month) {
     for (let d = monday; d < monday + 7; d++) {
         if (d < 1 || d > getDaysInMonth(year, month)) continue;
         const s = assignments[d];
-        if (s && s !== SHIFT_TYPES.OFF && s !== SHIFT_TYPES.NIGHT_OFF) {
+        if (isWorkShift(s)) {
             count++;
         }
     }
     return count;
 }
 
+/**
+ * シード付きの乱数を作る（mulberry32）
+ * 同じシードなら同じ順番で 0以上1未満の数を返すので、自動作成の結果を再現できる
+ */
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * 新しいシードを作る（1〜2147483646の整数）
+ */
+function createSeed() {
+    return Math.floor(Math.random() * 2147483646) + 1;
+}
+
 /**
  * 配列をシャッフル
+ * @param {Function} random - 乱数（省略時は Math.random）
  */
-function shuffleArray(arr) {
+function shuffleArray(arr, random = Math.random) {
     const shuffled = [...arr];
     for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
     }
     return shuffled;
@@ -380,9 +859,85 @@ function shuffleArray(arr) {
 
 /**
  * スタッフの目標勤務日数を計算
+ * @param {number} absentDays - 在籍外・休職の日数（getAbsentDays。公休の目標は getPeriodStaff で按分したもの）
+ */
+function getTargetWorkDays(staff, daysInMonth, absentDays = 0) {
+    return daysInMonth - absentDays - (staff.monthlyDaysOff || 9);
+}
+
+/**
+ * 休職の理由（staff.leaves の reason）
+ */
+const LEAVE_REASONS = ['産休', '育休', '休職'];
+
+/**
+ * 期間の日番号を日付の文字列（YYYY-MM-DD。入職日・退職日・休職の期間と比べる）にする
+ */
+function periodDayToDateString(year, month, periodDay) {
+    const date = periodDayToDate(year, month, periodDay);
+    return `${date.year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`;
+}
+
+/**
+ * 期間の中で在籍していない日・休職の日
+ * staff.startDate（入職日）より前、staff.endDate（退職日）より後、staff.leaves（{ start, end, reason }）の期間
+ * 日付は YYYY-MM-DD。空の項目は「期限なし」として扱う
+ * @returns {Array} 期間の日番号（昇順）
+ */
+function getAbsentDays(staff, year, month) {
+    const leaves = staff.leaves || [];
+    if (!staff.startDate && !staff.endDate && leaves.length === 0) return [];
+    const days = [];
+    const daysInMonth = getDaysInMonth(year, month);
+    for (let day = 1; day <= daysInMonth; day++) {
+        const date = periodDayToDateString(year, month, day);
+        const employed = (!staff.startDate || date >= staff.startDate) && (!staff.endDate || date <= staff.endDate);
+        const onLeave = leaves.some(leave => (!leave.start || date >= leave.start) && (!leave.end || date <= leave.end));
+        if (!employed || onLeave) days.push(day);
+    }
+    return days;
+}
+
+/**
+ * 公休の目標を出勤できる日数で按分する
+ * @param {number} available - 期間のうち在籍して休職していない日数
+ */
+function prorateDaysOff(staff, available, daysInMonth) {
+    if (available >= daysInMonth) return staff;
+    // 0日は「未設定（9日）」と読まれるので、按分しても1日は残す
+    const daysOff = Math.max(1, Math.round((staff.monthlyDaysOff || 9) * available / daysInMonth));
+    return { ...staff, monthlyDaysOff: daysOff };
+}
+
+/**
+ * 期間のスタッフ（自動生成・確認・表示に使う）
+ * 期間中に1日も出勤できない人（入職前・退職後・ずっと休職）は除き、在籍外・休職の日がある人は公休の目標を按分する
+ * 元のスタッフは書き換えない（按分した人だけ複製する）
+ */
+function getPeriodStaff(staffList, year, month) {
+    const daysInMonth = getDaysInMonth(year, month);
+    const result = [];
+    staffList.forEach(staff => {
+        const available = daysInMonth - getAbsentDays(staff, year, month).length;
+        if (available > 0) result.push(prorateDaysOff(staff, available, daysInMonth));
+    });
+    return result;
+}
+
+/**
+ * 期間の希望に、在籍外・休職の日を REQUEST_TYPES.ABSENT として足す（元の希望は書き換えない）
+ * カレンダーで入れた希望より在籍期間・休職を優先する
  */
-function getTargetWorkDays(staff, daysInMonth) {
-    return daysInMonth - (staff.monthlyDaysOff || 9);
+function getPeriodRequests(staffList, requests, year, month) {
+    const result = { ...requests };
+    staffList.forEach(staff => {
+        const days = getAbsentDays(staff, year, month);
+        if (days.length === 0) return;
+        const staffRequests = { ...getStaffRequests(requests, staff.id) };
+        days.forEach(day => { staffRequests[day] = REQUEST_TYPES.ABSENT; });
+        result[staff.id] = staffRequests;
+    });
+    return result;
 }
 
 /**
@@ -401,6 +956,59 @@ function canAssignLate(staff) {
     return true;
 }
 
+/**
+ * 曜日ごとの勤務可否（staff.availability）で選べるシフト。パートはP、フルタイムはA・B・夜勤・A残
+ */
+const AVAILABILITY_SHIFTS = {
+    full: [SHIFT_TYPES.EARLY, SHIFT_TYPES.LATE, SHIFT_TYPES.NIGHT, SHIFT_TYPES.OVERTIME],
+    part: [SHIFT_TYPES.PART]
+};
+
+/**
+ * 曜日ごとの固定（staff.weeklyPattern の値）
+ */
+const WEEKLY_PATTERNS = {
+    OFF: 'off',   // 毎週休み
+    WORK: 'work'  // 毎週出勤（入れるシフトは曜日ごとの勤務可否から）
+};
+
+/**
+ * その日の曜日に入れるシフト
+ * staff.availability = { 曜日（0=日曜）: [シフト] }。曜日がなければ制限なし（null を返す）
+ * staff.weeklyPattern の「毎週休み」の曜日は何も入れない（空の配列）
+ */
+function getAllowedShifts(staff, year, month, day) {
+    const dow = getDayOfWeek(year, month, day);
+    if ((staff.weeklyPattern || {})[dow] === WEEKLY_PATTERNS.OFF) return [];
+    return (staff.availability || {})[dow] || null;
+}
+
+/**
+ * その日にそのシフトに入れるか（曜日ごとの勤務可否）
+ * 出勤でないシフトと研修はいつでも入れる。追加シフトは制限のない曜日だけ
+ */
+function isShiftAllowed(staff, year, month, day, shift) {
+    if (!isWorkShift(shift) || shift === SHIFT_TYPES.TRAINING) return true;
+    const allowed = getAllowedShifts(staff, year, month, day);
+    return !allowed || allowed.includes(shift);
+}
+
+/**
+ * その日が「毎週出勤」の曜日か（カレンダーの希望がある日は希望を優先するので、呼ぶ側で確かめる）
+ */
+function isWeeklyWorkDay(staff, year, month, day) {
+    return (staff.weeklyPattern || {})[getDayOfWeek(year, month, day)] === WEEKLY_PATTERNS.WORK;
+}
+
+/**
+ * 自動作成の人数救済で使ってよい追加シフトのコード一覧
+ */
+function getAutoAssignShifts() {
+    return Object.values(SHIFT_DEFS)
+        .filter(def => !def.builtin && def.isWork && def.autoAssign && SHIFT_TIME_RANGES[def.code])
+        .map(def => def.code);
+}
+
 /**
  * スタッフが特定のシフトに割り当てられた場合、
  * 各時間帯チェックポイントでカバーできる時間帯を返す
@@ -416,131 +1024,502 @@ function getStaffCoverage(staff, shiftType) {
 }
 
 /**
- * メインの自動生成関数
+ * 期間全体の時間帯別人数を判定する
+ * 生成・スコア・バリデーション・集計表の色分けはすべてこの判定を基準にする
+ * 日曜は sundayMin まで減らしてよいが、緩和できるのは月 maxSundayReduced 回まで（日付順に消費）
+ * @returns {Array} 日ごとの判定 [{ day, sunday, reduced, checkpoints: [{ checkpoint, count, required, ok }] }]
  */
-const TRIAL_COUNT = 15; // 複数回試行の回数
+function evaluateCoverage(staffList, allAssignments, year, month, settings) {
+    applyShiftMaster({ ...DEFAULT_SETTINGS, ...settings }.shiftTypes);
+    const checkpoints = getCheckpoints(settings);
+    const counts = [];
+    for (let day = 1; day <= getDaysInMonth(year, month); day++) {
+        counts[day] = checkpoints.map(cp => countStaffAtTime(staffList, allAssignments, day, cp.minutes));
+    }
+    return judgeCoverage(counts, year, month, settings);
+}
 
 /**
- * スケジュールの品質をスコアリング（高いほど良い）
- * 公休違反が最重要ペナルティ
+ * 日ごとの時間帯別の人数（counts[日][時間帯の順番]）を必要人数と比べる（evaluateCoverage の判定の部分）
+ * 改善（焼きなまし法）は人数を差分で数え直し、判定だけここを使う
  */
-function scoreSchedule(staffList, allAssignments, year, month, settings) {
+function judgeCoverage(counts, year, month, settings) {
     const s = { ...DEFAULT_SETTINGS, ...settings };
+    const checkpoints = getCheckpoints(s);
     const daysInMonth = getDaysInMonth(year, month);
-    let score = 1000; // 基本スコア
-
-    staffList.forEach(staff => {
-        const assignments = allAssignments[staff.id];
-        if (!assignments) return;
-
-        // 公休違反: -200点/日（最重要）
-        const targetOff = staff.monthlyDaysOff || 9;
-        const actualOff = countOffDays(assignments, daysInMonth);
-        if (actualOff < targetOff) {
-            score -= (targetOff - actualOff) * 200;
-        }
-
-        // A残超過: -50点/回
-        const otCount = countShiftType(assignments, SHIFT_TYPES.OVERTIME, daysInMonth);
-        if (otCount > MAX_OT_PER_PERSON) {
-            score -= (otCount - MAX_OT_PER_PERSON) * 50;
-        }
-
-        // A残連日: -30点/回
-        for (let d = 1; d < daysInMonth; d++) {
-            if (assignments[d] === SHIFT_TYPES.OVERTIME && assignments[d + 1] === SHIFT_TYPES.OVERTIME) {
-                score -= 30;
-            }
-        }
-
-        // 連勤超過: -20点/回
-        const maxConsec = getStaffMaxConsecutive(staff, s);
-        let consecutive = 0;
-        for (let d = 1; d <= daysInMonth; d++) {
-            const shift = assignments[d];
-            if (shift && shift !== SHIFT_TYPES.OFF && shift !== SHIFT_TYPES.NIGHT_OFF) {
-                consecutive++;
-                if (consecutive > maxConsec + 1) score -= 20; // +1を超えたらペナルティ
-            } else {
-                consecutive = 0;
-            }
-        }
-
-        // A/Bバランス: -5点/差（2以上）
-        if (staff.type !== 'part') {
-            const earlyC = countShiftType(assignments, SHIFT_TYPES.EARLY, daysInMonth);
-            const lateC = countShiftType(assignments, SHIFT_TYPES.LATE, daysInMonth);
-            const diff = Math.abs(earlyC - lateC);
-            if (diff > 2) score -= (diff - 2) * 5;
-        }
-    });
+    const result = [];
+    let reducedCount = 0;
 
-    // 人数不足: -100点/日・時間帯
     for (let day = 1; day <= daysInMonth; day++) {
         const sunday = isSunday(year, month, day);
-        TIME_CHECKPOINTS.forEach(cp => {
-            const required = sunday ? cp.sundayRequired : cp.required;
-            const count = countStaffAtTime(staffList, allAssignments, day, cp.minutes);
-            if (count < required) {
-                score -= (required - count) * 100;
-            }
+        // 日曜で満員に届かない時間帯がある場合のみ緩和を1回消費する
+        const needsReduce = checkpoints.some((cp, i) => counts[day][i] < cp.required);
+        const reduced = sunday && needsReduce && reducedCount < s.maxSundayReduced;
+        if (reduced) reducedCount++;
+
+        result.push({
+            day: day,
+            sunday: sunday,
+            reduced: reduced,
+            checkpoints: checkpoints.map((cp, i) => {
+                const required = reduced ? cp.sundayMin : cp.required;
+                return { checkpoint: cp, count: counts[day][i], required: required, ok: counts[day][i] >= required };
+            })
         });
     }
-
-    return score;
+    return result;
+}
+
+/**
+ * メインの自動生成関数
+ */
+const TRIAL_COUNT = 15; // 複数回試行の回数
+const CANDIDATE_COUNT = 3; // 候補として残す結果の数（スコア上位・重複なし）
+
+/**
+ * スコアの減点カテゴリ（内訳の表示順）
+ */
+const SCORE_CATEGORIES = [
+    { key: 'daysOff', label: '公休違反' },
+    { key: 'coverage', label: '人数不足' },
+    { key: 'skill', label: '資格者不足' },
+    { key: 'unit', label: 'ユニットの人数不足' },
+    { key: 'overtimeLimit', label: 'A残超過' },
+    { key: 'overtimeAdjacent', label: 'A残連日' },
+    { key: 'consecutive', label: '連勤超過' },
+    { key: 'nightMinimum', label: '夜勤の最少回数' },
+    { key: 'balance', label: 'A/Bバランス' }
+];
+
+/**
+ * スケジュールの品質をスコアリング（高いほど良い）
+ * 公休違反が最重要ペナルティ。基本スコア1000点からカテゴリごとに減点する
+ * @returns {Object} { total, categories: [{ key, label, penalty, items }] }
+ *   penalty: そのカテゴリの減点の合計（正の数）
+ *   items: 減点の原因 [{ staffId, days, points }]
+ *     staffId: 対象スタッフ（人数不足は null）/ days: 対象の日（公休違反・A/Bバランスは人単位なので空）
+ *     人数不足・資格者不足・ユニットの人数不足のみ checkpoint（時間帯の表示名）・count・required も持つ
+ */
+function scoreSchedule(staffList, allAssignments, year, month, settings, options = {}) {
+    const s = { ...DEFAULT_SETTINGS, ...settings };
+    applyShiftMaster(s.shiftTypes);
+    const daysInMonth = getDaysInMonth(year, month);
+    const tail = getPreviousTail(options.previousAssignments, year, month);
+    const categories = SCORE_CATEGORIES.map(c => ({ ...c, penalty: 0, items: [] }));
+    const penalize = (key, item) => {
+        const category = categories.find(c => c.key === key);
+        category.penalty += item.points;
+        category.items.push(item);
+    };
+
+    staffList.forEach(staff => {
+        if (!allAssignments[staff.id]) return;
+        scoreStaff(staff, withPreviousTail(allAssignments[staff.id], tail[staff.id]), daysInMonth, s, penalize);
+    });
+
+    // 人数不足: -100点/日・時間帯（施設設定の必要人数・日曜緩和を反映）
+    evaluateCoverage(staffList, allAssignments, year, month, s).forEach(dayResult => {
+        dayResult.checkpoints.forEach(c => {
+            if (c.ok) return;
+            penalize('coverage', {
+                staffId: null,
+                days: [dayResult.day],
+                points: (c.required - c.count) * 100,
+                checkpoint: c.checkpoint.label,
+                count: c.count,
+                required: c.required
+            });
+        });
+    });
+
+    // 資格者不足: -100点/日・時間帯・資格（人数不足と同じ重さ）
+    evaluateSkillCoverage(staffList, allAssignments, year, month, s).forEach(dayResult => {
+        dayResult.requirements.forEach(c => {
+            if (c.ok) return;
+            penalize('skill', {
+                staffId: null,
+                days: [dayResult.day],
+                points: (c.required - c.count) * 100,
+                checkpoint: `${c.requirement.label}の${c.requirement.qualificationLabel}`,
+                count: c.count,
+                required: c.required
+            });
+        });
+    });
+
+    // ユニットの人数不足（応援に行ける人を置いたあとの人数）
+    evaluateUnitCoverage(staffList, allAssignments, year, month, s).forEach(dayResult => {
+        dayResult.requirements.forEach(c => {
+            if (c.ok) return;
+            penalize('unit', {
+                staffId: null,
+                days: [dayResult.day],
+                points: (c.required - c.count) * 100,
+                checkpoint: `${c.requirement.unitLabel}の${c.requirement.label}`,
+                count: c.count,
+                required: c.required
+            });
+        });
+    });
+
+    const total = 1000 - categories.reduce((sum, c) => sum + c.penalty, 0);
+    return { total: total, categories: categories };
+}
+
+/**
+ * 1人分の減点を数える（scoreSchedule の人ごとの部分。改善（焼きなまし法）は動かした人だけ数え直す）
+ * @param {Object} assignments - 前期間の末尾を含めた割り当て（withPreviousTail）
+ * @param {Object} s - 施設設定（DEFAULT_SETTINGS とマージしたもの）
+ * @param {Function} penalize - (カテゴリのkey, { staffId, days, points }) を受け取る
+ */
+function scoreStaff(staff, assignments, daysInMonth, s, penalize) {
+    // 公休違反: -200点/日（最重要）
+    const targetOff = staff.monthlyDaysOff || 9;
+    const actualOff = countOffDays(assignments, daysInMonth);
+    if (actualOff < targetOff) {
+        penalize('daysOff', { staffId: staff.id, days: [], points: (targetOff - actualOff) * 200 });
+    }
+
+    // A残超過: -50点/回
+    const otCount = countShiftType(assignments, SHIFT_TYPES.OVERTIME, daysInMonth);
+    if (otCount > MAX_OT_PER_PERSON) {
+        const otDays = [];
+        for (let d = 1; d <= daysInMonth; d++) {
+            if (assignments[d] === SHIFT_TYPES.OVERTIME) otDays.push(d);
+        }
+        penalize('overtimeLimit', { staffId: staff.id, days: otDays, points: (otCount - MAX_OT_PER_PERSON) * 50 });
+    }
+
+    // A残連日: -30点/回（前期間の最終日との連日も含む）
+    for (let d = 0; d < daysInMonth; d++) {
+        if (assignments[d] === SHIFT_TYPES.OVERTIME && assignments[d + 1] === SHIFT_TYPES.OVERTIME) {
+            penalize('overtimeAdjacent', { staffId: staff.id, days: [d, d + 1].filter(day => day >= 1), points: 30 });
+        }
+    }
+
+    // 連勤超過: -20点/回（+1を超えた日ごと。ひと続きの連勤は1項目にまとめる）
+    const maxConsec = getStaffMaxConsecutive(staff, s);
+    let consecutive = getConsecutiveWorkDays(assignments, 0); // 前期間から続く連勤
+    let runDays = [];
+    const endRun = () => {
+        if (runDays.length > 0) penalize('consecutive', { staffId: staff.id, days: runDays, points: runDays.length * 20 });
+        runDays = [];
+    };
+    for (let d = 1; d <= daysInMonth; d++) {
+        if (isWorkShift(assignments[d])) {
+            consecutive++;
+            if (consecutive > maxConsec + 1) runDays.push(d);
+        } else {
+            consecutive = 0;
+            endRun();
+        }
+    }
+    endRun();
+
+    // 夜勤の月の最少回数（staff.minNights）に届かない: -20点/回
+    if (staff.minNights) {
+        const nights = countShiftType(assignments, SHIFT_TYPES.NIGHT, daysInMonth);
+        if (nights < staff.minNights) penalize('nightMinimum', { staffId: staff.id, days: [], points: (staff.minNights - nights) * 20 });
+    }
+
+    // A/Bバランス: -5点/差（2以上）
+    if (staff.type !== 'part') {
+        const earlyC = countShiftType(assignments, SHIFT_TYPES.EARLY, daysInMonth);
+        const lateC = countShiftType(assignments, SHIFT_TYPES.LATE, daysInMonth);
+        const diff = Math.abs(earlyC - lateC);
+        if (diff > 2) penalize('balance', { staffId: staff.id, days: [], points: (diff - 2) * 5 });
+    }
 }
 
 /**
  * シフト自動生成（複数回試行＋最良選択）
  * TRIAL_COUNT回実行して最高スコアの結果を返す
+ * @param {Object} options
+ *   previousAssignments: 前期間の割り当て（連勤・夜勤明けを期間をまたいで引き継ぐ）
+ *   pinned: 固定セル（スタッフID→日→シフト）。白紙ではなくこの割り当てから生成を始め、書き換えない
+ *   wishOffHistory: 過去の「できれば」の希望休の結果（getWishOffHistory）。断る順番を公平にする
+ *   seed: 乱数のシード（同じ入力・同じシードなら同じ結果になる。省略時は新しく作る）
+ * @returns {Object} { assignments, warnings, seed, score, breakdown, candidates }
+ *   candidates: スコア上位 CANDIDATE_COUNT 件の { assignments, warnings, score, breakdown }（先頭が最良）
+ */
+function generateSchedule(staffList, year, month, requests, settings, options = {}) {
+    const trials = generateScheduleTrials(staffList, year, month, requests, settings, options);
+    let step = trials.next();
+    while (!step.done) step = trials.next();
+    return step.value;
+}
+
+/**
+ * 自動生成の試行を1回ずつ進めるジェネレーター（引数は generateSchedule と同じ）
+ * 1試行ごとに { trial, total, bestScore, result }（result はその時点の最良の結果）を yield し、
+ * 仕上げの改善の間も同じ形に finish: { moves, total } をつけて yield する。
+ * 最後に最良の結果を return する。Web Worker で進捗を表示したり途中で中止したりするために使う
  */
-function generateSchedule(staffList, year, month, requests, settings) {
-    let bestResult = null;
+function* generateScheduleTrials(staffList, year, month, requests, settings, options = {}) {
+    const { shiftTypes } = { ...DEFAULT_SETTINGS, ...settings };
+    applyShiftMaster(shiftTypes);
+    const seed = options.seed || createSeed();
+    const trialOptions = { ...options, random: createRandom(seed) };
+    // スコア上位の結果（同じ割り当ては1つにまとめる）。先頭が最良
+    const candidates = [];
     let bestScore = -Infinity;
+    let result = null;
+    let trialCount = TRIAL_COUNT;
 
     for (let trial = 0; trial < TRIAL_COUNT; trial++) {
-        const result = generateScheduleOnce(staffList, year, month, requests, settings);
-        const score = scoreSchedule(staffList, result.assignments, year, month, settings);
-
-        if (score > bestScore) {
-            bestScore = score;
-            bestResult = result;
+        const once = generateScheduleOnce(staffList, year, month, requests, settings, trialOptions);
+        const detail = scoreSchedule(staffList, once.assignments, year, month, settings, options);
+        const score = detail.total;
+        bestScore = Math.max(bestScore, score);
+
+        const key = JSON.stringify(once.assignments);
+        if (!candidates.some(c => c.key === key)) {
+            candidates.push({ key: key, assignments: once.assignments, warnings: once.warnings, score: score, breakdown: detail.categories });
+            // 同点なら先に出た方を上にする（sort は安定）
+            candidates.sort((a, b) => b.score - a.score);
+            if (candidates.length > CANDIDATE_COUNT) candidates.pop();
         }
 
+        result = buildGenerateResult(candidates, trial + 1, seed);
+
         // スコア1000（満点）なら即終了
-        if (score >= 1000) break;
+        if (score >= 1000) {
+            trialCount = trial + 1;
+            break;
+        }
+        yield { trial: trial + 1, total: TRIAL_COUNT, bestScore: bestScore, result: result };
+        // 止まっている間にほかの施設のマスタで呼ばれていても、この施設のマスタに戻す
+        applyShiftMaster(shiftTypes);
+    }
+
+    // 仕上げ：候補を焼きなまし法で改善する（回数で区切るので同じシードなら同じ結果）
+    // 改善の IMPROVE_STEP_MOVES 回ごとに finish: { moves, total }（仕上げで試した回数と予定の回数）をつけて yield する
+    const toCandidate = (r) => ({ key: JSON.stringify(r.assignments), assignments: r.assignments, warnings: r.warnings, score: r.score, breakdown: r.breakdown });
+    // 同じ割り当ては1つにまとめてスコア順に並べる（同点なら先にある方を上にする）
+    const rank = (list) => list.filter((c, i) => list.findIndex(other => other.key === c.key) === i).sort((a, b) => b.score - a.score);
+    let finishMoves = 0;
+    let finishTotal = candidates.filter(c => c.score < 1000).length * IMPROVE_GENERATE_MOVES;
+    // others: 途中の結果に一緒に並べるほかの候補
+    const improveCandidate = function* (c, maxMoves, others) {
+        if (c.score >= 1000) return c;
+        const steps = improveScheduleSteps(staffList, year, month, c.assignments, requests, settings, { ...options, random: trialOptions.random, maxMoves: maxMoves });
+        let step = steps.next();
+        while (!step.done) {
+            bestScore = Math.max(bestScore, step.value.bestScore);
+            yield {
+                trial: trialCount, total: TRIAL_COUNT, bestScore: bestScore,
+                result: buildGenerateResult(rank([toCandidate(step.value.result), ...others]), trialCount, seed),
+                finish: { moves: finishMoves + step.value.moves, total: finishTotal }
+            };
+            step = steps.next();
+        }
+        finishMoves += maxMoves;
+        return step.value.score > c.score ? toCandidate(step.value) : c;
+    };
+    let improved = [];
+    for (let i = 0; i < candidates.length; i++) {
+        improved.push(yield* improveCandidate(candidates[i], IMPROVE_GENERATE_MOVES, [...improved, ...candidates.slice(i + 1)]));
     }
+    improved = rank(improved);
+    // 満点でなければ最良の候補をもう一度長く改善する（夜勤の並べ替えが要る公休の不足は2万回では届かないことがある）
+    if (improved[0].score < 1000) finishTotal += IMPROVE_GENERATE_EXTRA_MOVES;
+    improved[0] = yield* improveCandidate(improved[0], IMPROVE_GENERATE_EXTRA_MOVES, improved.slice(1));
 
-    // 試行回数を警告に追加（デバッグ用）
-    bestResult.warnings.push(`※ ${TRIAL_COUNT}回試行し最良スコア${bestScore}の結果を採用`);
+    return buildGenerateResult(improved, trialCount, seed);
+}
 
-    return bestResult;
+/**
+ * スコア上位の試行から自動生成の結果を作る
+ * 最良の結果を assignments / warnings に、上位の結果を candidates に入れる
+ * 試行回数とシードを info の警告（trial）として最後に添える（デバッグ用）
+ */
+function buildGenerateResult(candidates, trialCount, seed) {
+    const list = candidates.map(c => ({
+        assignments: c.assignments,
+        warnings: [...c.warnings, createWarning('trial', WARNING_SEVERITY.INFO, { trials: trialCount, score: c.score, seed: seed })],
+        score: c.score,
+        breakdown: c.breakdown
+    }));
+    return {
+        assignments: list[0].assignments,
+        warnings: list[0].warnings,
+        seed: seed,
+        score: list[0].score,
+        breakdown: list[0].breakdown,
+        candidates: list
+    };
 }
 
 /**
  * シフト自動生成（1回分のアルゴリズム）
+ * 乱数は options.random を使う（省略時は Math.random）
  */
-function generateScheduleOnce(staffList, year, month, requests, settings) {
+function generateScheduleOnce(staffList, year, month, requests, settings, options = {}) {
     const s = { ...DEFAULT_SETTINGS, ...settings };
+    const random = options.random || Math.random;
     const daysInMonth = getDaysInMonth(year, month);
-    const warnings = [];
 
-    // ===== フェーズ0: 白紙スタート（全日OFF） =====
+    // ===== フェーズ0: 白紙スタート（全日OFF）＋前期間の末尾を引き継ぐ =====
+    // 前期間の末尾は 0, -1, ... のキーで持たせ、連勤・A残連日の判定に使う（返す前に取り除く）
+    const tail = getPreviousTail(options.previousAssignments, year, month);
     const allAssignments = {};
     staffList.forEach(staff => {
-        allAssignments[staff.id] = {};
+        allAssignments[staff.id] = withPreviousTail({}, tail[staff.id]);
         for (let day = 1; day <= daysInMonth; day++) {
             allAssignments[staff.id][day] = SHIFT_TYPES.OFF;
         }
     });
 
+    // 希望を種類ごとに分ける
+    const staffRequests = {};
+    const wishOffDays = {};     // 希望休（できれば）：人数が足りなければ出勤にしてよい
+    const workRequestDays = {}; // 勤務希望：休みにしない
+    const noNightDays = {};     // 夜勤不可・A/Bのみ：夜勤を入れない
+    const dayOnlyDays = {};     // A/Bのみ：A残・追加シフトにしない
+    staffList.forEach(staff => {
+        staffRequests[staff.id] = getStaffRequests(requests, staff.id);
+        wishOffDays[staff.id] = new Set();
+        workRequestDays[staff.id] = new Set();
+        noNightDays[staff.id] = new Set();
+        dayOnlyDays[staff.id] = new Set();
+        Object.keys(staffRequests[staff.id]).forEach(key => {
+            const day = parseInt(key);
+            const type = staffRequests[staff.id][key];
+            if (type === REQUEST_TYPES.WISH_OFF) wishOffDays[staff.id].add(day);
+            if (type === REQUEST_TYPES.WORK) workRequestDays[staff.id].add(day);
+            if (type === REQUEST_TYPES.NO_NIGHT || type === REQUEST_TYPES.DAY_ONLY) noNightDays[staff.id].add(day);
+            if (type === REQUEST_TYPES.DAY_ONLY) dayOnlyDays[staff.id].add(day);
+        });
+        // 「毎週出勤」の曜日は、希望のない日だけ勤務希望と同じく扱う
+        for (let day = 1; day <= daysInMonth; day++) {
+            if (!staffRequests[staff.id][day] && isWeeklyWorkDay(staff, year, month, day)) workRequestDays[staff.id].add(day);
+        }
+    });
+
+    // 固定セル（フェーズ0で置いたまま、以降のフェーズで書き換えない日）
+    const lockedDays = {};
+    staffList.forEach(staff => {
+        lockedDays[staff.id] = new Set();
+        // 前期間の最終日が夜勤なら1日目は明け
+        if (allAssignments[staff.id][0] === SHIFT_TYPES.NIGHT) {
+            allAssignments[staff.id][1] = SHIFT_TYPES.NIGHT_OFF;
+            lockedDays[staff.id].add(1);
+        }
+        // 有給・研修・在籍外の日はその日のシフトとして置く
+        const requestShifts = { paid: SHIFT_TYPES.PAID, training: SHIFT_TYPES.TRAINING, absent: SHIFT_TYPES.ABSENT };
+        Object.keys(staffRequests[staff.id]).forEach(key => {
+            const day = parseInt(key);
+            const type = staffRequests[staff.id][key];
+            if (day < 1 || day > daysInMonth || lockedDays[staff.id].has(day)) return;
+            if (requestShifts[type]) {
+                allAssignments[staff.id][day] = requestShifts[type];
+                lockedDays[staff.id].add(day);
+            }
+        });
+        // 手動で固定されたセルをそのまま置く（夜勤の翌日は明けにする）
+        const pinnedOfStaff = (options.pinned || {})[staff.id] || {};
+        Object.keys(pinnedOfStaff).forEach(key => {
+            const day = parseInt(key);
+            if (day < 1 || day > daysInMonth) return;
+            allAssignments[staff.id][day] = pinnedOfStaff[key];
+            lockedDays[staff.id].add(day);
+            if (pinnedOfStaff[key] === SHIFT_TYPES.NIGHT && day + 1 <= daysInMonth && !pinnedOfStaff[day + 1]) {
+                allAssignments[staff.id][day + 1] = SHIFT_TYPES.NIGHT_OFF;
+                lockedDays[staff.id].add(day + 1);
+            }
+        });
+    });
+
     // 希望休をSetに保存（後の判定用）
+    // 「できれば」も通常は絶対と同じく扱い、人数が足りないときだけ救済で出勤にする
+    // 固定された休みも「出勤を入れてはいけない日」として同じSetで扱う
     const requestedDays = {};
     staffList.forEach(staff => {
-        requestedDays[staff.id] = new Set(requests[staff.id] || []);
+        requestedDays[staff.id] = new Set(wishOffDays[staff.id]);
+        Object.keys(staffRequests[staff.id]).forEach(key => {
+            if (staffRequests[staff.id][key] === REQUEST_TYPES.OFF) requestedDays[staff.id].add(parseInt(key));
+        });
+        lockedDays[staff.id].forEach(day => {
+            if (allAssignments[staff.id][day] === SHIFT_TYPES.OFF) requestedDays[staff.id].add(day);
+        });
+        // 曜日ごとの勤務可否で何も入れない日（毎週休みの曜日など）も、絶対休と同じく出勤を入れない
+        for (let day = 1; day <= daysInMonth; day++) {
+            const allowed = getAllowedShifts(staff, year, month, day);
+            if (allowed && allowed.length === 0) requestedDays[staff.id].add(day);
+        }
+    });
+    const isLocked = (st, day) => lockedDays[st.id].has(day);
+    // 曜日ごとの勤務可否でそのシフトに入れるか
+    const allows = (st, day, shift) => isShiftAllowed(st, year, month, day, shift);
+    // フルタイムの日勤をA・Bのどちらにするか（preferred に入れなければもう一方。どちらも入れなければ null）
+    const dayShiftFor = (st, day, preferred) => {
+        const other = preferred === SHIFT_TYPES.EARLY ? SHIFT_TYPES.LATE : SHIFT_TYPES.EARLY;
+        if (allows(st, day, preferred)) return preferred;
+        return allows(st, day, other) ? other : null;
+    };
+    // A残にしてよいか（固定セル・A/Bのみの希望日・曜日ごとの勤務可否で入れない日は不可）
+    const canOvertimeOn = (st, day) => st.canOvertime && !isLocked(st, day) && !dayOnlyDays[st.id].has(day) &&
+        allows(st, day, SHIFT_TYPES.OVERTIME);
+
+    // 資格者・ユニットの最低人数（施設設定）。フェーズ2・4で埋められる人を先に選び、フェーズ5.6で入れ替えて埋める
+    // ユニットは、そのユニットに入れる人（所属・応援）の人数で数える。実際にどこに置くかは placeUnitsOnDay が決める
+    const skillRequirements = getMemberRequirements(s);
+    // その日の資格者の不足の合計
+    const skillDeficit = (day) => skillRequirements.reduce((sum, r) =>
+        sum + Math.max(0, r.required - countSkillAt(staffList, allAssignments, day, r)), 0);
+    // この人がこのシフトに入ると埋まる資格者の不足の数
+    const skillGain = (st, day, shift) => skillRequirements.filter(r =>
+        countsForSkill(st, shift, r) && countSkillAt(staffList, allAssignments, day, r) < r.required
+    ).length;
+    // 資格者が足りない日は、埋められる人を先に並べる（それ以外の並びはそのまま）
+    const skilledFirst = (list, day, shift) => {
+        if (skillRequirements.length === 0) return list;
+        const gains = new Map(list.map(st => [st, skillGain(st, day, shift)]));
+        return [...list].sort((a, b) => gains.get(b) - gains.get(a));
+    };
+    // シフトを変えても資格者の不足が増えないか（表は変えずに確かめる）
+    const keepsSkill = (day, changes) => {
+        if (skillRequirements.length === 0) return true;
+        const before = skillDeficit(day);
+        const undo = changes.map(([st]) => [st, allAssignments[st.id][day]]);
+        changes.forEach(([st, shift]) => { allAssignments[st.id][day] = shift; });
+        const ok = skillDeficit(day) <= before;
+        undo.forEach(([st, shift]) => { allAssignments[st.id][day] = shift; });
+        return ok;
+    };
+
+    // 「できれば」の希望休を出勤に変える順番
+    // 過去＋今期間で断られた回数が少ない人→過去に通った回数が多い人（同じならランダム）
+    const wishHistory = options.wishOffHistory || {};
+    const countDeniedWishOff = (st) => {
+        let denied = (wishHistory[st.id] || {}).denied || 0;
+        wishOffDays[st.id].forEach(day => {
+            if (allAssignments[st.id][day] !== SHIFT_TYPES.OFF) denied++;
+        });
+        return denied;
+    };
+    const sortByWishFairness = (list) => shuffleArray(list, random).sort((a, b) => {
+        const deniedDiff = countDeniedWishOff(a) - countDeniedWishOff(b);
+        if (deniedDiff !== 0) return deniedDiff;
+        return ((wishHistory[b.id] || {}).granted || 0) - ((wishHistory[a.id] || {}).granted || 0);
     });
 
-    // ===== フェーズ1: 希望休（全日OFFなので記録のみ） =====
+    // ===== フェーズ1: 希望休（全日OFFなので記録のみ）＋勤務希望の日勤 =====
+    // 勤務希望の日は先に日勤を入れておく（A/Bは回数の少ない方。フェーズ4以降で入れ替わることはある）
+    staffList.forEach(staff => {
+        workRequestDays[staff.id].forEach(day => {
+            if (day < 1 || day > daysInMonth) return;
+            if (allAssignments[staff.id][day] !== SHIFT_TYPES.OFF || requestedDays[staff.id].has(day)) return;
+            let shift = SHIFT_TYPES.PART;
+            if (staff.type !== 'part') {
+                const earlyC = countShiftType(allAssignments[staff.id], SHIFT_TYPES.EARLY, daysInMonth);
+                const lateC = countShiftType(allAssignments[staff.id], SHIFT_TYPES.LATE, daysInMonth);
+                shift = dayShiftFor(staff, day, earlyC <= lateC ? SHIFT_TYPES.EARLY : SHIFT_TYPES.LATE);
+                if (!shift) return;
+            }
+            allAssignments[staff.id][day] = shift;
+        });
+    });
 
     // ===== フェーズ2: 夜勤と明けを配置 =====
     const nightEligible = staffList.filter(st => {
@@ -549,27 +1528,50 @@ function generateScheduleOnce(staffList, year, month, requests, settings) {
     });
 
     for (let day = 1; day <= daysInMonth; day++) {
-        const required = isSunday(year, month, day) ? s.sundayNightRequired : s.nightRequired;
+        // 固定セルですでに入っている夜勤は必要人数から差し引く
+        const pinnedNights = staffList.filter(st => allAssignments[st.id][day] === SHIFT_TYPES.NIGHT).length;
+        const required = getNightRequired(year, month, day, s) - pinnedNights;
         for (let n = 0; n < required; n++) {
-            const candidates = nightEligible.filter(st =>
-                canAssignNight(st, allAssignments[st.id], day, daysInMonth, s, year, month)
-            );
+            // 希望休の日とその前日（翌日が明けになる）、夜勤不可の日は入れない
+            const nightOk = (st, allowWishOff, ignoreSpacing) => {
+                const blocked = d => requestedDays[st.id].has(d) && !(allowWishOff && wishOffDays[st.id].has(d));
+                return !isLocked(st, day) && !isLocked(st, day + 1) &&
+                    !blocked(day) && !blocked(day + 1) &&
+                    !noNightDays[st.id].has(day) &&
+                    canAssignNight(st, allAssignments[st.id], day, daysInMonth, s, year, month, { ignoreSpacing: ignoreSpacing });
+            };
+            let candidates = nightEligible.filter(st => nightOk(st, false, false));
+            // 誰もいなければ、夜勤の間をあける日数を緩める（希望よりは先に緩める）
             if (candidates.length === 0) {
-                const warnDate = periodDayToDate(year, month, day);
-                warnings.push(`${warnDate.month}月${warnDate.day}日：夜勤に入れるスタッフが見つかりません`);
-                continue;
+                candidates = nightEligible.filter(st => nightOk(st, false, true));
             }
-            const scored = candidates.map(st => ({
-                staff: st,
-                nightCount: countShiftType(allAssignments[st.id], SHIFT_TYPES.NIGHT, daysInMonth),
-                workDays: countWorkDays(allAssignments[st.id], daysInMonth)
-            }));
+            // それでもいなければ「できれば」の希望休の人に順番で入ってもらう
+            if (candidates.length === 0) {
+                candidates = sortByWishFairness(nightEligible.filter(st => nightOk(st, true, true))).slice(0, 1);
+            }
+            // 夜勤の資格者が足りなければ、資格のある人から選ぶ（夜勤入りは夕の人数にも入るが、夕はフェーズ4で埋める）
+            const skilled = candidates.filter(st => skillRequirements.some(r => r.slot === 'night' &&
+                matchesRequirement(st, r) && countSkillAt(staffList, allAssignments, day, r) < r.required));
+            if (skilled.length > 0) candidates = skilled;
+            // 誰も入れない日は validateSchedule が夜勤の人数不足として警告する
+            if (candidates.length === 0) continue;
+            // 月の最少回数（staff.minNights）に届いていない人を先に、次に夜勤の少ない人
+            const scored = candidates.map(st => {
+                const nightCount = countShiftType(allAssignments[st.id], SHIFT_TYPES.NIGHT, daysInMonth);
+                return {
+                    staff: st,
+                    belowMin: nightCount < (st.minNights || 0),
+                    nightCount: nightCount,
+                    workDays: countWorkDays(allAssignments[st.id], daysInMonth)
+                };
+            });
             scored.sort((a, b) => {
+                if (a.belowMin !== b.belowMin) return a.belowMin ? -1 : 1;
                 if (a.nightCount !== b.nightCount) return a.nightCount - b.nightCount;
                 return a.workDays - b.workDays;
             });
-            const minScore = scored[0].nightCount;
-            const topCandidates = shuffleArray(scored.filter(c => c.nightCount === minScore));
+            const top = scored[0];
+            const topCandidates = shuffleArray(scored.filter(c => c.belowMin === top.belowMin && c.nightCount === top.nightCount), random);
             const chosen = topCandidates[0].staff;
 
             allAssignments[chosen.id][day] = SHIFT_TYPES.NIGHT;
@@ -586,11 +1588,13 @@ function generateScheduleOnce(staffList, year, month, requests, settings) {
     // ★ 日曜3人許容カウンター
     let sundayReducedCount = 0;
 
-    // 目標出勤日数（夜勤明けの日数を控除して正確に計算）
+    // 目標出勤日数（夜勤明け・有給・在籍外の日数を控除して正確に計算）
     const getActualTarget = (staff) => {
         const offDays = (staff.monthlyDaysOff || 9);
         const nightOffs = countShiftType(allAssignments[staff.id], SHIFT_TYPES.NIGHT_OFF, daysInMonth);
-        return daysInMonth - offDays - nightOffs;
+        const paidDays = countShiftType(allAssignments[staff.id], SHIFT_TYPES.PAID, daysInMonth);
+        const absentDays = countShiftType(allAssignments[staff.id], SHIFT_TYPES.ABSENT, daysInMonth);
+        return daysInMonth - offDays - nightOffs - paidDays - absentDays;
     };
 
     // 出勤目標との差（正:まだ足りない / 0以下:達成済み）
@@ -635,22 +1639,12 @@ function generateScheduleOnce(staffList, year, month, requests, settings) {
                     for (let wd = monday; wd < monday + 7; wd++) {
                         if (wd < 1 || wd > daysInMonth) continue;
                         const ws = testAssignment[wd];
-                        if (ws && ws !== SHIFT_TYPES.OFF && ws !== SHIFT_TYPES.NIGHT_OFF) weekWork++;
+                        if (isWorkShift(ws)) weekWork++;
                     }
                     if (weekWork >= maxPerWeek) continue;
-                    // 連勤チェック（過去方向 + 未来方向の両方）
-                    let pastC = 0;
-                    for (let pd = d - 1; pd >= 1; pd--) {
-                        const ps = testAssignment[pd];
-                        if (ps && ps !== SHIFT_TYPES.OFF && ps !== SHIFT_TYPES.NIGHT_OFF) pastC++;
-                        else break;
-                    }
-                    let fwdC = 0;
-                    for (let fd = d + 1; fd <= daysInMonth; fd++) {
-                        const fs = testAssignment[fd];
-                        if (fs && fs !== SHIFT_TYPES.OFF && fs !== SHIFT_TYPES.NIGHT_OFF) fwdC++;
-                        else break;
-                    }
+                    // 連勤チェック（過去方向 + 未来方向の両方。前期間の末尾も含む）
+                    const pastC = getConsecutiveWorkDays(testAssignment, d - 1);
+                    const fwdC = getForwardConsecutiveWorkDays(testAssignment, d + 1);
                     if (pastC + 1 + fwdC > maxConsec) continue;
 
                     testAssignment[d] = SHIFT_TYPES.PART;
@@ -671,7 +1665,7 @@ function generateScheduleOnce(staffList, year, month, requests, settings) {
             }
         } else {
             // maxConsecutive>2のスタッフは従来のランダム開始日＋貪欲配置
-            const startDay = Math.floor(Math.random() * daysInMonth) + 1;
+            const startDay = Math.floor(random() * daysInMonth) + 1;
             let currentWork = countWorkDays(allAssignments[staff.id], daysInMonth);
 
             for (let offset = 0; offset < daysInMonth && currentWork < targetWorkDays; offset++) {
@@ -732,7 +1726,7 @@ function generateScheduleOnce(staffList, year, month, requests, settings) {
                 if (getWeekWorkDays(allAssignments[staff.id], d, year, month) >= maxPerWeek) continue;
                 if (!canWorkOnDay(staff, allAssignments[staff.id], d, s, consecutivePlus1Used)) continue;
 
-                allAssignments[staff.id][d] = SHIFT_TYPES.PART;
+                assignShift(staff, allAssignments, d, SHIFT_TYPES.PART, s, consecutivePlus1Used);
                 added = true;
                 break;
             }
@@ -744,7 +1738,7 @@ function generateScheduleOnce(staffList, year, month, requests, settings) {
                     if (getWeekWorkDays(allAssignments[staff.id], d, year, month) >= maxPerWeek) continue;
                     if (!canWorkOnDay(staff, allAssignments[staff.id], d, s, consecutivePlus1Used)) continue;
 
-                    allAssignments[staff.id][d] = SHIFT_TYPES.PART;
+                    assignShift(staff, allAssignments, d, SHIFT_TYPES.PART, s, consecutivePlus1Used);
                     added = true;
                     break;
                 }
@@ -758,12 +1752,14 @@ function generateScheduleOnce(staffList, year, month, requests, settings) {
 
     // その日に出勤可能なフルタイムスタッフを取得（公休絶対保証）
     // 出勤目標に達したスタッフは候補から除外する（候補ゼロ時のみ緩和）
-    const getAvailableFull = (day) => {
+    // shifts: 入れるシフト。曜日ごとの勤務可否でどれかに入れる人だけを返す
+    const getAvailableFull = (day, shifts = [SHIFT_TYPES.EARLY, SHIFT_TYPES.LATE]) => {
         // まず「出勤枠がまだ残っている」スタッフのみ候補にする
         const safeCands = fullStaff.filter(st => {
             if (allAssignments[st.id][day] !== SHIFT_TYPES.OFF) return false;
             if (!canWorkOnDay(st, allAssignments[st.id], day, s, consecutivePlus1Used)) return false;
             if (requestedDays[st.id].has(day)) return false;
+            if (!shifts.some(shift => allows(st, day, shift))) return false;
             // ★公休絶対保証: 出勤目標に達していたら候補から除外
             const currentWork = countWorkDays(allAssignments[st.id], daysInMonth);
             const targetWork = getActualTarget(st);
@@ -779,6 +1775,7 @@ function generateScheduleOnce(staffList, year, month, requests, settings) {
             if (allAssignments[st.id][day] !== SHIFT_TYPES.OFF) return false;
             if (!canWorkOnDay(st, allAssignments[st.id], day, s, consecutivePlus1Used)) return false;
             if (requestedDays[st.id].has(day)) return false;
+            if (!shifts.some(shift => allows(st, day, shift))) return false;
             return true;
         });
         allCands.sort((a, b) => {
@@ -791,7 +1788,7 @@ function generateScheduleOnce(staffList, year, month, requests, settings) {
 
     // ソフトリミット付きソート：目標未達の人を優先するが、全員達成済みでも候補に含める
     const sortSoft = (list) => {
-        return shuffleArray(list).sort((a, b) => {
+        return shuffleArray(list, random).sort((a, b) => {
             const aGap = getWorkGap(a);
             const bGap = getWorkGap(b);
             if (aGap > 0 && bGap <= 0) return -1;
@@ -805,7 +1802,7 @@ function generateScheduleOnce(staffList, year, month, requests, settings) {
         return shuffleArray(list.filter(st => {
             const otCount = countShiftType(allAssignments[st.id], SHIFT_TYPES.OVERTIME, daysInMonth);
             return otCount < MAX_OT_PER_PERSON; // 6回以上の人は候補から除外
-        })).sort((a, b) => {
+        }), random).sort((a, b) => {
             const aOt = countShiftType(allAssignments[a.id], SHIFT_TYPES.OVERTIME, daysInMonth);
             const bOt = countShiftType(allAssignments[b.id], SHIFT_TYPES.OVERTIME, daysInMonth);
             if (aOt !== bOt) return aOt - bOt;
@@ -813,18 +1810,28 @@ function generateScheduleOnce(staffList, year, month, requests, settings) {
         });
     };
 
+    // 時間帯ごとの必要人数（施設設定から）
+    const checkpoints = getCheckpoints(s);
+    const cpMorning = checkpoints.find(cp => cp.id === 'morning');
+    const cpNoon = checkpoints.find(cp => cp.id === 'noon');
+    const cpEvening = checkpoints.find(cp => cp.id === 'evening');
+    const MORN_REQ = cpMorning.required;
+    const NOON_REQ = cpNoon.required;
+    const EVE_REQ = cpEvening.required;
+
     // 1日→31日の正順ループ
     for (let day = 1; day <= daysInMonth; day++) {
         // ステップ1: 現在のカバー状況（夜勤・明け・パートから）
-        let morn = countStaffAtTime(staffList, allAssignments, day, 420);
-        let noon = countStaffAtTime(staffList, allAssignments, day, 600);
-        let eve = countStaffAtTime(staffList, allAssignments, day, 1065);
+        let morn = countStaffAtTime(staffList, allAssignments, day, cpMorning.minutes);
+        let noon = countStaffAtTime(staffList, allAssignments, day, cpNoon.minutes);
+        let eve = countStaffAtTime(staffList, allAssignments, day, cpEvening.minutes);
 
-        // 日曜は朝昼を月2-3回まで3人許容
+        // 日曜は月maxSundayReduced回まで緩和後の人数を許容
         const sunday = isSunday(year, month, day);
-        const mornReq = (sunday && sundayReducedCount < MAX_SUNDAY_REDUCED) ? 3 : 4;
-        const noonReq = (sunday && sundayReducedCount < MAX_SUNDAY_REDUCED) ? 3 : 4;
-        const eveReq = 4; // 夕方は常に4人
+        const canReduce = sunday && sundayReducedCount < s.maxSundayReduced;
+        const mornReq = canReduce ? cpMorning.sundayMin : MORN_REQ;
+        const noonReq = canReduce ? cpNoon.sundayMin : NOON_REQ;
+        const eveReq = canReduce ? cpEvening.sundayMin : EVE_REQ;
 
         let mNeed = Math.max(0, mornReq - morn);
         let nNeed = Math.max(0, noonReq - noon);
@@ -836,118 +1843,118 @@ function generateScheduleOnce(staffList, year, month, requests, settings) {
         const otWant = Math.min(mNeed, eNeed);
         if (otWant > 0) {
             // A残回数が少ない人（目標未満）のみ候補にする + A残連日禁止
-            const otCands = sortForOT(
-                getAvailableFull(day).filter(st => {
-                    if (!st.canOvertime) return false;
+            const otCands = skilledFirst(sortForOT(
+                getAvailableFull(day, [SHIFT_TYPES.OVERTIME]).filter(st => {
+                    if (!canOvertimeOn(st, day)) return false;
                     if (hasAdjacentOvertime(allAssignments[st.id], day, daysInMonth)) return false;
                     const otCount = countShiftType(allAssignments[st.id], SHIFT_TYPES.OVERTIME, daysInMonth);
                     return otCount < TARGET_OT;
                 })
-            );
+            ), day, SHIFT_TYPES.OVERTIME);
             let assigned = 0;
             for (let i = 0; i < otCands.length && assigned < otWant; i++) {
                 allAssignments[otCands[i].id][day] = SHIFT_TYPES.OVERTIME;
                 assigned++;
             }
             // 再カウント
-            morn = countStaffAtTime(staffList, allAssignments, day, 420);
-            noon = countStaffAtTime(staffList, allAssignments, day, 600);
-            eve = countStaffAtTime(staffList, allAssignments, day, 1065);
-            mNeed = Math.max(0, 4 - morn);
-            nNeed = Math.max(0, 4 - noon);
-            eNeed = Math.max(0, 4 - eve);
+            morn = countStaffAtTime(staffList, allAssignments, day, cpMorning.minutes);
+            noon = countStaffAtTime(staffList, allAssignments, day, cpNoon.minutes);
+            eve = countStaffAtTime(staffList, allAssignments, day, cpEvening.minutes);
+            mNeed = Math.max(0, MORN_REQ - morn);
+            nNeed = Math.max(0, NOON_REQ - noon);
+            eNeed = Math.max(0, EVE_REQ - eve);
         }
 
         // ステップ3: 早番(A)で朝を埋める（A/Bバランスを考慮してソート）
         if (mNeed > 0) {
-            const cands = sortSoft(getAvailableFull(day)).sort((a, b) => {
+            const cands = skilledFirst(sortSoft(getAvailableFull(day, [SHIFT_TYPES.EARLY])).sort((a, b) => {
                 // A回数が少ない人を優先
                 const aE = countShiftType(allAssignments[a.id], SHIFT_TYPES.EARLY, daysInMonth);
                 const bE = countShiftType(allAssignments[b.id], SHIFT_TYPES.EARLY, daysInMonth);
                 return aE - bE;
-            });
+            }), day, SHIFT_TYPES.EARLY);
             let assigned = 0;
             for (let i = 0; i < cands.length && assigned < mNeed; i++) {
                 assignShift(cands[i], allAssignments, day, SHIFT_TYPES.EARLY, s, consecutivePlus1Used);
                 assigned++;
             }
-            morn = countStaffAtTime(staffList, allAssignments, day, 420);
-            noon = countStaffAtTime(staffList, allAssignments, day, 600);
-            mNeed = Math.max(0, 4 - morn);
-            nNeed = Math.max(0, 4 - noon);
+            morn = countStaffAtTime(staffList, allAssignments, day, cpMorning.minutes);
+            noon = countStaffAtTime(staffList, allAssignments, day, cpNoon.minutes);
+            mNeed = Math.max(0, MORN_REQ - morn);
+            nNeed = Math.max(0, NOON_REQ - noon);
         }
 
         // ステップ4: 遅番(B)で夕方を埋める（A/Bバランスを考慮してソート）
         if (eNeed > 0) {
-            const cands = sortSoft(getAvailableFull(day, eNeed)).sort((a, b) => {
+            const cands = skilledFirst(sortSoft(getAvailableFull(day, [SHIFT_TYPES.LATE])).sort((a, b) => {
                 // B回数が少ない人を優先
                 const aL = countShiftType(allAssignments[a.id], SHIFT_TYPES.LATE, daysInMonth);
                 const bL = countShiftType(allAssignments[b.id], SHIFT_TYPES.LATE, daysInMonth);
                 return aL - bL;
-            });
+            }), day, SHIFT_TYPES.LATE);
             let assigned = 0;
             for (let i = 0; i < cands.length && assigned < eNeed; i++) {
                 assignShift(cands[i], allAssignments, day, SHIFT_TYPES.LATE, s, consecutivePlus1Used);
                 assigned++;
             }
-            eve = countStaffAtTime(staffList, allAssignments, day, 1065);
-            noon = countStaffAtTime(staffList, allAssignments, day, 600);
-            eNeed = Math.max(0, 4 - eve);
-            nNeed = Math.max(0, 4 - noon);
+            eve = countStaffAtTime(staffList, allAssignments, day, cpEvening.minutes);
+            noon = countStaffAtTime(staffList, allAssignments, day, cpNoon.minutes);
+            eNeed = Math.max(0, EVE_REQ - eve);
+            nNeed = Math.max(0, NOON_REQ - noon);
         }
 
         // ステップ5: 昼がまだ足りない場合（A/Bバランスを考慮）
         if (nNeed > 0) {
-            const cands = sortSoft(getAvailableFull(day, nNeed));
+            const cands = skilledFirst(sortSoft(getAvailableFull(day)), day, SHIFT_TYPES.EARLY);
             for (let i = 0; i < cands.length && nNeed > 0; i++) {
-                // この人のA/B回数を見て少ない方を選ぶ
+                // この人のA/B回数を見て少ない方を選ぶ（曜日ごとの勤務可否で入れなければもう一方）
                 const eCount = countShiftType(allAssignments[cands[i].id], SHIFT_TYPES.EARLY, daysInMonth);
                 const lCount = countShiftType(allAssignments[cands[i].id], SHIFT_TYPES.LATE, daysInMonth);
-                const shift = (eCount <= lCount) ? SHIFT_TYPES.EARLY : SHIFT_TYPES.LATE;
+                const shift = dayShiftFor(cands[i], day, (eCount <= lCount) ? SHIFT_TYPES.EARLY : SHIFT_TYPES.LATE);
                 assignShift(cands[i], allAssignments, day, shift, s, consecutivePlus1Used);
-                noon = countStaffAtTime(staffList, allAssignments, day, 600);
-                morn = countStaffAtTime(staffList, allAssignments, day, 420);
-                eve = countStaffAtTime(staffList, allAssignments, day, 1065);
-                nNeed = Math.max(0, 4 - noon);
+                noon = countStaffAtTime(staffList, allAssignments, day, cpNoon.minutes);
+                morn = countStaffAtTime(staffList, allAssignments, day, cpMorning.minutes);
+                eve = countStaffAtTime(staffList, allAssignments, day, cpEvening.minutes);
+                nNeed = Math.max(0, NOON_REQ - noon);
             }
         }
 
         // ステップ6: A残フォールバック — 上記で足りない場合のみ（5回目以降も許容、連日禁止）
         // 夕方不足 → 早番の人をA残にアップグレード
-        eve = countStaffAtTime(staffList, allAssignments, day, 1065);
-        if (eve < 4) {
+        eve = countStaffAtTime(staffList, allAssignments, day, cpEvening.minutes);
+        if (eve < EVE_REQ) {
             const upgradable = fullStaff.filter(st =>
-                allAssignments[st.id][day] === SHIFT_TYPES.EARLY && st.canOvertime &&
+                allAssignments[st.id][day] === SHIFT_TYPES.EARLY && canOvertimeOn(st, day) &&
                 !hasAdjacentOvertime(allAssignments[st.id], day, daysInMonth)
             );
             const sorted = sortForOT(upgradable);
-            for (let i = 0; i < sorted.length && eve < 4; i++) {
+            for (let i = 0; i < sorted.length && eve < EVE_REQ; i++) {
                 allAssignments[sorted[i].id][day] = SHIFT_TYPES.OVERTIME;
-                eve = countStaffAtTime(staffList, allAssignments, day, 1065);
+                eve = countStaffAtTime(staffList, allAssignments, day, cpEvening.minutes);
             }
         }
 
         // 朝不足 → 遅番の人をA残にアップグレード
-        morn = countStaffAtTime(staffList, allAssignments, day, 420);
-        if (morn < 4) {
+        morn = countStaffAtTime(staffList, allAssignments, day, cpMorning.minutes);
+        if (morn < MORN_REQ) {
             const upgradable = fullStaff.filter(st =>
-                allAssignments[st.id][day] === SHIFT_TYPES.LATE && st.canOvertime &&
+                allAssignments[st.id][day] === SHIFT_TYPES.LATE && canOvertimeOn(st, day) &&
                 !hasAdjacentOvertime(allAssignments[st.id], day, daysInMonth)
             );
             const sorted = sortForOT(upgradable);
-            for (let i = 0; i < sorted.length && morn < 4; i++) {
+            for (let i = 0; i < sorted.length && morn < MORN_REQ; i++) {
                 allAssignments[sorted[i].id][day] = SHIFT_TYPES.OVERTIME;
-                morn = countStaffAtTime(staffList, allAssignments, day, 420);
+                morn = countStaffAtTime(staffList, allAssignments, day, cpMorning.minutes);
             }
         }
 
-        // ステップ7: 最終人数の警告
-        morn = countStaffAtTime(staffList, allAssignments, day, 420);
-        noon = countStaffAtTime(staffList, allAssignments, day, 600);
-        eve = countStaffAtTime(staffList, allAssignments, day, 1065);
-        if (morn < 4) warnings.push(`${month}月${day}日：朝(7:00)の人数が${morn}人です（必要4人）`);
-        if (noon < 4) warnings.push(`${month}月${day}日：昼(10:00)の人数が${noon}人です（必要4人）`);
-        if (eve < 4) warnings.push(`${month}月${day}日：夕(17:45)の人数が${eve}人です（必要4人）`);
+        // ステップ7: 最終人数（不足の警告はフェーズ5・5.5の救済のあと validateSchedule で出す）
+        morn = countStaffAtTime(staffList, allAssignments, day, cpMorning.minutes);
+        noon = countStaffAtTime(staffList, allAssignments, day, cpNoon.minutes);
+        eve = countStaffAtTime(staffList, allAssignments, day, cpEvening.minutes);
+
+        // 日曜で満員に届かなかった場合は緩和を1回使ったものとして数える
+        if (canReduce && (morn < MORN_REQ || noon < NOON_REQ || eve < EVE_REQ)) sundayReducedCount++;
     }
 
     // ===== フェーズ5: 出勤目標に未達のスタッフの追加出勤 =====
@@ -962,17 +1969,18 @@ function generateScheduleOnce(staffList, year, month, requests, settings) {
             let chosenDay = -1;
             let chosenShift = SHIFT_TYPES.EARLY;
 
-            // 優先1: チェックポイント(朝昼夕)で4人未満の日を最優先で探す
+            // 優先1: チェックポイント(朝昼夕)で必要人数未満の日を最優先で探す
             let bestDeficit = 0;
             for (let d = 1; d <= daysInMonth; d++) {
                 if (allAssignments[st.id][d] !== SHIFT_TYPES.OFF) continue;
                 if (requestedDays[st.id].has(d)) continue;
+                if (!dayShiftFor(st, d, SHIFT_TYPES.EARLY)) continue;
                 if (!canWorkOnDay(st, allAssignments[st.id], d, s, consecutivePlus1Used)) continue;
 
-                const mc = countStaffAtTime(staffList, allAssignments, d, 420);
-                const nc = countStaffAtTime(staffList, allAssignments, d, 600);
-                const ec = countStaffAtTime(staffList, allAssignments, d, 1065);
-                const deficit = Math.max(0, 4 - mc) + Math.max(0, 4 - nc) + Math.max(0, 4 - ec);
+                const mc = countStaffAtTime(staffList, allAssignments, d, cpMorning.minutes);
+                const nc = countStaffAtTime(staffList, allAssignments, d, cpNoon.minutes);
+                const ec = countStaffAtTime(staffList, allAssignments, d, cpEvening.minutes);
+                const deficit = Math.max(0, MORN_REQ - mc) + Math.max(0, NOON_REQ - nc) + Math.max(0, EVE_REQ - ec);
 
                 if (deficit > bestDeficit) {
                     bestDeficit = deficit;
@@ -998,12 +2006,13 @@ function generateScheduleOnce(staffList, year, month, requests, settings) {
                 for (let d = 1; d <= daysInMonth; d++) {
                     if (allAssignments[st.id][d] !== SHIFT_TYPES.OFF) continue;
                     if (requestedDays[st.id].has(d)) continue;
+                    if (!dayShiftFor(st, d, SHIFT_TYPES.EARLY)) continue;
                     if (!canWorkOnDay(st, allAssignments[st.id], d, s, consecutivePlus1Used)) continue;
 
                     let dayTotal = 0;
                     staffList.forEach(other => {
                         const shift = allAssignments[other.id][d];
-                        if (shift && shift !== SHIFT_TYPES.OFF && shift !== SHIFT_TYPES.NIGHT_OFF) dayTotal++;
+                        if (isWorkShift(shift)) dayTotal++;
                     });
 
                     if (dayTotal < bestCount) {
@@ -1015,11 +2024,11 @@ function generateScheduleOnce(staffList, year, month, requests, settings) {
                 }
 
                 if (tiedDays.length === 0) break;
-                chosenDay = tiedDays[Math.floor(Math.random() * tiedDays.length)];
+                chosenDay = tiedDays[Math.floor(random() * tiedDays.length)];
 
-                const mc = countStaffAtTime(staffList, allAssignments, chosenDay, 420);
-                const nc = countStaffAtTime(staffList, allAssignments, chosenDay, 600);
-                const ec = countStaffAtTime(staffList, allAssignments, chosenDay, 1065);
+                const mc = countStaffAtTime(staffList, allAssignments, chosenDay, cpMorning.minutes);
+                const nc = countStaffAtTime(staffList, allAssignments, chosenDay, cpNoon.minutes);
+                const ec = countStaffAtTime(staffList, allAssignments, chosenDay, cpEvening.minutes);
 
                 // A/Bバランスを考慮してシフト選択
                 const stEarly2 = countShiftType(allAssignments[st.id], SHIFT_TYPES.EARLY, daysInMonth);
@@ -1033,28 +2042,27 @@ function generateScheduleOnce(staffList, year, month, requests, settings) {
                 }
             }
 
-            allAssignments[st.id][chosenDay] = chosenShift;
+            assignShift(st, allAssignments, chosenDay, dayShiftFor(st, chosenDay, chosenShift), s, consecutivePlus1Used);
             gap = getWorkGap(st);
         }
     });
 
-    // ===== フェーズ5.5: 全日4人保証（最終救済ステップ） =====
+    // ===== フェーズ5.5: 全日の必要人数保証（最終救済ステップ） =====
     for (let day = 1; day <= daysInMonth; day++) {
-        TIME_CHECKPOINTS.forEach(cp => {
-            const sunday = isSunday(year, month, day);
-            const required = sunday ? cp.sundayRequired : cp.required;
+        checkpoints.forEach(cp => {
+            const required = cp.required;
             let count = countStaffAtTime(staffList, allAssignments, day, cp.minutes);
 
             while (count < required) {
                 let rescued = false;
 
                 // 救済1: A残アップグレード（夕方不足→早番をA残、朝不足→遅番をA残、連日禁止）
-                if (cp.minutes >= 1065) {
-                    const up = fullStaff.filter(st => allAssignments[st.id][day] === SHIFT_TYPES.EARLY && st.canOvertime && !hasAdjacentOvertime(allAssignments[st.id], day, daysInMonth));
+                if (cp.id === 'evening') {
+                    const up = fullStaff.filter(st => allAssignments[st.id][day] === SHIFT_TYPES.EARLY && canOvertimeOn(st, day) && !hasAdjacentOvertime(allAssignments[st.id], day, daysInMonth));
                     const sorted = sortForOT(up);
                     if (sorted.length > 0) { allAssignments[sorted[0].id][day] = SHIFT_TYPES.OVERTIME; rescued = true; }
-                } else if (cp.minutes <= 420) {
-                    const up = fullStaff.filter(st => allAssignments[st.id][day] === SHIFT_TYPES.LATE && st.canOvertime && !hasAdjacentOvertime(allAssignments[st.id], day, daysInMonth));
+                } else if (cp.id === 'morning') {
+                    const up = fullStaff.filter(st => allAssignments[st.id][day] === SHIFT_TYPES.LATE && canOvertimeOn(st, day) && !hasAdjacentOvertime(allAssignments[st.id], day, daysInMonth));
                     const sorted = sortForOT(up);
                     if (sorted.length > 0) { allAssignments[sorted[0].id][day] = SHIFT_TYPES.OVERTIME; rescued = true; }
                 }
@@ -1064,6 +2072,7 @@ function generateScheduleOnce(staffList, year, month, requests, settings) {
                     const available = sortSoft(fullStaff.filter(st => {
                         if (allAssignments[st.id][day] !== SHIFT_TYPES.OFF) return false;
                         if (requestedDays[st.id] && requestedDays[st.id].has(day)) return false;
+                        if (!dayShiftFor(st, day, SHIFT_TYPES.EARLY)) return false;
                         if (!canWorkOnDay(st, allAssignments[st.id], day, s, consecutivePlus1Used)) return false;
                         // ★公休絶対保証: 出勤目標に達していたら除外
                         const currentWork = countWorkDays(allAssignments[st.id], daysInMonth);
@@ -1072,12 +2081,19 @@ function generateScheduleOnce(staffList, year, month, requests, settings) {
                         return true;
                     }));
                     if (available.length > 0) {
+                        // 朝→A、夕→B を優先。昼はA/Bと追加シフトのうちこの時間帯にいるものから選ぶ
+                        // A/Bのみの希望日は追加シフトを使わない
+                        const extraShifts = dayOnlyDays[available[0].id].has(day) ? [] : getAutoAssignShifts();
+                        const covering = [SHIFT_TYPES.EARLY, SHIFT_TYPES.LATE, ...extraShifts]
+                            .filter(code => allows(available[0], day, code) && isStaffPresentAt(available[0], code, cp.minutes));
                         let shift;
-                        if (cp.minutes >= 1065) shift = SHIFT_TYPES.LATE;
-                        else if (cp.minutes <= 420) shift = SHIFT_TYPES.EARLY;
-                        else shift = Math.random() > 0.5 ? SHIFT_TYPES.EARLY : SHIFT_TYPES.LATE;
-                        allAssignments[available[0].id][day] = shift;
-                        rescued = true;
+                        if (cp.id === 'evening' && covering.includes(SHIFT_TYPES.LATE)) shift = SHIFT_TYPES.LATE;
+                        else if (cp.id === 'morning' && covering.includes(SHIFT_TYPES.EARLY)) shift = SHIFT_TYPES.EARLY;
+                        else if (covering.length > 0) shift = covering[Math.floor(random() * covering.length)];
+                        if (shift) {
+                            allAssignments[available[0].id][day] = shift;
+                            rescued = true;
+                        }
                     }
                 }
 
@@ -1102,12 +2118,112 @@ function generateScheduleOnce(staffList, year, month, requests, settings) {
                     }
                 }
 
+                // 救済4: 「できれば」の希望休の人に順番で出勤してもらう（公休はフェーズ5.7で回復）
+                if (!rescued) {
+                    const available = sortByWishFairness(staffList.filter(st => {
+                        if (allAssignments[st.id][day] !== SHIFT_TYPES.OFF) return false;
+                        if (!wishOffDays[st.id].has(day) || isLocked(st, day)) return false;
+                        if (!canWorkOnDay(st, allAssignments[st.id], day, s, consecutivePlus1Used)) return false;
+                        if (st.type === 'part') {
+                            if (getWeekWorkDays(allAssignments[st.id], day, year, month) >= (st.maxDaysPerWeek || 3)) return false;
+                            return allows(st, day, SHIFT_TYPES.PART) && isStaffPresentAt(st, SHIFT_TYPES.PART, cp.minutes);
+                        }
+                        return dayShiftFor(st, day, SHIFT_TYPES.EARLY) !== null;
+                    }));
+                    if (available.length > 0) {
+                        const st = available[0];
+                        let shift = SHIFT_TYPES.PART;
+                        if (st.type !== 'part') {
+                            if (cp.id === 'evening') shift = SHIFT_TYPES.LATE;
+                            else if (cp.id === 'morning') shift = SHIFT_TYPES.EARLY;
+                            else {
+                                const earlyC = countShiftType(allAssignments[st.id], SHIFT_TYPES.EARLY, daysInMonth);
+                                const lateC = countShiftType(allAssignments[st.id], SHIFT_TYPES.LATE, daysInMonth);
+                                shift = earlyC <= lateC ? SHIFT_TYPES.EARLY : SHIFT_TYPES.LATE;
+                            }
+                            shift = dayShiftFor(st, day, shift);
+                        }
+                        // 連勤+1を使ったら数える（使った人は canWorkOnDay で2回目を断る）
+                        assignShift(st, allAssignments, day, shift, s, consecutivePlus1Used);
+                        rescued = true;
+                    }
+                }
+
                 if (!rescued) break;
                 count = countStaffAtTime(staffList, allAssignments, day, cp.minutes);
             }
         });
     }
 
+    // ===== フェーズ5.6: 資格者・ユニットの最低人数の確保 =====
+    // 資格者（ユニットに入れる人）が足りない日に、対象の人のシフトを動かして埋める（時間帯の人数は減らさない）
+    //   1. 同じ日に出勤している資格のない人とシフトを交換 / 2. 休みの資格のある人（公休に余裕あり）が代わりに出勤
+    //   3. 休みの資格のある人が出勤を足す / 4. 資格のある人のA・BをA残にして朝と夕の両方に入る
+    if (skillRequirements.length > 0) {
+        const dayShifts = [SHIFT_TYPES.EARLY, SHIFT_TYPES.LATE, SHIFT_TYPES.OVERTIME, SHIFT_TYPES.PART];
+        const coverageDeficit = (day) => checkpoints.reduce((sum, cp) =>
+            sum + Math.max(0, cp.required - countStaffAtTime(staffList, allAssignments, day, cp.minutes)), 0);
+        // 変えてみて、資格者の不足が減り人数の不足が増えなければ残す
+        const tryChange = (day, changes) => {
+            const skillBefore = skillDeficit(day);
+            const coverageBefore = coverageDeficit(day);
+            const undo = changes.map(([st]) => [st, allAssignments[st.id][day]]);
+            changes.forEach(([st, shift]) => { allAssignments[st.id][day] = shift; });
+            if (skillDeficit(day) < skillBefore && coverageDeficit(day) <= coverageBefore) return true;
+            undo.forEach(([st, shift]) => { allAssignments[st.id][day] = shift; });
+            return false;
+        };
+        const isMovable = (st, day) => dayShifts.includes(allAssignments[st.id][day]) && !isLocked(st, day);
+        // この人がこの日に入れるシフト（A残は残業可・連日でない・月の上限未満のときだけ）
+        const canTake = (st, day, shift) => {
+            if (!allows(st, day, shift)) return false;
+            if (st.type === 'part') return shift === SHIFT_TYPES.PART;
+            if (shift === SHIFT_TYPES.OVERTIME) {
+                return canOvertimeOn(st, day) && !hasAdjacentOvertime(allAssignments[st.id], day, daysInMonth) &&
+                    countShiftType(allAssignments[st.id], SHIFT_TYPES.OVERTIME, daysInMonth) < MAX_OT_PER_PERSON;
+            }
+            return shift === SHIFT_TYPES.EARLY || shift === SHIFT_TYPES.LATE;
+        };
+        // 休みの日に出勤を入れてよいか（連勤+1は使わない）
+        const canAddWork = (st, day) => {
+            if (allAssignments[st.id][day] !== SHIFT_TYPES.OFF || isLocked(st, day) || requestedDays[st.id].has(day)) return false;
+            if (countOffDays(allAssignments[st.id], daysInMonth) <= (st.monthlyDaysOff || 9)) return false;
+            if (st.type === 'part' && getWeekWorkDays(allAssignments[st.id], day, year, month) >= (st.maxDaysPerWeek || 3)) return false;
+            return canWorkOnDay(st, allAssignments[st.id], day, s, null);
+        };
+        const skilledStaff = staffList.filter(st => skillRequirements.some(r => matchesRequirement(st, r)));
+
+        for (let day = 1; day <= daysInMonth; day++) {
+            while (skillDeficit(day) > 0) {
+                const others = shuffleArray(staffList.filter(st => isMovable(st, day)), random);
+                let fixed = false;
+                for (const st of skilledStaff) {
+                    const own = allAssignments[st.id][day];
+                    if (isMovable(st, day)) {
+                        // 1. シフトの交換
+                        fixed = others.some(other => other !== st && other.type === st.type && allAssignments[other.id][day] !== own &&
+                            canTake(st, day, allAssignments[other.id][day]) && canTake(other, day, own) &&
+                            tryChange(day, [[st, allAssignments[other.id][day]], [other, own]]));
+                        // 4. A残にする
+                        if (!fixed && own !== SHIFT_TYPES.OVERTIME && canTake(st, day, SHIFT_TYPES.OVERTIME)) {
+                            fixed = tryChange(day, [[st, SHIFT_TYPES.OVERTIME]]);
+                        }
+                    } else if (canAddWork(st, day)) {
+                        const shifts = st.type === 'part' ? [SHIFT_TYPES.PART] : [SHIFT_TYPES.EARLY, SHIFT_TYPES.LATE];
+                        // 2. 資格のない人の代わりに出勤（勤務希望の日の人は休みにしない）
+                        fixed = others.some(other => !workRequestDays[other.id].has(day) &&
+                            [allAssignments[other.id][day], ...shifts].some(shift => canTake(st, day, shift) &&
+                                tryChange(day, [[st, shift], [other, SHIFT_TYPES.OFF]])));
+                        // 3. 出勤を足す
+                        if (!fixed) fixed = shifts.some(shift => tryChange(day, [[st, shift]]));
+                    }
+                    if (fixed) break;
+                }
+                if (!fixed) break;
+            }
+        }
+    }
+
     // ===== フェーズ5.7: 公休回復（目標未達のスタッフの出勤を削る + スワップ） =====
     // ステップA: 人数に余裕がある日の出勤を単純に休みに戻す
     // ステップB: 単純削除で不可能な場合、公休余裕のある別スタッフと交換する
@@ -1125,13 +2241,13 @@ function generateScheduleOnce(staffList, year, month, requests, settings) {
                 if (shift !== SHIFT_TYPES.EARLY && shift !== SHIFT_TYPES.LATE &&
                     shift !== SHIFT_TYPES.OVERTIME && shift !== SHIFT_TYPES.PART) continue;
                 if (requestedDays[st.id] && requestedDays[st.id].has(d)) continue;
+                if (isLocked(st, d) || workRequestDays[st.id].has(d)) continue;
 
                 let canRemove = true;
                 let minSurplus = Infinity;
-                TIME_CHECKPOINTS.forEach(cp => {
+                checkpoints.forEach(cp => {
                     const count = countStaffAtTime(staffList, allAssignments, d, cp.minutes);
-                    const sunday = isSunday(year, month, d);
-                    const required = sunday ? cp.sundayRequired : cp.required;
+                    const required = cp.required;
                     if (isStaffPresentAt(st, shift, cp.minutes)) {
                         const afterCount = count - 1;
                         if (afterCount < required) canRemove = false;
@@ -1139,6 +2255,8 @@ function generateScheduleOnce(staffList, year, month, requests, settings) {
                     }
                 });
 
+                if (canRemove && !keepsSkill(d, [[st, SHIFT_TYPES.OFF]])) canRemove = false;
+
                 if (canRemove && minSurplus > bestSurplus) {
                     bestSurplus = minSurplus;
                     bestDay = d;
@@ -1159,6 +2277,7 @@ function generateScheduleOnce(staffList, year, month, requests, settings) {
                 if (shift !== SHIFT_TYPES.EARLY && shift !== SHIFT_TYPES.LATE &&
                     shift !== SHIFT_TYPES.OVERTIME && shift !== SHIFT_TYPES.PART) continue;
                 if (requestedDays[st.id] && requestedDays[st.id].has(d)) continue;
+                if (isLocked(st, d) || workRequestDays[st.id].has(d)) continue;
 
                 // この日にOFFで、代わりに出勤できる公休余裕のあるスタッフを探す
                 for (const other of staffList) {
@@ -1192,13 +2311,16 @@ function generateScheduleOnce(staffList, year, month, requests, settings) {
                         if (getWeekWorkDays(allAssignments[other.id], d, year, month) >= maxPerWeek) continue;
                     } else {
                         // フルタイムスタッフ: 同じシフトタイプを入れる
-                        if (shift === SHIFT_TYPES.OVERTIME && !other.canOvertime) continue;
+                        if (shift === SHIFT_TYPES.OVERTIME && !canOvertimeOn(other, d)) continue;
                         if (shift === SHIFT_TYPES.OVERTIME && hasAdjacentOvertime(allAssignments[other.id], d, daysInMonth)) continue;
                     }
 
+                    if (!allows(other, d, newShift)) continue;
+                    if (!keepsSkill(d, [[st, SHIFT_TYPES.OFF], [other, newShift]])) continue;
+
                     // スワップ実行
                     allAssignments[st.id][d] = SHIFT_TYPES.OFF;
-                    allAssignments[other.id][d] = newShift;
+                    assignShift(other, allAssignments, d, newShift, s, consecutivePlus1Used);
                     swapped = true;
                     break;
                 }
@@ -1224,18 +2346,17 @@ function generateScheduleOnce(staffList, year, month, requests, settings) {
 
         for (let d = 1; d <= daysInMonth && swapCount > 0; d++) {
             if (allAssignments[st.id][d] !== fromType) continue;
+            if (isLocked(st, d) || !allows(st, d, toType)) continue;
+            if (!keepsSkill(d, [[st, toType]])) continue;
 
             // 入れ替え後も時間帯の人数が維持できるかチェック
-            const mornBefore = countStaffAtTime(staffList, allAssignments, d, 420);
-            const eveBefore = countStaffAtTime(staffList, allAssignments, d, 1065);
-
             allAssignments[st.id][d] = toType;
 
-            const mornAfter = countStaffAtTime(staffList, allAssignments, d, 420);
-            const eveAfter = countStaffAtTime(staffList, allAssignments, d, 1065);
+            const mornAfter = countStaffAtTime(staffList, allAssignments, d, cpMorning.minutes);
+            const eveAfter = countStaffAtTime(staffList, allAssignments, d, cpEvening.minutes);
 
-            // 朝か夕方が4人を下回ったら戻す
-            if (mornAfter < 4 || eveAfter < 4) {
+            // 朝か夕方が必要人数を下回ったら戻す
+            if (mornAfter < MORN_REQ || eveAfter < EVE_REQ) {
                 allAssignments[st.id][d] = fromType; // 元に戻す
             } else {
                 swapCount--;
@@ -1243,87 +2364,130 @@ function generateScheduleOnce(staffList, year, month, requests, settings) {
         }
     });
 
-    // 公休数の警告（目標を下回った場合のみ警告。上回るのはOK）
+    // 前期間の末尾（0以下のキー）を取り除く
     staffList.forEach(staff => {
-        const targetOff = staff.monthlyDaysOff || 9;
-        const finalOff = countOffDays(allAssignments[staff.id], daysInMonth);
-        if (finalOff < targetOff) {
-            warnings.push(`${staff.name}さん：公休が${finalOff}日です（目標${targetOff}日）`);
-        }
-    });
-
-    // ===== フェーズ6: 時間帯別の人数チェック（最終確認） =====
-    for (let day = 1; day <= daysInMonth; day++) {
-        const sunday = isSunday(year, month, day);
-        TIME_CHECKPOINTS.forEach(cp => {
-            const required = sunday ? cp.sundayRequired : cp.required;
-            const count = countStaffAtTime(staffList, allAssignments, day, cp.minutes);
-            if (count < required) {
-                const warnDate = periodDayToDate(year, month, day);
-                const msg = `${warnDate.month}月${warnDate.day}日：${cp.label}の人数が${count}人です（必要${required}人）`;
-                if (!warnings.includes(msg)) warnings.push(msg);
-            }
+        Object.keys(allAssignments[staff.id]).forEach(key => {
+            if (parseInt(key) < 1) delete allAssignments[staff.id][key];
         });
-    }
+    });
 
-    // ===== フェーズ7: 最終バリデーション =====
-    const validationWarnings = validateSchedule(staffList, allAssignments, year, month, s);
-    warnings.push(...validationWarnings);
+    // ===== フェーズ6・7: 時間帯別の人数チェック＋最終バリデーション =====
+    // 人数チェックは validateSchedule 内で evaluateCoverage を使って行う。公休数・希望休もここで確認する
+    const warnings = validateSchedule(staffList, allAssignments, year, month, s, { ...options, requests: requests });
 
     return { assignments: allAssignments, warnings: warnings };
 }
 
+/**
+ * 警告の重要度
+ *   error: ルール違反・人数不足（直すべきもの） / warning: 目標に届かないもの / info: お知らせ
+ */
+const WARNING_SEVERITY = {
+    ERROR: 'error',
+    WARNING: 'warning',
+    INFO: 'info'
+};
+
+/**
+ * 警告を作る
+ * 表示用の文章は app.js（formatWarning）で組み立てる。日は期間内の日（1〜）
+ * @param {string} type - 警告の種類（consecutive, coverage, nightShortage など）
+ * @param {string} severity - WARNING_SEVERITY
+ * @param {Object} fields - staffId / day / checkpoint（時間帯のID）と、種類ごとの数値（count, required など）
+ */
+function createWarning(type, severity, fields = {}) {
+    return { type: type, severity: severity, staffId: null, day: null, checkpoint: null, ...fields };
+}
+
 /**
  * シフト表のバリデーション
+ * @param {Object} options
+ *   previousAssignments: 前期間の割り当て（期間をまたぐ連勤・明けの判定）
+ *   requests: 希望（あれば公休数・希望休が通っているかも確認する）
+ * @returns {Array} 警告の配列（createWarning の形）
  */
-function validateSchedule(staffList, allAssignments, year, month, settings) {
+function validateSchedule(staffList, allAssignments, year, month, settings, options = {}) {
     const s = { ...DEFAULT_SETTINGS, ...settings };
+    applyShiftMaster(s.shiftTypes);
     const daysInMonth = getDaysInMonth(year, month);
+    const tail = getPreviousTail(options.previousAssignments, year, month);
     const warnings = [];
+    const { ERROR, WARNING, INFO } = WARNING_SEVERITY;
 
     staffList.forEach(staff => {
-        const assignments = allAssignments[staff.id];
-        if (!assignments) return;
+        if (!allAssignments[staff.id]) return;
+        const assignments = withPreviousTail(allAssignments[staff.id], tail[staff.id]);
         const maxConsec = getStaffMaxConsecutive(staff, s);
+        const staffId = staff.id;
 
-        // 連勤チェック
-        let consecutive = 0;
+        // 連勤チェック（前期間から続く連勤も数える。連勤+1許容の人は、上限を超えた連勤が月 MAX_CONSECUTIVE_PLUS1 回を超えたら知らせる）
+        let consecutive = getConsecutiveWorkDays(assignments, 0);
+        let plus1Runs = 0;
         for (let day = 1; day <= daysInMonth; day++) {
             const shift = assignments[day];
-            if (shift && shift !== SHIFT_TYPES.OFF && shift !== SHIFT_TYPES.NIGHT_OFF) {
+            if (isWorkShift(shift)) {
                 consecutive++;
                 if (consecutive > maxConsec) {
-                    const warnDate = periodDayToDate(year, month, day);
-                    warnings.push(`${staff.name}さん：${warnDate.month}月${warnDate.day}日で${consecutive}連勤（上限${maxConsec}日）`);
+                    warnings.push(createWarning('consecutive', WARNING, { staffId, day, count: consecutive, max: maxConsec }));
+                }
+                if (consecutive === maxConsec + 1 && staff.allowConsecutivePlus1 && ++plus1Runs > MAX_CONSECUTIVE_PLUS1) {
+                    warnings.push(createWarning('consecutivePlus1', WARNING, { staffId, day, count: plus1Runs, max: MAX_CONSECUTIVE_PLUS1 }));
                 }
             } else {
                 consecutive = 0;
             }
         }
 
+        // 前期間の最終日の夜勤 → 1日目は明け
+        if (assignments[0] === SHIFT_TYPES.NIGHT && assignments[1] !== SHIFT_TYPES.NIGHT_OFF) {
+            warnings.push(createWarning('carriedNightOff', ERROR, { staffId, day: 1 }));
+        }
+
+        // A残連日チェック（前期間の最終日との連日も含む）
+        for (let day = 1; day <= daysInMonth; day++) {
+            if (assignments[day] === SHIFT_TYPES.OVERTIME && assignments[day - 1] === SHIFT_TYPES.OVERTIME) {
+                warnings.push(createWarning('overtimeAdjacent', WARNING, { staffId, day }));
+            }
+        }
+
         // 夜勤チェック
         const nightType = staff.nightShiftType || (staff.canNightShift ? 'all' : 'none');
         for (let day = 1; day <= daysInMonth; day++) {
             if (assignments[day] === SHIFT_TYPES.NIGHT) {
-                const warnDate = periodDayToDate(year, month, day);
                 if (nightType === 'none' || staff.type === 'part') {
-                    warnings.push(`${staff.name}さん：${warnDate.month}月${warnDate.day}日に夜勤が入っていますが、夜勤不可です`);
+                    warnings.push(createWarning('nightNotAllowed', ERROR, { staffId, day }));
                 }
                 if (nightType === 'weekday' && isFriSatSun(year, month, day)) {
-                    warnings.push(`${staff.name}さん：${warnDate.month}月${warnDate.day}日（金土日）に夜勤が入っていますが、平日のみOKです`);
+                    warnings.push(createWarning('nightWeekdayOnly', ERROR, { staffId, day }));
                 }
                 if (day + 1 <= daysInMonth && assignments[day + 1] !== SHIFT_TYPES.NIGHT_OFF) {
-                    warnings.push(`${staff.name}さん：${warnDate.month}月${warnDate.day}日の夜勤後、翌日が明けになっていません`);
+                    warnings.push(createWarning('nightOffMissing', ERROR, { staffId, day }));
+                }
+                // 夜勤の間をあける日数（前の夜勤との間だけ見る。前期間の末尾も含む）
+                const spacing = staff.nightSpacing || 0;
+                for (let k = 1; k <= spacing; k++) {
+                    if (assignments[day - k] === SHIFT_TYPES.NIGHT) {
+                        warnings.push(createWarning('nightSpacing', WARNING, { staffId, day, count: k - 1, required: spacing }));
+                        break;
+                    }
                 }
             }
         }
 
+        // 夜勤の月の回数（最多を超えたら error、最少に届かなければ warning）
+        const nightCount = countShiftType(assignments, SHIFT_TYPES.NIGHT, daysInMonth);
+        if (staff.maxNights && nightCount > staff.maxNights) {
+            warnings.push(createWarning('nightMaximum', ERROR, { staffId, count: nightCount, max: staff.maxNights }));
+        }
+        if (staff.minNights && nightCount < staff.minNights) {
+            warnings.push(createWarning('nightMinimum', WARNING, { staffId, count: nightCount, target: staff.minNights }));
+        }
+
         // 通しチェック
         for (let day = 1; day <= daysInMonth; day++) {
             if (assignments[day] === SHIFT_TYPES.OVERTIME) {
                 if (!staff.canOvertime || staff.type === 'part') {
-                    const warnDate = periodDayToDate(year, month, day);
-                    warnings.push(`${staff.name}さん：${warnDate.month}月${warnDate.day}日に通し勤務が入っていますが、残業不可です`);
+                    warnings.push(createWarning('overtimeNotAllowed', ERROR, { staffId, day }));
                 }
             }
         }
@@ -1332,19 +2496,90 @@ function validateSchedule(staffList, allAssignments, year, month, settings) {
         if (staff.type === 'part' && staff.earlyOnly) {
             for (let day = 1; day <= daysInMonth; day++) {
                 if (assignments[day] === SHIFT_TYPES.LATE || assignments[day] === SHIFT_TYPES.OVERTIME) {
-                    const warnDate = periodDayToDate(year, month, day);
-                    warnings.push(`${staff.name}さん：${warnDate.month}月${warnDate.day}日に遅番が入っていますが、早出のみです`);
+                    warnings.push(createWarning('earlyOnly', ERROR, { staffId, day }));
                 }
             }
         }
         if (staff.type === 'part' && staff.lateOnly) {
             for (let day = 1; day <= daysInMonth; day++) {
                 if (assignments[day] === SHIFT_TYPES.EARLY || assignments[day] === SHIFT_TYPES.OVERTIME) {
-                    const warnDate = periodDayToDate(year, month, day);
-                    warnings.push(`${staff.name}さん：${warnDate.month}月${warnDate.day}日に早番が入っていますが、遅出のみです`);
+                    warnings.push(createWarning('lateOnly', ERROR, { staffId, day }));
                 }
             }
         }
+
+        // 曜日ごとの勤務可否（毎週休みの曜日も含む）
+        for (let day = 1; day <= daysInMonth; day++) {
+            if (!isShiftAllowed(staff, year, month, day, assignments[day])) {
+                warnings.push(createWarning('unavailableShift', ERROR, { staffId, day, shift: assignments[day] }));
+            }
+        }
+
+        if (!options.requests) return;
+
+        // 公休数（目標を下回った場合のみ。上回るのはOK）
+        const targetOff = staff.monthlyDaysOff || 9;
+        const finalOff = countOffDays(assignments, daysInMonth);
+        if (finalOff < targetOff) {
+            warnings.push(createWarning('daysOff', WARNING, { staffId, count: finalOff, target: targetOff }));
+        }
+
+        // 希望休が休みになっているか（「できれば」は人数が足りないときに断ることがあるのでお知らせ）
+        // 在籍外・休職の日（getPeriodRequests で足した希望）に出勤が入っていないか
+        const staffRequests = getStaffRequests(options.requests, staff.id);
+        Object.keys(staffRequests).map(Number).sort((a, b) => a - b).forEach(day => {
+            if (day < 1 || day > daysInMonth || !assignments[day] || assignments[day] === SHIFT_TYPES.OFF) return;
+            if (staffRequests[day] === REQUEST_TYPES.OFF) {
+                warnings.push(createWarning('requestedOffWorked', ERROR, { staffId, day }));
+            } else if (staffRequests[day] === REQUEST_TYPES.WISH_OFF) {
+                warnings.push(createWarning('wishOffDenied', INFO, { staffId, day }));
+            } else if (staffRequests[day] === REQUEST_TYPES.ABSENT && isWorkShift(assignments[day])) {
+                warnings.push(createWarning('absentWorked', ERROR, { staffId, day }));
+            }
+        });
+    });
+
+    // 時間帯別の人数チェック（施設設定の必要人数・日曜緩和を反映）
+    evaluateCoverage(staffList, allAssignments, year, month, s).forEach(dayResult => {
+        dayResult.checkpoints.forEach(c => {
+            if (!c.ok) {
+                warnings.push(createWarning('coverage', ERROR, {
+                    day: dayResult.day, checkpoint: c.checkpoint.id, count: c.count, required: c.required
+                }));
+            }
+        });
+    });
+
+    // 夜勤人数チェック
+    for (let day = 1; day <= daysInMonth; day++) {
+        const required = getNightRequired(year, month, day, s);
+        const nightCount = staffList.filter(staff => allAssignments[staff.id]?.[day] === SHIFT_TYPES.NIGHT).length;
+        if (nightCount < required) {
+            warnings.push(createWarning('nightShortage', ERROR, { day, count: nightCount, required }));
+        }
+    }
+
+    // 資格者の人数チェック（時間帯・夜勤ごとの最低人数）
+    evaluateSkillCoverage(staffList, allAssignments, year, month, s).forEach(dayResult => {
+        dayResult.requirements.forEach(c => {
+            if (!c.ok) {
+                warnings.push(createWarning('skillShortage', ERROR, {
+                    day: dayResult.day, checkpoint: c.requirement.slot, qualification: c.requirement.qualification,
+                    count: c.count, required: c.required
+                }));
+            }
+        });
+    });
+
+    evaluateUnitCoverage(staffList, allAssignments, year, month, s).forEach(dayResult => {
+        dayResult.requirements.forEach(c => {
+            if (!c.ok) {
+                warnings.push(createWarning('unitShortage', ERROR, {
+                    day: dayResult.day, checkpoint: c.requirement.slot, unit: c.requirement.unit,
+                    count: c.count, required: c.required
+                }));
+            }
+        });
     });
 
     return warnings;
@@ -1353,18 +2588,20 @@ function validateSchedule(staffList, allAssignments, year, month, settings) {
 /**
  * 特定のセルを変更したときの警告を取得
  */
-function getShiftChangeWarnings(staff, allAssignments, staffList, day, newShift, year, month, settings) {
+function getShiftChangeWarnings(staff, allAssignments, staffList, day, newShift, year, month, settings, options = {}) {
     const s = { ...DEFAULT_SETTINGS, ...settings };
+    applyShiftMaster(s.shiftTypes);
     const daysInMonth = getDaysInMonth(year, month);
     const warnings = [];
-    const assignments = { ...allAssignments[staff.id] };
+    const tail = getPreviousTail(options.previousAssignments, year, month);
+    const assignments = withPreviousTail(allAssignments[staff.id], tail[staff.id]);
     assignments[day] = newShift;
 
     const maxConsec = getStaffMaxConsecutive(staff, s);
-    let consecutive = 0;
+    let consecutive = getConsecutiveWorkDays(assignments, 0); // 前期間から続く連勤
     for (let d = 1; d <= daysInMonth; d++) {
         const shift = assignments[d];
-        if (shift && shift !== SHIFT_TYPES.OFF && shift !== SHIFT_TYPES.NIGHT_OFF) {
+        if (isWorkShift(shift)) {
             consecutive++;
             if (consecutive > maxConsec) {
                 warnings.push(`${consecutive}連勤になります！（上限${maxConsec}日）`);
@@ -1375,11 +2612,27 @@ function getShiftChangeWarnings(staff, allAssignments, staffList, day, newShift,
         }
     }
 
+    if (isWorkShift(newShift) && getAbsentDays(staff, year, month).includes(day)) {
+        warnings.push(`${staff.name}さんは在籍していない日・休職中の日です`);
+    }
+
+    if (!isShiftAllowed(staff, year, month, day, newShift)) {
+        const dow = '日月火水木金土'[getDayOfWeek(year, month, day)];
+        warnings.push(`${staff.name}さんは${dow}曜日に${SHIFT_LABELS[newShift] || newShift}に入れません`);
+    }
+
     if (newShift === SHIFT_TYPES.NIGHT) {
         const nightType = staff.nightShiftType || (staff.canNightShift ? 'all' : 'none');
         if (nightType === 'none') warnings.push(`${staff.name}さんは夜勤ができません`);
         if (nightType === 'weekday' && isFriSatSun(year, month, day)) warnings.push(`${staff.name}さんは金土日の夜勤ができません`);
         if (staff.type === 'part') warnings.push(`パートスタッフは夜勤に入れません`);
+        const nightCount = countShiftType(assignments, SHIFT_TYPES.NIGHT, daysInMonth);
+        if (staff.maxNights && nightCount > staff.maxNights) {
+            warnings.push(`${staff.name}さんの夜勤が月${nightCount}回になります（上限${staff.maxNights}回）`);
+        }
+        if (hasNightWithin(assignments, day, staff.nightSpacing || 0)) {
+            warnings.push(`${staff.name}さんの夜勤の間が${staff.nightSpacing}日より短くなります`);
+        }
     }
 
     if (newShift === SHIFT_TYPES.EARLY && staff.type === 'part' && staff.lateOnly) {
@@ -1395,5 +2648,1613 @@ function getShiftChangeWarnings(staff, allAssignments, staffList, day, newShift,
         if (staff.earlyOnly || staff.lateOnly) warnings.push(`${staff.name}さんは${staff.earlyOnly ? '早出' : '遅出'}のみです`);
     }
 
+    // この人が抜けて資格者が最低人数を下回る時間帯・夜勤
+    const changed = { ...allAssignments, [staff.id]: { ...allAssignments[staff.id], [day]: newShift } };
+    getSkillRequirements(s).forEach(r => {
+        const count = countSkillAt(staffList, changed, day, r);
+        if (count < r.required && count < countSkillAt(staffList, allAssignments, day, r)) {
+            warnings.push(`${r.label}の${r.qualificationLabel}が${count}人になります（必要${r.required}人）`);
+        }
+    });
+
+    // ユニットの人数が必要人数を下回る時間帯（応援に行ける人を置き直したあと）
+    const unitRequirements = getUnitRequirements(s);
+    if (unitRequirements.length > 0) {
+        const before = countUnitsOnDay(staffList, allAssignments, day, s, unitRequirements);
+        const after = countUnitsOnDay(staffList, changed, day, s, unitRequirements);
+        unitRequirements.forEach((r, i) => {
+            if (after[i] < r.required && after[i] < before[i]) {
+                warnings.push(`${r.unitLabel}の${r.label}が${after[i]}人になります（必要${r.required}人）`);
+            }
+        });
+    }
+
     return warnings;
 }
+
+// ===== 人数の見通し（生成の前に、必要な人数と出勤できる日数を比べる） =====
+// 期間全体で、時間帯ごとに必要な延べ人数と、公休・週の上限・連勤の上限・夜勤タイプ・希望から出勤できる日数を比べる
+// 「できれば」の希望休は断ることがあるので数えない（絶対休・有給・研修の日だけ出勤できない日にする）
+// 足りなければ、どの時間帯が何人日足りないかと、どんな人を何人増やせば足りるかを返す（どう並べても足りない分だけ）
+// 自動生成は人数が足りないとき公休を削って埋めるので、ここでの不足は「公休を目標どおり取ると足りない」という意味
+
+const DIAGNOSIS_PART_MAX_PER_WEEK = 5; // 増やすパートの提案は週この日数まで（超えるならフルタイムを提案する）
+
+/**
+ * 人数が足りるかを生成の前に確かめる
+ * 夜勤はフルタイムが入り（夜勤と明けで2日使う）、残りの出勤日をA・B・A残に回したとして数える
+ * @param {Object} options - previousAssignments（前期間の最終日の夜勤の明けを数える）
+ * @returns {Array} 警告（createWarning の形。すべて error）
+ *   staffingShortage: checkpoints（足りない時間帯のID。朝と夕を取り合って足りないときは2つ）, count（入れる延べ人日）,
+ *     required（必要な延べ人日）, shortage, perWeek（週何日のパート1人で埋まるか。DIAGNOSIS_PART_MAX_PER_WEEK を超えれば null）,
+ *     fullTime（今いるフルタイムと同じ公休の目標のフルタイムなら何人で埋まるか）
+ *   nightCapacity: weekend（金土日の夜勤か）, count（夜勤に入れる延べ回数）, required
+ *   dayShortage: day, checkpoint, count（絶対休・有給・研修の人を除いてその日に入れる人数）, required
+ */
+function diagnoseStaffing(staffList, year, month, requests, settings, options = {}) {
+    const s = { ...DEFAULT_SETTINGS, ...settings };
+    applyShiftMaster(s.shiftTypes);
+    const daysInMonth = getDaysInMonth(year, month);
+    const checkpoints = getCheckpoints(s);
+    const tail = getPreviousTail(options.previousAssignments, year, month);
+    const { ERROR } = WARNING_SEVERITY;
+    const warnings = [];
+    const notWork = [REQUEST_TYPES.OFF, REQUEST_TYPES.PAID, REQUEST_TYPES.TRAINING, REQUEST_TYPES.ABSENT];
+
+    // 必要な延べ人数（日曜の緩和は使える回数まで使ったとする）
+    let sundays = 0;
+    for (let day = 1; day <= daysInMonth; day++) {
+        if (isSunday(year, month, day)) sundays++;
+    }
+    const reducedSundays = Math.min(sundays, s.maxSundayReduced);
+    const required = checkpoints.map(cp => cp.required * daysInMonth - (cp.required - cp.sundayMin) * reducedSundays);
+
+    // スタッフごとの出勤に使える日数（明けを含む。有給・研修・在籍外の日は現場にいないので除く）
+    const members = staffList.map(staff => {
+        const staffRequests = getStaffRequests(requests, staff.id);
+        const free = [];
+        let offRequests = 0;
+        let absent = 0;
+        for (let day = 1; day <= daysInMonth; day++) {
+            // 曜日ごとの勤務可否で何も入れない日は絶対休と同じ
+            const allowed = getAllowedShifts(staff, year, month, day);
+            const type = allowed && allowed.length === 0 && !notWork.includes(staffRequests[day]) ? REQUEST_TYPES.OFF : staffRequests[day];
+            free[day] = !notWork.includes(type);
+            if (type === REQUEST_TYPES.OFF) offRequests++;
+            if (type === REQUEST_TYPES.PAID || type === REQUEST_TYPES.TRAINING || type === REQUEST_TYPES.ABSENT) absent++;
+        }
+        const maxConsec = getStaffMaxConsecutive(staff, s);
+        let days = Math.min(
+            daysInMonth - Math.max(staff.monthlyDaysOff || 9, offRequests) - absent,
+            daysInMonth - Math.floor(daysInMonth / (maxConsec + 1))
+        );
+        if (staff.type === 'part') {
+            // 週（月曜始まり）ごとに、希望のない日と週の上限の少ない方まで
+            const maxPerWeek = staff.maxDaysPerWeek || 3;
+            let weekly = 0;
+            let weekFree = 0;
+            for (let day = 1; day <= daysInMonth; day++) {
+                if (day > 1 && getDayOfWeek(year, month, day) === 1) {
+                    weekly += Math.min(weekFree, maxPerWeek);
+                    weekFree = 0;
+                }
+                if (free[day]) weekFree++;
+            }
+            days = Math.min(days, weekly + Math.min(weekFree, maxPerWeek));
+        }
+        return { staff: staff, free: free, days: Math.max(0, days) };
+    });
+    const fullMembers = members.filter(m => m.staff.type !== 'part');
+    const partMembers = members.filter(m => m.staff.type === 'part');
+
+    // 夜勤：金土日は「すべて」の人だけ、平日は「平日のみ」の人も入れる
+    let nights = 0;
+    let weekendNights = 0;
+    for (let day = 1; day <= daysInMonth; day++) {
+        const n = getNightRequired(year, month, day, s);
+        nights += n;
+        if (isFriSatSun(year, month, day)) weekendNights += n;
+    }
+    const nightTypeOf = (staff) => staff.nightShiftType || (staff.canNightShift ? 'all' : 'none');
+    // 1人の夜勤は出勤に使える日の半分まで。月の最多回数・夜勤の間をあける日数でも抑える
+    const nightsOf = (m) => Math.min(Math.floor(m.days / 2), m.staff.maxNights || Infinity,
+        Math.ceil(daysInMonth / ((m.staff.nightSpacing || 0) + 1)));
+    const nightCapacity = (type) => fullMembers
+        .filter(m => nightTypeOf(m.staff) === type)
+        .reduce((sum, m) => sum + nightsOf(m), 0);
+    const allCapacity = nightCapacity('all');
+    const weekdayCapacity = Math.min(nightCapacity('weekday'), nights - weekendNights);
+    if (allCapacity < weekendNights) {
+        warnings.push(createWarning('nightCapacity', ERROR, { weekend: true, count: allCapacity, required: weekendNights }));
+    } else if (allCapacity + weekdayCapacity < nights) {
+        warnings.push(createWarning('nightCapacity', ERROR, { weekend: false, count: allCapacity + weekdayCapacity, required: nights }));
+    }
+
+    // 期間内の明け（最終日の夜勤の明けは次の期間。前期間の最終日の夜勤の明けは1日目）
+    const carried = staffList.filter(staff => tail[staff.id]?.[0] === SHIFT_TYPES.NIGHT).length;
+    const nightOffs = nights - getNightRequired(year, month, daysInMonth, s) + carried;
+
+    // フルタイムのA・B・A残に回せる日数
+    const dayShifts = Math.max(0, fullMembers.reduce((sum, m) => sum + m.days, 0) - nights - nightOffs);
+    const overtime = Math.min(dayShifts, fullMembers
+        .filter(m => m.staff.canOvertime)
+        .reduce((sum, m) => sum + Math.min(MAX_OT_PER_PERSON, m.days), 0));
+
+    const covers = (staff, shift, cp) => isStaffPresentAt(staff, shift, cp.minutes);
+    const need = checkpoints.map((cp, i) => {
+        let supply = 0;
+        if (covers({}, SHIFT_TYPES.NIGHT, cp)) supply += nights;
+        if (covers({}, SHIFT_TYPES.NIGHT_OFF, cp)) supply += nightOffs;
+        partMembers.forEach(m => {
+            if (covers({ startTime: '09:00', endTime: '17:00', ...m.staff }, SHIFT_TYPES.PART, cp)) supply += m.days;
+        });
+        return Math.max(0, required[i] - supply);
+    });
+    const early = checkpoints.map(cp => covers({}, SHIFT_TYPES.EARLY, cp));
+    const late = checkpoints.map(cp => covers({}, SHIFT_TYPES.LATE, cp));
+    const both = checkpoints.map(cp => covers({}, SHIFT_TYPES.OVERTIME, cp));
+
+    // 増やすフルタイム1人の出勤日数（今いるフルタイムの公休の目標の平均で数える。在籍外の日がある人は按分した目標。いなければ9日）
+    const fullDaysOff = fullMembers.length > 0
+        ? Math.round(fullMembers.reduce((sum, m) => sum + (m.staff.monthlyDaysOff || 9), 0) / fullMembers.length)
+        : 9;
+    const fullDays = Math.max(1, daysInMonth - fullDaysOff);
+
+    const pushShortage = (indexes, shortage) => {
+        const total = indexes.reduce((sum, i) => sum + required[i], 0);
+        const perWeek = Math.ceil(shortage / (daysInMonth / 7));
+        warnings.push(createWarning('staffingShortage', ERROR, {
+            checkpoints: indexes.map(i => checkpoints[i].id),
+            count: total - shortage,
+            required: total,
+            shortage: shortage,
+            perWeek: perWeek <= DIAGNOSIS_PART_MAX_PER_WEEK ? perWeek : null,
+            fullTime: Math.ceil(shortage / fullDays)
+        }));
+    };
+
+    // 時間帯ごと：A・Bのどちらかで入れる時間帯はA・B・A残の全部、A残だけで入れる時間帯はA残の回数まで
+    const alone = need.map((n, i) => {
+        const limit = early[i] || late[i] ? dayShifts : (both[i] ? overtime : 0);
+        if (n > limit) pushShortage([i], n - limit);
+        return Math.max(0, n - limit);
+    });
+
+    // 朝と夕のように、Aだけ・Bだけで入れる時間帯は取り合いになる（両方に入れるのはA残だけ）
+    // 取り合いで足りなくなるときは、2つの時間帯を合わせた不足（それぞれの不足も含む）を出す
+    const pickMax = (flags) => {
+        let best = -1;
+        flags.forEach((flag, i) => { if (flag && (best < 0 || need[i] > need[best])) best = i; });
+        return best;
+    };
+    const earlySide = pickMax(early.map((e, i) => e && !late[i]));
+    const lateSide = pickMax(late.map((l, i) => l && !early[i]));
+    if (earlySide >= 0 && lateSide >= 0) {
+        const shared = both[earlySide] && both[lateSide] ? overtime : 0;
+        const capped = need[earlySide] - alone[earlySide] + need[lateSide] - alone[lateSide];
+        const extra = capped - dayShifts - shared;
+        if (extra > 0) pushShortage([earlySide, lateSide], alone[earlySide] + alone[lateSide] + extra);
+    }
+
+    // 日ごと：絶対休・有給・研修の人を除くと、その日に必要な人数がそろわない
+    for (let day = 1; day <= daysInMonth; day++) {
+        const sunday = isSunday(year, month, day);
+        const fullFree = fullMembers.filter(m => m.free[day]).length;
+        checkpoints.forEach(cp => {
+            const parts = partMembers.filter(m => m.free[day] &&
+                covers({ startTime: '09:00', endTime: '17:00', ...m.staff }, SHIFT_TYPES.PART, cp)).length;
+            const needed = sunday && reducedSundays > 0 ? cp.sundayMin : cp.required;
+            if (fullFree + parts < needed) {
+                warnings.push(createWarning('dayShortage', ERROR, { day: day, checkpoint: cp.id, count: fullFree + parts, required: needed }));
+            }
+        });
+    }
+
+    return warnings;
+}
+
+// ===== 改善（焼きなまし法で表を少しずつ良くする） =====
+// 自動生成の仕上げと「改善」ボタンで使う。表の一部を入れ替える動きをランダムに試し、
+// scoreSchedule のスコアが上がれば採用、下がっても温度に応じた確率で採用する（温度は少しずつ下げる）
+// 夜勤・明け・有給・研修・固定セル・希望で決まっている日は動かさない。
+// scoreSchedule で数えないルール（連勤の上限・パートの週の上限）は、悪くなる動きを採用しない
+
+const IMPROVE_TIME_LIMIT = 5000; // 「改善」ボタンの制限時間（ミリ秒）
+const IMPROVE_GENERATE_MOVES = 20000; // 自動生成の仕上げで試す回数（時間ではなく回数なので、同じシードなら同じ結果）
+const IMPROVE_GENERATE_EXTRA_MOVES = 200000; // 仕上げのあとも満点でなければ、最良の候補をもう一度改善する回数
+const IMPROVE_STEP_MOVES = 2000; // 何回試すごとに進捗を返すか
+const IMPROVE_START_TEMPERATURE = 40; // はじめの温度（このくらいのスコアの下がりはよく受け入れる）
+const IMPROVE_END_TEMPERATURE = 1; // 終わりの温度
+
+/**
+ * 改善で動かせるセルと、差分で数え直すための情報を作る
+ * @returns {Object} { daysInMonth, weekOf, counts, members }
+ *   weekOf: 日→週（月曜始まり）の番号 / counts: 日→時間帯ごとの人数
+ *   members: 割り当てのあるスタッフごとの
+ *     { staff, row（前期間の末尾を含む割り当て）, free（日→固定セルでないか）, movableShifts（動かしてよいシフト）,
+ *       workShifts（日→入れてよい出勤のシフト）, canOff（日→休みにしてよいか）, canNight（日→夜勤を受け取れるか）,
+ *       presence（シフト→時間帯ごとにいるか）, maxConsec, maxPerWeek }
+ */
+function buildImproveModel(staffList, year, month, assignments, requests, s, options) {
+    const daysInMonth = getDaysInMonth(year, month);
+    const tail = getPreviousTail(options.previousAssignments, year, month);
+    const checkpoints = getCheckpoints(s);
+    const pinned = options.pinned || {};
+
+    const weekOf = [];
+    let week = 0;
+    for (let day = 1; day <= daysInMonth; day++) {
+        if (day > 1 && getDayOfWeek(year, month, day) === 1) week++;
+        weekOf[day] = week;
+    }
+
+    const counts = [];
+    const skillRequirements = getSkillRequirements(s);
+    const skillCounts = [];
+    for (let day = 1; day <= daysInMonth; day++) {
+        counts[day] = checkpoints.map(cp => countStaffAtTime(staffList, assignments, day, cp.minutes));
+        skillCounts[day] = skillRequirements.map(r => countSkillAt(staffList, assignments, day, r));
+    }
+
+    const members = staffList.filter(staff => assignments[staff.id]).map(staff => {
+        const isPart = staff.type === 'part';
+        const staffRequests = getStaffRequests(requests, staff.id);
+        const codes = isPart ? [SHIFT_TYPES.PART] : [SHIFT_TYPES.EARLY, SHIFT_TYPES.LATE];
+        const overtime = !isPart && staff.canOvertime;
+        const row = withPreviousTail(assignments[staff.id], tail[staff.id]);
+        const movableShifts = [SHIFT_TYPES.OFF, ...codes, ...(overtime ? [SHIFT_TYPES.OVERTIME] : [])];
+        const nightType = staff.nightShiftType || (staff.canNightShift ? 'all' : 'none');
+        const free = [];
+        const workShifts = [];
+        const canOff = [];
+        const canNight = [];
+        const blocked = [REQUEST_TYPES.OFF, REQUEST_TYPES.WISH_OFF, REQUEST_TYPES.PAID, REQUEST_TYPES.TRAINING, REQUEST_TYPES.ABSENT];
+        for (let day = 1; day <= daysInMonth; day++) {
+            const type = staffRequests[day];
+            free[day] = !pinned[staff.id]?.[day];
+            if (blocked.includes(type)) {
+                workShifts[day] = [];
+            } else {
+                workShifts[day] = (overtime && type !== REQUEST_TYPES.DAY_ONLY ? [...codes, SHIFT_TYPES.OVERTIME] : codes)
+                    .filter(code => isShiftAllowed(staff, year, month, day, code));
+            }
+            // 勤務希望の日と、希望のない「毎週出勤」の曜日は休みにしない
+            canOff[day] = type !== REQUEST_TYPES.WORK && !(!type && isWeeklyWorkDay(staff, year, month, day));
+        }
+        // 夜勤の入れ替えで受け取れる日（夜勤タイプ・曜日ごとの勤務可否・その日の希望。翌日の明けは休みにしてよい日だけ）
+        for (let day = 1; day <= daysInMonth; day++) {
+            canNight[day] = !isPart && nightType !== 'none' &&
+                !(nightType === 'weekday' && isFriSatSun(year, month, day)) &&
+                isShiftAllowed(staff, year, month, day, SHIFT_TYPES.NIGHT) &&
+                workShifts[day].length > 0 &&
+                ![REQUEST_TYPES.DAY_ONLY, REQUEST_TYPES.NO_NIGHT].includes(staffRequests[day]) &&
+                (day === daysInMonth || (canOff[day + 1] && !blocked.includes(staffRequests[day + 1])));
+        }
+        const presence = {};
+        const skillPresence = {};
+        [SHIFT_TYPES.OFF, ...codes, SHIFT_TYPES.OVERTIME, ...(isPart ? [] : [SHIFT_TYPES.NIGHT, SHIFT_TYPES.NIGHT_OFF])].forEach(shift => {
+            presence[shift] = checkpoints.map(cp => isStaffPresentAt(staff, shift, cp.minutes));
+            skillPresence[shift] = skillRequirements.map(r => countsForSkill(staff, shift, r));
+        });
+        return {
+            staff: staff,
+            row: row,
+            free: free,
+            movableShifts: movableShifts,
+            workShifts: workShifts,
+            canOff: canOff,
+            canNight: canNight,
+            presence: presence,
+            skillPresence: skillPresence,
+            maxConsec: getStaffMaxConsecutive(staff, s),
+            maxPerWeek: isPart ? (staff.maxDaysPerWeek || 3) : Infinity
+        };
+    });
+
+    return {
+        daysInMonth: daysInMonth, weekOf: weekOf, counts: counts,
+        skillRequirements: skillRequirements, skillCounts: skillCounts, members: members
+    };
+}
+
+/**
+ * 改善で増やしてはいけない違反の数
+ * scoreSchedule で数えないルール（連勤の上限を超えた日・パートの週の上限を超えた日）と、
+ * 減点だけでは人数不足と引き換えにされてしまう A残の絶対ルール（月 MAX_OT_PER_PERSON 回を超えた回数・連日。前期間の最終日との連日も含む）、
+ * 夜勤の入れ替えで破りうる夜勤の個人の決まり（月の最多回数を超えた回数・間をあける日数より近い夜勤）
+ */
+function countImproveViolations(model, member) {
+    let count = 0;
+    let consecutive = getConsecutiveWorkDays(member.row, 0);
+    const weekWork = [];
+    let overtime = 0;
+    let nights = 0;
+    const spacing = member.staff.nightSpacing || 0;
+    for (let day = 1; day <= model.daysInMonth; day++) {
+        if (member.row[day] === SHIFT_TYPES.NIGHT) {
+            nights++;
+            if (member.staff.maxNights && nights > member.staff.maxNights) count++;
+            for (let k = 1; k <= spacing; k++) {
+                if (member.row[day - k] === SHIFT_TYPES.NIGHT) count++;
+            }
+        }
+        if (member.row[day] === SHIFT_TYPES.OVERTIME) {
+            overtime++;
+            if (overtime > MAX_OT_PER_PERSON) count++;
+            if (member.row[day - 1] === SHIFT_TYPES.OVERTIME) count++;
+        }
+        if (isWorkShift(member.row[day])) {
+            consecutive++;
+            if (consecutive > member.maxConsec) count++;
+            weekWork[model.weekOf[day]] = (weekWork[model.weekOf[day]] || 0) + 1;
+        } else {
+            consecutive = 0;
+        }
+    }
+    weekWork.forEach(n => { if (n > member.maxPerWeek) count += n - member.maxPerWeek; });
+    return count;
+}
+
+/**
+ * シフト表を焼きなまし法で改善する（進み具合を返すジェネレーター）
+ * 動き: 同じ日の2人の入れ替え / 出勤日を別の日へ動かす  / A・B・A残の切り替え / 夜勤を渡す・取り替える
+ * @param {Object} assignments - 改善する表（手で直した表でもよい。書き換えずにコピーを返す）
+ * @param {Object} options
+ *   previousAssignments / pinned: generateSchedule と同じ
+ *   timeLimit: 制限時間（ミリ秒） / maxMoves: 試す回数の上限（どちらかに達したら終わる。両方なければ IMPROVE_TIME_LIMIT）
+ *   random: 乱数（省略時は seed から作る）
+ * @returns {Object} 最後に { assignments, warnings, score, breakdown, startScore, moves, elapsed } を return する。
+ *   途中は IMPROVE_STEP_MOVES 回ごとに { moves, elapsed, timeLimit, startScore, bestScore, result } を yield する
+ */
+function* improveScheduleSteps(staffList, year, month, assignments, requests, settings, options = {}) {
+    const s = { ...DEFAULT_SETTINGS, ...settings };
+    applyShiftMaster(s.shiftTypes);
+    const random = options.random || createRandom(options.seed || createSeed());
+    const maxMoves = options.maxMoves || Infinity;
+    const timeLimit = options.timeLimit || (options.maxMoves ? Infinity : IMPROVE_TIME_LIMIT);
+    const model = buildImproveModel(staffList, year, month, assignments, requests, s, options);
+    const { daysInMonth, counts, skillRequirements, skillCounts, members } = model;
+    const startTime = Date.now();
+
+    const staffPoints = (member) => {
+        let points = 0;
+        scoreStaff(member.staff, member.row, daysInMonth, s, (key, item) => { points += item.points; });
+        return points;
+    };
+    const coveragePoints = () => {
+        let points = 0;
+        judgeCoverage(counts, year, month, s).forEach(dayResult => {
+            dayResult.checkpoints.forEach(c => { if (!c.ok) points += (c.required - c.count) * 100; });
+        });
+        return points;
+    };
+    // 資格者不足（scoreSchedule の skill と同じく、日曜の緩和なしで1人100点）
+    const skillPoints = () => {
+        let points = 0;
+        for (let day = 1; day <= daysInMonth; day++) {
+            skillRequirements.forEach((r, i) => { points += Math.max(0, r.required - skillCounts[day][i]) * 100; });
+        }
+        return points;
+    };
+    members.forEach(member => {
+        member.points = staffPoints(member);
+        member.violations = countImproveViolations(model, member);
+    });
+    // ユニットの人数不足（scoreSchedule の unit と同じく、応援に行ける人を置いたあとの人数。動かした日だけ数え直す）
+    const unitRequirements = getUnitRequirements(s);
+    const rows = {};
+    members.forEach(m => { rows[m.staff.id] = m.row; });
+    const unitDayPoints = (day) => countUnitsOnDay(staffList, rows, day, s, unitRequirements)
+        .reduce((sum, count, i) => sum + Math.max(0, unitRequirements[i].required - count) * 100, 0);
+    const unitPoints = [];
+    let unitTotal = 0;
+    if (unitRequirements.length > 0) {
+        for (let day = 1; day <= daysInMonth; day++) {
+            unitPoints[day] = unitDayPoints(day);
+            unitTotal += unitPoints[day];
+        }
+    }
+    let coverage = coveragePoints() + skillPoints() + unitTotal;
+    const totalOf = () => 1000 - coverage - members.reduce((sum, m) => sum + m.points, 0);
+
+    const setCell = (member, day, shift) => {
+        const before = member.presence[member.row[day]];
+        const after = member.presence[shift];
+        for (let i = 0; i < counts[day].length; i++) counts[day][i] += after[i] - before[i];
+        const skillBefore = member.skillPresence[member.row[day]];
+        const skillAfter = member.skillPresence[shift];
+        for (let i = 0; i < skillCounts[day].length; i++) skillCounts[day][i] += skillAfter[i] - skillBefore[i];
+        member.row[day] = shift;
+    };
+    const pick = (list) => list[Math.floor(random() * list.length)];
+    // 固定セルでなく、休み・A・B・A残・P のセルなら動かせる（夜勤の入れ替えで休みや出勤になった日も動かせる）
+    const canMove = (member, day) => member.free[day] && member.movableShifts.includes(member.row[day]);
+    // その日に shift を受け取れるなら受け取るシフト（出勤のシフトが入れられなければ別の出勤のシフト）
+    const receive = (member, day, shift) => {
+        if (shift === SHIFT_TYPES.OFF) return member.canOff[day] ? shift : null;
+        const list = member.workShifts[day];
+        if (list.length === 0) return null;
+        return list.includes(shift) ? shift : pick(list);
+    };
+
+    // giver の day の夜勤と明けを receiver へ渡す。other があれば receiver の other の夜勤と明けを giver が受け取る
+    // 夜勤と明けでなくなった日は相手のシフトを受け取る。半分は休みにする（人数の合わせ方はあとの動きに任せる）
+    const moveNights = (giver, receiver, day, other) => {
+        const block = d => (d === null ? [] : d < daysInMonth ? [d, d + 1] : [d]);
+        const given = block(day);
+        const taken = block(other);
+        const days = [...new Set([...given, ...taken])];
+        const rest = random() < 0.5;
+        const move = [];
+        for (const [member, from, newBlock, oldBlock] of [[receiver, giver, given, taken], [giver, receiver, taken, given]]) {
+            if (newBlock.length > 0 && !member.canNight[newBlock[0]]) return null;
+            for (const d of days) {
+                if (!member.free[d] || !(oldBlock.includes(d) || canMove(member, d))) return null;
+                let shift;
+                if (newBlock.includes(d)) {
+                    shift = d === newBlock[0] ? SHIFT_TYPES.NIGHT : SHIFT_TYPES.NIGHT_OFF;
+                } else if (rest && oldBlock.includes(d) && member.canOff[d]) {
+                    shift = SHIFT_TYPES.OFF;
+                } else if (!from.movableShifts.includes(from.row[d])) {
+                    return null;
+                } else {
+                    shift = receive(member, d, from.row[d]);
+                }
+                if (!shift) return null;
+                move.push([member, d, shift]);
+            }
+        }
+        return move;
+    };
+    // 夜勤をほかの人へ渡す。半分は相手の別の日の夜勤と取り替える（夜勤の回数は変わらない）
+    const proposeNightSwap = (giver, day) => {
+        if (giver.row[day] !== SHIFT_TYPES.NIGHT) return null;
+        const receiver = pick(members);
+        if (receiver === giver) return null;
+        if (random() < 0.5) {
+            // 渡すだけなら、受け取る人の夜勤が渡す人より多くならないときだけ（月の最少回数はスコアで見る）
+            const giverNights = countShiftType(giver.row, SHIFT_TYPES.NIGHT, daysInMonth);
+            if (countShiftType(receiver.row, SHIFT_TYPES.NIGHT, daysInMonth) > giverNights) return null;
+            return moveNights(giver, receiver, day, null);
+        }
+        const other = 1 + Math.floor(random() * daysInMonth);
+        if (other === day || receiver.row[other] !== SHIFT_TYPES.NIGHT) return null;
+        return moveNights(giver, receiver, day, other);
+    };
+
+    // 動きを1つ作る（[[メンバー, 日, 新しいシフト], ...]。作れなければ null）
+    const propose = () => {
+        const kind = random();
+        const member = pick(members);
+        const day = 1 + Math.floor(random() * daysInMonth);
+        if (kind >= 0.9) return proposeNightSwap(member, day);
+        if (!canMove(member, day)) return null;
+        const shift = member.row[day];
+        if (kind < 0.4) {
+            // 同じ日の2人の入れ替え
+            const other = pick(members);
+            if (other === member || !canMove(other, day) || other.row[day] === shift) return null;
+            const mine = receive(member, day, other.row[day]);
+            const theirs = receive(other, day, shift);
+            if (!mine || !theirs) return null;
+            return [[member, day, mine], [other, day, theirs]];
+        }
+        if (kind < 0.7) {
+            // 出勤日を別の日へ動かす
+            const to = 1 + Math.floor(random() * daysInMonth);
+            if (shift === SHIFT_TYPES.OFF || !member.canOff[day]) return null;
+            if (!canMove(member, to) || member.row[to] !== SHIFT_TYPES.OFF) return null;
+            const moved = receive(member, to, shift);
+            if (!moved) return null;
+            return [[member, day, SHIFT_TYPES.OFF], [member, to, moved]];
+        }
+        // A・B・A残の切り替え
+        if (shift === SHIFT_TYPES.OFF) return null;
+        const others = member.workShifts[day].filter(code => code !== shift);
+        if (others.length === 0) return null;
+        return [[member, day, pick(others)]];
+    };
+
+    let current = totalOf();
+    const startScore = current;
+    let best = current;
+    let bestRows = members.map(m => ({ ...m.row }));
+    let moves = 0;
+
+    const buildResult = () => {
+        const result = { ...assignments };
+        members.forEach((m, i) => {
+            const row = {};
+            for (let day = 1; day <= daysInMonth; day++) {
+                if (bestRows[i][day] !== undefined) row[day] = bestRows[i][day];
+            }
+            result[m.staff.id] = row;
+        });
+        const checkOptions = { previousAssignments: options.previousAssignments || null, requests: requests };
+        const detail = scoreSchedule(staffList, result, year, month, s, checkOptions);
+        return {
+            assignments: result,
+            warnings: validateSchedule(staffList, result, year, month, s, checkOptions),
+            score: detail.total,
+            breakdown: detail.categories,
+            startScore: startScore,
+            moves: moves,
+            elapsed: Date.now() - startTime
+        };
+    };
+
+    while (true) {
+        for (let i = 0; i < IMPROVE_STEP_MOVES; i++) {
+            const progress = Math.max(moves / maxMoves, (Date.now() - startTime) / timeLimit);
+            // 動かせる人がいない（期間にスタッフがいない）ときは表をそのまま返す
+            if (progress >= 1 || best >= 1000 || members.length === 0) return buildResult();
+            moves++;
+
+            const move = propose();
+            if (!move) continue;
+            const touched = [...new Set(move.map(([member]) => member))];
+            const saved = touched.map(m => ({ points: m.points, violations: m.violations }));
+            const undo = move.map(([member, day]) => [member, day, member.row[day]]);
+            move.forEach(([member, day, shift]) => setCell(member, day, shift));
+
+            const violationsGrew = touched.some(m => {
+                m.violations = countImproveViolations(model, m);
+                return m.violations > saved[touched.indexOf(m)].violations;
+            });
+            let accepted = false;
+            if (!violationsGrew) {
+                touched.forEach(m => { m.points = staffPoints(m); });
+                const previousCoverage = coverage;
+                const previousUnits = [];
+                if (unitRequirements.length > 0) {
+                    new Set(move.map(([, day]) => day)).forEach(day => {
+                        previousUnits.push([day, unitPoints[day]]);
+                        unitPoints[day] = unitDayPoints(day);
+                        unitTotal += unitPoints[day] - previousUnits[previousUnits.length - 1][1];
+                    });
+                }
+                coverage = coveragePoints() + skillPoints() + unitTotal;
+                const next = totalOf();
+                const temperature = IMPROVE_START_TEMPERATURE * Math.pow(IMPROVE_END_TEMPERATURE / IMPROVE_START_TEMPERATURE, progress);
+                accepted = next >= current || random() < Math.exp((next - current) / temperature);
+                if (accepted) {
+                    current = next;
+                    if (current > best) {
+                        best = current;
+                        bestRows = members.map(m => ({ ...m.row }));
+                    }
+                } else {
+                    coverage = previousCoverage;
+                    previousUnits.forEach(([day, points]) => {
+                        unitTotal += points - unitPoints[day];
+                        unitPoints[day] = points;
+                    });
+                }
+            }
+            if (!accepted) {
+                undo.reverse().forEach(([member, day, shift]) => setCell(member, day, shift));
+                touched.forEach((m, j) => { m.points = saved[j].points; m.violations = saved[j].violations; });
+            }
+        }
+        yield { moves: moves, elapsed: Date.now() - startTime, timeLimit: timeLimit, startScore: startScore, bestScore: best, result: buildResult() };
+        applyShiftMaster(s.shiftTypes);
+    }
+}
+
+/**
+ * シフト表を焼きなまし法で改善する（improveScheduleSteps を最後まで進める）
+ */
+function improveSchedule(staffList, year, month, assignments, requests, settings, options = {}) {
+    const steps = improveScheduleSteps(staffList, year, month, assignments, requests, settings, options);
+    let step = steps.next();
+    while (!step.done) step = steps.next();
+    return step.value;
+}
+
+// ===== 厳密モード（同じルールを必ず守る条件として探索する） =====
+// 貪欲なフェーズとは別に、ルールを「破ってはいけない条件」にして全通りを分枝限定法で探索する
+// 条件を満たす表がないことを示すか、目的（EXACT_COST）が最小の表を返す
+// 制限時間内に探索が終わらなければ、それまでに見つかった最良の表（最適かは未確認）を返す
+
+const EXACT_TIME_LIMIT = 30000; // 探索の制限時間（ミリ秒）
+const EXACT_STEP_NODES = 5000; // 何ノードごとに進捗を返すか
+const EXACT_RESTART_NODES = 20000; // 1回目の探索のノード数の上限（やり直すたびに2倍）
+const EXACT_HINT_WEIGHT = 10; // ヒントの表と同じシフトを先に試す重み
+const EXACT_NOISE = 4; // やり直したときに試す順番へ加える乱れの大きさ
+
+/**
+ * 厳密モードで小さくしたい目的の重み（条件を満たす表どうしの比べ方）
+ *   wishOffDenied: できれば休を断った日 / extraOff: 公休が目標より多い日 / balance: A/Bの差（2を超えた分。scoreSchedule と同じ）
+ */
+const EXACT_COST = {
+    wishOffDenied: 100,
+    extraOff: 10,
+    balance: 5
+};
+
+/**
+ * 厳密モードの結果の状態
+ *   optimal: 最適な表 / feasible: 条件を満たす表（時間内に最適か確認できなかった）
+ *   infeasible: 条件を満たす表はない / unknown: 時間内に表が見つからず、ないとも言えない
+ */
+const EXACT_STATUS = {
+    OPTIMAL: 'optimal',
+    FEASIBLE: 'feasible',
+    INFEASIBLE: 'infeasible',
+    UNKNOWN: 'unknown'
+};
+
+/**
+ * 探索用のモデルを作る（スタッフ・日ごとに入れてよいシフトの候補を絞る）
+ * 守る条件: 時間帯別の人数（日曜の緩和は月 maxSundayReduced 回まで）、夜勤の人数（ちょうど）と翌日の明け、
+ *   夜勤タイプ、夜勤の個人の決まり（月の最少・最多回数・間をあける日数・入れない曜日）、A残の回数上限と連日禁止、連勤上限（+1は許可された人だけ月 MAX_CONSECUTIVE_PLUS1 回）、
+ *   公休の目標（以上）、パートの週の上限、絶対休・勤務希望・夜勤不可・A/Bのみ、有給・研修・固定セル・前期間の末尾、
+ *   資格者・ユニットの最低人数（ユニットは時間帯ごとに、そのユニットに入れる人の人数で確かめる）
+ */
+function buildExactModel(staffList, year, month, requests, settings, options = {}) {
+    const s = { ...DEFAULT_SETTINGS, ...settings };
+    const daysInMonth = getDaysInMonth(year, month);
+    const checkpoints = getCheckpoints(s);
+    const tail = getPreviousTail(options.previousAssignments, year, month);
+    const pinned = options.pinned || {};
+    const customShifts = getAutoAssignShifts();
+    const skillRequirements = getMemberRequirements(s);
+
+    const days = [null];
+    for (let day = 1; day <= daysInMonth; day++) {
+        const sunday = isSunday(year, month, day);
+        days.push({
+            sunday: sunday,
+            monday: getDayOfWeek(year, month, day) === 1,
+            night: getNightRequired(year, month, day, s),
+            required: checkpoints.map(cp => cp.required),
+            minimum: checkpoints.map(cp => sunday ? cp.sundayMin : cp.required)
+        });
+    }
+
+    const staff = staffList.map(st => {
+        const isPart = st.type === 'part';
+        // パートの時間が未設定なら自動生成と同じ 9:00〜17:00 で数える
+        const member = isPart ? { ...st, startTime: st.startTime || '09:00', endTime: st.endTime || '17:00' } : st;
+        const nightType = st.nightShiftType || (st.canNightShift ? 'all' : 'none');
+        const staffRequests = getStaffRequests(requests, st.id);
+        const carried = withPreviousTail({}, tail[st.id]);
+        const pinnedOfStaff = pinned[st.id] || {};
+
+        const values = {};
+        const valueOf = (code) => {
+            if (!values[code]) {
+                values[code] = {
+                    shift: code,
+                    work: isWorkShift(code),
+                    cover: checkpoints.map(cp => isStaffPresentAt(member, code, cp.minutes)),
+                    skill: skillRequirements.map(r => countsForSkill(member, code, r))
+                };
+            }
+            return values[code];
+        };
+
+        const domains = [null];
+        for (let day = 1; day <= daysInMonth; day++) {
+            const type = staffRequests[day];
+            let fixed = pinnedOfStaff[day] || null;
+            if (!fixed && type === REQUEST_TYPES.PAID) fixed = SHIFT_TYPES.PAID;
+            if (!fixed && type === REQUEST_TYPES.TRAINING) fixed = SHIFT_TYPES.TRAINING;
+            if (!fixed && type === REQUEST_TYPES.ABSENT) fixed = SHIFT_TYPES.ABSENT;
+
+            let codes;
+            if (fixed) {
+                codes = [fixed];
+            } else if (type === REQUEST_TYPES.OFF) {
+                codes = [SHIFT_TYPES.OFF];
+            } else if (isPart) {
+                codes = [SHIFT_TYPES.OFF, SHIFT_TYPES.PART];
+            } else {
+                codes = [SHIFT_TYPES.OFF, SHIFT_TYPES.EARLY, SHIFT_TYPES.LATE, SHIFT_TYPES.NIGHT_OFF];
+                const nightOk = nightType === 'all' || (nightType === 'weekday' && !isFriSatSun(year, month, day));
+                if (nightOk && type !== REQUEST_TYPES.NO_NIGHT && type !== REQUEST_TYPES.DAY_ONLY) codes.push(SHIFT_TYPES.NIGHT);
+                if (st.canOvertime && type !== REQUEST_TYPES.DAY_ONLY) codes.push(SHIFT_TYPES.OVERTIME);
+                if (type !== REQUEST_TYPES.DAY_ONLY) codes.push(...customShifts);
+            }
+            // 曜日ごとの勤務可否で入れないシフトを外す
+            if (!fixed) codes = codes.filter(code => isShiftAllowed(st, year, month, day, code));
+            // 勤務希望の日と、希望のない「毎週出勤」の曜日は出勤のシフトだけ
+            const workDay = type === REQUEST_TYPES.WORK || (!type && isWeeklyWorkDay(st, year, month, day));
+            if (!fixed && workDay) codes = codes.filter(code => isWorkShift(code));
+            domains.push(codes);
+        }
+
+        // 明けは夜勤の翌日だけ、夜勤は翌日を明けにできる日だけ
+        for (let day = daysInMonth; day >= 1; day--) {
+            const nightBefore = day === 1 ? carried[0] === SHIFT_TYPES.NIGHT : domains[day - 1].includes(SHIFT_TYPES.NIGHT);
+            if (domains[day].length > 1 && !nightBefore) {
+                domains[day] = domains[day].filter(code => code !== SHIFT_TYPES.NIGHT_OFF);
+            }
+            if (day < daysInMonth && domains[day].length > 1 && !domains[day + 1].includes(SHIFT_TYPES.NIGHT_OFF)) {
+                domains[day] = domains[day].filter(code => code !== SHIFT_TYPES.NIGHT);
+            }
+        }
+
+        const wishOff = [];
+        for (let day = 1; day <= daysInMonth; day++) wishOff[day] = staffRequests[day] === REQUEST_TYPES.WISH_OFF;
+
+        return {
+            id: st.id,
+            isPart: isPart,
+            maxConsecutive: getStaffMaxConsecutive(st, s),
+            plus1: st.allowConsecutivePlus1 ? MAX_CONSECUTIVE_PLUS1 : 0,
+            targetOff: st.monthlyDaysOff || 9,
+            maxPerWeek: isPart ? (st.maxDaysPerWeek || 3) : Infinity,
+            minNights: st.minNights || 0,
+            maxNights: st.maxNights || Infinity,
+            nightSpacing: st.nightSpacing || 0,
+            nightCapable: domains.some(codes => codes && codes.includes(SHIFT_TYPES.NIGHT)),
+            domains: domains.map(codes => codes && codes.map(valueOf)),
+            wishOff: wishOff,
+            initial: {
+                run: getConsecutiveWorkDays(carried, 0),
+                prevOvertime: carried[0] === SHIFT_TYPES.OVERTIME,
+                nightBefore: carried[0] === SHIFT_TYPES.NIGHT,
+                // 前期間の最後の夜勤の日（0以下。なければ -Infinity）
+                lastNight: Object.keys(carried).map(Number).filter(d => carried[d] === SHIFT_TYPES.NIGHT)
+                    .reduce((last, d) => Math.max(last, d), -Infinity)
+            }
+        };
+    });
+
+    // 日ごとに後ろから数えた件数（残りの日の見積もりに使う）
+    staff.forEach(member => {
+        const suffix = (test) => {
+            const counts = new Array(daysInMonth + 2).fill(0);
+            for (let day = daysInMonth; day >= 1; day--) {
+                counts[day] = counts[day + 1] + (member.domains[day].some(test) ? 1 : 0);
+            }
+            return counts;
+        };
+        member.offSuffix = suffix(v => v.shift === SHIFT_TYPES.OFF);
+        member.restSuffix = suffix(v => !v.work && v.shift !== SHIFT_TYPES.OFF);
+        member.nightSuffix = suffix(v => v.shift === SHIFT_TYPES.NIGHT);
+        member.balanceSuffix = suffix(v => v.shift === SHIFT_TYPES.EARLY || v.shift === SHIFT_TYPES.LATE);
+        member.workCoverSuffix = checkpoints.map((cp, c) => suffix(v => v.work && v.cover[c]));
+        member.nightCover = checkpoints.map((cp, c) => member.domains.some(codes => codes && codes.some(v => v.shift === SHIFT_TYPES.NIGHT && v.cover[c])));
+        member.restCoverSuffix = checkpoints.map((cp, c) => suffix(v => !v.work && v.cover[c]));
+        // 休みしか入らない日（絶対休・固定の休み）
+        const onlyOff = new Array(daysInMonth + 2).fill(0);
+        for (let day = daysInMonth; day >= 1; day--) {
+            const codes = member.domains[day];
+            onlyOff[day] = onlyOff[day + 1] + (codes.length === 1 && codes[0].shift === SHIFT_TYPES.OFF ? 1 : 0);
+        }
+        member.onlyOffSuffix = onlyOff;
+    });
+
+    // 日の中で割り当てる順番（夜勤に入れる人→フルタイム→パート）
+    const order = staff.map((member, i) => i).sort((a, b) => {
+        const rank = m => m.nightCapable ? 0 : (m.isPart ? 2 : 1);
+        return rank(staff[a]) - rank(staff[b]);
+    });
+
+    return {
+        year: year,
+        month: month,
+        daysInMonth: daysInMonth,
+        checkpoints: checkpoints,
+        skillRequirements: skillRequirements,
+        maxSundayReduced: s.maxSundayReduced,
+        days: days,
+        staff: staff,
+        order: order
+    };
+}
+
+/**
+ * 残りの日（from 日目以降）に入れられる夜勤の回数の見積もり（夜勤に入れる日・翌日の明け・間をあける日数だけを見る。実際はこれ以下）
+ * lastNight: 最後に入れた夜勤の日（なければ -Infinity）
+ */
+function countExactNightSlots(model, member, from, lastNight) {
+    const gap = Math.max(2, member.nightSpacing + 1);
+    let last = lastNight;
+    let count = 0;
+    for (let day = from; day <= model.daysInMonth; day++) {
+        const codes = member.domains[day];
+        if (!codes.some(v => v.shift === SHIFT_TYPES.NIGHT)) continue;
+        // 固定した夜勤は間をあける日数によらず入る
+        if (day - last >= gap || codes.length === 1) {
+            count++;
+            last = day;
+        }
+    }
+    return count;
+}
+
+/**
+ * 残りの日（from 日目以降）で最大何日出勤できるかの見積もり（連勤上限・週の上限・入れるシフトだけを見る。実際はこれ以下）
+ */
+function estimateExactMaxWork(model, member, state, from) {
+    let run = state.run;
+    let byRun = 0;
+    let week = state.week;
+    let byWeek = 0;
+    for (let day = from; day <= model.daysInMonth; day++) {
+        const canWork = member.domains[day].some(v => v.work) && !(day === from && state.nightBefore);
+        if (canWork && run < member.maxConsecutive) {
+            byRun++;
+            run++;
+        } else {
+            run = 0;
+        }
+        if (model.days[day].monday) week = 0;
+        if (canWork && week < member.maxPerWeek) {
+            byWeek++;
+            week++;
+        }
+    }
+    return Math.min(byRun + member.plus1 - state.plus1Used, byWeek);
+}
+
+/**
+ * 残りの日（from 日目以降）の必要人数の合計と、全員が入れる最大人数を比べる
+ * 夜勤・明けの日はその時間帯にいない人も多いので、夜勤を誰かが受け持つ分を差し引いて見積もる
+ * 足りなければ { checkpoint, count, required } を返す（checkpoint は時間帯のIDか 'night'）。足りれば null
+ */
+function findExactShortage(model, states, from, reducedUsed) {
+    const { daysInMonth, days, staff, checkpoints } = model;
+    if (from > daysInMonth) return null;
+    const remaining = daysInMonth - from + 1;
+    const members = staff.map((member, i) => {
+        const state = states[i];
+        const offsNeeded = Math.max(0, member.targetOff - state.offs);
+        const notOff = Math.max(0, remaining - offsNeeded);
+        const maxWork = estimateExactMaxWork(model, member, state, from);
+        // 夜勤の翌日は明けなので、夜勤は休み以外の日の半分まで
+        const maxNights = Math.min(member.nightSuffix[from], maxWork, Math.ceil(notOff / 2));
+        return { notOff: notOff, maxWork: maxWork, maxNights: maxNights };
+    });
+
+    let nightRequired = 0;
+    for (let day = from; day <= daysInMonth; day++) nightRequired += days[day].night;
+    const nightCount = members.reduce((sum, m) => sum + m.maxNights, 0);
+    if (nightCount < nightRequired) return { checkpoint: 'night', count: nightCount, required: nightRequired };
+
+    for (let c = 0; c < checkpoints.length; c++) {
+        let required = 0;
+        const reductions = [];
+        for (let day = from; day <= daysInMonth; day++) {
+            required += days[day].required[c];
+            if (days[day].sunday) reductions.push(days[day].required[c] - days[day].minimum[c]);
+        }
+        reductions.sort((a, b) => b - a).slice(0, Math.max(0, model.maxSundayReduced - reducedUsed))
+            .forEach(r => { required -= r; });
+
+        // 夜勤1回で減るこの時間帯の人数: 夜勤か明けでこの時間帯にいる人は0、
+        // そうでない人は出勤日が1日減る（休み以外の日に余裕がある間）か、夜勤と明けの2日減る
+        let count = 0;
+        let free = 0;
+        let lossOne = 0;
+        staff.forEach((member, i) => {
+            const m = members[i];
+            const work = Math.min(m.maxWork, member.workCoverSuffix[c][from]);
+            count += Math.min(m.notOff, work + member.restCoverSuffix[c][from]);
+            if (member.nightCover[c] || member.restCoverSuffix[c][from] > 0) {
+                free += m.maxNights;
+            } else {
+                lossOne += Math.min(m.maxNights, Math.max(0, m.notOff - work));
+            }
+        });
+        let nights = Math.max(0, nightRequired - free);
+        const one = Math.min(nights, lossOne);
+        nights -= one;
+        // 最終日の夜勤の明けは期間の外なので1日分だけ戻す
+        count -= one + nights * 2 - (nights > 0 && days[daysInMonth].night > 0 ? 1 : 0);
+        if (count < required) return { checkpoint: checkpoints[c].id, count: count, required: required };
+    }
+    return null;
+}
+
+/**
+ * 探索を始める前に、明らかに条件を満たせない理由を探す（なければ null）
+ * @returns {Object|null} { type: 'daysOff' | 'nightMinimum' | 'day' | 'capacity', staffId, day, checkpoint, count, required }
+ */
+function findExactConflict(model, states) {
+    const { daysInMonth, days, staff, checkpoints } = model;
+    for (let i = 0; i < staff.length; i++) {
+        const member = staff[i];
+        if (member.offSuffix[1] < member.targetOff) {
+            return { type: 'daysOff', staffId: member.id, count: member.offSuffix[1], required: member.targetOff };
+        }
+        const nightSlots = Math.min(member.maxNights, countExactNightSlots(model, member, 1, member.initial.lastNight));
+        if (nightSlots < member.minNights) {
+            return { type: 'nightMinimum', staffId: member.id, count: nightSlots, required: member.minNights };
+        }
+    }
+    for (let day = 1; day <= daysInMonth; day++) {
+        for (let c = 0; c < checkpoints.length; c++) {
+            const count = staff.filter(member => member.domains[day].some(v => v.cover[c])).length;
+            if (count < days[day].minimum[c]) {
+                return { type: 'day', day: day, checkpoint: checkpoints[c].id, count: count, required: days[day].minimum[c] };
+            }
+        }
+        const nights = staff.filter(member => member.domains[day].some(v => v.shift === SHIFT_TYPES.NIGHT)).length;
+        if (nights < days[day].night) {
+            return { type: 'day', day: day, checkpoint: 'night', count: nights, required: days[day].night };
+        }
+    }
+    const shortage = findExactShortage(model, states, 1, 0);
+    return shortage ? { type: 'capacity', ...shortage } : null;
+}
+
+/**
+ * 厳密モードの探索を少しずつ進めるジェネレーター（引数は generateSchedule と同じ）
+ * 日ごとにスタッフのシフトを決め、条件を破る・人数が足りなくなる・最良より悪くなる枝は先を見ない
+ * @param {Object} options - generateSchedule の options に加えて
+ *   hint: 先に試すシフト表（貪欲な生成の結果など。探索の順番だけに使う）
+ *   timeLimit: 制限時間（ミリ秒。省略時は EXACT_TIME_LIMIT）
+ * EXACT_STEP_NODES ノードごとに { nodes, elapsed, timeLimit, bestCost, result } を yield し、最後に結果を return する
+ * @returns {Object} { status, assignments, warnings, score, breakdown, cost, nodes, elapsed, conflict }
+ *   assignments は表が見つからなければ null。conflict は条件を満たせない理由（わかったときだけ）
+ */
+function* solveScheduleSteps(staffList, year, month, requests, settings, options = {}) {
+    const { shiftTypes } = { ...DEFAULT_SETTINGS, ...settings };
+    applyShiftMaster(shiftTypes);
+    const model = buildExactModel(staffList, year, month, requests, settings, options);
+    const { daysInMonth, days, staff, order, checkpoints, skillRequirements } = model;
+    const staffCount = staff.length;
+    const cellCount = staffCount * daysInMonth;
+    const timeLimit = options.timeLimit || EXACT_TIME_LIMIT;
+    const hint = options.hint || {};
+    const random = createRandom(options.seed || 1);
+    let noise = 0;
+    const startedAt = Date.now();
+
+    // 探索中の状態（スタッフごと・その日の人数）。1セル決めるごとに前の値を退避して戻せるようにする
+    let states = staff.map(member => ({
+        run: member.initial.run,
+        plus1Used: 0,
+        overtime: 0,
+        prevOvertime: member.initial.prevOvertime,
+        nightBefore: member.initial.nightBefore,
+        nights: 0,
+        lastNight: member.initial.lastNight,
+        offs: 0,
+        early: 0,
+        late: 0,
+        week: 0
+    }));
+    let cover = checkpoints.map(() => 0);
+    let skillCover = skillRequirements.map(() => 0);
+    let nights = 0;
+    let reduced = 0;
+    let wishDenied = 0;
+    const cells = new Array(cellCount);
+    let best = null;
+    let nodes = 0;
+
+    // その日にまだ決めていない人で、各時間帯・夜勤に入れる最大人数（日の中の順番ごと）
+    const potential = days.map((info, day) => {
+        if (!info) return null;
+        const table = [];
+        for (let pos = staffCount; pos >= 0; pos--) {
+            const below = table[pos + 1] || { cover: checkpoints.map(() => 0), skill: skillRequirements.map(() => 0), night: 0 };
+            if (pos === staffCount) {
+                table[pos] = below;
+                continue;
+            }
+            const domain = staff[order[pos]].domains[day];
+            table[pos] = {
+                cover: below.cover.map((n, c) => n + (domain.some(v => v.cover[c]) ? 1 : 0)),
+                skill: below.skill.map((n, r) => n + (domain.some(v => v.skill[r]) ? 1 : 0)),
+                night: below.night + (domain.some(v => v.shift === SHIFT_TYPES.NIGHT) ? 1 : 0)
+            };
+        }
+        return table;
+    });
+
+    const dayOf = k => Math.floor(k / staffCount) + 1;
+    // k 番目のセルまで決めたとき、スタッフ i のまだ決めていない最初の日（k < 0 は探索前）
+    const rank = [];
+    order.forEach((i, pos) => { rank[i] = pos; });
+    const nextDay = (k, i) => {
+        if (k < 0) return 1;
+        return rank[i] <= k % staffCount ? dayOf(k) + 1 : dayOf(k);
+    };
+
+    // 目的の下限（決めたセルの分は確定、残りの日は避けられない分だけ）
+    // withWork: 出勤できる最大日数からも公休の超過を見積もる（重いので日の終わりだけ）
+    const lowerBound = (k, withWork) => {
+        let cost = wishDenied * EXACT_COST.wishOffDenied;
+        staff.forEach((member, i) => {
+            const state = states[i];
+            const day = nextDay(k, i);
+            let offs = state.offs + member.onlyOffSuffix[day];
+            if (withWork) {
+                const rest = daysInMonth - day + 1 - estimateExactMaxWork(model, member, state, day) - member.restSuffix[day];
+                offs = Math.max(offs, state.offs + rest);
+            }
+            if (offs > member.targetOff) cost += (offs - member.targetOff) * EXACT_COST.extraOff;
+            if (!member.isPart) {
+                const diff = Math.abs(state.early - state.late) - member.balanceSuffix[day];
+                if (diff > 2) cost += (diff - 2) * EXACT_COST.balance;
+            }
+        });
+        return cost;
+    };
+
+    // k 番目のセルにシフトを入れる（条件を破るなら null、入れたら戻すための退避を返す）
+    const assign = (k, value) => {
+        const day = dayOf(k);
+        const i = order[k % staffCount];
+        const member = staff[i];
+        const state = states[i];
+        const shift = value.shift;
+        const fixed = member.domains[day].length === 1;
+
+        if (state.nightBefore && shift !== SHIFT_TYPES.NIGHT_OFF) return null;
+        if (!state.nightBefore && shift === SHIFT_TYPES.NIGHT_OFF && !fixed) return null;
+
+        const run = value.work ? state.run + 1 : 0;
+        let plus1Used = state.plus1Used;
+        if (run > member.maxConsecutive) {
+            if (run > member.maxConsecutive + 1 || plus1Used >= member.plus1) return null;
+            plus1Used++;
+        }
+        const week = (days[day].monday ? 0 : state.week) + (value.work ? 1 : 0);
+        if (week > member.maxPerWeek) return null;
+        const isOvertime = shift === SHIFT_TYPES.OVERTIME;
+        if (isOvertime && (state.prevOvertime || state.overtime >= MAX_OT_PER_PERSON)) return null;
+        const isNight = shift === SHIFT_TYPES.NIGHT;
+        if (isNight && nights >= days[day].night) return null;
+        // 個人の夜勤の月の最多回数と、夜勤の間をあける日数
+        if (isNight && !fixed && (state.nights >= member.maxNights || day - state.lastNight <= member.nightSpacing)) return null;
+
+        const saved = { state: state, cover: cover, skillCover: skillCover, nights: nights, reduced: reduced, wishDenied: wishDenied };
+        states[i] = {
+            run: run,
+            plus1Used: plus1Used,
+            overtime: state.overtime + (isOvertime ? 1 : 0),
+            prevOvertime: isOvertime,
+            nightBefore: isNight,
+            nights: state.nights + (isNight ? 1 : 0),
+            lastNight: isNight ? day : state.lastNight,
+            offs: state.offs + (shift === SHIFT_TYPES.OFF ? 1 : 0),
+            early: state.early + (shift === SHIFT_TYPES.EARLY ? 1 : 0),
+            late: state.late + (shift === SHIFT_TYPES.LATE ? 1 : 0),
+            week: week
+        };
+        cover = cover.map((n, c) => n + (value.cover[c] ? 1 : 0));
+        if (value.skill.some(Boolean)) skillCover = skillCover.map((n, r) => n + (value.skill[r] ? 1 : 0));
+        if (shift === SHIFT_TYPES.NIGHT) nights++;
+        if (member.wishOff[day] && shift !== SHIFT_TYPES.OFF) wishDenied++;
+        cells[k] = value;
+        return saved;
+    };
+
+    // ユニットは、日の終わりにその日の表で応援の人を置いてから確かめる（時間帯ごとの見込みだけでは、同じ人が別のユニットに要る日を見落とす）
+    const unitRequirements = getUnitRequirements(settings);
+    const unitsFilled = (day, start) => {
+        const dayAssignments = {};
+        for (let p = 0; p < staffCount; p++) dayAssignments[staff[order[p]].id] = { [day]: cells[start + p].shift };
+        return countUnitsOnDay(staffList, dayAssignments, day, settings, unitRequirements)
+            .every((count, r) => count >= unitRequirements[r].required);
+    };
+
+    const undo = (k, saved) => {
+        states[order[k % staffCount]] = saved.state;
+        cover = saved.cover;
+        skillCover = saved.skillCover;
+        nights = saved.nights;
+        reduced = saved.reduced;
+        wishDenied = saved.wishDenied;
+    };
+
+    // 入れたあとで、この先も条件を満たせる見込みがあるか
+    const propagate = (k) => {
+        const day = dayOf(k);
+        const pos = k % staffCount;
+        const i = order[pos];
+        const member = staff[i];
+        const state = states[i];
+
+        // このスタッフの残りの日で公休の目標に届くか（夜勤の翌日は明けなので休みにできない）
+        const offsNeeded = member.targetOff - state.offs;
+        if (offsNeeded > 0) {
+            let slots = member.offSuffix[day + 1];
+            if (state.nightBefore && day < daysInMonth && member.domains[day + 1].some(v => v.shift === SHIFT_TYPES.OFF)) slots--;
+            if (offsNeeded > slots) return false;
+        }
+        // 残りの日で夜勤の月の最少回数に届くか
+        if (state.nights < member.minNights &&
+            state.nights + countExactNightSlots(model, member, day + 1, state.lastNight) < member.minNights) return false;
+
+        // その日のまだ決めていない人で必要人数・夜勤に届くか
+        const info = days[day];
+        const reducible = info.sunday && reduced < model.maxSundayReduced;
+        const rest = potential[day][pos + 1];
+        for (let c = 0; c < checkpoints.length; c++) {
+            const need = reducible ? info.minimum[c] : info.required[c];
+            if (cover[c] + rest.cover[c] < need) return false;
+        }
+        if (nights + rest.night < info.night) return false;
+        // 資格者の最低人数（日曜の緩和はない）
+        for (let r = 0; r < skillRequirements.length; r++) {
+            if (skillCover[r] + rest.skill[r] < skillRequirements[r].required) return false;
+        }
+
+        // 日の終わり: 人数を確定し（日曜の緩和はここで使う）、残りの日の人数が足りるかを見る
+        if (pos === staffCount - 1) {
+            if (checkpoints.some((cp, c) => cover[c] < info.required[c])) {
+                if (!reducible) return false;
+                reduced++;
+            }
+            if (unitRequirements.length > 0 && !unitsFilled(day, k - pos)) return false;
+            cover = checkpoints.map(() => 0);
+            skillCover = skillRequirements.map(() => 0);
+            nights = 0;
+            if (findExactShortage(model, states, day + 1, reduced)) return false;
+        }
+
+        return !best || lowerBound(k, pos === staffCount - 1) < best.cost;
+    };
+
+    // その日に休みにする人の見込み（日の最初に決める）
+    // 残りの日で必要な公休の割合を全員分足した人数だけ、割合の高い人から選ぶ
+    let plannedOff = new Set();
+    const planDay = (day) => {
+        const pressure = staff.map((member, i) => ({
+            i: i,
+            rate: Math.max(0, member.targetOff - states[i].offs) / Math.max(1, member.offSuffix[day])
+        }));
+        const count = Math.round(pressure.reduce((sum, p) => sum + p.rate, 0));
+        plannedOff = new Set(pressure.sort((a, b) => b.rate - a.rate).slice(0, count).map(p => p.i));
+    };
+
+    // k 番目のセルで試すシフトの順番（ヒント→休みの見込み→人数が足りない時間帯に入るもの）
+    const candidatesFor = (k) => {
+        const day = dayOf(k);
+        const i = order[k % staffCount];
+        if (k % staffCount === 0) planDay(day);
+        const member = staff[i];
+        const state = states[i];
+        const domain = member.domains[day];
+        if (domain.length === 1) return domain;
+        if (state.nightBefore) return domain.filter(v => v.shift === SHIFT_TYPES.NIGHT_OFF);
+
+        const hinted = hint[member.id]?.[day];
+        const info = days[day];
+        const rate = (value) => {
+            let score = (value.shift === hinted ? EXACT_HINT_WEIGHT : 0) + random() * noise;
+            if (value.shift === SHIFT_TYPES.OFF) return score + (plannedOff.has(i) ? 4 : 0) + (member.wishOff[day] ? 2 : 0);
+            if (value.work && state.run >= member.maxConsecutive) score -= 5;
+            checkpoints.forEach((cp, c) => {
+                if (value.cover[c] && cover[c] < info.required[c]) score += 1.5;
+            });
+            skillRequirements.forEach((r, j) => {
+                if (value.skill[j] && skillCover[j] < r.required) score += 2;
+            });
+            if (value.shift === SHIFT_TYPES.NIGHT) score += nights < info.night ? 3 : -5;
+            if (value.shift === SHIFT_TYPES.OVERTIME) score -= 1;
+            if (value.shift === SHIFT_TYPES.EARLY && state.early < state.late) score += 0.5;
+            if (value.shift === SHIFT_TYPES.LATE && state.late < state.early) score += 0.5;
+            return score;
+        };
+        return domain.filter(v => v.shift !== SHIFT_TYPES.NIGHT_OFF)
+            .map(v => ({ value: v, score: rate(v) }))
+            .sort((a, b) => b.score - a.score)
+            .map(item => item.value);
+    };
+
+    // 全セルを決めたときの目的
+    const totalCost = () => {
+        let cost = wishDenied * EXACT_COST.wishOffDenied;
+        staff.forEach((member, i) => {
+            const state = states[i];
+            if (state.offs > member.targetOff) cost += (state.offs - member.targetOff) * EXACT_COST.extraOff;
+            if (!member.isPart) {
+                const diff = Math.abs(state.early - state.late);
+                if (diff > 2) cost += (diff - 2) * EXACT_COST.balance;
+            }
+        });
+        return cost;
+    };
+
+    const toAssignments = (values) => {
+        const assignments = {};
+        staff.forEach(member => { assignments[member.id] = {}; });
+        values.forEach((value, k) => {
+            assignments[staff[order[k % staffCount]].id][dayOf(k)] = value.shift;
+        });
+        return assignments;
+    };
+
+    let resultCache = null;
+    const buildResult = (status, conflict) => {
+        const elapsed = Date.now() - startedAt;
+        const info = { status: status, nodes: nodes, elapsed: elapsed, cost: best ? best.cost : null, conflict: conflict || null };
+        if (!best) {
+            return { ...info, assignments: null, warnings: [createWarning('exact', exactSeverity(status), info)], score: null, breakdown: null };
+        }
+        if (!resultCache || resultCache.best !== best) {
+            const assignments = toAssignments(best.values);
+            const validateOptions = { previousAssignments: options.previousAssignments, requests: requests };
+            const detail = scoreSchedule(staffList, assignments, year, month, settings, validateOptions);
+            resultCache = {
+                best: best,
+                assignments: assignments,
+                warnings: validateSchedule(staffList, assignments, year, month, settings, validateOptions),
+                score: detail.total,
+                breakdown: detail.categories
+            };
+        }
+        return {
+            ...info,
+            assignments: resultCache.assignments,
+            warnings: [...resultCache.warnings, createWarning('exact', exactSeverity(status), info)],
+            score: resultCache.score,
+            breakdown: resultCache.breakdown
+        };
+    };
+
+    const rootConflict = findExactConflict(model, states);
+    if (rootConflict || cellCount === 0) {
+        return buildResult(rootConflict ? EXACT_STATUS.INFEASIBLE : EXACT_STATUS.OPTIMAL, rootConflict);
+    }
+    const rootBound = lowerBound(-1, true);
+
+    // 深さ優先探索（再帰の代わりにスタックで。途中で yield して進捗を返し、中止できるようにする）
+    // 1回の探索のノード数に上限を設け、届いたら順番を少し乱してやり直す（上限は毎回2倍）
+    // 上限に届かずに探索を終えた回があれば、全通りを調べ終えたことになる
+    for (let restart = 0; ; restart++) {
+        const nodeLimit = EXACT_RESTART_NODES * Math.pow(2, restart);
+        let restartNodes = 0;
+        noise = restart > 0 ? EXACT_NOISE : 0;
+        const stack = [{ values: candidatesFor(0), index: 0, saved: null }];
+        while (stack.length > 0) {
+            const k = stack.length - 1;
+            const frame = stack[k];
+            if (frame.saved) {
+                undo(k, frame.saved);
+                frame.saved = null;
+            }
+            if (frame.index >= frame.values.length || restartNodes >= nodeLimit) {
+                stack.pop();
+                continue;
+            }
+
+            nodes++;
+            restartNodes++;
+            if (nodes % EXACT_STEP_NODES === 0) {
+                const elapsed = Date.now() - startedAt;
+                if (elapsed >= timeLimit) {
+                    return buildResult(best ? EXACT_STATUS.FEASIBLE : EXACT_STATUS.UNKNOWN);
+                }
+                yield { nodes: nodes, elapsed: elapsed, timeLimit: timeLimit, bestCost: best ? best.cost : null, result: best ? buildResult(EXACT_STATUS.FEASIBLE) : null };
+                applyShiftMaster(shiftTypes);
+            }
+
+            const saved = assign(k, frame.values[frame.index++]);
+            if (!saved) continue;
+            frame.saved = saved;
+            if (!propagate(k)) continue;
+
+            if (k === cellCount - 1) {
+                const cost = totalCost();
+                if (!best || cost < best.cost) {
+                    best = { cost: cost, values: cells.slice() };
+                    // 下限に届いたらこれより良い表はない
+                    if (cost <= rootBound) return buildResult(EXACT_STATUS.OPTIMAL);
+                }
+                continue;
+            }
+            stack.push({ values: candidatesFor(k + 1), index: 0, saved: null });
+        }
+        if (restartNodes < nodeLimit) break;
+    }
+
+    // 全通りを調べ終えた
+    return buildResult(best ? EXACT_STATUS.OPTIMAL : EXACT_STATUS.INFEASIBLE, best ? null : { type: 'search' });
+}
+
+/**
+ * 厳密モードの結果の状態を警告の重要度にする（表がないときは error）
+ */
+function exactSeverity(status) {
+    return status === EXACT_STATUS.INFEASIBLE || status === EXACT_STATUS.UNKNOWN ? WARNING_SEVERITY.ERROR : WARNING_SEVERITY.INFO;
+}
+
+// ===== ヘッドレスAPI（画面・Web Worker・Node の CLI やテストで共通） =====
+
+/**
+ * 期間キー（YYYY-MM。schedules のキー）
+ */
+function getPeriodKey(year, month) {
+    return `${year}-${String(month).padStart(2, '0')}`;
+}
+
+/**
+ * 固定セルを自動生成に渡す形（スタッフID→日→シフト）にする
+ * schedule.pinned はスタッフID→日の配列。シフトが入っていないセルは固定の対象外
+ */
+function getPinnedAssignments(schedule) {
+    const pinned = {};
+    Object.keys(schedule.pinned || {}).forEach(staffId => {
+        const assignments = schedule.assignments?.[staffId] || {};
+        schedule.pinned[staffId].forEach(day => {
+            if (!assignments[day]) return;
+            if (!pinned[staffId]) pinned[staffId] = {};
+            pinned[staffId][day] = assignments[day];
+        });
+    });
+    return pinned;
+}
+
+/**
+ * アプリの保存データ（エクスポートした JSON と同じ形）から、期間の自動生成の入力を作る
+ * 前期間の割り当て・固定セル・「できれば」の希望休の履歴もここで集める
+ * @param {Object} data - { staff, schedules, settings }
+ * スタッフは期間のスタッフ（getPeriodStaff）にし、希望と固定セルには在籍外・休職の日を反映する
+ * @returns {Object} generatePeriod の入力
+ *   { staff, year, month, requests, settings, previousAssignments, pinned, wishOffHistory }
+ */
+function buildPeriodInput(data, year, month) {
+    const schedules = data.schedules || {};
+    const schedule = schedules[getPeriodKey(year, month)] || { requests: {}, assignments: {} };
+    const prev = getPreviousPeriod(year, month);
+    const prevSchedule = schedules[getPeriodKey(prev.year, prev.month)];
+    const staff = getPeriodStaff(data.staff || [], year, month);
+    return {
+        staff: staff,
+        year: year,
+        month: month,
+        requests: getPeriodRequests(staff, schedule.requests || {}, year, month),
+        settings: { ...DEFAULT_SETTINGS, ...data.settings },
+        previousAssignments: prevSchedule ? prevSchedule.assignments : null,
+        pinned: withoutAbsentDays(staff, getPinnedAssignments(schedule), year, month),
+        wishOffHistory: getWishOffHistory(schedules, year, month)
+    };
+}
+
+/**
+ * 固定セルから在籍外・休職の日を外す
+ */
+function withoutAbsentDays(staffList, pinned, year, month) {
+    const result = {};
+    staffList.forEach(staff => {
+        const absent = getAbsentDays(staff, year, month);
+        Object.keys(pinned[staff.id] || {}).forEach(day => {
+            if (absent.includes(parseInt(day))) return;
+            if (!result[staff.id]) result[staff.id] = {};
+            result[staff.id][day] = pinned[staff.id][day];
+        });
+    });
+    return result;
+}
+
+/**
+ * generatePeriod の入力を generateSchedule の引数に並べ替える
+ */
+function toScheduleArgs(input) {
+    return [input.staff, input.year, input.month, input.requests || {}, input.settings || {}, {
+        previousAssignments: input.previousAssignments || null,
+        pinned: input.pinned || {},
+        wishOffHistory: input.wishOffHistory || {},
+        seed: input.seed
+    }];
+}
+
+/**
+ * 期間のシフトを自動生成する
+ * @param {Object} input - buildPeriodInput の形。seed を入れると同じ結果を再現できる
+ * @returns {Object} { assignments, warnings, seed, score, breakdown, candidates }
+ *   warnings は validateSchedule の形の診断、breakdown は scoreSchedule の categories
+ */
+function generatePeriod(input) {
+    return generateSchedule(...toScheduleArgs(input));
+}
+
+/**
+ * generatePeriod を1試行ずつ進めるジェネレーター（generateScheduleTrials と同じものを yield する）
+ */
+function generatePeriodTrials(input) {
+    return generateScheduleTrials(...toScheduleArgs(input));
+}
+
+/**
+ * 期間のシフトを厳密モードで作る探索を少しずつ進めるジェネレーター（solveScheduleSteps と同じものを yield / return する）
+ * 探索の順番の手がかりに、先に自動生成（input.seed）で表を作っておく。作る間も1試行ごとに
+ * { nodes: 0, elapsed: 0, timeLimit, bestCost: null, result: null, hint }（hint は generateScheduleTrials の進捗から result を除いたもの）を yield する
+ * （厳密モードの表はまだないので result は null。中止すれば表は見つからなかったことになる）
+ * @param {Object} input - buildPeriodInput の形。timeLimit（ミリ秒）を入れると制限時間を変えられる
+ */
+function* solvePeriodSteps(input) {
+    const [staff, year, month, requests, settings, options] = toScheduleArgs(input);
+    const timeLimit = input.timeLimit || EXACT_TIME_LIMIT;
+    const trials = generateScheduleTrials(staff, year, month, requests, settings, options);
+    let trial = trials.next();
+    while (!trial.done) {
+        const { result, ...hint } = trial.value;
+        yield { nodes: 0, elapsed: 0, timeLimit: timeLimit, bestCost: null, result: null, hint: hint };
+        trial = trials.next();
+    }
+    return yield* solveScheduleSteps(staff, year, month, requests, settings, { ...options, hint: trial.value.assignments, timeLimit: input.timeLimit });
+}
+
+/**
+ * 期間のシフトを厳密モードで作る
+ * @returns {Object} { status, assignments, warnings, score, breakdown, cost, nodes, elapsed, conflict }（EXACT_STATUS）
+ */
+function solvePeriod(input) {
+    const steps = solvePeriodSteps(input);
+    let step = steps.next();
+    while (!step.done) step = steps.next();
+    return step.value;
+}
+
+/**
+ * 期間のシフト表を焼きなまし法で改善する探索を少しずつ進めるジェネレーター（improveScheduleSteps と同じものを yield / return する）
+ * @param {Object} input - buildPeriodInput の形＋改善する表 assignments。timeLimit（ミリ秒）を入れると制限時間を変えられる
+ */
+function improvePeriodSteps(input) {
+    const [staff, year, month, requests, settings, options] = toScheduleArgs(input);
+    return improveScheduleSteps(staff, year, month, input.assignments || {}, requests, settings, { ...options, timeLimit: input.timeLimit });
+}
+
+/**
+ * 期間のシフト表を焼きなまし法で改善する
+ * @returns {Object} { assignments, warnings, score, breakdown, startScore, moves, elapsed }
+ */
+function improvePeriod(input) {
+    const steps = improvePeriodSteps(input);
+    let step = steps.next();
+    while (!step.done) step = steps.next();
+    return step.value;
+}
+
+/**
+ * 期間の人数が足りるかを生成の前に確かめる（diagnoseStaffing）
+ * @param {Object} input - buildPeriodInput の形
+ * @returns {Array} 警告（staffingShortage / nightCapacity / dayShortage）。足りていれば空
+ */
+function diagnosePeriod(input) {
+    const [staff, year, month, requests, settings, options] = toScheduleArgs(input);
+    return diagnoseStaffing(staff, year, month, requests, settings, options);
+}
+
+/**
+ * 期間のシフト表を確認する（validateSchedule と scoreSchedule をまとめたもの）
+ * @param {Object} input - buildPeriodInput の形
+ * @param {Object} assignments - 確認するシフト表
+ * @returns {Object} { warnings, score, breakdown }
+ */
+function checkPeriod(input, assignments) {
+    applyShiftMaster(input.settings?.shiftTypes);
+    const options = { previousAssignments: input.previousAssignments || null, requests: input.requests || {} };
+    const detail = scoreSchedule(input.staff, assignments, input.year, input.month, input.settings, options);
+    return {
+        warnings: validateSchedule(input.staff, assignments, input.year, input.month, input.settings, options),
+        score: detail.total,
+        breakdown: detail.categories
+    };
+}
+
+/**
+ * 試算（もしも）の入力を作る。保存データは変えず、スタッフを入れ替えた期間の入力を返す
+ * 試算のスタッフには在籍する日（from / to。期間の日の番号で、省略すると期間の初日・最終日）を入れられる
+ * 在籍する日は入職日・退職日に重ね、登録した在籍期間・休職と同じく在籍外の日として扱う（公休の目標も按分する）
+ * @param {Object} input - buildPeriodInput の形
+ * @param {Array} staff - 試算のスタッフ（登録したスタッフを複製して追加・削除・変更したもの）
+ * @returns {Object} input と同じ形（staff・requests・pinned を試算のスタッフに合わせたもの）
+ */
+function buildWhatIfInput(input, staff) {
+    const { year, month } = input;
+    const daysInMonth = getDaysInMonth(year, month);
+    const whatIfStaff = getPeriodStaff(staff.map(member => {
+        const { from, to, ...rest } = member;
+        if (from > 1) {
+            const start = periodDayToDateString(year, month, from);
+            if (!rest.startDate || rest.startDate < start) rest.startDate = start;
+        }
+        if (to && to < daysInMonth) {
+            const end = periodDayToDateString(year, month, to);
+            if (!rest.endDate || rest.endDate > end) rest.endDate = end;
+        }
+        return rest;
+    }), year, month);
+
+    // 在籍外の日は試算のスタッフの在籍期間で作り直す
+    const requests = {};
+    whatIfStaff.forEach(member => {
+        const staffRequests = { ...getStaffRequests(input.requests, member.id) };
+        Object.keys(staffRequests).forEach(day => {
+            if (staffRequests[day] === REQUEST_TYPES.ABSENT) delete staffRequests[day];
+        });
+        requests[member.id] = staffRequests;
+    });
+    return {
+        ...input,
+        staff: whatIfStaff,
+        requests: getPeriodRequests(whatIfStaff, requests, year, month),
+        pinned: withoutAbsentDays(whatIfStaff, input.pinned || {}, year, month)
+    };
+}
+
+// Node（CommonJS）では module.exports で公開する（ES モジュールは scheduler.mjs がこの名前をそのまま export する）。
+// ブラウザ・Web Worker では今までどおりグローバルに定義される
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        // ヘッドレスAPI
+        buildPeriodInput,
+        generatePeriod,
+        generatePeriodTrials,
+        checkPeriod,
+        solvePeriod,
+        solvePeriodSteps,
+        improvePeriod,
+        improvePeriodSteps,
+        diagnosePeriod,
+        buildWhatIfInput,
+        // 生成・確認
+        generateSchedule,
+        generateScheduleTrials,
+        solveScheduleSteps,
+        improveSchedule,
+        improveScheduleSteps,
+        diagnoseStaffing,
+        validateSchedule,
+        scoreSchedule,
+        getShiftChangeWarnings,
+        canAssignNight,
+        evaluateCoverage,
+        evaluateSkillCoverage,
+        evaluateUnitCoverage,
+        // 定数・マスタ
+        SHIFT_TYPES,
+        REQUEST_TYPES,
+        REQUEST_LABELS,
+        SHIFT_DEFS,
+        SHIFT_LABELS,
+        DEFAULT_SETTINGS,
+        WARNING_SEVERITY,
+        SCORE_CATEGORIES,
+        EXACT_STATUS,
+        EXACT_COST,
+        MAX_OT_PER_PERSON,
+        MAX_CONSECUTIVE_PLUS1,
+        QUALIFICATIONS,
+        LEAVE_REASONS,
+        AVAILABILITY_SHIFTS,
+        WEEKLY_PATTERNS,
+        applyShiftMaster,
+        mergeShiftMaster,
+        // 日付・集計の補助
+        getPeriodKey,
+        getPreviousPeriod,
+        getDaysInMonth,
+        periodDayToDate,
+        getDayOfWeek,
+        isSunday,
+        isFriSatSun,
+        getCheckpoints,
+        getNightRequired,
+        getSkillRequirements,
+        hasQualification,
+        countSkillAt,
+        getUnits,
+        getStaffUnits,
+        getUnitRequirements,
+        placeUnits,
+        getAbsentDays,
+        getPeriodStaff,
+        getPeriodRequests,
+        getAllowedShifts,
+        isShiftAllowed,
+        getStaffRequests,
+        getWishOffHistory,
+        getPinnedAssignments,
+        getStaffMaxConsecutive,
+        getWeekWorkDays,
+        countShiftType,
+        countWorkDays,
+        countOffDays,
+        isWorkShift,
+        createRandom,
+        createSeed
+    };
+}
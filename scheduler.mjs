@@ -0,0 +1,8 @@
+// ===== スケジューラーの ES モジュール版（Node 用） =====
+// import { buildPeriodInput, generatePeriod } from './scheduler.mjs' のように使う
+// 中身は scheduler.js（CommonJS）。Node が module.exports = { ... } から読み取る名前をそのまま export するので、
+// 公開する名前を足すときは scheduler.js の module.exports だけ直せばよい
+// ブラウザ・Web Worker では今までどおり scheduler.js をグローバルとして読み込む
+
+export * from './scheduler.js';
+export { default } from './scheduler.js';
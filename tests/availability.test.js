@@ -0,0 +1,146 @@
+// ===== 曜日ごとの勤務可否・固定パターンのテスト =====
+// 実行: node --test tests/
+// 曜日ごとに入れるシフトと「毎週休み」「毎週出勤」を、生成・改善・厳密モードが守ること、外れた表と手での変更を知らせることを確認する
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const S = require('../scheduler.js');
+const { createAmpleData, createAmpleDataWith, periodInput, PERIODS } = require('./fixtures.js');
+
+const { SHIFT_TYPES, WEEKLY_PATTERNS } = S;
+const { EARLY, LATE, PART } = SHIFT_TYPES;
+// 2026年4月16日（木）〜5月15日
+const period = PERIODS[2];
+
+function createAvailabilityData() {
+    return createAmpleDataWith({
+        // 日曜は毎週休み
+        full_1: { weeklyPattern: { 0: WEEKLY_PATTERNS.OFF } },
+        // 平日は早番だけ（土日は制限なし）
+        full_2: { availability: { 1: [EARLY], 2: [EARLY], 3: [EARLY], 4: [EARLY], 5: [EARLY] } },
+        // 火曜は毎週出勤（日勤だけ）
+        full_3: { weeklyPattern: { 2: WEEKLY_PATTERNS.WORK }, availability: { 2: [EARLY, LATE] } },
+        // 水曜は入れない
+        part_1: { availability: { 3: [] } }
+    });
+}
+
+function availabilityInput(seed = 1, p = period) {
+    return periodInput(createAvailabilityData(), p, seed);
+}
+
+function daysOfWeek(dows, p = period) {
+    const days = [];
+    for (let day = 1; day <= p.days; day++) {
+        if (dows.includes(S.getDayOfWeek(p.year, p.month, day))) days.push(day);
+    }
+    return days;
+}
+
+// 生成した表が曜日ごとの勤務可否・固定パターンを守っているか（except: 希望を優先して毎週出勤しない日）
+function assertFollowsAvailability(assignments, p = period, except = []) {
+    daysOfWeek([0], p).forEach(day => assert.ok(!S.isWorkShift(assignments.full_1[day]), `full_1 ${day}日目`));
+    daysOfWeek([1, 2, 3, 4, 5], p).forEach(day => {
+        const shift = assignments.full_2[day];
+        assert.ok(!S.isWorkShift(shift) || shift === EARLY, `full_2 ${day}日目 ${shift}`);
+    });
+    daysOfWeek([2], p).filter(day => !except.includes(day))
+        .forEach(day => assert.ok([EARLY, LATE].includes(assignments.full_3[day]), `full_3 ${day}日目`));
+    daysOfWeek([3], p).forEach(day => assert.notEqual(assignments.part_1[day], PART, `part_1 ${day}日目`));
+}
+
+describe('曜日ごとの勤務可否・固定パターン', () => {
+    it('曜日の制限がなければどのシフトにも入れ、毎週休みの曜日は出勤に入れない', () => {
+        const staff = { availability: { 1: [EARLY] }, weeklyPattern: { 0: WEEKLY_PATTERNS.OFF } };
+        // 1日目は木曜、4日目は日曜、5日目は月曜
+        assert.equal(S.getAllowedShifts(staff, period.year, period.month, 1), null);
+        assert.deepEqual(S.getAllowedShifts(staff, period.year, period.month, 4), []);
+        assert.deepEqual(S.getAllowedShifts(staff, period.year, period.month, 5), [EARLY]);
+        assert.ok(S.isShiftAllowed(staff, period.year, period.month, 5, EARLY));
+        assert.ok(!S.isShiftAllowed(staff, period.year, period.month, 5, LATE));
+        // 休み・有給・研修はいつでも
+        assert.ok(S.isShiftAllowed(staff, period.year, period.month, 4, SHIFT_TYPES.OFF));
+        assert.ok(S.isShiftAllowed(staff, period.year, period.month, 4, SHIFT_TYPES.TRAINING));
+        assert.ok(!S.isShiftAllowed(staff, period.year, period.month, 4, EARLY));
+    });
+
+    it('毎週休みの曜日は、その曜日の勤務可否より優先する。明けは曜日の制限を受けない', () => {
+        const staff = { availability: { 0: [EARLY] }, weeklyPattern: { 0: WEEKLY_PATTERNS.OFF } };
+        // 4日目は日曜
+        assert.deepEqual(S.getAllowedShifts(staff, period.year, period.month, 4), []);
+        assert.ok(!S.isShiftAllowed(staff, period.year, period.month, 4, EARLY));
+        assert.ok(S.isShiftAllowed(staff, period.year, period.month, 4, SHIFT_TYPES.NIGHT_OFF));
+        assert.ok(S.isShiftAllowed(staff, period.year, period.month, 4, SHIFT_TYPES.PAID));
+    });
+
+    it('自動生成は28〜31日の期間でも曜日ごとの勤務可否と固定パターンを守る', () => {
+        PERIODS.forEach(p => {
+            const result = S.generatePeriod(availabilityInput(1, p));
+            assertFollowsAvailability(result.assignments, p);
+            assert.deepEqual(result.warnings.filter(w => w.type === 'unavailableShift' || w.type === 'daysOff'), [], `${p.year}-${p.month}`);
+            assert.equal(result.warnings.filter(w => w.type === 'coverage').length, 0);
+        });
+    });
+
+    it('毎週出勤の曜日でも、カレンダーに絶対休・有給の希望がある日は希望を優先する', () => {
+        const data = createAvailabilityData();
+        // 6日目・13日目は火曜
+        const [first, second] = daysOfWeek([2]);
+        data.schedules[S.getPeriodKey(period.year, period.month)] = {
+            requests: { full_3: { [first]: S.REQUEST_TYPES.OFF, [second]: S.REQUEST_TYPES.PAID } },
+            assignments: {}
+        };
+        const result = S.generatePeriod(periodInput(data, period));
+        assert.equal(result.assignments.full_3[first], SHIFT_TYPES.OFF);
+        assert.equal(result.assignments.full_3[second], SHIFT_TYPES.PAID);
+        assertFollowsAvailability(result.assignments, period, [first, second]);
+    });
+
+    it('人数の見通しは、何も入れない曜日を絶対休と同じに数える', () => {
+        // フルタイム8人が日曜は毎週休み
+        const fields = {};
+        for (let n = 1; n <= 8; n++) fields[`full_${n}`] = { weeklyPattern: { 0: WEEKLY_PATTERNS.OFF } };
+        const input = periodInput(createAmpleDataWith(fields), period);
+        const days = S.diagnosePeriod(input).filter(w => w.type === 'dayShortage');
+        assert.ok(days.length > 0);
+        assert.deepEqual([...new Set(days.map(w => w.day))], daysOfWeek([0]));
+    });
+
+    it('入れない曜日にシフトが入っていれば error を出す', () => {
+        const input = availabilityInput();
+        const assignments = JSON.parse(JSON.stringify(S.generatePeriod(input).assignments));
+        // 5日目（月曜）の full_2 は早番だけ
+        assignments.full_2[5] = LATE;
+
+        const found = S.checkPeriod(input, assignments).warnings.filter(w => w.type === 'unavailableShift');
+        assert.equal(found.length, 1);
+        assert.equal(found[0].severity, 'error');
+        assert.equal(found[0].staffId, 'full_2');
+        assert.equal(found[0].day, 5);
+        assert.equal(found[0].shift, LATE);
+    });
+
+    it('改善は曜日ごとの勤務可否と固定パターンを崩さない', () => {
+        const input = availabilityInput(2);
+        const generated = S.generatePeriod(input);
+        const result = S.improveSchedule(input.staff, input.year, input.month, generated.assignments, input.requests, input.settings,
+            { previousAssignments: input.previousAssignments, pinned: input.pinned, seed: 2, maxMoves: 20000 });
+        assertFollowsAvailability(result.assignments);
+    });
+
+    it('厳密モードで見つかった表は曜日ごとの勤務可否と固定パターンを守る', () => {
+        const result = S.solvePeriod({ ...availabilityInput(), timeLimit: 5000 });
+        assert.ok(result.assignments, result.status);
+        assertFollowsAvailability(result.assignments);
+    });
+
+    it('手で入れない曜日のシフトにするときは知らせる', () => {
+        const staff = { id: 'a', name: '早番', type: 'full', nightShiftType: 'all', monthlyDaysOff: 9, availability: { 1: [EARLY] } };
+        const late = S.getShiftChangeWarnings(staff, { a: {} }, [staff], 5, LATE, period.year, period.month, {});
+        assert.ok(late.some(w => w.includes('月曜日にBに入れません')), JSON.stringify(late));
+        const early = S.getShiftChangeWarnings(staff, { a: {} }, [staff], 5, EARLY, period.year, period.month, {});
+        assert.ok(!early.some(w => w.includes('入れません')));
+        const thursday = S.getShiftChangeWarnings(staff, { a: {} }, [staff], 1, LATE, period.year, period.month, {});
+        assert.ok(!thursday.some(w => w.includes('入れません')));
+    });
+});
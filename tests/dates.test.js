@@ -0,0 +1,88 @@
+// ===== 期間の日付・週の計算のテスト =====
+// 期間は month月16日〜(month+1)月15日。日番号は1始まり
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const S = require('../scheduler.js');
+
+const { SHIFT_TYPES } = S;
+
+describe('periodDayToDate', () => {
+    it('1日目は16日、前半の最後は月末、後半の最初は翌月1日', () => {
+        assert.deepEqual(S.periodDayToDate(2026, 4, 1), { year: 2026, month: 4, day: 16 });
+        assert.deepEqual(S.periodDayToDate(2026, 4, 15), { year: 2026, month: 4, day: 30 });
+        assert.deepEqual(S.periodDayToDate(2026, 4, 16), { year: 2026, month: 5, day: 1 });
+        assert.deepEqual(S.periodDayToDate(2026, 4, 30), { year: 2026, month: 5, day: 15 });
+    });
+
+    it('12月の期間は翌年1月にまたがる', () => {
+        assert.deepEqual(S.periodDayToDate(2026, 12, 16), { year: 2026, month: 12, day: 31 });
+        assert.deepEqual(S.periodDayToDate(2026, 12, 17), { year: 2027, month: 1, day: 1 });
+        assert.deepEqual(S.periodDayToDate(2026, 12, 31), { year: 2027, month: 1, day: 15 });
+    });
+
+    it('平年の2月の期間は28日', () => {
+        assert.equal(S.getDaysInMonth(2026, 2), 28);
+        assert.deepEqual(S.periodDayToDate(2026, 2, 13), { year: 2026, month: 2, day: 28 });
+        assert.deepEqual(S.periodDayToDate(2026, 2, 14), { year: 2026, month: 3, day: 1 });
+        assert.deepEqual(S.periodDayToDate(2026, 2, 28), { year: 2026, month: 3, day: 15 });
+    });
+
+    it('うるう年の2月の期間は29日（2月29日を含む）', () => {
+        assert.equal(S.getDaysInMonth(2028, 2), 29);
+        assert.deepEqual(S.periodDayToDate(2028, 2, 14), { year: 2028, month: 2, day: 29 });
+        assert.deepEqual(S.periodDayToDate(2028, 2, 15), { year: 2028, month: 3, day: 1 });
+        assert.deepEqual(S.periodDayToDate(2028, 2, 29), { year: 2028, month: 3, day: 15 });
+    });
+
+    it('どの期間も日付が1日ずつ続き、最終日は翌月15日', () => {
+        for (let year = 2026; year <= 2028; year++) {
+            for (let month = 1; month <= 12; month++) {
+                const days = S.getDaysInMonth(year, month);
+                const start = S.periodDayToDate(year, month, 1);
+                for (let day = 1; day <= days; day++) {
+                    const date = S.periodDayToDate(year, month, day);
+                    const expected = new Date(start.year, start.month - 1, start.day + day - 1);
+                    assert.deepEqual(date, { year: expected.getFullYear(), month: expected.getMonth() + 1, day: expected.getDate() },
+                        `${year}-${month} ${day}日目`);
+                }
+                const last = S.periodDayToDate(year, month, days);
+                assert.equal(last.day, 15, `${year}-${month} の最終日`);
+                assert.equal(last.month, month === 12 ? 1 : month + 1);
+            }
+        }
+    });
+});
+
+describe('getWeekWorkDays', () => {
+    // 2026-04 の期間: 1日目=4/16（木）、5日目=4/20（月）、26日目=5/11（月）、30日目=5/15（金）
+    const work = (days) => {
+        const a = {};
+        for (let d = 1; d <= 30; d++) a[d] = SHIFT_TYPES.OFF;
+        days.forEach(d => { a[d] = SHIFT_TYPES.PART; });
+        return a;
+    };
+
+    it('週は月曜始まりで、期間の前の日は数えない', () => {
+        const a = work([1, 2, 3, 4, 5]);
+        // 1〜4日目（木〜日）は同じ週
+        assert.equal(S.getWeekWorkDays(a, 1, 2026, 4), 4);
+        assert.equal(S.getWeekWorkDays(a, 4, 2026, 4), 4);
+        // 5日目（月）から次の週
+        assert.equal(S.getWeekWorkDays(a, 5, 2026, 4), 1);
+    });
+
+    it('期間の最後の週は期間の終わりまで', () => {
+        const a = work([26, 27, 28, 29, 30]);
+        assert.equal(S.getWeekWorkDays(a, 30, 2026, 4), 5);
+        assert.equal(S.getWeekWorkDays(a, 25, 2026, 4), 0);
+    });
+
+    it('休み・明け・有給は数えず、研修は数える', () => {
+        const a = work([5]);
+        a[6] = SHIFT_TYPES.NIGHT_OFF;
+        a[7] = SHIFT_TYPES.PAID;
+        a[8] = SHIFT_TYPES.TRAINING;
+        assert.equal(S.getWeekWorkDays(a, 5, 2026, 4), 2);
+    });
+});
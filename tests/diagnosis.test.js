@@ -0,0 +1,163 @@
+// ===== 人数の見通し（生成の前の診断）のテスト =====
+// 実行: node --test tests/
+// 足りる施設では何も出さず、人を減らした施設では足りない時間帯と増やす人の目安を出すことを確認する
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const S = require('../scheduler.js');
+const { loadUserData, createAmpleData, periodInput, PERIODS } = require('./fixtures.js');
+
+const { SHIFT_TYPES, REQUEST_TYPES } = S;
+const period = PERIODS[2];
+
+function diagnose(data, p = period) {
+    return S.diagnosePeriod(S.buildPeriodInput(data, p.year, p.month));
+}
+
+function withoutStaff(data, ids) {
+    return { ...data, staff: data.staff.filter(s => !ids.includes(s.id)) };
+}
+
+// フルタイムを3人減らした施設（昼と、朝・夕の取り合いが足りなくなる）
+function createShortData() {
+    return withoutStaff(createAmpleData(), ['full_7', 'full_8', 'full_9']);
+}
+
+function findShortage(warnings, checkpoints) {
+    return warnings.find(w => w.type === 'staffingShortage' && w.checkpoints.join() === checkpoints);
+}
+
+describe('人数の見通し', () => {
+    it('足りる施設・期間では何も出さない', () => {
+        [loadUserData(), createAmpleData()].forEach(data => {
+            PERIODS.forEach(p => {
+                assert.deepEqual(S.diagnosePeriod(S.buildPeriodInput(data, p.year, p.month)), [], `${p.year}-${p.month}`);
+            });
+        });
+    });
+
+    it('フルタイムを減らすと、足りない時間帯と延べ人日・増やす人の目安を出す', () => {
+        const result = diagnose(createShortData());
+        const noon = findShortage(result, 'noon');
+        assert.ok(noon, JSON.stringify(result));
+        assert.equal(noon.severity, 'error');
+        assert.equal(noon.required - noon.count, noon.shortage);
+        // 15人日なら週4日のパート1人（30日の期間は約4.3週）
+        assert.equal(noon.shortage, 15);
+        assert.equal(noon.perWeek, 4);
+        assert.equal(noon.fullTime, 1);
+        // 朝と夕はA・Bの取り合いで足りなくなる
+        assert.ok(findShortage(result, 'morning,evening'));
+    });
+
+    it('28〜31日の期間で、必要な延べ人数から日曜の緩和を使える回数だけ除き、週の数は期間の日数から数える', () => {
+        const noonCheckpoint = S.getCheckpoints(S.DEFAULT_SETTINGS).find(cp => cp.id === 'noon');
+        PERIODS.forEach(p => {
+            let sundays = 0;
+            for (let day = 1; day <= p.days; day++) {
+                if (S.isSunday(p.year, p.month, day)) sundays++;
+            }
+            const reduced = Math.min(sundays, S.DEFAULT_SETTINGS.maxSundayReduced);
+            const noon = findShortage(diagnose(createShortData(), p), 'noon');
+            assert.ok(noon, `${p.year}-${p.month}`);
+            assert.equal(noon.required, noonCheckpoint.required * p.days - (noonCheckpoint.required - noonCheckpoint.sundayMin) * reduced);
+            assert.equal(noon.perWeek, Math.ceil(noon.shortage / (p.days / 7)), `${p.year}-${p.month}`);
+        });
+    });
+
+    it('日曜の緩和を使わない設定では、日曜も必要人数のまま数える', () => {
+        const data = createShortData();
+        data.settings = { maxSundayReduced: 0 };
+        const noon = findShortage(diagnose(data), 'noon');
+        assert.equal(noon.required, 4 * period.days);
+        assert.equal(noon.shortage, findShortage(diagnose(createShortData()), 'noon').shortage + 3);
+    });
+
+    it('有給の日は出勤に使える日から除く', () => {
+        const data = createShortData();
+        const paid = {};
+        [3, 4, 5, 6, 7].forEach(day => { paid[day] = REQUEST_TYPES.PAID; });
+        data.schedules[S.getPeriodKey(period.year, period.month)] = { requests: { full_1: paid }, assignments: {} };
+        const noon = findShortage(diagnose(data), 'noon');
+        // 夜勤に入る人は連勤の上限（2日）で出勤は20日までなので、有給5日で16日になる（4日減る）
+        assert.equal(noon.shortage, findShortage(diagnose(createShortData()), 'noon').shortage + 4);
+    });
+
+    it('前の期間の最終日に夜勤の人は、1日目の明けの分だけ日勤に回せる日が減る', () => {
+        const input = periodInput(createShortData(), period);
+        const prev = S.getPreviousPeriod(period.year, period.month);
+        const lastDay = S.getDaysInMonth(prev.year, prev.month);
+        const previousAssignments = { full_1: { [lastDay]: SHIFT_TYPES.NIGHT }, full_2: { [lastDay]: SHIFT_TYPES.NIGHT } };
+        const noon = findShortage(S.diagnosePeriod({ ...input, previousAssignments: previousAssignments }), 'noon');
+        assert.equal(noon.shortage, findShortage(S.diagnosePeriod(input), 'noon').shortage + 2);
+    });
+
+    it('スタッフがいなければ、増やすフルタイムは公休9日で数え、夜勤に入れる人がいないことも出す', () => {
+        const result = diagnose({ staff: [], schedules: {}, settings: {} });
+        const noon = findShortage(result, 'noon');
+        assert.equal(noon.count, 0);
+        assert.equal(noon.perWeek, null);
+        assert.equal(noon.fullTime, Math.ceil(noon.shortage / (period.days - 9)));
+        assert.equal(result.find(w => w.type === 'nightCapacity').count, 0);
+        assert.equal(result.filter(w => w.type === 'dayShortage').length, period.days * 3);
+    });
+
+    it('金土日の夜勤は足りて平日の夜勤だけ足りなければ、weekend: false で全体の回数を出す', () => {
+        const data = createAmpleData();
+        data.staff.forEach(s => { if (!['full_1', 'full_2'].includes(s.id)) s.nightShiftType = 'none'; });
+        const night = diagnose(data).find(w => w.type === 'nightCapacity');
+        assert.equal(night.weekend, false);
+        assert.equal(night.required, period.days);
+        // 1人の夜勤は出勤に使える日の半分まで
+        assert.equal(night.count, 2 * Math.floor((period.days - 9) / 2));
+    });
+
+    it('増やすフルタイムの人数は、今いるフルタイムの公休の目標（按分したものも含む）で数える', () => {
+        const data = createShortData();
+        data.staff.forEach(s => { if (s.type === 'full') s.monthlyDaysOff = 12; });
+        // 期間の半ばに入職する人は公休の目標が按分される
+        data.staff.find(s => s.id === 'full_6').startDate = '2026-05-01';
+        const input = S.buildPeriodInput(data, period.year, period.month);
+        const fulls = input.staff.filter(s => s.type === 'full');
+        const daysOff = Math.round(fulls.reduce((sum, s) => sum + s.monthlyDaysOff, 0) / fulls.length);
+        assert.ok(daysOff < 12);
+        const shortages = S.diagnosePeriod(input).filter(w => w.type === 'staffingShortage');
+        assert.ok(shortages.length > 0);
+        shortages.forEach(w => assert.equal(w.fullTime, Math.ceil(w.shortage / (period.days - daysOff)), JSON.stringify(w)));
+    });
+
+    it('パートの週の上限を超える不足はフルタイムの人数だけを出す', () => {
+        const result = diagnose(withoutStaff(loadUserData(), loadUserData().staff.slice(0, 2).map(s => s.id)));
+        const large = result.filter(w => w.type === 'staffingShortage' && w.perWeek === null);
+        assert.ok(large.length > 0, JSON.stringify(result));
+        large.forEach(w => assert.ok(w.shortage > 5 * period.days / 7 && w.fullTime >= 1));
+    });
+
+    it('出した不足は、自動生成でも公休か人数のどちらかを守れない', () => {
+        const input = periodInput(createShortData(), period);
+        assert.ok(S.diagnosePeriod(input).length > 0);
+        const warnings = S.generatePeriod(input).warnings;
+        assert.ok(warnings.some(w => w.type === 'coverage' || w.type === 'daysOff'));
+    });
+
+    it('金土日の夜勤に入れる人がいなければ夜勤の不足を出す', () => {
+        const data = createAmpleData();
+        data.staff.forEach(s => { if (s.nightShiftType === 'all') s.nightShiftType = 'weekday'; });
+        const night = diagnose(data).find(w => w.type === 'nightCapacity');
+        assert.ok(night);
+        assert.equal(night.weekend, true);
+        assert.equal(night.count, 0);
+        assert.ok(night.required > 0);
+    });
+
+    it('絶対休が重なる日は、その日に入れる人数の不足を出す（できれば休は数えない）', () => {
+        const data = createAmpleData();
+        const key = S.getPeriodKey(period.year, period.month);
+        const requests = {};
+        data.staff.slice(0, 8).forEach(s => { requests[s.id] = { 5: 'off', 6: 'wishOff' }; });
+        data.schedules[key] = { requests: requests, assignments: {} };
+        const days = diagnose(data).filter(w => w.type === 'dayShortage');
+        assert.ok(days.length > 0);
+        assert.ok(days.every(w => w.day === 5 && w.count < w.required));
+    });
+});
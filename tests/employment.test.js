@@ -0,0 +1,148 @@
+// ===== 在籍期間・休職のテスト =====
+// 実行: node --test tests/
+// 入職前・退職後・休職の日は出勤にも公休にも数えず、公休の目標を按分し、出勤が入れば知らせることを確認する
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const S = require('../scheduler.js');
+const { createAmpleData, createAmpleDataWith, periodInput, PERIODS } = require('./fixtures.js');
+
+const { SHIFT_TYPES, REQUEST_TYPES } = S;
+// 2026年4月16日〜5月15日（1日目が4/16、16日目が5/1）
+const period = PERIODS[2];
+
+function onLeave(start, end) {
+    return { leaves: [{ start: start, end: end, reason: '休職' }] };
+}
+
+describe('在籍期間・休職', () => {
+    it('入職日より前・退職日より後・休職の期間を在籍外の日にする', () => {
+        const days = (staff) => S.getAbsentDays(staff, period.year, period.month);
+        assert.deepEqual(days({}), []);
+        assert.deepEqual(days({ startDate: '2026-05-01' }), Array.from({ length: 15 }, (_, i) => i + 1));
+        assert.deepEqual(days({ endDate: '2026-05-13' }), [29, 30]);
+        assert.deepEqual(days({ leaves: [{ start: '2026-04-20', end: '2026-04-22', reason: '休職' }] }), [5, 6, 7]);
+        // 終わりのない休職は期間の最後まで
+        assert.equal(days({ leaves: [{ start: '2026-05-10', end: '', reason: '育休' }] }).length, 6);
+    });
+
+    it('入職日・退職日が期間の初日・最終日なら在籍外の日はなく、うるう年の2月・年をまたぐ期間も日付で数える', () => {
+        assert.deepEqual(S.getAbsentDays({ startDate: '2026-04-16', endDate: '2026-05-15' }, period.year, period.month), []);
+        // 2028年2月16日〜3月15日（29日）：2/29 が14日目
+        const leap = PERIODS[1];
+        assert.deepEqual(S.getAbsentDays({ endDate: '2028-02-29' }, leap.year, leap.month), Array.from({ length: 15 }, (_, i) => i + 15));
+        // 2026年12月16日〜2027年1月15日（31日）：1/1 が17日目
+        const yearEnd = PERIODS[3];
+        assert.deepEqual(S.getAbsentDays({ startDate: '2027-01-01' }, yearEnd.year, yearEnd.month), Array.from({ length: 16 }, (_, i) => i + 1));
+    });
+
+    it('始まりのない休職は期間の初日から数え、重なる休職も1日は1回だけ数える', () => {
+        const staff = { leaves: [{ start: '', end: '2026-04-17', reason: '産休' }, { start: '2026-04-17', end: '2026-04-18', reason: '育休' }] };
+        assert.deepEqual(S.getAbsentDays(staff, period.year, period.month), [1, 2, 3]);
+    });
+
+    it('在籍外の日に入れた希望は在籍外に置き換え、ほかの日の希望は残す', () => {
+        const data = createAmpleDataWith({ full_1: onLeave('2026-04-25', '2026-05-04') });
+        data.schedules[S.getPeriodKey(period.year, period.month)] = {
+            requests: { full_1: { 3: REQUEST_TYPES.OFF, 12: REQUEST_TYPES.WISH_OFF } },
+            assignments: {}
+        };
+        const requests = periodInput(data, period).requests.full_1;
+        assert.equal(requests[3], REQUEST_TYPES.OFF);
+        assert.equal(requests[12], REQUEST_TYPES.ABSENT);
+        assert.equal(Object.values(requests).filter(type => type === REQUEST_TYPES.ABSENT).length, 10);
+        // 保存した希望は書き換えない
+        assert.equal(data.schedules[S.getPeriodKey(period.year, period.month)].requests.full_1[12], REQUEST_TYPES.WISH_OFF);
+    });
+
+    it('休職の前の日には夜勤を入れない（明けが休職の日になる）', () => {
+        const data = createAmpleDataWith({
+            full_1: onLeave('2026-04-20', '2026-04-22'),
+            full_2: onLeave('2026-04-24', '2026-04-26'),
+            full_3: onLeave('2026-04-28', '2026-04-30'),
+            full_4: onLeave('2026-05-02', '2026-05-04')
+        });
+        [1, 2, 3].forEach(seed => {
+            const result = S.generatePeriod(periodInput(data, period, seed));
+            [['full_1', 4], ['full_2', 8], ['full_3', 12], ['full_4', 16]].forEach(([id, day]) => {
+                assert.notEqual(result.assignments[id][day], SHIFT_TYPES.NIGHT, `seed ${seed} ${id} ${day}日目`);
+                assert.equal(result.assignments[id][day + 1], SHIFT_TYPES.ABSENT);
+            });
+            assert.deepEqual(result.warnings.filter(w => w.severity === 'error'), [], `seed ${seed}`);
+        });
+    });
+
+    it('期間に1日も出勤できない人は除き、途中から入る人は公休の目標を按分する', () => {
+        const data = createAmpleData();
+        data.staff.find(s => s.id === 'full_1').startDate = '2026-05-01';
+        data.staff.find(s => s.id === 'full_2').endDate = '2026-04-15';
+        data.staff.find(s => s.id === 'part_1').leaves = [{ start: '2026-04-01', end: '2026-06-30', reason: '産休' }];
+        const saved = JSON.stringify(data);
+        const input = periodInput(data, period);
+        assert.equal(JSON.stringify(data), saved);
+
+        assert.ok(!input.staff.some(s => s.id === 'full_2' || s.id === 'part_1'));
+        const member = input.staff.find(s => s.id === 'full_1');
+        assert.equal(member.monthlyDaysOff, Math.round(9 * 15 / period.days));
+        assert.equal(input.requests.full_1[15], REQUEST_TYPES.ABSENT);
+        assert.equal(input.requests.full_1[16], undefined);
+        // 在籍している人はそのまま
+        assert.equal(input.staff.find(s => s.id === 'full_3'), data.staff.find(s => s.id === 'full_3'));
+    });
+
+    it('自動生成は在籍外の日を「－」にし、按分した公休の目標を守る', () => {
+        const data = createAmpleData();
+        data.staff.find(s => s.id === 'full_1').startDate = '2026-05-01';
+        data.staff.find(s => s.id === 'full_3').leaves = [{ start: '2026-04-25', end: '2026-05-04', reason: '休職' }];
+        const result = S.generatePeriod(periodInput(data, period));
+
+        const a = result.assignments.full_1;
+        for (let day = 1; day <= 15; day++) assert.equal(a[day], SHIFT_TYPES.ABSENT, `${day}日目`);
+        const b = result.assignments.full_3;
+        for (let day = 10; day <= 19; day++) assert.equal(b[day], SHIFT_TYPES.ABSENT, `${day}日目`);
+        assert.ok(Object.keys(b).some(day => day < 10 && S.isWorkShift(b[day])));
+        assert.deepEqual(result.warnings.filter(w => w.type === 'daysOff' || w.type === 'absentWorked'), []);
+        assert.equal(result.warnings.filter(w => w.type === 'coverage').length, 0);
+    });
+
+    it('在籍外の日の固定セルは外し、改善でも在籍外の日は動かさない', () => {
+        const data = createAmpleData();
+        data.staff.find(s => s.id === 'full_1').endDate = '2026-05-05';
+        data.schedules[S.getPeriodKey(period.year, period.month)] = {
+            requests: {},
+            assignments: { full_1: { 5: SHIFT_TYPES.EARLY, 25: SHIFT_TYPES.LATE } },
+            pinned: { full_1: [5, 25] }
+        };
+        const input = periodInput(data, period, 2);
+        assert.deepEqual(input.pinned.full_1, { 5: SHIFT_TYPES.EARLY });
+
+        const generated = S.generatePeriod(input);
+        const result = S.improveSchedule(input.staff, input.year, input.month, generated.assignments, input.requests, input.settings,
+            { previousAssignments: input.previousAssignments, pinned: input.pinned, seed: 2, maxMoves: 20000 });
+        for (let day = 21; day <= period.days; day++) assert.equal(result.assignments.full_1[day], SHIFT_TYPES.ABSENT, `${day}日目`);
+    });
+
+    it('在籍外の日に出勤が入っていれば error を出す', () => {
+        const data = createAmpleData();
+        data.staff.find(s => s.id === 'full_1').leaves = [{ start: '2026-04-20', end: '2026-04-30', reason: '休職' }];
+        const input = periodInput(data, period);
+        const assignments = JSON.parse(JSON.stringify(S.generatePeriod(input).assignments));
+        assignments.full_1[7] = SHIFT_TYPES.LATE;
+
+        const worked = S.checkPeriod(input, assignments).warnings.filter(w => w.type === 'absentWorked');
+        assert.equal(worked.length, 1);
+        assert.equal(worked[0].severity, 'error');
+        assert.equal(worked[0].staffId, 'full_1');
+        assert.equal(worked[0].day, 7);
+    });
+
+    it('手で在籍外の日に出勤を入れるときは知らせる', () => {
+        const staff = { id: 'a', name: '新人', type: 'full', nightShiftType: 'none', monthlyDaysOff: 9, startDate: '2026-05-01' };
+        const warnings = S.getShiftChangeWarnings(staff, { a: {} }, [staff], 3, SHIFT_TYPES.EARLY, period.year, period.month, {});
+        assert.ok(warnings.some(w => w.includes('在籍していない')), JSON.stringify(warnings));
+        const off = S.getShiftChangeWarnings(staff, { a: {} }, [staff], 3, SHIFT_TYPES.OFF, period.year, period.month, {});
+        assert.ok(!off.some(w => w.includes('在籍していない')));
+        const later = S.getShiftChangeWarnings(staff, { a: {} }, [staff], 20, SHIFT_TYPES.EARLY, period.year, period.month, {});
+        assert.ok(!later.some(w => w.includes('在籍していない')));
+    });
+});
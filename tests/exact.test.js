@@ -0,0 +1,111 @@
+// ===== 厳密モードのテスト =====
+// 実行: node --test tests/
+// 制限時間を短くして、見つかった表がルールを必ず守ること・守れない条件では理由を返すことを確認する
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const S = require('../scheduler.js');
+const { loadUserData, createAmpleData, periodInput, PERIODS } = require('./fixtures.js');
+
+const { SHIFT_TYPES, EXACT_STATUS } = S;
+const TIME_LIMIT = 5000;
+
+function solve(data, period, seed) {
+    return S.solvePeriod({ ...S.buildPeriodInput(data, period.year, period.month), seed: seed, timeLimit: TIME_LIMIT });
+}
+
+/**
+ * 注意点のうち、ルール違反（error）と厳密モードの結果以外の警告を返す
+ */
+function violations(result) {
+    return result.warnings.filter(w => w.type !== 'exact' && w.severity === 'error');
+}
+
+describe('厳密モード', () => {
+    it('人数に余裕のある施設では最適な表が見つかり、ルール違反がない', () => {
+        const period = PERIODS[0];
+        const result = solve(createAmpleData(), period, 1);
+        assert.equal(result.status, EXACT_STATUS.OPTIMAL);
+        assert.deepEqual(violations(result), []);
+        assert.equal(result.warnings.find(w => w.type === 'exact').status, EXACT_STATUS.OPTIMAL);
+
+        const input = S.buildPeriodInput(createAmpleData(), period.year, period.month);
+        input.staff.forEach(staff => {
+            const offs = S.countOffDays(result.assignments[staff.id], period.days);
+            assert.ok(offs >= staff.monthlyDaysOff, `${staff.name} の公休 ${offs}/${staff.monthlyDaysOff}`);
+        });
+    });
+
+    it('希望と固定セルを守る', () => {
+        const period = PERIODS[2];
+        const data = createAmpleData();
+        data.schedules[S.getPeriodKey(period.year, period.month)] = {
+            requests: {
+                full_1: { 3: 'off', 10: 'paid' },
+                full_2: { 5: 'training', 6: 'work', 7: 'noNight' }
+            },
+            assignments: { full_4: { 12: SHIFT_TYPES.NIGHT } },
+            pinned: { full_4: [12] }
+        };
+        const result = solve(data, period, 2);
+        assert.ok([EXACT_STATUS.OPTIMAL, EXACT_STATUS.FEASIBLE].includes(result.status), result.status);
+        assert.deepEqual(violations(result), []);
+        const a = result.assignments;
+        assert.equal(a.full_1[3], SHIFT_TYPES.OFF);
+        assert.notEqual(a.full_1[2], SHIFT_TYPES.NIGHT);
+        assert.equal(a.full_1[10], SHIFT_TYPES.PAID);
+        assert.equal(a.full_2[5], SHIFT_TYPES.TRAINING);
+        assert.ok(![SHIFT_TYPES.OFF, SHIFT_TYPES.NIGHT_OFF].includes(a.full_2[6]), `勤務希望の日が ${a.full_2[6]}`);
+        assert.notEqual(a.full_2[7], SHIFT_TYPES.NIGHT);
+        assert.equal(a.full_4[12], SHIFT_TYPES.NIGHT);
+        assert.equal(a.full_4[13], SHIFT_TYPES.NIGHT_OFF);
+    });
+
+    it('人数が足りない施設では表を返さず、理由を返す', () => {
+        const data = createAmpleData();
+        data.staff = data.staff.filter(s => ['full_1', 'full_2', 'full_3', 'part_1'].includes(s.id));
+        const result = solve(data, PERIODS[0], 1);
+        assert.equal(result.status, EXACT_STATUS.INFEASIBLE);
+        assert.equal(result.assignments, null);
+        assert.ok(['day', 'capacity'].includes(result.conflict?.type), JSON.stringify(result.conflict));
+        assert.equal(result.warnings.find(w => w.type === 'exact').severity, 'error');
+    });
+
+    it('勤務希望で公休が取れない人がいれば、その人を理由にする', () => {
+        const period = PERIODS[0];
+        const data = createAmpleData();
+        const work = {};
+        for (let day = 1; day <= period.days - 5; day++) work[day] = 'work';
+        data.schedules[S.getPeriodKey(period.year, period.month)] = { requests: { full_3: work }, assignments: {} };
+        const result = solve(data, period, 1);
+        assert.equal(result.status, EXACT_STATUS.INFEASIBLE);
+        assert.equal(result.conflict.type, 'daysOff');
+        assert.equal(result.conflict.staffId, 'full_3');
+    });
+
+    it('探索の前に手がかりの表を作る間も1試行ずつ進み具合を返し、途中で止められる', () => {
+        const input = { ...periodInput(loadUserData(), PERIODS[2], 1), timeLimit: 1000 };
+        const steps = S.solvePeriodSteps(input);
+        const first = steps.next();
+        assert.equal(first.value.hint.trial, 1);
+        assert.equal(first.value.result, null);
+        assert.equal(first.value.bestCost, null);
+        assert.equal(first.value.timeLimit, 1000);
+
+        let step = first;
+        let hints = 0;
+        while (step.value.hint) {
+            hints++;
+            step = steps.next();
+        }
+        // 試行と仕上げの改善のあとで探索に入る
+        assert.ok(hints > first.value.hint.total, `${hints}`);
+        assert.ok(step.done ? step.value.status === EXACT_STATUS.OPTIMAL : step.value.nodes > 0);
+
+        // 手がかりの表を作る途中で止めると、それより先は進めない
+        const stopped = S.solvePeriodSteps(input);
+        assert.ok(stopped.next().value.hint);
+        assert.deepEqual(stopped.return(null), { value: null, done: true });
+        assert.equal(stopped.next().done, true);
+    });
+});
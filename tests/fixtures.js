@@ -0,0 +1,85 @@
+// ===== テスト用のデータ =====
+// user_data.json（実際の施設のエクスポート）と、人数に余裕のある架空の施設を用意する
+
+const fs = require('fs');
+const path = require('path');
+const S = require('../scheduler.js');
+
+/**
+ * 実際の施設のデータ（フルタイム7人・パート4人）
+ */
+function loadUserData() {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'user_data.json'), 'utf8'));
+}
+
+/**
+ * 人の足りない施設（実際の施設のデータからフルタイムを1人除く）。人数不足が避けられないデータ
+ */
+function loadShortUserData() {
+    const data = loadUserData();
+    data.staff.splice(data.staff.findIndex(s => s.type !== 'part'), 1);
+    return data;
+}
+
+/**
+ * 人数に余裕のある施設（フルタイム10人・パート2人）。公休・人数のルールが必ず守れるはずのデータ
+ */
+function createAmpleData() {
+    const staff = [];
+    for (let i = 1; i <= 10; i++) {
+        staff.push({
+            id: `full_${i}`,
+            name: `フル${i}`,
+            type: 'full',
+            nightShiftType: i === 9 ? 'weekday' : (i === 10 ? 'none' : 'all'),
+            canOvertime: i !== 10,
+            earlyOnly: false,
+            lateOnly: false,
+            monthlyDaysOff: 9,
+            maxConsecutive: 0,
+            allowConsecutivePlus1: i === 1
+        });
+    }
+    staff.push({
+        id: 'part_1', name: 'パート1', type: 'part', nightShiftType: 'none', canOvertime: false,
+        earlyOnly: true, lateOnly: false, monthlyDaysOff: 10, maxDaysPerWeek: 4, maxConsecutive: 3,
+        startTime: '07:00', endTime: '12:00'
+    });
+    staff.push({
+        id: 'part_2', name: 'パート2', type: 'part', nightShiftType: 'none', canOvertime: false,
+        earlyOnly: false, lateOnly: true, monthlyDaysOff: 10, maxDaysPerWeek: 4, maxConsecutive: 3,
+        startTime: '14:00', endTime: '18:30'
+    });
+    return { staff: staff, schedules: {}, settings: {} };
+}
+
+/**
+ * 人数に余裕のある施設のスタッフの一部を変えたデータ
+ * @param {Object} staffFields - スタッフ id → 上書きする項目
+ * @param {Object} settings - 上書きする設定
+ */
+function createAmpleDataWith(staffFields = {}, settings = {}) {
+    const data = createAmpleData();
+    data.staff.forEach(s => Object.assign(s, staffFields[s.id]));
+    data.settings = { ...data.settings, ...settings };
+    return data;
+}
+
+/**
+ * 期間の自動生成・厳密モードに渡す入力（seed つき）
+ */
+function periodInput(data, period, seed = 1) {
+    return { ...S.buildPeriodInput(data, period.year, period.month), seed: seed };
+}
+
+/**
+ * 期間の日数ごとの例（年・月は期間の開始月。2026-02 は平年の2月16日〜3月15日）
+ */
+const PERIODS = [
+    { year: 2026, month: 2, days: 28 },
+    { year: 2028, month: 2, days: 29 },
+    { year: 2026, month: 4, days: 30 },
+    { year: 2026, month: 12, days: 31 }
+];
+
+module.exports = { loadUserData, loadShortUserData, createAmpleData, createAmpleDataWith, periodInput, PERIODS };
@@ -0,0 +1,169 @@
+// ===== 改善（焼きなまし法）のテスト =====
+// 実行: node --test tests/
+// 試す回数（maxMoves）で区切って、スコアが下がらないこと・動かしてはいけないセルとルールを守ることを確認する
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const S = require('../scheduler.js');
+const { loadUserData, loadShortUserData, createAmpleData, periodInput, PERIODS } = require('./fixtures.js');
+
+const { SHIFT_TYPES } = S;
+const MOVES = 20000;
+
+function improve(input, assignments, seed) {
+    const options = { previousAssignments: input.previousAssignments, pinned: input.pinned, seed: seed, maxMoves: MOVES };
+    return S.improveSchedule(input.staff, input.year, input.month, assignments, input.requests, input.settings, options);
+}
+
+/**
+ * scoreSchedule で数えないルールの違反（連勤の上限を超えた日・パートの週の上限を超えた日）をスタッフごとに数える
+ */
+function countViolations(input, assignments) {
+    const days = S.getDaysInMonth(input.year, input.month);
+    const result = {};
+    input.staff.forEach(staff => {
+        const a = assignments[staff.id];
+        const max = S.getStaffMaxConsecutive(staff, input.settings);
+        let count = 0;
+        let consecutive = 0;
+        for (let day = 1; day <= days; day++) {
+            consecutive = S.isWorkShift(a[day]) ? consecutive + 1 : 0;
+            if (consecutive > max) count++;
+            if (staff.type === 'part' && (day === 1 || S.getDayOfWeek(input.year, input.month, day) === 1)) {
+                count += Math.max(0, S.getWeekWorkDays(a, day, input.year, input.month) - (staff.maxDaysPerWeek || 3));
+            }
+        }
+        result[staff.id] = count;
+    });
+    return result;
+}
+
+describe('改善（焼きなまし法）', () => {
+    it('スコアは下がらず、返すスコアは scoreSchedule と同じ', () => {
+        PERIODS.forEach(period => {
+            const input = periodInput(loadUserData(), period, 1);
+            const generated = S.generatePeriod(input);
+            const result = improve(input, generated.assignments, 1);
+            assert.ok(result.score >= generated.score, `${period.year}-${period.month}: ${generated.score} → ${result.score}`);
+            assert.equal(result.score, S.checkPeriod(input, result.assignments).score);
+        });
+    });
+
+    it('手で崩した表の人数不足を直す', () => {
+        const period = PERIODS[2];
+        const input = periodInput(createAmpleData(), period, 2);
+        const assignments = JSON.parse(JSON.stringify(S.generatePeriod(input).assignments));
+        ['full_1', 'full_2', 'full_3'].forEach(id => {
+            [5, 6, 7].forEach(day => {
+                if (S.isWorkShift(assignments[id][day]) && assignments[id][day] !== SHIFT_TYPES.NIGHT) assignments[id][day] = SHIFT_TYPES.OFF;
+            });
+        });
+        const broken = S.checkPeriod(input, assignments).score;
+        const result = improve(input, assignments, 2);
+        assert.ok(result.startScore === broken && result.score > broken, `${broken} → ${result.score}`);
+        assert.equal(result.warnings.filter(w => w.type === 'coverage').length, 0);
+    });
+
+    it('有給・研修・固定セル・希望の日は動かさず、夜勤は日ごとの人数と明けを保ったまま動かし、守っていたルールを崩さない', () => {
+        // user_data.json は満点にならない期間なので、最後まで入れ替えを試す
+        const period = PERIODS[0];
+        const data = loadUserData();
+        const [first, second, third] = data.staff.filter(s => s.type === 'full').map(s => s.id);
+        const key = S.getPeriodKey(period.year, period.month);
+        data.schedules[key] = {
+            requests: {
+                [first]: { 3: 'off', 4: 'wishOff', 10: 'paid' },
+                [second]: { 5: 'training', 6: 'work', 7: 'dayOnly' }
+            },
+            assignments: {}
+        };
+        const input = periodInput(data, period, 3);
+        const generated = S.generatePeriod(input);
+        data.schedules[key].assignments = generated.assignments;
+        data.schedules[key].pinned = { [third]: [8, 9] };
+        const result = improve(S.buildPeriodInput(data, period.year, period.month), generated.assignments, 3);
+        assert.ok(result.score < 1000);
+        const before = generated.assignments;
+        const after = result.assignments;
+
+        const fixed = [SHIFT_TYPES.PAID, SHIFT_TYPES.TRAINING];
+        const nightsOn = (assignments, day) => input.staff.filter(staff => assignments[staff.id][day] === SHIFT_TYPES.NIGHT).length;
+        input.staff.forEach(staff => {
+            for (let day = 1; day <= period.days; day++) {
+                if (fixed.includes(before[staff.id][day])) assert.equal(after[staff.id][day], before[staff.id][day], `${staff.name} ${day}日目`);
+            }
+        });
+        for (let day = 1; day <= period.days; day++) assert.equal(nightsOn(after, day), nightsOn(before, day), `${day}日目の夜勤`);
+        const nightRules = ['nightNotAllowed', 'nightWeekdayOnly', 'nightOffMissing', 'unavailableShift'];
+        assert.deepEqual(result.warnings.filter(w => nightRules.includes(w.type)), []);
+        assert.notEqual(after[first][2], SHIFT_TYPES.NIGHT);
+        assert.deepEqual([after[third][8], after[third][9]], [before[third][8], before[third][9]]);
+        assert.equal(after[first][3], SHIFT_TYPES.OFF);
+        if (before[first][4] === SHIFT_TYPES.OFF) assert.equal(after[first][4], SHIFT_TYPES.OFF);
+        assert.ok(S.isWorkShift(after[second][6]));
+        assert.notEqual(after[second][7], SHIFT_TYPES.OVERTIME);
+
+        const violationsBefore = countViolations(input, before);
+        const violationsAfter = countViolations(input, after);
+        input.staff.forEach(staff => {
+            assert.ok(violationsAfter[staff.id] <= violationsBefore[staff.id], `${staff.name} ${violationsBefore[staff.id]} → ${violationsAfter[staff.id]}`);
+        });
+    });
+
+    it('人の足りない施設でも、A残の月の上限と連日禁止を人数不足と引き換えにしない', () => {
+        const period = PERIODS[2];
+        [1, 2, 3, 4].forEach(seed => {
+            const input = periodInput(loadShortUserData(), period, seed);
+            const result = S.generatePeriod(input);
+            input.staff.forEach(staff => {
+                const overtime = S.countShiftType(result.assignments[staff.id], SHIFT_TYPES.OVERTIME, period.days);
+                assert.ok(overtime <= S.MAX_OT_PER_PERSON, `シード${seed} ${staff.name} A残${overtime}回`);
+            });
+            assert.deepEqual(result.warnings.filter(w => w.type === 'overtimeAdjacent'), [], `シード${seed}`);
+        });
+    });
+
+    it('期間にスタッフがいなければ表をそのまま返す（生成・改善・厳密モード）', () => {
+        const period = PERIODS[2];
+        const data = createAmpleData();
+        data.staff.forEach(s => { s.startDate = '2027-01-01'; });
+        const input = { ...periodInput(data, period, 1), timeLimit: 1000 };
+        assert.equal(input.staff.length, 0);
+        assert.deepEqual(S.generatePeriod(input).assignments, {});
+        const improved = S.improvePeriod({ ...input, assignments: {} });
+        assert.deepEqual(improved.assignments, {});
+        assert.equal(improved.moves, 0);
+        assert.equal(S.solvePeriod(input).status, S.EXACT_STATUS.INFEASIBLE);
+    });
+
+    it('自動生成の仕上げの改善も進み具合を返し、途中で止めても結果を使える', () => {
+        // user_data.json の 2026-02 シード1 は仕上げの長い改善まで進む
+        const period = PERIODS[0];
+        const input = periodInput(loadUserData(), period, 1);
+        const trials = S.generatePeriodTrials(input);
+        const finishes = [];
+        let step = trials.next();
+        while (!step.done) {
+            if (step.value.finish) finishes.push(step.value);
+            step = trials.next();
+        }
+        assert.ok(finishes.length > 1);
+        finishes.slice(1).forEach((progress, i) => {
+            assert.ok(progress.finish.moves > finishes[i].finish.moves);
+            assert.ok(progress.finish.moves <= progress.finish.total);
+            assert.ok(progress.bestScore >= finishes[i].bestScore);
+        });
+        // 途中の結果（中止したときに使う）も表として揃っている
+        const middle = finishes[Math.floor(finishes.length / 2)].result;
+        assert.equal(middle.candidates[0].score, middle.score);
+        assert.ok(middle.score <= step.value.score);
+        assert.equal(S.checkPeriod(input, middle.assignments).score, middle.score);
+    });
+
+    it('試す回数で区切れば、同じシードなら同じ結果になる', () => {
+        const period = PERIODS[0];
+        const input = periodInput(loadUserData(), period, 4);
+        const assignments = S.generatePeriod(input).assignments;
+        assert.deepEqual(improve(input, assignments, 5).assignments, improve(input, assignments, 5).assignments);
+    });
+});
@@ -0,0 +1,22 @@
+// ===== モジュールとしての読み込みのテスト =====
+// CommonJS（require）と ES モジュール（scheduler.mjs の import）で同じものを公開しているか確かめる
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const S = require('../scheduler.js');
+const { loadUserData, PERIODS } = require('./fixtures.js');
+
+describe('モジュールとしての読み込み', () => {
+    it('ES モジュール版は scheduler.js の公開する名前をすべて同じ中身で export する', async () => {
+        const M = await import('../scheduler.mjs');
+        Object.keys(S).forEach(name => assert.equal(M[name], S[name], name));
+        assert.equal(M.default, S);
+    });
+
+    it('ES モジュール版からも生成できる', async () => {
+        const { buildPeriodInput, generatePeriod } = await import('../scheduler.mjs');
+        const period = PERIODS[2];
+        const input = { ...buildPeriodInput(loadUserData(), period.year, period.month), seed: 1 };
+        assert.deepEqual(generatePeriod(input).assignments, S.generatePeriod(input).assignments);
+    });
+});
@@ -0,0 +1,169 @@
+// ===== 夜勤の個人の決まりのテスト =====
+// 実行: node --test tests/
+// 入れない曜日・月の最少/最多回数・夜勤の間をあける日数を、生成・厳密モード・注意点・人数の見通しが守ることを確認する
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const S = require('../scheduler.js');
+const { createAmpleData, createAmpleDataWith, periodInput, PERIODS } = require('./fixtures.js');
+
+const { SHIFT_TYPES } = S;
+const { EARLY, LATE, NIGHT, NIGHT_OFF, OVERTIME } = SHIFT_TYPES;
+// 2026年4月16日（木）〜5月15日
+const period = PERIODS[2];
+
+function nightInput(seed = 1) {
+    return periodInput(createAmpleDataWith({
+        full_1: { maxNights: 2 },
+        full_2: { minNights: 5 },
+        full_3: { nightSpacing: 6 },
+        // 土日の夜勤に入れない（曜日ごとの勤務可否の夜勤の行）
+        full_4: { availability: { 0: [EARLY, LATE, OVERTIME], 6: [EARLY, LATE, OVERTIME] } }
+    }), period, seed);
+}
+
+function nightDays(row) {
+    return Object.keys(row).map(Number).filter(day => day >= 1 && row[day] === NIGHT).sort((a, b) => a - b);
+}
+
+// 表が夜勤の個人の決まりを守っているか（最少回数は生成のときだけ確かめる）
+function assertFollowsNightRules(assignments) {
+    assert.ok(nightDays(assignments.full_1).length <= 2, `full_1 ${nightDays(assignments.full_1)}`);
+    const spaced = nightDays(assignments.full_3);
+    spaced.slice(1).forEach((day, i) => assert.ok(day - spaced[i] > 6, `full_3 ${spaced}`));
+    nightDays(assignments.full_4).forEach(day => {
+        assert.ok(![0, 6].includes(S.getDayOfWeek(period.year, period.month, day)), `full_4 ${day}日目`);
+    });
+}
+
+const NIGHT_RULE_WARNINGS = ['nightMaximum', 'nightMinimum', 'nightSpacing', 'unavailableShift'];
+
+describe('夜勤の個人の決まり', () => {
+    it('月の最多回数と夜勤の間をあける日数を超える日は夜勤に入れない', () => {
+        const staff = { id: 'a', type: 'full', nightShiftType: 'all', maxNights: 2, nightSpacing: 3 };
+        const row = { 3: NIGHT, 4: NIGHT_OFF };
+        assert.ok(!S.canAssignNight(staff, row, 6, period.days, {}, period.year, period.month));
+        assert.ok(S.canAssignNight(staff, row, 6, period.days, {}, period.year, period.month, { ignoreSpacing: true }));
+        assert.ok(S.canAssignNight(staff, row, 7, period.days, {}, period.year, period.month));
+        // 前期間の最終日（キー0）の夜勤も数える
+        assert.ok(!S.canAssignNight(staff, { 0: NIGHT, 1: NIGHT_OFF }, 3, period.days, {}, period.year, period.month));
+
+        const full = { ...row, 10: NIGHT, 11: NIGHT_OFF };
+        assert.ok(!S.canAssignNight(staff, full, 20, period.days, {}, period.year, period.month));
+    });
+
+    it('自動生成は夜勤の個人の決まりを守り、最少回数に届かない人を先に入れる', () => {
+        const result = S.generatePeriod(nightInput());
+        assertFollowsNightRules(result.assignments);
+        assert.ok(nightDays(result.assignments.full_2).length >= 5);
+        assert.deepEqual(result.warnings.filter(w => NIGHT_RULE_WARNINGS.includes(w.type)), []);
+        assert.equal(result.warnings.filter(w => w.type === 'nightShortage' || w.type === 'coverage').length, 0);
+    });
+
+    it('前の期間の末尾の夜勤からも間をあける（28〜31日の期間）', () => {
+        const data = createAmpleDataWith({ full_1: { nightSpacing: 6 }, full_3: { nightSpacing: 6 } });
+        PERIODS.forEach(p => {
+            const prev = S.getPreviousPeriod(p.year, p.month);
+            const last = S.getDaysInMonth(prev.year, prev.month);
+            // full_1 は前期間の最終日（キー0）、full_3 は最終日の2日前（キー-2）に夜勤
+            const previousAssignments = {
+                full_1: { [last]: NIGHT },
+                full_3: { [last - 2]: NIGHT, [last - 1]: NIGHT_OFF }
+            };
+            const result = S.generatePeriod({ ...periodInput(data, p), previousAssignments: previousAssignments });
+            assert.ok(nightDays(result.assignments.full_1)[0] > 6, `${p.year}-${p.month} full_1 ${nightDays(result.assignments.full_1)}`);
+            assert.ok(nightDays(result.assignments.full_3)[0] > 4, `${p.year}-${p.month} full_3 ${nightDays(result.assignments.full_3)}`);
+            assert.deepEqual(result.warnings.filter(w => NIGHT_RULE_WARNINGS.includes(w.type)), [], `${p.year}-${p.month}`);
+        });
+    });
+
+    it('平日だけ夜勤に入る人も、28〜31日の期間で最少回数を平日の夜勤で満たす', () => {
+        const data = createAmpleDataWith({ full_9: { minNights: 6 } });
+        PERIODS.forEach(p => {
+            const days = nightDays(S.generatePeriod(periodInput(data, p)).assignments.full_9);
+            assert.ok(days.length >= 6, `${p.year}-${p.month} ${days}`);
+            assert.ok(days.every(day => !S.isFriSatSun(p.year, p.month, day)), `${p.year}-${p.month} ${days}`);
+        });
+    });
+
+    it('最多回数が最少回数より少なければ、生成は最多回数までにして最少回数の注意を出し、厳密モードは表がないと返す', () => {
+        const input = periodInput(createAmpleDataWith({ full_2: { minNights: 5, maxNights: 3 } }), period);
+        const result = S.generatePeriod(input);
+        assert.equal(nightDays(result.assignments.full_2).length, 3);
+        assert.deepEqual(result.warnings.filter(w => w.staffId === 'full_2' && NIGHT_RULE_WARNINGS.includes(w.type)).map(w => w.type), ['nightMinimum']);
+        const exact = S.solvePeriod({ ...input, timeLimit: 5000 });
+        assert.equal(exact.status, S.EXACT_STATUS.INFEASIBLE);
+        assert.deepEqual(exact.conflict, { type: 'nightMinimum', staffId: 'full_2', count: 3, required: 5 });
+    });
+
+    it('決まりを破る表には error・warning を出す', () => {
+        const input = nightInput();
+        const assignments = JSON.parse(JSON.stringify(S.generatePeriod(input).assignments));
+        // full_1 の夜勤を3回にし、full_3 の夜勤を詰める
+        const row1 = assignments.full_1;
+        Object.keys(row1).forEach(day => { if (row1[day] === NIGHT || row1[day] === NIGHT_OFF) row1[day] = SHIFT_TYPES.OFF; });
+        [2, 10, 20].forEach(day => { row1[day] = NIGHT; row1[day + 1] = NIGHT_OFF; });
+        const row3 = assignments.full_3;
+        Object.keys(row3).forEach(day => { if (row3[day] === NIGHT || row3[day] === NIGHT_OFF) row3[day] = SHIFT_TYPES.OFF; });
+        [5, 8].forEach(day => { row3[day] = NIGHT; row3[day + 1] = NIGHT_OFF; });
+
+        const warnings = S.checkPeriod(input, assignments).warnings;
+        const maximum = warnings.find(w => w.type === 'nightMaximum');
+        assert.equal(maximum.severity, 'error');
+        assert.equal(maximum.staffId, 'full_1');
+        assert.equal(maximum.count, 3);
+        const spacing = warnings.filter(w => w.type === 'nightSpacing');
+        assert.equal(spacing.length, 1);
+        assert.equal(spacing[0].severity, 'warning');
+        assert.equal(spacing[0].day, 8);
+        assert.equal(spacing[0].count, 2);
+        const minimum = S.validateSchedule(input.staff, { full_2: {} }, input.year, input.month, input.settings)
+            .find(w => w.type === 'nightMinimum');
+        assert.equal(minimum.staffId, 'full_2');
+        assert.equal(minimum.target, 5);
+    });
+
+    it('厳密モードで見つかった表は夜勤の最少・最多回数・入れない曜日・間をあける日数を守る', () => {
+        const result = S.solvePeriod({ ...nightInput(), timeLimit: 5000 });
+        assert.ok(result.assignments, result.status);
+        assertFollowsNightRules(result.assignments);
+        assert.ok(nightDays(result.assignments.full_2).length >= 5, `full_2 ${nightDays(result.assignments.full_2)}`);
+    });
+
+    it('最少回数に届かない人がいれば厳密モードは表がないと理由つきで返す', () => {
+        const input = nightInput();
+        // 間を10日あけると30日で入れる夜勤は3回まで
+        input.staff.find(s => s.id === 'full_2').nightSpacing = 10;
+        const result = S.solvePeriod({ ...input, timeLimit: 5000 });
+        assert.equal(result.status, S.EXACT_STATUS.INFEASIBLE);
+        assert.deepEqual(result.conflict, { type: 'nightMinimum', staffId: 'full_2', count: 3, required: 5 });
+    });
+
+    it('最少回数に足りない夜勤はスコアで減点する', () => {
+        const input = nightInput();
+        const assignments = JSON.parse(JSON.stringify(S.generatePeriod(input).assignments));
+        const row = assignments.full_2;
+        nightDays(row).slice(3).forEach(day => { row[day] = SHIFT_TYPES.OFF; row[day + 1] = SHIFT_TYPES.OFF; });
+        const category = S.scoreSchedule(input.staff, assignments, input.year, input.month, input.settings)
+            .categories.find(c => c.key === 'nightMinimum');
+        assert.equal(category.penalty, 40);
+        assert.equal(category.items[0].staffId, 'full_2');
+    });
+
+    it('最多回数で夜勤に入れる回数が足りなければ人数の見通しで知らせる', () => {
+        const data = createAmpleData();
+        data.staff.forEach(s => { s.maxNights = 2; });
+        const diagnosis = S.diagnosePeriod(S.buildPeriodInput(data, period.year, period.month));
+        assert.ok(diagnosis.some(w => w.type === 'nightCapacity'), JSON.stringify(diagnosis));
+    });
+
+    it('手で夜勤を入れて決まりを破るときは知らせる', () => {
+        const staff = { id: 'a', name: '夜勤', type: 'full', nightShiftType: 'all', monthlyDaysOff: 9, maxNights: 1, nightSpacing: 4 };
+        const assignments = { a: { 3: NIGHT, 4: NIGHT_OFF } };
+        const warnings = S.getShiftChangeWarnings(staff, assignments, [staff], 6, NIGHT, period.year, period.month, {});
+        assert.ok(warnings.some(w => w.includes('月2回')), JSON.stringify(warnings));
+        assert.ok(warnings.some(w => w.includes('夜勤の間')), JSON.stringify(warnings));
+        const early = S.getShiftChangeWarnings(staff, assignments, [staff], 6, EARLY, period.year, period.month, {});
+        assert.ok(!early.some(w => w.includes('夜勤')));
+    });
+});
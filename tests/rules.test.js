@@ -0,0 +1,348 @@
+// ===== RULES.md のシフト生成ルールのテスト =====
+// 実行: node --test tests/
+// 施設データ × 期間（28・29・30・31日）× シードの組み合わせで自動生成し、結果がルールを守っているか確認する
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const S = require('../scheduler.js');
+const { loadUserData, createAmpleData, periodInput, PERIODS } = require('./fixtures.js');
+
+const SEEDS = [1, 2, 3];
+const { SHIFT_TYPES } = S;
+
+/**
+ * 施設データの全期間・全シードで自動生成する
+ * @returns {Array} [{ label, input, result, days }]
+ */
+function generateAll(data) {
+    const runs = [];
+    PERIODS.forEach(period => {
+        SEEDS.forEach(seed => {
+            const input = periodInput(data, period, seed);
+            runs.push({
+                label: `${S.getPeriodKey(period.year, period.month)}（${period.days}日）シード${seed}`,
+                input: input,
+                result: S.generatePeriod(input),
+                days: period.days
+            });
+        });
+    });
+    return runs;
+}
+
+function staffName(run, staffId) {
+    return run.input.staff.find(s => s.id === staffId).name;
+}
+
+/**
+ * ルール違反を集めて、1件でもあれば内容つきで失敗させる
+ * @param {Function} check - (run, report) で違反を report(文章) する
+ */
+function assertRule(runs, check) {
+    const violations = [];
+    runs.forEach(run => check(run, message => violations.push(`${run.label} ${message}`)));
+    assert.deepEqual(violations, []);
+}
+
+// ===== どの施設データでも必ず守るルール =====
+function describeHardRules(getRuns) {
+    it('期間の全日・全スタッフにシフトが入る', () => {
+        assertRule(getRuns(), (run, report) => {
+            run.input.staff.forEach(staff => {
+                for (let day = 1; day <= run.days; day++) {
+                    if (!run.result.assignments[staff.id]?.[day]) report(`${staff.name} ${day}日目が空`);
+                }
+            });
+        });
+    });
+
+    it('毎日夜勤が必要人数いる', () => {
+        assertRule(getRuns(), (run, report) => {
+            for (let day = 1; day <= run.days; day++) {
+                const count = run.input.staff.filter(s => run.result.assignments[s.id][day] === SHIFT_TYPES.NIGHT).length;
+                const required = S.getNightRequired(run.input.year, run.input.month, day, run.input.settings);
+                if (count < required) report(`${day}日目の夜勤 ${count}/${required}人`);
+            }
+        });
+    });
+
+    it('夜勤の翌日は明け', () => {
+        assertRule(getRuns(), (run, report) => {
+            run.input.staff.forEach(staff => {
+                const a = run.result.assignments[staff.id];
+                for (let day = 1; day < run.days; day++) {
+                    if (a[day] === SHIFT_TYPES.NIGHT && a[day + 1] !== SHIFT_TYPES.NIGHT_OFF) report(`${staff.name} ${day}日目`);
+                }
+            });
+        });
+    });
+
+    it('夜勤タイプを守る（なし・パートは夜勤なし、平日のみは金土日なし）', () => {
+        assertRule(getRuns(), (run, report) => {
+            run.input.staff.forEach(staff => {
+                for (let day = 1; day <= run.days; day++) {
+                    if (run.result.assignments[staff.id][day] !== SHIFT_TYPES.NIGHT) continue;
+                    if (staff.type === 'part' || staff.nightShiftType === 'none') report(`${staff.name} ${day}日目`);
+                    if (staff.nightShiftType === 'weekday' && S.isFriSatSun(run.input.year, run.input.month, day)) {
+                        report(`${staff.name} ${day}日目（金土日）`);
+                    }
+                }
+            });
+        });
+    });
+
+    it(`A残は1人あたり月${S.MAX_OT_PER_PERSON}回まで`, () => {
+        assertRule(getRuns(), (run, report) => {
+            run.input.staff.forEach(staff => {
+                const count = S.countShiftType(run.result.assignments[staff.id], SHIFT_TYPES.OVERTIME, run.days);
+                if (count > S.MAX_OT_PER_PERSON) report(`${staff.name} ${count}回`);
+            });
+        });
+    });
+
+    it('A残は連日にしない', () => {
+        assertRule(getRuns(), (run, report) => {
+            run.input.staff.forEach(staff => {
+                const a = run.result.assignments[staff.id];
+                for (let day = 2; day <= run.days; day++) {
+                    if (a[day] === SHIFT_TYPES.OVERTIME && a[day - 1] === SHIFT_TYPES.OVERTIME) report(`${staff.name} ${day}日目`);
+                }
+            });
+        });
+    });
+
+    it('残業不可・パートにはA残を入れない', () => {
+        assertRule(getRuns(), (run, report) => {
+            run.input.staff.forEach(staff => {
+                if (staff.canOvertime && staff.type !== 'part') return;
+                const count = S.countShiftType(run.result.assignments[staff.id], SHIFT_TYPES.OVERTIME, run.days);
+                if (count > 0) report(`${staff.name} ${count}回`);
+            });
+        });
+    });
+
+    it('早出のみ・遅出のみのパートに反対のシフトを入れない', () => {
+        assertRule(getRuns(), (run, report) => {
+            run.input.staff.forEach(staff => {
+                const a = run.result.assignments[staff.id];
+                for (let day = 1; day <= run.days; day++) {
+                    if (staff.earlyOnly && a[day] === SHIFT_TYPES.LATE) report(`${staff.name} ${day}日目に遅番`);
+                    if (staff.lateOnly && a[day] === SHIFT_TYPES.EARLY) report(`${staff.name} ${day}日目に早番`);
+                }
+            });
+        });
+    });
+
+    it('連勤は上限まで（連勤+1許容の人は+1日まで）', () => {
+        assertRule(getRuns(), (run, report) => {
+            run.input.staff.forEach(staff => {
+                const max = S.getStaffMaxConsecutive(staff, run.input.settings) + (staff.allowConsecutivePlus1 ? 1 : 0);
+                countConsecutiveRuns(run, staff).forEach(r => {
+                    if (r.length > max) report(`${staff.name} ${r.end}日目で${r.length}連勤（上限${max}日）`);
+                });
+            });
+        });
+    });
+
+    it('連勤+1は月1回まで', () => {
+        assertRule(getRuns(), (run, report) => {
+            run.input.staff.filter(s => s.allowConsecutivePlus1).forEach(staff => {
+                const max = S.getStaffMaxConsecutive(staff, run.input.settings);
+                const plus1 = countConsecutiveRuns(run, staff).filter(r => r.length > max).length;
+                if (plus1 > S.MAX_CONSECUTIVE_PLUS1) report(`${staff.name} 上限+1の連勤が${plus1}回`);
+            });
+        });
+    });
+
+    it('パートの週の勤務日数は上限まで', () => {
+        assertRule(getRuns(), (run, report) => {
+            run.input.staff.filter(s => s.type === 'part').forEach(staff => {
+                const limit = staff.maxDaysPerWeek || 3;
+                for (let day = 1; day <= run.days; day++) {
+                    const count = S.getWeekWorkDays(run.result.assignments[staff.id], day, run.input.year, run.input.month);
+                    if (count > limit) report(`${staff.name} ${day}日目の週に${count}日（上限${limit}日）`);
+                }
+            });
+        });
+    });
+
+    it('日曜の朝・昼の緩和は月3回まで、日曜の夕方は緩和しない', () => {
+        assertRule(getRuns(), (run, report) => {
+            const s = run.input.settings;
+            let reduced = 0;
+            S.evaluateCoverage(run.input.staff, run.result.assignments, run.input.year, run.input.month, s).forEach(dayResult => {
+                if (dayResult.reduced) reduced++;
+                dayResult.checkpoints.forEach(c => {
+                    if (dayResult.reduced && c.checkpoint.id === 'evening' && c.required !== s.eveningRequired) {
+                        report(`${dayResult.day}日目の夕方を緩和している`);
+                    }
+                });
+            });
+            if (reduced > s.maxSundayReduced) report(`日曜緩和 ${reduced}回`);
+        });
+    });
+
+    it('同じシードなら同じ結果になる', () => {
+        const run = getRuns()[0];
+        const again = S.generatePeriod(run.input);
+        assert.deepEqual(again.assignments, run.result.assignments);
+        assert.equal(again.score, run.result.score);
+    });
+}
+
+/**
+ * 連勤のまとまり（出勤が続いた日数と最後の日）
+ */
+function countConsecutiveRuns(run, staff) {
+    const a = run.result.assignments[staff.id];
+    const runs = [];
+    let length = 0;
+    for (let day = 1; day <= run.days + 1; day++) {
+        if (day <= run.days && S.isWorkShift(a[day])) {
+            length++;
+        } else if (length > 0) {
+            runs.push({ length: length, end: day - 1 });
+            length = 0;
+        }
+    }
+    return runs;
+}
+
+/**
+ * 人数のルール（平日は朝・昼・夕とも必要人数、日曜は緩和した人数以上）
+ */
+function checkCoverage(run, report) {
+    S.evaluateCoverage(run.input.staff, run.result.assignments, run.input.year, run.input.month, run.input.settings).forEach(dayResult => {
+        dayResult.checkpoints.forEach(c => {
+            if (!c.ok) report(`${dayResult.day}日目 ${c.checkpoint.label} ${c.count}/${c.required}人`);
+        });
+    });
+}
+
+/**
+ * 公休のルール（全員が公休目標以上）
+ */
+function checkDaysOff(run, report) {
+    run.input.staff.forEach(staff => {
+        const target = staff.monthlyDaysOff || 9;
+        const off = S.countOffDays(run.result.assignments[staff.id], run.days);
+        if (off < target) report(`${staff.name} 公休${off}日（目標${target}日）`);
+    });
+}
+
+describe('人数に余裕のある施設', () => {
+    let runs = [];
+    before(() => { runs = generateAll(createAmpleData()); });
+
+    describeHardRules(() => runs);
+
+    it('平日は全時間帯で必要人数（4人）、日曜も緩和後の人数を満たす', () => {
+        assertRule(runs, checkCoverage);
+    });
+
+    it('公休は全員が目標日数以上', () => {
+        assertRule(runs, checkDaysOff);
+    });
+
+    it('注意点は連勤+1の許容分だけ', () => {
+        assertRule(runs, (run, report) => {
+            // 上限+1の連勤は、許容された人の月 MAX_CONSECUTIVE_PLUS1 回目までだけ見逃す
+            const plus1Runs = {};
+            run.result.warnings.forEach(w => {
+                if (w.type === 'trial') return;
+                const staff = run.input.staff.find(s => s.id === w.staffId);
+                if (w.type === 'consecutive' && staff.allowConsecutivePlus1 && w.count === w.max + 1) {
+                    plus1Runs[w.staffId] = (plus1Runs[w.staffId] || 0) + 1;
+                    if (plus1Runs[w.staffId] <= S.MAX_CONSECUTIVE_PLUS1) return;
+                }
+                report(`${w.type} ${w.staffId ? staffName(run, w.staffId) : ''} ${w.day || ''}`);
+            });
+        });
+    });
+});
+
+describe('連勤+1の回数', () => {
+    it('上限+1の連勤が月2回目なら注意点を出す', () => {
+        const period = PERIODS[2];
+        const staff = { id: 'a', name: '連勤', type: 'full', nightShiftType: 'none', maxConsecutive: 3, allowConsecutivePlus1: true, monthlyDaysOff: 9 };
+        const row = {};
+        for (let day = 1; day <= period.days; day++) row[day] = SHIFT_TYPES.OFF;
+        [1, 2, 3, 4, 6, 7, 8, 9].forEach(day => { row[day] = SHIFT_TYPES.EARLY; });
+        const warnings = S.validateSchedule([staff], { a: row }, period.year, period.month, {});
+        assert.deepEqual(warnings.filter(w => w.type === 'consecutive').map(w => w.day), [4, 9]);
+        const plus1 = warnings.filter(w => w.type === 'consecutivePlus1');
+        assert.equal(plus1.length, 1);
+        assert.equal(plus1[0].day, 9);
+        assert.equal(plus1[0].count, 2);
+
+        // 許容していない人は連勤の注意点だけ
+        const strict = S.validateSchedule([{ ...staff, allowConsecutivePlus1: false }], { a: row }, period.year, period.month, {});
+        assert.ok(!strict.some(w => w.type === 'consecutivePlus1'));
+    });
+});
+
+describe('user_data.json（実際の施設）', () => {
+    let runs = [];
+    before(() => { runs = generateAll(loadUserData()); });
+
+    describeHardRules(() => runs);
+
+    it('平日は全時間帯で必要人数（4人）、日曜も緩和後の人数を満たす', () => {
+        assertRule(runs, checkCoverage);
+    });
+
+    it('公休は全員が目標日数以上', () => {
+        assertRule(runs, checkDaysOff);
+    });
+});
+
+describe('希望と固定セル', () => {
+    const data = createAmpleData();
+    const period = PERIODS[2];
+    const key = S.getPeriodKey(period.year, period.month);
+
+    it('絶対休・有給・研修・勤務希望・夜勤不可を守る', () => {
+        data.schedules[key] = {
+            requests: {
+                full_1: { 3: 'off', 4: 'off', 10: 'paid' },
+                full_2: { 5: 'training', 6: 'work', 7: 'noNight' },
+                full_3: { 8: 'dayOnly' }
+            },
+            assignments: {}
+        };
+        const result = S.generatePeriod(periodInput(data, period, 1));
+        const a = result.assignments;
+        assert.equal(a.full_1[3], SHIFT_TYPES.OFF);
+        assert.equal(a.full_1[4], SHIFT_TYPES.OFF);
+        // 絶対休の前日は夜勤にしない（翌日が明けになるため）
+        assert.notEqual(a.full_1[2], SHIFT_TYPES.NIGHT);
+        assert.equal(a.full_1[10], SHIFT_TYPES.PAID);
+        assert.equal(a.full_2[5], SHIFT_TYPES.TRAINING);
+        assert.ok([SHIFT_TYPES.EARLY, SHIFT_TYPES.LATE].includes(a.full_2[6]), `勤務希望の日が ${a.full_2[6]}`);
+        assert.notEqual(a.full_2[7], SHIFT_TYPES.NIGHT);
+        assert.ok([SHIFT_TYPES.EARLY, SHIFT_TYPES.LATE, SHIFT_TYPES.OFF, SHIFT_TYPES.NIGHT_OFF].includes(a.full_3[8]),
+            `A/Bのみの日が ${a.full_3[8]}`);
+    });
+
+    it('固定セルは書き換えず、固定した夜勤の翌日は明け', () => {
+        data.schedules[key] = {
+            requests: {},
+            assignments: { full_4: { 12: SHIFT_TYPES.NIGHT }, full_5: { 20: SHIFT_TYPES.LATE } },
+            pinned: { full_4: [12], full_5: [20] }
+        };
+        const result = S.generatePeriod(periodInput(data, period, 2));
+        assert.equal(result.assignments.full_4[12], SHIFT_TYPES.NIGHT);
+        assert.equal(result.assignments.full_4[13], SHIFT_TYPES.NIGHT_OFF);
+        assert.equal(result.assignments.full_5[20], SHIFT_TYPES.LATE);
+    });
+
+    it('前期間の最終日が夜勤なら1日目は明け', () => {
+        const prev = S.getPreviousPeriod(period.year, period.month);
+        const prevDays = S.getDaysInMonth(prev.year, prev.month);
+        data.schedules = {
+            [S.getPeriodKey(prev.year, prev.month)]: { requests: {}, assignments: { full_6: { [prevDays]: SHIFT_TYPES.NIGHT } } }
+        };
+        const result = S.generatePeriod(periodInput(data, period, 3));
+        assert.equal(result.assignments.full_6[1], SHIFT_TYPES.NIGHT_OFF);
+    });
+});
@@ -0,0 +1,76 @@
+// ===== シフト変更モーダルの警告（getShiftChangeWarnings）のテスト =====
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const S = require('../scheduler.js');
+
+const { SHIFT_TYPES } = S;
+// 2026-04 の期間: 1日目=4/16（木）、2日目=4/17（金）、5日目=4/20（月）
+const YEAR = 2026;
+const MONTH = 4;
+
+function createStaff(fields) {
+    return {
+        id: 'staff_1', name: 'テスト', type: 'full', nightShiftType: 'all', canOvertime: true,
+        earlyOnly: false, lateOnly: false, monthlyDaysOff: 9, maxConsecutive: 3, ...fields
+    };
+}
+
+/**
+ * 全日休みの表で、day を newShift に変えたときの警告
+ */
+function warningsFor(staff, day, newShift, options = {}) {
+    const assignments = { [staff.id]: { ...options.assignments } };
+    return S.getShiftChangeWarnings(staff, assignments, [staff], day, newShift, YEAR, MONTH, {}, options);
+}
+
+describe('getShiftChangeWarnings', () => {
+    it('連勤の上限を超えると警告し、休みで区切れていれば警告しない', () => {
+        const staff = createStaff();
+        const work = { 1: SHIFT_TYPES.EARLY, 2: SHIFT_TYPES.EARLY, 3: SHIFT_TYPES.LATE };
+        assert.deepEqual(warningsFor(staff, 4, SHIFT_TYPES.EARLY, { assignments: work }), ['4連勤になります！（上限3日）']);
+        assert.deepEqual(warningsFor(staff, 5, SHIFT_TYPES.EARLY, { assignments: work }), []);
+        // 出勤を休みに変えるときは警告しない
+        assert.deepEqual(warningsFor(staff, 2, SHIFT_TYPES.OFF, { assignments: work }), []);
+    });
+
+    it('前期間の末尾から続く連勤も数える', () => {
+        const staff = createStaff();
+        const prevDays = S.getDaysInMonth(YEAR, MONTH - 1);
+        const previousAssignments = {
+            staff_1: { [prevDays - 2]: SHIFT_TYPES.EARLY, [prevDays - 1]: SHIFT_TYPES.LATE, [prevDays]: SHIFT_TYPES.EARLY }
+        };
+        assert.deepEqual(warningsFor(staff, 1, SHIFT_TYPES.EARLY, { previousAssignments }), ['4連勤になります！（上限3日）']);
+        // 前期間の最終日が休みなら続かない
+        previousAssignments.staff_1[prevDays] = SHIFT_TYPES.OFF;
+        assert.deepEqual(warningsFor(staff, 1, SHIFT_TYPES.EARLY, { previousAssignments }), []);
+    });
+
+    it('夜勤タイプに合わない夜勤を警告する', () => {
+        assert.deepEqual(warningsFor(createStaff({ nightShiftType: 'none' }), 5, SHIFT_TYPES.NIGHT), ['テストさんは夜勤ができません']);
+        // 平日のみ: 金曜はNG、月曜はOK
+        assert.deepEqual(warningsFor(createStaff({ nightShiftType: 'weekday' }), 2, SHIFT_TYPES.NIGHT), ['テストさんは金土日の夜勤ができません']);
+        assert.deepEqual(warningsFor(createStaff({ nightShiftType: 'weekday' }), 5, SHIFT_TYPES.NIGHT), []);
+        assert.deepEqual(warningsFor(createStaff(), 2, SHIFT_TYPES.NIGHT), []);
+    });
+
+    it('パートの夜勤・通し勤務を警告する', () => {
+        const part = createStaff({ type: 'part', nightShiftType: 'none', canOvertime: false });
+        assert.ok(warningsFor(part, 5, SHIFT_TYPES.NIGHT).includes('パートスタッフは夜勤に入れません'));
+        assert.ok(warningsFor(part, 5, SHIFT_TYPES.OVERTIME).includes('パートスタッフは通し勤務に入れません'));
+    });
+
+    it('早出のみ・遅出のみのパートに反対のシフトを入れると警告する', () => {
+        const earlyOnly = createStaff({ type: 'part', earlyOnly: true });
+        const lateOnly = createStaff({ type: 'part', lateOnly: true });
+        assert.deepEqual(warningsFor(earlyOnly, 5, SHIFT_TYPES.LATE), ['テストさんは早出のみです']);
+        assert.deepEqual(warningsFor(earlyOnly, 5, SHIFT_TYPES.EARLY), []);
+        assert.deepEqual(warningsFor(lateOnly, 5, SHIFT_TYPES.EARLY), ['テストさんは遅出のみです']);
+        assert.deepEqual(warningsFor(lateOnly, 5, SHIFT_TYPES.LATE), []);
+    });
+
+    it('残業不可の人の通し勤務を警告する', () => {
+        assert.deepEqual(warningsFor(createStaff({ canOvertime: false }), 5, SHIFT_TYPES.OVERTIME), ['テストさんは残業（通し）ができません']);
+        assert.deepEqual(warningsFor(createStaff(), 5, SHIFT_TYPES.OVERTIME), []);
+    });
+});
@@ -0,0 +1,59 @@
+// ===== シフトマスタ（施設ごとの追加シフト）のテスト =====
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const S = require('../scheduler.js');
+
+const { SHIFT_TYPES } = S;
+// 2026-04 の期間: 1日目=4/16（木）
+const YEAR = 2026;
+const MONTH = 4;
+
+// 施設Xだけが持つ追加シフト「日勤」。施設Yは初期のシフトマスタ
+const DAY_SHIFT = { code: 'day_x', label: '日', name: '日勤', start: '09:00', end: '18:00', isWork: true };
+const SETTINGS_X = { shiftTypes: [...S.mergeShiftMaster([]), DAY_SHIFT] };
+const SETTINGS_Y = {};
+
+const staff = {
+    id: 'staff_1', name: 'テスト', type: 'full', nightShiftType: 'none', canOvertime: true,
+    earlyOnly: false, lateOnly: false, monthlyDaysOff: 9, maxConsecutive: 3
+};
+
+function dayOneCount(settings) {
+    const assignments = { staff_1: { 1: DAY_SHIFT.code } };
+    return S.evaluateCoverage([staff], assignments, YEAR, MONTH, settings)[0].checkpoints.reduce((n, c) => n + c.count, 0);
+}
+
+function consecutiveWarnings(settings) {
+    const assignments = { staff_1: { 1: DAY_SHIFT.code, 2: DAY_SHIFT.code, 3: DAY_SHIFT.code } };
+    return S.getShiftChangeWarnings(staff, assignments, [staff], 4, SHIFT_TYPES.EARLY, YEAR, MONTH, settings);
+}
+
+describe('施設ごとのシフトマスタ', () => {
+    it('呼ぶたびに渡した施設設定のマスタを使い、前に呼んだ施設のマスタは残らない', () => {
+        assert.ok(dayOneCount(SETTINGS_X) > 0);
+        assert.equal(dayOneCount(SETTINGS_Y), 0);
+        assert.ok(dayOneCount(SETTINGS_X) > 0);
+
+        assert.deepEqual(consecutiveWarnings(SETTINGS_X), ['4連勤になります！（上限3日）']);
+        assert.deepEqual(consecutiveWarnings(SETTINGS_Y), []);
+
+        // validateSchedule・scoreSchedule も同じ
+        const assignments = { staff_1: { 1: DAY_SHIFT.code } };
+        S.validateSchedule([staff], assignments, YEAR, MONTH, SETTINGS_Y);
+        assert.equal(S.SHIFT_LABELS[DAY_SHIFT.code], undefined);
+        S.scoreSchedule([staff], assignments, YEAR, MONTH, SETTINGS_X);
+        assert.equal(S.SHIFT_LABELS[DAY_SHIFT.code], '日');
+    });
+
+    it('途中で止めたジェネレーターは、間にほかの施設で呼ばれても続きを自分の施設のマスタで進める', () => {
+        const assignments = { staff_1: { 1: DAY_SHIFT.code, 2: DAY_SHIFT.code } };
+        const steps = S.improveScheduleSteps([staff], YEAR, MONTH, assignments, {}, SETTINGS_X, { seed: 1, maxMoves: 100000 });
+        assert.equal(steps.next().done, false);
+        assert.equal(dayOneCount(SETTINGS_Y), 0);
+        assert.equal(S.SHIFT_LABELS[DAY_SHIFT.code], undefined);
+        assert.equal(steps.next().done, false);
+        assert.equal(S.SHIFT_LABELS[DAY_SHIFT.code], '日');
+        steps.return();
+    });
+});
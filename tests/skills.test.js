@@ -0,0 +1,138 @@
+// ===== 資格者の最低人数のテスト =====
+// 実行: node --test tests/
+// 資格者の最低人数を決めた施設で、生成・改善・厳密モードが守ること、足りない表と手での変更を知らせることを確認する
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const S = require('../scheduler.js');
+const { createAmpleData, createAmpleDataWith, periodInput, PERIODS } = require('./fixtures.js');
+
+const { SHIFT_TYPES } = S;
+const QUALIFIED = {
+    full_1: ['careWorker'], full_2: ['careWorker', 'leader'], full_3: ['careWorker'], full_4: ['careWorker'],
+    full_5: ['leader'], full_6: ['leader'], full_7: ['leader'], full_8: ['nurse']
+};
+const REQUIREMENTS = { morning: { leader: 1 }, evening: { leader: 1 }, night: { careWorker: 1 } };
+
+function skillInput(period, seed) {
+    const fields = {};
+    Object.keys(QUALIFIED).forEach(id => { fields[id] = { qualifications: QUALIFIED[id] }; });
+    return periodInput(createAmpleDataWith(fields, { skillRequirements: REQUIREMENTS }), period, seed);
+}
+
+function skillShortages(warnings) {
+    return warnings.filter(w => w.type === 'skillShortage');
+}
+
+describe('資格者の最低人数', () => {
+    it('最低人数を決めなければ数えない', () => {
+        const input = S.buildPeriodInput(createAmpleData(), PERIODS[0].year, PERIODS[0].month);
+        assert.deepEqual(S.getSkillRequirements(input.settings), []);
+        assert.deepEqual(S.evaluateSkillCoverage(input.staff, {}, input.year, input.month, input.settings), []);
+    });
+
+    it('0人・知らない資格・知らない時間帯の最低人数は数えない', () => {
+        const requirements = S.getSkillRequirements({
+            skillRequirements: {
+                night: { careWorker: 1, unknown: 2 },
+                morning: { leader: 0, nurse: -1 },
+                lunch: { leader: 1 },
+                evening: { nurse: 2, careWorker: 1 }
+            }
+        });
+        // 時間帯の順（朝・昼・夕・夜勤）、資格の一覧の順に並ぶ
+        assert.deepEqual(requirements.map(r => `${r.slot}:${r.qualification}:${r.required}`),
+            ['evening:careWorker:1', 'evening:nurse:2', 'night:careWorker:1']);
+    });
+
+    it('その時間帯にいる人を数える（A残は朝と夕、明けは朝だけ、夜勤は夕と夜勤。資格を2つ持つ人はどちらにも数える）', () => {
+        const a = { id: 'a', type: 'full', qualifications: ['leader', 'careWorker'] };
+        const b = { id: 'b', type: 'full', qualifications: ['careWorker'] };
+        const { EARLY, LATE, OVERTIME, NIGHT, NIGHT_OFF } = SHIFT_TYPES;
+        const assignments = {
+            a: { 1: OVERTIME, 2: NIGHT_OFF, 3: NIGHT, 4: EARLY, 5: LATE },
+            b: { 1: NIGHT, 2: NIGHT_OFF, 4: LATE, 5: EARLY }
+        };
+        const settings = { skillRequirements: { morning: { leader: 1 }, noon: { careWorker: 2 }, evening: { leader: 1 }, night: { careWorker: 1 } } };
+        const counts = S.evaluateSkillCoverage([a, b], assignments, PERIODS[0].year, PERIODS[0].month, settings)
+            .slice(0, 5).map(d => d.requirements.map(r => r.count).join());
+        // 朝のリーダー・昼の介護福祉士・夕のリーダー・夜勤の介護福祉士
+        assert.deepEqual(counts, ['1,1,1,1', '1,0,0,0', '0,0,1,1', '1,2,0,0', '0,2,1,0']);
+    });
+
+    it('資格者が1人しかいなければ、その人がいない日をすべて不足として出す（日曜も緩和しない）', () => {
+        const period = PERIODS[0];
+        const data = createAmpleDataWith({ full_8: { qualifications: ['nurse'] } }, { skillRequirements: { noon: { nurse: 1 } } });
+        // 7日目（日曜）は絶対休
+        assert.ok(S.isSunday(period.year, period.month, 7));
+        data.schedules[S.getPeriodKey(period.year, period.month)] = { requests: { full_8: { 7: S.REQUEST_TYPES.OFF } }, assignments: {} };
+        const input = periodInput(data, period);
+        const result = S.generatePeriod(input);
+        const a = result.assignments.full_8;
+        const absent = [];
+        for (let day = 1; day <= period.days; day++) {
+            if (![SHIFT_TYPES.EARLY, SHIFT_TYPES.LATE, SHIFT_TYPES.OVERTIME].includes(a[day])) absent.push(day);
+        }
+        assert.ok(absent.includes(7));
+        assert.deepEqual(skillShortages(result.warnings).map(w => w.day), absent);
+        assert.equal(result.breakdown.find(c => c.key === 'skill').items.length, absent.length);
+        assert.equal(result.warnings.filter(w => w.type === 'coverage').length, 0);
+    });
+
+    it('自動生成は資格者の最低人数を守る', () => {
+        PERIODS.forEach(period => {
+            const result = S.generatePeriod(skillInput(period, 1));
+            assert.deepEqual(skillShortages(result.warnings), [], `${period.year}-${period.month}`);
+            assert.equal(result.warnings.filter(w => w.type === 'coverage').length, 0);
+        });
+    });
+
+    it('資格者が足りない日は error を出し、スコアで減点する', () => {
+        const period = PERIODS[2];
+        const input = skillInput(period, 1);
+        const assignments = JSON.parse(JSON.stringify(S.generatePeriod(input).assignments));
+        // 5日目の夜勤を介護福祉士でない人に替える
+        const night = input.staff.find(s => assignments[s.id][5] === SHIFT_TYPES.NIGHT);
+        const other = input.staff.find(s => s.type === 'full' && !S.hasQualification(s, 'careWorker') &&
+            assignments[s.id][5] !== SHIFT_TYPES.NIGHT);
+        [assignments[night.id][5], assignments[other.id][5]] = [assignments[other.id][5], SHIFT_TYPES.NIGHT];
+
+        const checked = S.checkPeriod(input, assignments);
+        const shortage = skillShortages(checked.warnings).find(w => w.day === 5 && w.checkpoint === 'night');
+        assert.ok(shortage, JSON.stringify(checked.warnings));
+        assert.equal(shortage.severity, 'error');
+        assert.equal(shortage.qualification, 'careWorker');
+        assert.equal(shortage.count, 0);
+        assert.equal(shortage.required, 1);
+        const skill = checked.breakdown.find(c => c.key === 'skill');
+        assert.ok(skill.penalty >= 100, JSON.stringify(skill));
+    });
+
+    it('改善は資格者の不足を増やさない', () => {
+        const period = PERIODS[0];
+        const input = skillInput(period, 2);
+        const generated = S.generatePeriod(input);
+        const result = S.improveSchedule(input.staff, input.year, input.month, generated.assignments, input.requests, input.settings,
+            { previousAssignments: input.previousAssignments, pinned: input.pinned, seed: 2, maxMoves: 20000 });
+        assert.ok(result.score >= generated.score);
+        assert.ok(skillShortages(result.warnings).length <= skillShortages(generated.warnings).length);
+    });
+
+    it('厳密モードで見つかった表は資格者の最低人数を守る', () => {
+        const period = PERIODS[0];
+        const result = S.solvePeriod({ ...skillInput(period, 1), timeLimit: 5000 });
+        assert.ok(result.assignments, result.status);
+        assert.deepEqual(skillShortages(result.warnings), []);
+    });
+
+    it('手で変えて資格者が最低人数を下回るときは知らせる', () => {
+        const leader = { id: 'a', name: 'リーダー', type: 'full', nightShiftType: 'none', canOvertime: true, monthlyDaysOff: 9, qualifications: ['leader'] };
+        const other = { id: 'b', name: '他', type: 'full', nightShiftType: 'none', canOvertime: true, monthlyDaysOff: 9 };
+        const assignments = { a: { 3: SHIFT_TYPES.EARLY }, b: { 3: SHIFT_TYPES.EARLY } };
+        const settings = { skillRequirements: { morning: { leader: 1 } } };
+        const warnings = S.getShiftChangeWarnings(leader, assignments, [leader, other], 3, SHIFT_TYPES.OFF, 2026, 4, settings);
+        assert.ok(warnings.some(w => w.includes('リーダーが0人')), JSON.stringify(warnings));
+        const keep = S.getShiftChangeWarnings(other, assignments, [leader, other], 3, SHIFT_TYPES.OFF, 2026, 4, settings);
+        assert.ok(!keep.some(w => w.includes('リーダー')));
+    });
+});
@@ -0,0 +1,136 @@
+// ===== ユニット（フロア）のテスト =====
+// 実行: node --test tests/
+// 2フロアに分けた施設で、応援の人の置き方・ユニットごとの人数の判定と、生成・改善が各ユニットの人数を埋めることを確認する
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const S = require('../scheduler.js');
+const { createAmpleDataWith, periodInput, PERIODS } = require('./fixtures.js');
+
+const { SHIFT_TYPES } = S;
+const REQUIRED = { morning: 2, noon: 2, evening: 2 };
+const UNITS = [{ id: '2f', name: '2F', required: REQUIRED }, { id: '3f', name: '3F', required: REQUIRED }];
+
+/**
+ * full_1〜5 は 2F、full_6〜10 は 3F。full_5 と full_10 は相手のフロアに応援に行ける。パートは所属なし
+ */
+function unitInput(period, seed) {
+    const fields = {};
+    for (let n = 1; n <= 10; n++) fields[`full_${n}`] = { unit: n <= 5 ? '2f' : '3f' };
+    fields.full_5.floatUnits = ['3f'];
+    fields.full_10.floatUnits = ['2f'];
+    return periodInput(createAmpleDataWith(fields, { units: UNITS }), period, seed);
+}
+
+describe('ユニット（フロア）', () => {
+    it('施設全体の必要人数はユニットの合計より下げず、ユニットの人数は日曜も緩和しない', () => {
+        const settings = { ...S.DEFAULT_SETTINGS, morningRequired: 3, units: [{ id: 'a', name: 'A', required: { morning: 2 } }, { id: 'b', name: 'B', required: { morning: 2 } }] };
+        const morning = S.getCheckpoints(settings).find(cp => cp.id === 'morning');
+        assert.equal(morning.required, 4);
+        assert.equal(morning.sundayMin, 4);
+        assert.equal(S.getCheckpoints(S.DEFAULT_SETTINGS).find(cp => cp.id === 'morning').sundayMin, 3);
+    });
+
+    it('ユニットがなければ置かず、0人の必要人数は数えない', () => {
+        const staff = [{ id: 'a', type: 'full' }];
+        const assignments = { a: { 1: SHIFT_TYPES.EARLY } };
+        assert.deepEqual(S.placeUnits(staff, assignments, 2026, 2, {}), {});
+        assert.deepEqual(S.evaluateUnitCoverage(staff, assignments, 2026, 2, {}), []);
+        const settings = { units: [{ id: 'a', name: 'A', required: { morning: 2, noon: 0 } }, { id: 'b', name: 'B', required: {} }] };
+        assert.deepEqual(S.getUnitRequirements(settings).map(r => `${r.unit}:${r.slot}:${r.required}`), ['a:morning:2']);
+    });
+
+    it('所属のない人はどのユニットにも置き、なくなったユニットに所属する人は応援先にだけ置く', () => {
+        const settings = { units: [{ id: 'a', name: 'A', required: { morning: 1 } }, { id: 'b', name: 'B', required: { morning: 1 } }] };
+        const staff = [
+            { id: 'x', type: 'full', unit: 'gone' },
+            { id: 'y', type: 'full', unit: 'gone', floatUnits: ['b'] },
+            { id: 'z', type: 'part', startTime: '07:00', endTime: '12:00' }
+        ];
+        const assignments = { x: { 1: SHIFT_TYPES.EARLY }, y: { 1: SHIFT_TYPES.EARLY }, z: { 1: SHIFT_TYPES.PART } };
+        assert.deepEqual(S.placeUnits(staff, assignments, 2026, 2, settings), { x: {}, y: { 1: 'b' }, z: { 1: 'a' } });
+        assert.deepEqual(S.evaluateUnitCoverage(staff, assignments, 2026, 2, settings)[0].requirements.map(r => r.count), [1, 1]);
+    });
+
+    it('置き方が多すぎるときも、1人ずつ足りないユニットに置いて埋める', () => {
+        const settings = { units: [{ id: 'a', name: 'A', required: { morning: 5 } }, { id: 'b', name: 'B', required: { morning: 5 } }] };
+        // 所属のない10人（置き方は 2^10 通りで、すべて試す上限を超える）
+        const staff = [];
+        const assignments = {};
+        for (let i = 1; i <= 10; i++) {
+            staff.push({ id: `s${i}`, type: 'full' });
+            assignments[`s${i}`] = { 1: SHIFT_TYPES.EARLY };
+        }
+        const placed = S.placeUnits(staff, assignments, 2026, 2, settings);
+        assert.equal(staff.filter(s => placed[s.id][1] === 'a').length, 5);
+        assert.deepEqual(S.evaluateUnitCoverage(staff, assignments, 2026, 2, settings)[0].requirements.map(r => r.ok), [true, true]);
+    });
+
+    it('応援に行ける人は足りないユニットに置き、足りていれば所属に残す', () => {
+        const input = unitInput(PERIODS[0], 1);
+        const staff = input.staff.filter(s => ['full_1', 'full_2', 'full_5', 'full_6', 'full_7'].includes(s.id));
+        const assignments = {
+            full_1: { 1: SHIFT_TYPES.OVERTIME }, full_2: { 1: SHIFT_TYPES.OVERTIME }, full_5: { 1: SHIFT_TYPES.OVERTIME },
+            full_6: { 1: SHIFT_TYPES.OVERTIME }, full_7: { 1: SHIFT_TYPES.OFF }
+        };
+        const placed = S.placeUnits(staff, assignments, input.year, input.month, input.settings);
+        assert.equal(placed.full_5[1], '3f');
+        assert.equal(placed.full_7[1], undefined);
+
+        assignments.full_7[1] = SHIFT_TYPES.OVERTIME;
+        assert.equal(S.placeUnits(staff, assignments, input.year, input.month, input.settings).full_5[1], '2f');
+    });
+
+    it('ユニットが足りない日は error を出し、スコアで減点する', () => {
+        const input = unitInput(PERIODS[0], 1);
+        const assignments = {};
+        input.staff.forEach(s => { assignments[s.id] = { 1: SHIFT_TYPES.OFF }; });
+        ['full_6', 'full_7', 'full_8', 'full_9'].forEach(id => { assignments[id][1] = SHIFT_TYPES.OVERTIME; });
+        const checked = S.checkPeriod(input, assignments);
+        const shortage = checked.warnings.filter(w => w.type === 'unitShortage' && w.day === 1);
+        assert.deepEqual(shortage.map(w => `${w.unit}:${w.checkpoint}:${w.count}/${w.required}`).sort(),
+            ['2f:evening:0/2', '2f:morning:0/2', '2f:noon:0/2']);
+        assert.ok(shortage.every(w => w.severity === 'error'));
+        assert.ok(checked.breakdown.find(c => c.key === 'unit').penalty >= 600);
+    });
+
+    it('自動生成は各ユニットの人数を埋める', () => {
+        PERIODS.forEach(period => {
+            const result = S.generatePeriod(unitInput(period, 1));
+            const errors = result.warnings.filter(w => w.type === 'unitShortage' || w.type === 'coverage');
+            assert.deepEqual(errors, [], `${period.year}-${period.month}`);
+        });
+    });
+
+    it('改善はユニットの人数不足を直し、返すスコアは scoreSchedule と同じ', () => {
+        const period = PERIODS[2];
+        const input = unitInput(period, 2);
+        const assignments = JSON.parse(JSON.stringify(S.generatePeriod(input).assignments));
+        // 5日目の 2F のA・Bを休みにする
+        ['full_1', 'full_2', 'full_3', 'full_4'].forEach(id => {
+            if ([SHIFT_TYPES.EARLY, SHIFT_TYPES.LATE, SHIFT_TYPES.OVERTIME].includes(assignments[id][5])) assignments[id][5] = SHIFT_TYPES.OFF;
+        });
+        const broken = S.checkPeriod(input, assignments);
+        assert.ok(broken.warnings.some(w => w.type === 'unitShortage'));
+        const result = S.improveSchedule(input.staff, input.year, input.month, assignments, input.requests, input.settings,
+            { previousAssignments: input.previousAssignments, pinned: input.pinned, seed: 2, maxMoves: 20000 });
+        assert.ok(result.score > broken.score);
+        assert.equal(result.score, S.checkPeriod(input, result.assignments).score);
+        assert.equal(result.warnings.filter(w => w.type === 'unitShortage').length, 0);
+    });
+
+    it('厳密モードで見つかった表は各ユニットの人数を満たす', () => {
+        const result = S.solvePeriod({ ...unitInput(PERIODS[0], 1), timeLimit: 5000 });
+        assert.ok(result.assignments, result.status);
+        assert.deepEqual(result.warnings.filter(w => w.type === 'unitShortage'), []);
+    });
+
+    it('手で変えてユニットの人数が必要人数を下回るときは知らせる', () => {
+        const input = unitInput(PERIODS[0], 1);
+        const staff = input.staff.filter(s => ['full_1', 'full_2', 'full_6', 'full_7'].includes(s.id));
+        const assignments = {};
+        staff.forEach(s => { assignments[s.id] = { 3: SHIFT_TYPES.OVERTIME }; });
+        const warnings = S.getShiftChangeWarnings(staff[0], assignments, staff, 3, SHIFT_TYPES.OFF, input.year, input.month, input.settings);
+        assert.ok(warnings.includes('2Fの朝(7:00)が1人になります（必要2人）'), JSON.stringify(warnings));
+    });
+});
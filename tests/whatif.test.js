@@ -0,0 +1,149 @@
+// ===== 試算（もしも）のテスト =====
+// 実行: node --test tests/
+// 試算の入力が保存データを変えず、在籍していない日と按分した公休の目標を生成に渡すことを確認する
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const S = require('../scheduler.js');
+const { createAmpleData, periodInput, PERIODS } = require('./fixtures.js');
+
+const { SHIFT_TYPES, REQUEST_TYPES } = S;
+// 2026年4月16日〜5月15日（1日目が4/16、16日目が5/1）
+const period = PERIODS[2];
+
+// 画面と同じく、登録したスタッフ（按分する前）を複製して試算のスタッフにする
+function cloneStaff(data) {
+    return JSON.parse(JSON.stringify(data.staff));
+}
+
+function absentDays(requests) {
+    return Object.keys(requests || {}).map(Number).filter(day => requests[day] === REQUEST_TYPES.ABSENT);
+}
+
+describe('試算（もしも）', () => {
+    it('スタッフを変えなければ、今のスタッフと同じ表になる', () => {
+        const input = periodInput(createAmpleData(), period);
+        const whatIf = S.buildWhatIfInput(input, JSON.parse(JSON.stringify(input.staff)));
+        assert.deepEqual(whatIf.staff, input.staff);
+        assert.deepEqual(S.generatePeriod(whatIf).assignments, S.generatePeriod(input).assignments);
+    });
+
+    it('途中から入る人は在籍する日だけ出勤し、公休の目標は在籍する日数で按分する', () => {
+        const data = createAmpleData();
+        data.schedules[S.getPeriodKey(period.year, period.month)] = {
+            requests: { full_1: { 3: 'off' } },
+            assignments: {}
+        };
+        const input = periodInput(data, period);
+        const saved = JSON.stringify(input);
+        const staff = JSON.parse(JSON.stringify(input.staff));
+        staff.push({ ...staff[0], id: 'new_1', name: '新人', from: 16 });
+        const whatIf = S.buildWhatIfInput(input, staff);
+        assert.equal(JSON.stringify(input), saved);
+
+        const member = whatIf.staff.find(s => s.id === 'new_1');
+        assert.equal(member.from, undefined);
+        assert.equal(member.monthlyDaysOff, Math.round(9 * 15 / period.days));
+        assert.equal(whatIf.requests.new_1[15], REQUEST_TYPES.ABSENT);
+        assert.equal(whatIf.requests.new_1[16], undefined);
+        assert.deepEqual(whatIf.requests.full_1, { 3: 'off' });
+
+        const a = S.generatePeriod(whatIf).assignments.new_1;
+        for (let day = 1; day <= 15; day++) assert.equal(a[day], SHIFT_TYPES.ABSENT, `${day}日目`);
+        assert.ok(Object.keys(a).some(day => day >= 16 && S.isWorkShift(a[day])));
+    });
+
+    it('途中で抜ける人は最後の日に夜勤を入れず、抜けたあとの固定セルは外す', () => {
+        const data = createAmpleData();
+        data.schedules[S.getPeriodKey(period.year, period.month)] = {
+            requests: {},
+            assignments: { full_1: { 5: SHIFT_TYPES.EARLY, 20: SHIFT_TYPES.LATE } },
+            pinned: { full_1: [5, 20] }
+        };
+        const input = periodInput(data, period);
+        const staff = JSON.parse(JSON.stringify(input.staff));
+        staff.find(s => s.id === 'full_1').to = 10;
+        const whatIf = S.buildWhatIfInput(input, staff);
+        assert.deepEqual(whatIf.pinned.full_1, { 5: SHIFT_TYPES.EARLY });
+
+        const result = S.generatePeriod(whatIf);
+        const a = result.assignments.full_1;
+        assert.equal(a[5], SHIFT_TYPES.EARLY);
+        assert.notEqual(a[10], SHIFT_TYPES.NIGHT);
+        for (let day = 11; day <= period.days; day++) assert.equal(a[day], SHIFT_TYPES.ABSENT, `${day}日目`);
+        assert.equal(result.warnings.filter(w => w.type === 'daysOff' && w.staffId === 'full_1').length, 0);
+    });
+
+    it('期間の最終日だけ在籍する人も入れ、公休の目標は按分しても1日を残す（28〜31日の期間）', () => {
+        PERIODS.forEach(p => {
+            const data = createAmpleData();
+            const input = periodInput(data, p);
+            const staff = cloneStaff(data);
+            staff.push({ ...staff[0], id: 'new_1', from: p.days });
+            const whatIf = S.buildWhatIfInput(input, staff);
+            const member = whatIf.staff.find(s => s.id === 'new_1');
+            // 最終日は次の月の15日
+            const next = p.month === 12 ? { year: p.year + 1, month: 1 } : { year: p.year, month: p.month + 1 };
+            assert.equal(member.startDate, `${next.year}-${String(next.month).padStart(2, '0')}-15`);
+            assert.equal(member.monthlyDaysOff, 1);
+            assert.equal(absentDays(whatIf.requests.new_1).length, p.days - 1, `${p.year}-${p.month}`);
+        });
+    });
+
+    it('在籍する日が1日もない人（from が to より後）は試算のスタッフから除く', () => {
+        const data = createAmpleData();
+        const staff = cloneStaff(data);
+        staff.find(s => s.id === 'full_2').from = 20;
+        staff.find(s => s.id === 'full_2').to = 10;
+        const whatIf = S.buildWhatIfInput(periodInput(data, period), staff);
+        assert.ok(!whatIf.staff.some(s => s.id === 'full_2'));
+        assert.equal(whatIf.requests.full_2, undefined);
+        assert.equal(S.generatePeriod(whatIf).assignments.full_2, undefined);
+    });
+
+    it('在籍する日は登録した入職日・退職日より広げない', () => {
+        const data = createAmpleData();
+        data.staff.find(s => s.id === 'full_1').startDate = '2026-05-01';
+        data.staff.find(s => s.id === 'full_2').endDate = '2026-04-25';
+        const staff = cloneStaff(data);
+        staff.find(s => s.id === 'full_1').from = 5;
+        staff.find(s => s.id === 'full_2').to = 20;
+        const whatIf = S.buildWhatIfInput(periodInput(data, period), staff);
+        assert.equal(whatIf.staff.find(s => s.id === 'full_1').startDate, '2026-05-01');
+        assert.equal(whatIf.staff.find(s => s.id === 'full_2').endDate, '2026-04-25');
+        assert.equal(absentDays(whatIf.requests.full_1).length, 15);
+        assert.deepEqual(absentDays(whatIf.requests.full_2), Array.from({ length: 20 }, (_, i) => i + 11));
+    });
+
+    it('試算で入職日・休職を外した人は、保存した在籍外の日も外して公休の目標を元に戻す', () => {
+        const data = createAmpleData();
+        data.staff.find(s => s.id === 'full_1').startDate = '2026-05-01';
+        data.staff.find(s => s.id === 'full_2').leaves = [{ start: '2026-04-20', end: '2026-04-22', reason: '休職' }];
+        const input = periodInput(data, period);
+        assert.equal(absentDays(input.requests.full_1).length, 15);
+        assert.deepEqual(absentDays(input.requests.full_2), [5, 6, 7]);
+
+        const staff = cloneStaff(data);
+        delete staff.find(s => s.id === 'full_1').startDate;
+        staff.find(s => s.id === 'full_2').leaves = [];
+        const whatIf = S.buildWhatIfInput(input, staff);
+        assert.deepEqual(absentDays(whatIf.requests.full_1), []);
+        assert.deepEqual(absentDays(whatIf.requests.full_2), []);
+        assert.equal(whatIf.staff.find(s => s.id === 'full_1').monthlyDaysOff, 9);
+    });
+
+    it('試算で外した人の希望と固定セルは入力に残さない', () => {
+        const data = createAmpleData();
+        data.schedules[S.getPeriodKey(period.year, period.month)] = {
+            requests: { full_3: { 2: REQUEST_TYPES.OFF } },
+            assignments: { full_3: { 4: SHIFT_TYPES.EARLY } },
+            pinned: { full_3: [4] }
+        };
+        const input = periodInput(data, period);
+        assert.deepEqual(input.pinned.full_3, { 4: SHIFT_TYPES.EARLY });
+        const whatIf = S.buildWhatIfInput(input, cloneStaff(data).filter(s => s.id !== 'full_3'));
+        assert.equal(whatIf.requests.full_3, undefined);
+        assert.equal(whatIf.pinned.full_3, undefined);
+        assert.deepEqual(input.pinned.full_3, { 4: SHIFT_TYPES.EARLY });
+    });
+});
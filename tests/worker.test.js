@@ -0,0 +1,71 @@
+// ===== 自動生成の Web Worker のテスト =====
+// scheduler-worker.js を vm で読み込み、setTimeout を手で進めてメッセージのやりとりを確かめる
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const S = require('../scheduler.js');
+const { loadUserData, periodInput, PERIODS } = require('./fixtures.js');
+
+// 1試行では満点にならない期間（試行のたびに step が進む）
+const period = PERIODS[2];
+
+/**
+ * Worker の代わりを作る
+ * @returns {Object} { send(msg), messages（Worker が送ったメッセージ）, timers（待っている setTimeout の関数） }
+ */
+function loadWorker() {
+    const messages = [];
+    const timers = [];
+    const context = { console: console };
+    context.self = context;
+    context.location = { search: '?v=test' };
+    context.postMessage = (msg) => messages.push(msg);
+    context.setTimeout = (fn) => timers.push(fn);
+    context.importScripts = (...files) => files.forEach(file => {
+        assert.ok(file.endsWith('?v=test'), file);
+        vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file.split('?')[0]), 'utf8'), context);
+    });
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'scheduler-worker.js'), 'utf8'), context);
+    return { send: (msg) => context.onmessage({ data: msg }), messages: messages, timers: timers };
+}
+
+function generateInput(seed) {
+    return periodInput(loadUserData(), period, seed);
+}
+
+describe('自動生成の Web Worker', () => {
+    it('実行中に次の生成が来たら前の生成は止まり、進める生成は常に1つ', () => {
+        const worker = loadWorker();
+        worker.send({ type: 'generate', input: generateInput(1) });
+        worker.timers.shift()();
+        worker.send({ type: 'generate', input: generateInput(2) });
+        while (worker.timers.length > 0) {
+            assert.ok(worker.timers.length <= 2);
+            worker.timers.shift()();
+            // 前の生成の続き（1つ目のタイマー）は次を予約しない
+            assert.ok(worker.timers.length <= 1, `待っている step ${worker.timers.length}`);
+        }
+        const done = worker.messages.filter(msg => msg.type === 'done');
+        assert.equal(done.length, 1);
+        assert.equal(done[0].result.seed, 2);
+        // vm の中で作ったオブジェクトはプロトタイプが違うので JSON で比べる
+        assert.equal(JSON.stringify(done[0].result.assignments), JSON.stringify(S.generatePeriod(generateInput(2)).assignments));
+    });
+
+    it('中止するとそれまでの最良の結果を返し、続きは進めない', () => {
+        const worker = loadWorker();
+        worker.send({ type: 'generate', input: generateInput(3) });
+        worker.timers.shift()();
+        worker.send({ type: 'cancel' });
+        while (worker.timers.length > 0) worker.timers.shift()();
+        const done = worker.messages.filter(msg => msg.type === 'done');
+        assert.equal(done.length, 1);
+        assert.equal(done[0].cancelled, true);
+        assert.ok(done[0].result.assignments);
+        assert.equal(worker.messages[worker.messages.length - 1].type, 'done');
+    });
+});